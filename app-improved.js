@@ -19,6 +19,10 @@ import {
     generateId,
     deepClone
 } from './utils.js';
+import { SCHEMA_VERSION, migrate } from './schema.js';
+import { BucketListModel } from './model.js';
+import { parseDeadline } from './deadline.js';
+import { toPixelPosition } from './stickers.js';
 
 const BucketList = (function() {
     'use strict';
@@ -29,7 +33,6 @@ const BucketList = (function() {
 
     const state = {
         currentStep: 1,
-        customCategoryCount: 0,
         stickers: [],
         stickerIdCounter: 0,
         customization: {
@@ -48,6 +51,7 @@ const BucketList = (function() {
 
     // localStorage 키
     const STORAGE_KEY = 'bucketlist_data';
+    const BACKUP_KEY = 'bucketlist_data_backup';
     const ONBOARDING_KEY = 'bucketlist_onboarding';
     const HISTORY_KEY = 'bucketlist_history';
 
@@ -60,6 +64,9 @@ const BucketList = (function() {
 
     const STEP_LABELS = ['시작', '이름 입력', '작성 중', '완성!'];
 
+    // 버킷리스트 데이터 모델 (작성 화면, 자동 저장, 히스토리가 공유)
+    const model = new BucketListModel();
+
 
     // =========================================================================
     // History 관리 (실행 취소/다시 실행)
@@ -249,10 +256,9 @@ const BucketList = (function() {
      */
     const autoSave = debounce(function() {
         const data = {
-            userName: elements.userName?.value || '',
+            ...model.toJSON(),
             customization: state.customization,
             stickers: state.stickers,
-            categories: collectCategoryData(),
             savedAt: new Date().toISOString()
         };
 
@@ -266,29 +272,30 @@ const BucketList = (function() {
     }, 1000);
 
     /**
-     * 카테고리 데이터 수집
-     * @returns {Array<Object>} 카테고리 데이터 배열
+     * 저장된 문서를 현재 스키마로 마이그레이션
+     *
+     * 마이그레이션/검증에 실패하면 원본을 BACKUP_KEY에 보관하고 null을 반환합니다.
+     * @param {Object} saved - localStorage에서 읽은 문서
+     * @returns {Object|null} 현재 버전 문서
      */
-    function collectCategoryData() {
-        const categories = [];
-        const cards = document.querySelectorAll('.category-card');
-
-        cards.forEach(card => {
-            const titleEl = card.querySelector('.category-info h3');
-            const inputs = card.querySelectorAll('.item-list input');
-            const items = [];
+    function readSavedDocument(saved) {
+        if (!saved) return null;
 
-            inputs.forEach(input => {
-                items.push(input.value || '');
-            });
+        try {
+            const { data, migrated, fromVersion } = migrate(saved);
 
-            categories.push({
-                title: titleEl?.textContent || '',
-                items: items
-            });
-        });
+            if (migrated) {
+                storage.set(STORAGE_KEY, data);
+                console.warn(`저장 데이터를 v${fromVersion}에서 v${SCHEMA_VERSION}로 변환했습니다.`);
+            }
 
-        return categories;
+            return data;
+        } catch (error) {
+            logError(error, { context: 'readSavedDocument' });
+            storage.set(BACKUP_KEY, saved);
+            storage.remove(STORAGE_KEY);
+            return null;
+        }
     }
 
     /**
@@ -296,13 +303,15 @@ const BucketList = (function() {
      * @returns {boolean} 성공 여부
      */
     function loadSavedData() {
-        const data = storage.get(STORAGE_KEY);
+        const data = readSavedDocument(storage.get(STORAGE_KEY));
         if (!data) return false;
 
         try {
-            // 이름 복원
-            if (data.userName && elements.userName) {
-                elements.userName.value = data.userName;
+            // 이름과 카테고리는 모델로 복원
+            if (data.categories.length > 0) {
+                model.load(data);
+            } else {
+                model.setUserName(data.userName || '');
             }
 
             // 커스터마이징 복원
@@ -310,14 +319,10 @@ const BucketList = (function() {
                 state.customization = { ...state.customization, ...data.customization };
             }
 
-            // 카테고리 데이터 복원
-            if (data.categories && data.categories.length > 0) {
-                restoreCategoryData(data.categories);
-            }
-
             // 스티커 복원
-            if (data.stickers) {
+            if (Array.isArray(data.stickers)) {
                 state.stickers = data.stickers;
+                renderStickers();
             }
 
             return true;
@@ -328,32 +333,36 @@ const BucketList = (function() {
     }
 
     /**
-     * 카테고리 데이터 복원
-     * @param {Array<Object>} categories - 복원할 카테고리 데이터
+     * state.stickers 기준으로 스티커 다시 그리기
+     * (x/y는 카드 크기에 대한 0~1 비율이므로 지금 카드 크기의 px로 바꿔 배치)
      */
-    function restoreCategoryData(categories) {
-        const cards = document.querySelectorAll('.category-card');
-
-        categories.forEach((catData, index) => {
-            if (index >= cards.length) return;
-
-            const card = cards[index];
-            const itemList = card.querySelector('.item-list');
-            if (!itemList) return;
-
-            // 필요한 만큼 아이템 추가
-            while (itemList.children.length < catData.items.length) {
-                const containerId = itemList.id;
-                if (containerId) addItem(containerId);
+    function renderStickers() {
+        const container = elements.stickerContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+        const rect = container.getBoundingClientRect();
+        const card = { width: rect.width, height: rect.height };
+
+        state.stickers.forEach(sticker => {
+            const stickerEl = document.createElement('div');
+            stickerEl.className = 'sticker';
+            stickerEl.id = sticker.id;
+            stickerEl.textContent = sticker.emoji;
+            stickerEl.insertAdjacentHTML('beforeend', `
+                <button class="sticker-delete" onclick="BucketList.removeSticker('${sticker.id}')" aria-label="스티커 삭제">×</button>
+            `);
+            container.appendChild(stickerEl);
+
+            const { x, y } = toPixelPosition(sticker, card, { width: stickerEl.offsetWidth, height: stickerEl.offsetHeight });
+            stickerEl.style.left = `${x}px`;
+            stickerEl.style.top = `${y}px`;
+
+            // 새 스티커 id가 복원된 id와 겹치지 않도록
+            const idNumber = parseInt(String(sticker.id).replace('sticker-', ''), 10);
+            if (idNumber > state.stickerIdCounter) {
+                state.stickerIdCounter = idNumber;
             }
-
-            // 값 복원
-            const inputs = itemList.querySelectorAll('input');
-            catData.items.forEach((value, i) => {
-                if (inputs[i]) {
-                    inputs[i].value = value;
-                }
-            });
         });
     }
 
@@ -382,6 +391,7 @@ const BucketList = (function() {
      */
     function clearSavedData() {
         storage.remove(STORAGE_KEY);
+        storage.remove(BACKUP_KEY);
         storage.remove(ONBOARDING_KEY);
         historyManager.clear();
     }
@@ -420,25 +430,18 @@ const BucketList = (function() {
      * @param {Object} savedState - 복원할 상태
      */
     function restoreState(savedState) {
-        // 이름 복원
-        if (savedState.userName && elements.userName) {
-            elements.userName.value = savedState.userName;
-        }
+        // 이름과 카테고리 복원 (이전 버전 히스토리는 마이그레이션 후 적용)
+        model.load(migrate(savedState).data);
 
         // 커스터마이징 복원
         if (savedState.customization) {
             state.customization = { ...savedState.customization };
         }
 
-        // 카테고리 복원
-        if (savedState.categories) {
-            restoreCategoryData(savedState.categories);
-        }
-
         // 스티커 복원
-        if (savedState.stickers) {
+        if (Array.isArray(savedState.stickers)) {
             state.stickers = savedState.stickers;
-            // TODO: 스티커 UI 다시 렌더링
+            renderStickers();
         }
     }
 
@@ -595,9 +598,9 @@ const BucketList = (function() {
      * 자동 저장 이벤트 설정
      */
     function setupAutoSave() {
-        // 입력 필드 변경 시 자동 저장
-        document.addEventListener('input', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        // 모델 변경 시 자동 저장 (실행 취소로 인한 load는 히스토리에 다시 쌓지 않음)
+        model.subscribe((event) => {
+            if (event.type !== 'load') {
                 autoSave();
             }
         });
@@ -647,12 +650,39 @@ const BucketList = (function() {
                 }
             });
 
-            // 입력 시 에러 상태 초기화
+            // 입력 시 에러 상태 초기화 및 모델 반영
             userNameInput.addEventListener('input', () => {
                 userNameInput.classList.remove('error');
                 if (elements.nameError) {
                     elements.nameError.textContent = '';
                 }
+                model.setUserName(userNameInput.value);
+            });
+        }
+
+        // 항목 입력 → 모델 반영 (이벤트 위임)
+        const categoriesContainer = elements.categoriesContainer;
+        if (categoriesContainer) {
+            categoriesContainer.addEventListener('input', (e) => {
+                const row = e.target.closest('.item-row');
+                const card = e.target.closest('.category-card');
+                if (!row || !card) return;
+
+                const field = e.target.dataset.field;
+                if (!field) return;
+
+                // 기한은 해석 가능한 값일 때만 반영
+                if (field === 'deadline') {
+                    const deadline = parseDeadline(e.target.value);
+                    const invalid = !deadline && e.target.value.trim() !== '';
+                    e.target.classList.toggle('error', invalid);
+                    if (!invalid) {
+                        model.updateItem(card.dataset.id, row.dataset.itemId, { deadline });
+                    }
+                    return;
+                }
+
+                model.updateItem(card.dataset.id, row.dataset.itemId, { [field]: e.target.value });
             });
         }
 
@@ -710,7 +740,8 @@ const BucketList = (function() {
         // 새로운 API
         undo: handleUndo,
         redo: handleRedo,
-        getState: () => ({ ...state }),
+        getState: () => ({ ...state, ...model.toJSON() }),
+        getModel: () => model,
         getHistory: () => historyManager.history,
         canUndo: () => historyManager.canUndo(),
         canRedo: () => historyManager.canRedo()
@@ -5,6 +5,66 @@
  * 모든 기능은 BucketList 객체를 통해 접근
  */
 
+import { SCHEMA_VERSION, BUILT_IN_CATEGORIES, CATEGORY_TYPES } from './schema.js';
+import { BucketListModel, createDefaultDocument } from './model.js';
+import { ListStore } from './lists.js';
+import { PresetStore, createPresetExport, parsePresetImport } from './theme-presets.js';
+import { checkContrast, fixTextColor, WCAG_AA } from './contrast.js';
+import { PALETTE_SCHEMES, DEFAULT_SCHEME, generatePalette, extractSeedColor } from './palette.js';
+import {
+    COLOR_SCHEME_PREFERENCES,
+    readColorSchemePreference,
+    saveColorSchemePreference,
+    resolveColorScheme,
+    nextColorSchemePreference
+} from './color-scheme.js';
+import {
+    STICKER_PACKS,
+    DEFAULT_STICKER_PACK,
+    getStickerPack,
+    findCatalogSticker,
+    searchStickers,
+    readRecentStickers,
+    addRecentSticker
+} from './sticker-catalog.js';
+import { createExport, buildFileName, parseImport, summarizeDocument, mergeDocuments } from './transfer.js';
+import { buildResultData, getItemMeta, toMarkdown, toPlainText } from './text-export.js';
+import { createResultPdf } from './pdf-export.js';
+import { buildCalendar, collectCalendarEntries, DEFAULT_REMINDER_DAYS } from './ics-export.js';
+import { CSV_FIELDS, parseCSV, detectHeader, guessMapping, mapRows, planImport, applyEntries } from './csv-import.js';
+import { encodeShare, decodeShare, buildShareUrl, readShareToken, MAX_SHARE_URL_LENGTH } from './share.js';
+import { encodeQR, toSvg, getQrStickerSize, QR_STICKER_ECC, QR_STICKER_SIZE, QR_STICKER_MODULE_PX } from './qr.js';
+import {
+    STICKER_NUDGE,
+    STICKER_NUDGE_LARGE,
+    normalizeStickerScale,
+    normalizeStickerRotation,
+    setStickerTransform,
+    toRelativePosition,
+    toPixelPosition,
+    moveStickerLayer,
+    duplicateSticker,
+    scaleFromPointer,
+    rotationFromPointer,
+    getSnapLines,
+    snapStickerBox,
+    pointOnPerimeter,
+    findStickerSpot,
+    arrangeStickers
+} from './stickers.js';
+import {
+    IMAGE_STICKER_SIZE,
+    ImageStickerStore,
+    validateImageFile,
+    fitImageSize,
+    getOutputType
+} from './image-stickers.js';
+import { IMAGE_PRESETS, IMAGE_FORMATS, DEFAULT_QUALITY, IMAGE_EXPORT_STEPS, normalizeQuality, renderImage } from './image-export.js';
+import { parseDeadline, formatDeadlineInput } from './deadline.js';
+import { DocumentHistory } from './history.js';
+import { formatDate, parseDateString, getRelativeTime } from './utils.js';
+import { renderProgressBars, renderColumnChart } from './charts.js';
+
 const BucketList = (function() {
     'use strict';
 
@@ -12,37 +72,65 @@ const BucketList = (function() {
     // 상태 관리
     // =========================================================================
 
+    // 리스트별 꾸미기 기본값
+    const DEFAULT_CUSTOMIZATION = {
+        theme: 'default',
+        pattern: 'none',
+        font: 'default',
+        frame: 'modern',
+        headerColor: '#D45D3F',
+        bgColor: '#FFFFFF',
+        textColor: '#1A1A1A',
+        // 팔레트로 만든 강조 색상 (없으면 테마 기본)
+        accentColor: null,
+        view: 'category',
+        // 'card' | 'wallpaper' (휴대폰 잠금 화면용 세로 레이아웃)
+        layout: 'card',
+        // 배경화면 레이아웃에서 아직 이루지 않은 목표만 보이기
+        openOnly: false
+    };
+
     const state = {
         currentStep: 1,
-        customCategoryCount: 0,
         stickers: [],
         stickerIdCounter: 0,
-        customization: {
-            theme: 'default',
-            pattern: 'none',
-            font: 'default',
-            frame: 'modern',
-            headerColor: '#D45D3F',
-            bgColor: '#FFFFFF',
-            textColor: '#1A1A1A'
-        },
+        customization: { ...DEFAULT_CUSTOMIZATION },
+        // 공유 링크로 연 문서 (읽기 전용 보기 중에는 저장하지 않음)
+        sharedView: null,
+        // 읽지도 백업하지도 못한 리스트 (이번 세션 동안 자동 저장 안 함)
+        autoSaveBlockedListId: null,
         onboarding: {
             stickerTipShown: false
         }
     };
 
-    // localStorage 키
-    const STORAGE_KEY = 'bucketlist_data';
+    // 스티커 종류별 요소 클래스 (이모지 스티커는 없음)
+    const STICKER_TYPE_CLASSES = { qr: 'sticker-qr', image: 'sticker-image' };
+
+    // 배경화면 레이아웃에 보일 최대 항목 수 (나머지는 '외 N개 더')
+    const WALLPAPER_MAX_ITEMS = 8;
+
+    // localStorage 키 (리스트 문서 키는 lists.js에서 관리)
     const ONBOARDING_KEY = 'bucketlist_onboarding';
 
     const STEPS = {
         START: 1,
         NAME: 2,
         WRITE: 3,
-        RESULT: 4
+        RESULT: 4,
+        STATS: 5
     };
 
-    const STEP_LABELS = ['시작', '이름 입력', '작성 중', '완성!'];
+    const STEP_LABELS = ['시작', '이름 입력', '작성 중', '완성!', '진행 현황'];
+
+    // 버킷리스트 데이터 모델 (화면은 모델을 기준으로 렌더링)
+    const model = new BucketListModel();
+
+    // 브라우저에 저장된 여러 리스트 (현재 리스트만 모델에 불러옴)
+    const lists = new ListStore(localStorage);
+
+    // 사용자가 저장한 테마 프리셋 (모든 리스트에서 같이 씀)
+    const presets = new PresetStore(localStorage);
 
 
     // =========================================================================
@@ -51,6 +139,7 @@ const BucketList = (function() {
 
     const elements = {
         get userName() { return document.getElementById('userName'); },
+        get birthYear() { return document.getElementById('birthYear'); },
         get nameError() { return document.getElementById('nameError'); },
         get categoriesContainer() { return document.getElementById('categoriesContainer'); },
         get addCategoryForm() { return document.getElementById('addCategoryForm'); },
@@ -59,7 +148,13 @@ const BucketList = (function() {
         get resultDate() { return document.getElementById('resultDate'); },
         get resultBody() { return document.getElementById('resultBody'); },
         get resultCard() { return document.getElementById('resultCard'); },
+        get listPicker() { return document.getElementById('listPicker'); },
         get progressLabel() { return document.getElementById('progressLabel'); },
+        get statsSummary() { return document.getElementById('statsSummary'); },
+        get statsCategoryChart() { return document.getElementById('statsCategoryChart'); },
+        get statsYearChart() { return document.getElementById('statsYearChart'); },
+        get statsOldest() { return document.getElementById('statsOldest'); },
+        get statsUpcoming() { return document.getElementById('statsUpcoming'); },
         get stickerContainer() { return document.getElementById('stickerContainer'); },
         get customizeBody() { return document.getElementById('customizeBody'); },
         get customizeToggleIcon() { return document.getElementById('customizeToggleIcon'); }
@@ -96,74 +191,68 @@ const BucketList = (function() {
     // =========================================================================
 
     /**
-     * 데이터 자동 저장
+     * 현재 리스트의 저장 문서 (모델 + 꾸미기 + 스티커)
      */
-    function autoSave() {
-        try {
-            const data = {
-                userName: elements.userName?.value || '',
-                customization: state.customization,
-                stickers: state.stickers,
-                categories: collectCategoryData(),
-                savedAt: new Date().toISOString()
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-            showSaveIndicator();
-        } catch (e) {
-            console.warn('자동 저장 실패:', e);
-        }
+    function getSaveDocument() {
+        return {
+            ...model.toJSON(),
+            customization: state.customization,
+            stickers: state.stickers,
+            savedAt: new Date().toISOString()
+        };
     }
 
     /**
-     * 카테고리 데이터 수집
+     * 데이터 자동 저장
+     * @param {boolean} [recordHistory=true] - 실행 취소 기록에 쌓을지 (되돌릴 때는 쌓지 않음)
      */
-    function collectCategoryData() {
-        const categories = [];
-        const cards = document.querySelectorAll('.category-card');
+    function autoSave(recordHistory = true) {
+        if (state.sharedView) return;
 
-        cards.forEach(card => {
-            const titleEl = card.querySelector('.category-info h3');
-            const inputs = card.querySelectorAll('.item-list input');
-            const items = [];
-
-            inputs.forEach(input => {
-                items.push(input.value || '');
-            });
+        const doc = getSaveDocument();
+        if (recordHistory && getListHistory().push(doc)) {
+            updateHistoryButtons();
+        }
 
-            categories.push({
-                title: titleEl?.textContent || '',
-                items: items
-            });
-        });
+        // 읽지 못한 원본을 덮어쓰지 않도록
+        if (state.autoSaveBlockedListId === lists.getActiveId()) return;
 
-        return categories;
+        try {
+            lists.write(lists.getActiveId(), doc);
+            showSaveIndicator();
+        } catch (e) {
+            console.warn('자동 저장 실패:', e);
+        }
     }
 
     /**
-     * 저장된 데이터 불러오기
+     * 현재 리스트의 저장된 데이터 불러오기
+     *
+     * 읽을 수 없는 문서는 백업 키에 남겨두고 새로 시작한다.
+     * 백업도 못 하면 원본을 지키기 위해 이 리스트는 자동 저장을 멈추고 알린다.
      */
     function loadSavedData() {
         try {
-            const saved = localStorage.getItem(STORAGE_KEY);
-            if (!saved) return false;
+            const listId = lists.getActiveId();
+            const { data, migrated, fromVersion, error, writeError, backupFailed } = lists.readDocument(listId);
 
-            const data = JSON.parse(saved);
-
-            // 이름 복원
-            if (data.userName && elements.userName) {
-                elements.userName.value = data.userName;
+            if (migrated) {
+                console.warn(`저장 데이터를 v${fromVersion}에서 v${SCHEMA_VERSION}로 변환했습니다.`);
             }
-
-            // 커스터마이징 복원
-            if (data.customization) {
-                state.customization = { ...state.customization, ...data.customization };
+            if (writeError) {
+                // 변환한 문서는 불러온 채로 두고, 다음 자동 저장 때 다시 씀
+                console.warn('변환한 저장 데이터를 다시 저장하지 못했습니다:', writeError);
             }
-
-            // 카테고리 데이터 복원
-            if (data.categories && data.categories.length > 0) {
-                restoreCategoryData(data.categories);
+            if (error) {
+                console.warn('저장 데이터 마이그레이션 실패:', error);
+            }
+            if (backupFailed) {
+                blockAutoSave(listId);
+                return false;
             }
+            if (!data) return false;
 
+            applyDocument(data);
             return true;
         } catch (e) {
             console.warn('데이터 불러오기 실패:', e);
@@ -172,52 +261,60 @@ const BucketList = (function() {
     }
 
     /**
-     * 카테고리 데이터 복원
+     * 읽지도 백업하지도 못한 리스트의 자동 저장 중단 (이번 세션 동안)
+     * @param {string} listId
      */
-    function restoreCategoryData(categories) {
-        const cards = document.querySelectorAll('.category-card');
-
-        categories.forEach((catData, index) => {
-            if (index >= cards.length) return;
-
-            const card = cards[index];
-            const itemList = card.querySelector('.item-list');
-            if (!itemList) return;
+    function blockAutoSave(listId) {
+        state.autoSaveBlockedListId = listId;
+        openModal('저장된 데이터를 백업하지 못했어요', `
+            <p class="modal-error">저장된 리스트를 읽을 수 없었고, 저장 공간이 부족해 원본을 백업하지도 못했습니다.</p>
+            <p>원본을 덮어쓰지 않도록 이 리스트는 <strong>자동 저장을 멈췄습니다</strong>. 지금 작성하는 내용은 저장되지 않습니다.</p>
+            <p>다른 리스트나 이미지 스티커를 지워 저장 공간을 비운 뒤 새로고침해주세요.</p>
+        `, [
+            { label: '확인', action: 'BucketList.closeModal()', primary: true }
+        ]);
+    }
 
-            // 기존 아이템 수와 저장된 아이템 수 비교
-            const existingInputs = itemList.querySelectorAll('input');
-            const neededItems = catData.items.length;
+    /**
+     * 현재 스키마 문서를 모델/꾸미기/스티커 상태에 반영
+     */
+    function applyDocument(data) {
+        // 이름과 카테고리는 모델로 복원
+        if (data.categories.length > 0) {
+            model.load(data);
+        } else {
+            model.setUserName(data.userName || '');
+        }
 
-            // 필요한 만큼 아이템 추가
-            while (itemList.children.length < neededItems) {
-                const containerId = itemList.id;
-                if (containerId) addItem(containerId);
-            }
+        // 커스터마이징 복원
+        if (data.customization) {
+            state.customization = { ...state.customization, ...data.customization };
+        }
 
-            // 값 복원
-            const inputs = itemList.querySelectorAll('input');
-            catData.items.forEach((value, i) => {
-                if (inputs[i]) {
-                    inputs[i].value = value;
-                }
-            });
-        });
+        // 스티커 복원
+        if (Array.isArray(data.stickers)) {
+            state.stickers = data.stickers;
+            renderStickers();
+        }
     }
 
     /**
      * 저장 인디케이터 표시
+     * @param {string} [message] - 표시할 문구 (복사 완료 등에도 사용)
      */
-    function showSaveIndicator() {
+    function showSaveIndicator(message = '✓ 자동 저장됨') {
         let indicator = document.getElementById('saveIndicator');
 
         if (!indicator) {
             indicator = document.createElement('div');
             indicator.id = 'saveIndicator';
             indicator.className = 'save-indicator';
-            indicator.innerHTML = '✓ 자동 저장됨';
+            indicator.setAttribute('role', 'status');
             document.body.appendChild(indicator);
         }
 
+        indicator.textContent = message;
+
         indicator.classList.add('show');
         setTimeout(() => {
             indicator.classList.remove('show');
@@ -225,14 +322,331 @@ const BucketList = (function() {
     }
 
     /**
-     * 저장된 데이터 삭제
+     * 파일 다운로드
+     * @param {string} content - 파일 내용
+     * @param {string} fileName - 파일 이름
+     * @param {string} type - MIME 타입
+     */
+    function downloadFile(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 저장된 데이터 삭제 (모든 리스트)
      */
     function clearSavedData() {
-        localStorage.removeItem(STORAGE_KEY);
+        lists.clear();
         localStorage.removeItem(ONBOARDING_KEY);
     }
 
 
+    // =========================================================================
+    // 여러 리스트 관리
+    // =========================================================================
+
+    /**
+     * 시작 화면 리스트 선택기 렌더링
+     */
+    function renderListPicker() {
+        const picker = elements.listPicker;
+        if (!picker) return;
+
+        const activeId = lists.getActiveId();
+        const entries = lists.getLists();
+        const canDelete = entries.length > 1;
+
+        const items = entries.map(entry => {
+            const id = sanitize(entry.id);
+            const name = sanitize(entry.name);
+            const active = entry.id === activeId;
+            const updated = entry.updatedAt ? `${getRelativeTime(new Date(entry.updatedAt))} 저장` : '아직 저장 전';
+
+            return `
+                <li class="list-picker-item${active ? ' active' : ''}">
+                    <button class="list-picker-select" onclick="BucketList.switchList('${id}')" aria-pressed="${active}">
+                        <span class="list-picker-name">${name}</span>
+                        <span class="list-picker-meta">${updated}</span>
+                    </button>
+                    <div class="list-picker-actions">
+                        <button onclick="BucketList.renameList('${id}')" aria-label="${name} 이름 바꾸기" title="이름 바꾸기">✏️</button>
+                        <button onclick="BucketList.duplicateList('${id}')" aria-label="${name} 복제" title="복제">📄</button>
+                        ${canDelete ? `<button onclick="BucketList.deleteList('${id}')" aria-label="${name} 삭제" title="삭제">🗑️</button>` : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        picker.innerHTML = `
+            <div class="list-picker-header">
+                <h2>내 리스트</h2>
+                <button class="list-picker-new" onclick="BucketList.createList()">+ 새 리스트</button>
+            </div>
+            <ul class="list-picker-items">${items}</ul>
+        `;
+    }
+
+    /**
+     * 현재 리스트 상태를 기본값으로 되돌리기 (다른 리스트를 불러오기 전)
+     */
+    function resetListState() {
+        model.load(createDefaultDocument());
+        state.customization = { ...DEFAULT_CUSTOMIZATION };
+        state.stickers = [];
+        state.stickerIdCounter = 0;
+        renderStickers();
+        clearCustomColorStyles();
+    }
+
+    /**
+     * 직접 색상 선택으로 적용된 인라인 스타일 제거
+     */
+    function clearCustomColorStyles() {
+        const card = elements.resultCard;
+        if (card) {
+            card.style.backgroundColor = '';
+            card.style.removeProperty('--card-accent');
+            card.classList.remove('has-accent');
+            card.querySelector('.result-banner')?.style.removeProperty('background');
+            card.querySelector('.result-body')?.removeAttribute('style');
+        }
+    }
+
+    /**
+     * 현재 리스트 기준으로 작성 화면/꾸미기 상태 다시 그리기
+     */
+    function refreshListViews() {
+        if (elements.userName) {
+            elements.userName.value = model.userName;
+        }
+        if (elements.birthYear) {
+            elements.birthYear.value = model.birthYear ?? '';
+        }
+        renderCategories();
+        applyCustomizationState();
+        renderListPicker();
+        // 불러온 문서가 이 리스트 실행 취소 기록의 시작
+        updateHistoryButtons();
+    }
+
+    /**
+     * 다른 리스트로 전환 (현재 리스트는 저장 후 전환)
+     */
+    function switchList(listId) {
+        if (listId === lists.getActiveId()) return;
+
+        autoSave();
+        if (!lists.setActiveId(listId)) return;
+
+        resetListState();
+        loadSavedData();
+        refreshListViews();
+    }
+
+    /**
+     * 새 리스트 만들기
+     */
+    function createList() {
+        const name = prompt('새 리스트 이름을 입력하세요', `리스트 ${lists.getLists().length + 1}`);
+        if (name === null) return;
+
+        const entry = lists.create(name);
+        switchList(entry.id);
+    }
+
+    /**
+     * 리스트 이름 바꾸기
+     */
+    function renameList(listId) {
+        const entry = lists.getList(listId);
+        if (!entry) return;
+
+        const name = prompt('리스트 이름을 입력하세요', entry.name);
+        if (name === null) return;
+
+        lists.rename(listId, name);
+        renderListPicker();
+    }
+
+    /**
+     * 리스트 복제 (항목, 꾸미기, 스티커 포함)
+     */
+    function duplicateList(listId) {
+        if (listId === lists.getActiveId()) {
+            autoSave();
+        }
+
+        try {
+            if (lists.duplicate(listId)) {
+                renderListPicker();
+            }
+        } catch (err) {
+            console.warn('리스트 복제 실패:', err);
+            openModal('리스트를 복제하지 못했어요', `
+                <p class="modal-error">저장 공간이 부족하거나 저장할 수 없는 상태입니다.</p>
+                <p>쓰지 않는 리스트나 이미지 스티커를 지운 뒤 다시 시도해주세요.</p>
+            `, [
+                { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+            ]);
+        }
+    }
+
+    /**
+     * 리스트 삭제
+     */
+    function deleteList(listId) {
+        const entry = lists.getList(listId);
+        if (!entry) return;
+
+        if (!confirm(`'${entry.name}' 리스트를 삭제할까요? 작성한 내용과 꾸미기가 모두 사라집니다.`)) {
+            return;
+        }
+
+        const wasActive = listId === lists.getActiveId();
+        if (!lists.remove(listId)) return;
+        listHistories.delete(listId);
+
+        if (wasActive) {
+            resetListState();
+            loadSavedData();
+            refreshListViews();
+        } else {
+            renderListPicker();
+        }
+    }
+
+
+    // =========================================================================
+    // 실행 취소 / 다시 실행 (리스트마다 따로, 이번 세션 동안)
+    // =========================================================================
+
+    // 리스트 id → 실행 취소 기록
+    const listHistories = new Map();
+
+    /**
+     * 현재 리스트의 실행 취소 기록 (처음 쓰면 지금 문서부터 시작)
+     * @returns {DocumentHistory}
+     */
+    function getListHistory() {
+        const listId = lists.getActiveId();
+        if (!listHistories.has(listId)) {
+            listHistories.set(listId, new DocumentHistory(getSaveDocument()));
+        }
+        return listHistories.get(listId);
+    }
+
+    /**
+     * 실행 취소
+     */
+    function undo() {
+        if (state.sharedView) return;
+        // 아직 저장 전인 변경(입력 직후)도 기록에 넣은 뒤 되돌림
+        autoSave();
+        restoreHistoryDocument(getListHistory().undo(), '↶ 실행 취소했습니다');
+    }
+
+    /**
+     * 다시 실행
+     */
+    function redo() {
+        if (state.sharedView) return;
+        autoSave();
+        restoreHistoryDocument(getListHistory().redo(), '↷ 다시 실행했습니다');
+    }
+
+    /**
+     * 기록의 문서로 되돌리고 저장 (기록에는 다시 쌓지 않음)
+     * @param {Object|null} doc
+     * @param {string} message
+     */
+    function restoreHistoryDocument(doc, message) {
+        if (!doc) return;
+
+        selectSticker(null);
+        resetListState();
+        applyDocument(doc);
+        refreshListViews();
+        if (document.getElementById('resultScreen')?.classList.contains('active')) {
+            generateResult();
+        }
+
+        autoSave(false);
+        showSaveIndicator(message);
+    }
+
+    /**
+     * 실행 취소/다시 실행 버튼 상태
+     */
+    function updateHistoryButtons() {
+        const history = state.sharedView ? null : getListHistory();
+        document.querySelectorAll('[data-history]').forEach(button => {
+            button.disabled = !history || (button.dataset.history === 'undo' ? !history.canUndo() : !history.canRedo());
+        });
+    }
+
+    /**
+     * Ctrl/⌘+Z: 실행 취소 · Ctrl/⌘+Shift+Z, Ctrl+Y: 다시 실행
+     * (글자 입력 중에는 입력란 자체의 실행 취소를 씀)
+     */
+    function handleHistoryKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (!document.getElementById('modal')?.hidden) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    }
+
+
+    // =========================================================================
+    // 화면 모드 (앱 화면만, 결과 카드는 항상 자기 테마)
+    // =========================================================================
+
+    // 운영체제 어두운 모드 설정 (지원하지 않는 브라우저는 null)
+    const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+    /**
+     * 저장된 설정과 운영체제 설정으로 화면 모드 적용
+     */
+    function applyColorScheme() {
+        const preference = readColorSchemePreference(localStorage);
+        const scheme = resolveColorScheme(preference, Boolean(darkSchemeQuery?.matches));
+        document.documentElement.setAttribute('data-color-scheme', scheme);
+
+        const button = document.getElementById('colorSchemeBtn');
+        if (button) {
+            const { icon, label } = COLOR_SCHEME_PREFERENCES[preference];
+            button.querySelector('.color-scheme-icon').textContent = icon;
+            button.setAttribute('aria-label', `화면 모드: ${label} (눌러서 바꾸기)`);
+            button.title = `화면 모드: ${label}`;
+        }
+    }
+
+    /**
+     * 화면 모드 바꾸기 (시스템 설정 → 밝게 → 어둡게)
+     */
+    function cycleColorScheme() {
+        const preference = nextColorSchemePreference(readColorSchemePreference(localStorage));
+        saveColorSchemePreference(localStorage, preference);
+        applyColorScheme();
+        showSaveIndicator(`화면 모드: ${COLOR_SCHEME_PREFERENCES[preference].label}`);
+    }
+
+
     // =========================================================================
     // 온보딩 툴팁
     // =========================================================================
@@ -352,10 +766,7 @@ const BucketList = (function() {
         const preset = THEME_PRESETS[presetName];
         if (!preset) return;
 
-        setTheme(preset.theme);
-        setPattern(preset.pattern);
-        setFont(preset.font);
-        setFrame(preset.frame);
+        applyPresetStyle(preset);
 
         // 저장
         autoSave();
@@ -365,85 +776,291 @@ const BucketList = (function() {
     }
 
     /**
-     * 프리셋 적용 알림
+     * 저장한 프리셋 적용
+     * @param {string} presetId
      */
-    function showPresetApplied(name) {
-        let notification = document.getElementById('presetNotification');
-
-        if (!notification) {
-            notification = document.createElement('div');
-            notification.id = 'presetNotification';
-            notification.className = 'preset-notification';
-            document.body.appendChild(notification);
-        }
-
-        notification.textContent = `✨ "${name}" 프리셋이 적용되었습니다!`;
-        notification.classList.add('show');
+    function applyCustomPreset(presetId) {
+        const preset = presets.get(presetId);
+        if (!preset) return;
 
-        setTimeout(() => {
-            notification.classList.remove('show');
-        }, 2000);
+        applyPresetStyle(preset);
+        autoSave();
+        showPresetApplied(preset.name);
     }
 
-
-    // =========================================================================
-    // 진행 상태 관리
-    // =========================================================================
-
     /**
-     * 진행 표시기 업데이트
+     * 프리셋의 테마/패턴/폰트/프레임과 색상을 카드에 적용
+     * @param {Object} preset - 색상이 없으면 테마 기본색
      */
-    function updateProgress(step, label) {
-        state.currentStep = step;
+    function applyPresetStyle(preset) {
+        setTheme(preset.theme);
+        setPattern(preset.pattern);
+        setFont(preset.font);
+        setFrame(preset.frame);
 
-        // 프로그레스 스텝 업데이트
-        for (let i = 1; i <= 4; i++) {
-            const stepEl = document.getElementById(`step${i}`);
-            if (!stepEl) continue;
+        applyCustomColors(preset);
+    }
 
-            stepEl.classList.remove('active', 'done');
+    /**
+     * 추천 조합과 저장한 프리셋 그리기
+     */
+    function renderPresetGrid() {
+        const grid = document.getElementById('presetGrid');
+        if (!grid) return;
 
-            if (i < step) {
-                stepEl.classList.add('done');
-            } else if (i === step) {
-                stepEl.classList.add('active');
-            }
-        }
+        const builtIn = Object.entries(THEME_PRESETS).map(([key, preset]) => `
+            <button class="preset-btn" onclick="BucketList.applyPreset('${key}')" title="${preset.name} 스타일">
+                <span class="preset-icon">${preset.icon}</span>
+                <span class="preset-name">${preset.name}</span>
+            </button>
+        `);
+
+        const saved = presets.getAll();
+        const custom = saved.map((preset, index) => {
+            const id = sanitize(preset.id);
+            const name = sanitize(preset.name);
+
+            return `
+                <div class="preset-item">
+                    <button class="preset-btn preset-custom" onclick="BucketList.applyCustomPreset('${id}')" title="${name}">
+                        <span class="preset-swatch" style="background: ${preset.headerColor}; color: ${preset.bgColor}" aria-hidden="true">${sanitize(preset.icon)}</span>
+                        <span class="preset-name">${name}</span>
+                    </button>
+                    <div class="preset-actions">
+                        <button onclick="BucketList.movePreset('${id}', -1)" aria-label="${name} 앞으로" title="앞으로"${index === 0 ? ' disabled' : ''}>◀</button>
+                        <button onclick="BucketList.movePreset('${id}', 1)" aria-label="${name} 뒤로" title="뒤로"${index === saved.length - 1 ? ' disabled' : ''}>▶</button>
+                        <button onclick="BucketList.renamePreset('${id}')" aria-label="${name} 이름 바꾸기" title="이름 바꾸기">✏️</button>
+                        <button onclick="BucketList.deletePreset('${id}')" aria-label="${name} 삭제" title="삭제">🗑️</button>
+                    </div>
+                </div>
+            `;
+        });
 
-        // 라벨 업데이트
-        if (elements.progressLabel) {
-            elements.progressLabel.textContent = label || STEP_LABELS[step - 1];
-        }
+        grid.innerHTML = builtIn.join('') + custom.join('');
     }
 
-
-    // =========================================================================
-    // 화면 전환
-    // =========================================================================
-
     /**
-     * 화면 전환
+     * 지금 꾸미기 조합을 프리셋으로 저장
      */
-    function showScreen(screenId) {
-        const screens = document.querySelectorAll('.screen');
-        screens.forEach(screen => screen.classList.remove('active'));
+    function saveCustomPreset() {
+        const name = prompt('프리셋 이름을 입력하세요', `내 프리셋 ${presets.getAll().length + 1}`);
+        if (name === null) return;
 
-        const targetScreen = document.getElementById(screenId);
-        if (targetScreen) {
-            targetScreen.classList.add('active');
+        try {
+            const preset = presets.save(name, state.customization);
+            renderPresetGrid();
+            showSaveIndicator(`✓ "${preset.name}" 프리셋 저장됨`);
+        } catch (err) {
+            showPresetError('프리셋 저장 실패', err);
         }
     }
 
     /**
-     * 홈으로 이동
+     * 프리셋 작업 실패 알림 (저장 공간 부족 등)
+     * @param {string} title
+     * @param {Error} err
      */
-    function goHome() {
-        showScreen('startScreen');
-        updateProgress(STEPS.START);
+    function showPresetError(title, err) {
+        console.warn(`${title}:`, err);
+        openModal(title, `<p class="modal-error">${sanitize(err.message)}</p>`, [
+            { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+        ]);
     }
 
     /**
-     * 이름 입력 화면으로 이동
+     * 프리셋 이름 바꾸기
+     */
+    function renamePreset(presetId) {
+        const preset = presets.get(presetId);
+        if (!preset) return;
+
+        const name = prompt('프리셋 이름을 입력하세요', preset.name);
+        if (name === null) return;
+
+        try {
+            presets.rename(presetId, name);
+            renderPresetGrid();
+        } catch (err) {
+            showPresetError('프리셋 이름 바꾸기 실패', err);
+        }
+    }
+
+    /**
+     * 프리셋 삭제
+     */
+    function deletePreset(presetId) {
+        const preset = presets.get(presetId);
+        if (!preset) return;
+
+        if (!confirm(`'${preset.name}' 프리셋을 삭제할까요? 이미 꾸민 카드는 바뀌지 않습니다.`)) {
+            return;
+        }
+
+        try {
+            presets.remove(presetId);
+            renderPresetGrid();
+        } catch (err) {
+            showPresetError('프리셋 삭제 실패', err);
+        }
+    }
+
+    /**
+     * 프리셋 순서 옮기기
+     * @param {string} presetId
+     * @param {number} offset - -1: 앞으로, 1: 뒤로
+     */
+    function movePreset(presetId, offset) {
+        try {
+            if (presets.move(presetId, offset)) {
+                renderPresetGrid();
+            }
+        } catch (err) {
+            showPresetError('프리셋 순서 바꾸기 실패', err);
+        }
+    }
+
+    /**
+     * 저장한 프리셋을 JSON 파일로 내보내기 (팀원과 공유)
+     */
+    function exportPresets() {
+        const saved = presets.getAll();
+        if (saved.length === 0) {
+            showSaveIndicator('저장한 프리셋이 없습니다');
+            return;
+        }
+
+        const data = createPresetExport(saved);
+        downloadFile(JSON.stringify(data, null, 2), buildFileName('테마 프리셋', 'json'), 'application/json');
+    }
+
+    /**
+     * 가져올 프리셋 파일 선택 창 열기
+     */
+    function openPresetImport() {
+        const input = document.getElementById('presetFile');
+        if (!input) return;
+
+        input.value = '';
+        input.click();
+    }
+
+    /**
+     * 선택한 프리셋 파일을 읽어 목록에 추가
+     */
+    function handlePresetFile(file) {
+        if (!file) return;
+
+        file.text().then(text => {
+            const { added, skipped } = presets.importPresets(parsePresetImport(text));
+            renderPresetGrid();
+
+            const skippedLabel = skipped > 0 ? ` · ${skipped}개 건너뜀` : '';
+            showSaveIndicator(`✓ 프리셋 ${added}개 가져옴${skippedLabel}`);
+        }).catch(err => {
+            showPresetError('프리셋 가져오기 실패', err);
+        });
+    }
+
+    /**
+     * 프리셋 적용 알림
+     */
+    function showPresetApplied(name) {
+        let notification = document.getElementById('presetNotification');
+
+        if (!notification) {
+            notification = document.createElement('div');
+            notification.id = 'presetNotification';
+            notification.className = 'preset-notification';
+            document.body.appendChild(notification);
+        }
+
+        notification.textContent = `✨ "${name}" 프리셋이 적용되었습니다!`;
+        notification.classList.add('show');
+
+        setTimeout(() => {
+            notification.classList.remove('show');
+        }, 2000);
+    }
+
+
+    // =========================================================================
+    // 진행 상태 관리
+    // =========================================================================
+
+    /**
+     * 진행 표시기 업데이트
+     */
+    function updateProgress(step, label) {
+        state.currentStep = step;
+
+        // 프로그레스 스텝 업데이트
+        for (let i = 1; i <= STEP_LABELS.length; i++) {
+            const stepEl = document.getElementById(`step${i}`);
+            if (!stepEl) continue;
+
+            stepEl.classList.remove('active', 'done');
+            stepEl.removeAttribute('aria-current');
+
+            if (i < step) {
+                stepEl.classList.add('done');
+            } else if (i === step) {
+                stepEl.classList.add('active');
+                stepEl.setAttribute('aria-current', 'step');
+            }
+        }
+
+        // 라벨 업데이트
+        if (elements.progressLabel) {
+            elements.progressLabel.textContent = label || STEP_LABELS[step - 1];
+        }
+    }
+
+
+    /**
+     * 진행 표시기 단계 클릭 시 해당 화면으로 이동
+     */
+    function goToStep(step) {
+        // 공유 링크 보기에서는 결과 화면만 보여줌
+        if (state.sharedView) return;
+
+        switch (step) {
+        case STEPS.START: goHome(); break;
+        case STEPS.NAME: goToName(); break;
+        case STEPS.WRITE: goToWrite(); break;
+        case STEPS.RESULT: goToResult(); break;
+        case STEPS.STATS: goToStats(); break;
+        }
+    }
+
+
+    // =========================================================================
+    // 화면 전환
+    // =========================================================================
+
+    /**
+     * 화면 전환
+     */
+    function showScreen(screenId) {
+        const screens = document.querySelectorAll('.screen');
+        screens.forEach(screen => screen.classList.remove('active'));
+
+        const targetScreen = document.getElementById(screenId);
+        if (targetScreen) {
+            targetScreen.classList.add('active');
+        }
+    }
+
+    /**
+     * 홈으로 이동
+     */
+    function goHome() {
+        renderListPicker();
+        showScreen('startScreen');
+        updateProgress(STEPS.START);
+    }
+
+    /**
+     * 이름 입력 화면으로 이동
      */
     function goToName() {
         showScreen('nameScreen');
@@ -481,15 +1098,29 @@ const BucketList = (function() {
         // 커스터마이징 상태 적용
         applyCustomizationState();
 
+        // QR 코드 스티커를 지금 내용으로
+        refreshQrStickers();
+
         // 온보딩 툴팁 표시 (처음 방문 시)
-        setTimeout(() => {
-            showStickerOnboarding();
-        }, 500);
+        if (!state.sharedView) {
+            setTimeout(() => {
+                showStickerOnboarding();
+            }, 500);
+        }
 
         // 자동 저장
         autoSave();
     }
 
+    /**
+     * 진행 현황 화면으로 이동
+     */
+    function goToStats() {
+        renderStats();
+        showScreen('statsScreen');
+        updateProgress(STEPS.STATS);
+    }
+
     /**
      * 커스터마이징 상태 적용
      */
@@ -501,12 +1132,15 @@ const BucketList = (function() {
         card.setAttribute('data-pattern', state.customization.pattern);
         card.setAttribute('data-font', state.customization.font);
         card.setAttribute('data-frame', state.customization.frame);
+        card.setAttribute('data-layout', state.customization.layout);
 
         // 버튼 활성화 상태 업데이트
         updateButtonState('themeGrid', 'theme-btn', 'data-theme', state.customization.theme);
         updateButtonState('patternGrid', 'pattern-btn', 'data-pattern', state.customization.pattern);
         updateButtonState('fontGrid', 'font-btn', 'data-font', state.customization.font);
         updateButtonState('frameGrid', 'frame-btn', 'data-frame', state.customization.frame);
+        updateButtonState('viewGrid', 'view-btn', 'data-view', state.customization.view);
+        updateLayoutControls();
 
         // 컬러 피커 값 설정
         const headerPicker = document.getElementById('headerColorPicker');
@@ -516,6 +1150,10 @@ const BucketList = (function() {
         if (headerPicker) headerPicker.value = state.customization.headerColor;
         if (bgPicker) bgPicker.value = state.customization.bgColor;
         if (textPicker) textPicker.value = state.customization.textColor;
+
+        // 직접 고른 색상 다시 적용
+        applyCustomColors(state.customization);
+        updateContrastCheck();
     }
 
 
@@ -565,78 +1203,150 @@ const BucketList = (function() {
 
 
     // =========================================================================
-    // 아이템 관리
+    // 작성 화면 렌더링
     // =========================================================================
 
     /**
-     * 아이템 추가
+     * 모델 기준으로 카테고리 카드 전체 렌더링
+     * @param {Object} [focus] - 렌더링 후 포커스할 { categoryId, itemId }
      */
-    function addItem(containerId) {
-        const container = document.getElementById(containerId);
+    function renderCategories(focus) {
+        const container = elements.categoriesContainer;
         if (!container) return;
 
-        const itemCount = container.children.length + 1;
-        const newRow = document.createElement('div');
-        newRow.className = 'item-row';
-        newRow.setAttribute('role', 'listitem');
-        newRow.innerHTML = `
-            <span class="item-number" aria-hidden="true">${itemCount}</span>
-            <input type="text" placeholder="해보고 싶은 일을 적어보세요" aria-label="버킷리스트 항목 ${itemCount}">
-            <button class="item-btn remove" onclick="BucketList.removeItem(this, '${containerId}')" aria-label="항목 삭제">×</button>
-        `;
+        const categories = model.getCategories();
+        container.innerHTML = categories.map(renderCategoryCard).join('');
 
-        container.appendChild(newRow);
+        // 입력값은 마크업 대신 DOM 속성으로 채움 (새니타이즈로 인한 값 손상 방지)
+        categories.forEach(category => {
+            category.items.forEach(item => {
+                const row = findItemInput(category.id, item.id)?.closest('.item-row');
+                if (!row) return;
+
+                row.querySelectorAll('input[data-field]').forEach(input => {
+                    input.value = input.dataset.field === 'deadline'
+                        ? formatDeadlineInput(item.deadline)
+                        : item[input.dataset.field] || '';
+                });
+            });
+        });
 
-        // 새 입력 필드에 포커스
-        const newInput = newRow.querySelector('input');
-        if (newInput) {
-            newInput.focus();
+        if (focus) {
+            findItemInput(focus.categoryId, focus.itemId)?.focus();
         }
+    }
 
-        updateItemNumbers(containerId);
+    /**
+     * 카테고리 카드 마크업
+     */
+    function renderCategoryCard(category) {
+        const builtIn = BUILT_IN_CATEGORIES.find(c => c.id === category.id);
+        const id = sanitize(category.id);
+        const title = sanitize(category.title);
+        // 종류는 저장된 값을 따름 (알 수 없는 값이면 나만의 카테고리로)
+        const type = CATEGORY_TYPES.includes(category.type) ? category.type : 'custom';
+
+        const deleteButton = builtIn ? '' : `
+                    <button class="delete-category-btn" onclick="BucketList.removeCategory('${id}')" aria-label="${title} 카테고리 삭제">✕</button>`;
+
+        return `
+            <article class="category-card" data-category="${type}" data-id="${id}" role="listitem">
+                <header class="category-header">
+                    <div class="category-badge ${type}" aria-hidden="true">${sanitize(category.badge)}</div>
+                    <div class="category-info">
+                        <h3>${title}</h3>
+                        <span>${builtIn ? builtIn.description : '나만의 카테고리'}</span>
+                    </div>${deleteButton}
+                </header>
+                <div class="category-body">
+                    <div class="item-list" role="list">
+                        ${category.items.map((item, index) => renderItemRow(category, item, index, builtIn)).join('')}
+                    </div>
+                </div>
+            </article>
+        `;
     }
 
     /**
-     * 아이템 삭제
+     * 항목 행 마크업 (첫 행은 추가 버튼, 나머지는 삭제 버튼)
      */
-    function removeItem(btn, containerId) {
-        const row = btn.parentElement;
-        const container = document.getElementById(containerId);
+    function renderItemRow(category, item, index, builtIn) {
+        const categoryId = sanitize(category.id);
+        const itemId = sanitize(item.id);
+        const placeholder = index === 0 && builtIn ? builtIn.placeholder : '해보고 싶은 일을 적어보세요';
+
+        const button = index === 0
+            ? `<button class="item-btn add" onclick="BucketList.addItem('${categoryId}')" aria-label="항목 추가">+</button>`
+            : `<button class="item-btn remove" onclick="BucketList.removeItem('${categoryId}', '${itemId}')" aria-label="항목 삭제">×</button>`;
+
+        // 달성한 항목은 달성일과 한 줄 소감 입력란 표시
+        const achievement = item.achieved ? `
+                <div class="item-achievement">
+                    <label>
+                        <span>달성일</span>
+                        <input type="date" data-field="achievedAt" aria-label="항목 ${index + 1} 달성일">
+                    </label>
+                    <input type="text" data-field="note" maxlength="100" placeholder="한 줄 소감을 남겨보세요" aria-label="항목 ${index + 1} 소감">
+                </div>` : '';
+
+        return `
+            <div class="item-row${item.achieved ? ' achieved' : ''}" role="listitem" data-item-id="${itemId}">
+                <span class="item-number" aria-hidden="true">${index + 1}</span>
+                <button class="item-check" onclick="BucketList.toggleAchieved('${categoryId}', '${itemId}')" aria-pressed="${Boolean(item.achieved)}" aria-label="항목 ${index + 1} 달성 표시">✓</button>
+                <input type="text" data-field="text" placeholder="${placeholder}" aria-label="버킷리스트 항목 ${index + 1}">
+                <input type="text" class="item-deadline" data-field="deadline" placeholder="언제까지? (2030, 40살 전)" aria-label="항목 ${index + 1} 목표 기한">
+                ${button}${achievement}
+            </div>
+        `;
+    }
 
-        if (!container) return;
+    /**
+     * 항목 입력 필드 찾기
+     */
+    function findItemInput(categoryId, itemId) {
+        const rows = elements.categoriesContainer?.querySelectorAll('.item-row') || [];
+        const row = Array.from(rows).find(el => (
+            el.dataset.itemId === itemId && el.closest('.category-card')?.dataset.id === categoryId
+        ));
+        return row?.querySelector('input[data-field="text"]') || null;
+    }
 
-        if (container.children.length > 1) {
-            row.remove();
-            updateItemNumbers(containerId);
-        } else {
-            // 마지막 항목이면 내용만 지우기
-            const input = row.querySelector('input');
-            if (input) {
-                input.value = '';
-                input.focus();
-            }
+
+    // =========================================================================
+    // 아이템 관리
+    // =========================================================================
+
+    /**
+     * 아이템 추가
+     */
+    function addItem(categoryId) {
+        const item = model.addItem(categoryId);
+        if (item) {
+            renderCategories({ categoryId, itemId: item.id });
         }
     }
 
     /**
-     * 아이템 번호 업데이트
+     * 아이템 달성 여부 전환
      */
-    function updateItemNumbers(containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
+    function toggleAchieved(categoryId, itemId) {
+        const item = model.getCategory(categoryId)?.items.find(i => i.id === itemId);
+        if (!item) return;
 
-        const rows = container.querySelectorAll('.item-row');
-        rows.forEach((row, index) => {
-            const numEl = row.querySelector('.item-number');
-            const input = row.querySelector('input');
+        model.setAchieved(categoryId, itemId, !item.achieved);
+        renderCategories({ categoryId, itemId });
+    }
 
-            if (numEl) {
-                numEl.textContent = index + 1;
-            }
-            if (input) {
-                input.setAttribute('aria-label', `버킷리스트 항목 ${index + 1}`);
-            }
-        });
+    /**
+     * 아이템 삭제 (마지막 항목이면 내용만 지우기)
+     */
+    function removeItem(categoryId, itemId) {
+        const category = model.getCategory(categoryId);
+        if (!category) return;
+
+        const isLast = category.items.length === 1;
+        model.removeItem(categoryId, itemId);
+        renderCategories(isLast ? { categoryId, itemId } : null);
     }
 
 
@@ -679,35 +1389,8 @@ const BucketList = (function() {
             return;
         }
 
-        const name = sanitize(rawName);
-        state.customCategoryCount++;
-        const categoryId = `customItems${state.customCategoryCount}`;
-
-        const categoryHTML = `
-            <article class="category-card" data-category="custom" role="listitem">
-                <header class="category-header">
-                    <div class="category-badge custom" aria-hidden="true">⭐</div>
-                    <div class="category-info">
-                        <h3>${name}</h3>
-                        <span>나만의 카테고리</span>
-                    </div>
-                    <button class="delete-category-btn" onclick="BucketList.removeCategory(this)" aria-label="${name} 카테고리 삭제">✕</button>
-                </header>
-                <div class="category-body">
-                    <div class="item-list" id="${categoryId}" role="list">
-                        <div class="item-row" role="listitem">
-                            <span class="item-number" aria-hidden="true">1</span>
-                            <input type="text" placeholder="해보고 싶은 일을 적어보세요" aria-label="버킷리스트 항목 1">
-                            <button class="item-btn add" onclick="BucketList.addItem('${categoryId}')" aria-label="항목 추가">+</button>
-                        </div>
-                    </div>
-                </div>
-            </article>
-        `;
-
-        if (elements.categoriesContainer) {
-            elements.categoriesContainer.insertAdjacentHTML('beforeend', categoryHTML);
-        }
+        createCustomCategory(rawName);
+        renderCategories();
 
         // 폼 초기화
         if (nameInput) {
@@ -716,17 +1399,27 @@ const BucketList = (function() {
         toggleAddCategory();
     }
 
+    /**
+     * 나만의 카테고리 만들기 (직접 추가 / CSV 가져오기 공통)
+     * @param {string} title - 카테고리 이름
+     * @returns {Object} 추가된 카테고리
+     */
+    function createCustomCategory(title) {
+        return model.addCategory({ title });
+    }
+
     /**
      * 카테고리 삭제
      */
-    function removeCategory(btn) {
-        const card = btn.closest('.category-card');
-        if (!card) return;
+    function removeCategory(categoryId) {
+        const category = model.getCategory(categoryId);
+        if (!category) return;
 
-        const categoryName = card.querySelector('.category-info h3')?.textContent || '이 카테고리';
+        const categoryName = category.title || '이 카테고리';
 
         if (confirm(`"${categoryName}"를 삭제하시겠습니까?`)) {
-            card.remove();
+            model.removeCategory(categoryId);
+            renderCategories();
         }
     }
 
@@ -739,7 +1432,7 @@ const BucketList = (function() {
      * 결과 화면 생성
      */
     function generateResult() {
-        const name = sanitize(elements.userName?.value?.trim() || '');
+        const name = sanitize(model.userName.trim());
 
         // 헤더 정보 설정
         if (elements.resultName) {
@@ -753,412 +1446,2474 @@ const BucketList = (function() {
         const resultBody = elements.resultBody;
         if (!resultBody) return;
 
-        resultBody.innerHTML = '';
-
-        const categories = document.querySelectorAll('.category-card');
-        let hasContent = false;
-
-        categories.forEach(category => {
-            const titleEl = category.querySelector('.category-info h3');
-            const badgeEl = category.querySelector('.category-badge');
-            const inputs = category.querySelectorAll('.item-list input');
-
-            const title = titleEl?.textContent || '';
-            const badge = badgeEl?.textContent || '📌';
-
-            const items = [];
-            inputs.forEach(input => {
-                const value = input.value?.trim();
-                if (value) {
-                    items.push(sanitize(value));
-                }
-            });
-
-            if (items.length > 0) {
-                hasContent = true;
-                const sectionHTML = `
-                    <section class="result-section">
-                        <header class="result-section-header">
-                            <span class="icon" aria-hidden="true">${badge}</span>
-                            <h3>${title}</h3>
-                        </header>
-                        <ul class="result-list">
-                            ${items.map(item => `<li class="result-list-item">${item}</li>`).join('')}
-                        </ul>
-                    </section>
-                `;
-                resultBody.insertAdjacentHTML('beforeend', sectionHTML);
-            }
+        const wallpaper = state.customization.layout === 'wallpaper';
+        const data = buildResultData(model, {
+            view: state.customization.view,
+            openOnly: wallpaper && state.customization.openOnly,
+            maxEntries: wallpaper ? WALLPAPER_MAX_ITEMS : 0
         });
 
-        if (!hasContent) {
+        if (data.completion.total === 0) {
             resultBody.innerHTML = `
                 <p class="result-empty">
                     아직 작성된 버킷리스트가 없습니다.<br>
                     이전 단계로 돌아가서 꿈을 적어보세요!
                 </p>
             `;
+            return;
+        }
+
+        // 남은 목표만 보이는데 모두 이뤘을 때
+        if (data.sections.length === 0) {
+            resultBody.innerHTML = '<p class="result-empty">모든 목표를 달성했어요 🎉</p>';
+            return;
+        }
+
+        const sections = data.sections.map(section => {
+            const countLabel = section.total !== undefined
+                ? ` aria-label="달성 ${section.achieved}개, 전체 ${section.total}개"`
+                : '';
+
+            return `
+            <section class="result-section" data-group="${sanitize(section.id)}">
+                <header class="result-section-header">
+                    <span class="icon" aria-hidden="true">${sanitize(section.icon)}</span>
+                    <h3>${sanitize(section.title)}</h3>
+                    <span class="result-section-count"${countLabel}>${section.count}</span>
+                </header>
+                <ul class="result-list">
+                    ${section.entries.map(({ item, category }) => renderResultItem(item, category)).join('')}
+                </ul>
+            </section>
+        `;
+        });
+
+        resultBody.innerHTML = `
+            <p class="result-summary">
+                전체 <strong>${data.completion.total}</strong>개 중
+                <strong>${data.completion.achieved}</strong>개 달성 (${data.percent}%)
+            </p>
+        ` + sections.join('') + (data.hiddenCount > 0
+            ? `<p class="result-more">외 ${data.hiddenCount}개 더</p>`
+            : '');
+    }
+
+    /**
+     * 결과 카드 항목 마크업
+     * - 달성 항목: 달성일/소감 표시
+     * - 미달성 항목: 목표 기한과 남은 기간 표시
+     * @param {Object} item - 항목
+     * @param {Object} [category] - 항목 앞에 배지를 붙일 카테고리 (마감순 보기)
+     */
+    function renderResultItem(item, category) {
+        const badge = category ? `<span class="result-item-badge" aria-hidden="true">${sanitize(category.badge)}</span> ` : '';
+        const { parts, overdue } = getItemMeta(item, { birthYear: model.birthYear });
+        const classes = ['result-list-item'];
+
+        if (item.achieved) classes.push('achieved');
+        if (overdue) classes.push('overdue');
+
+        if (parts.length === 0) {
+            return `<li class="${classes.join(' ')}">${badge}${sanitize(item.text)}</li>`;
+        }
+
+        return `
+            <li class="${classes.join(' ')}">
+                <div class="result-item-content">
+                    <span class="result-item-text">${badge}${sanitize(item.text)}</span>
+                    <span class="result-item-meta">${parts.map(sanitize).join(' · ')}</span>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * 결과 카드 보기 방식 설정 (카테고리별 / 마감순)
+     */
+    function setResultView(view) {
+        state.customization.view = view;
+        updateButtonState('viewGrid', 'view-btn', 'data-view', view);
+        generateResult();
+        autoSave();
+    }
+
+    /**
+     * 결과 카드 레이아웃 설정 (카드 / 휴대폰 배경화면)
+     * @param {string} layout - 'card' | 'wallpaper'
+     */
+    function setLayout(layout) {
+        state.customization.layout = layout;
+        if (elements.resultCard) {
+            elements.resultCard.setAttribute('data-layout', layout);
         }
+        updateLayoutControls();
+        generateResult();
+        autoSave();
+    }
+
+    /**
+     * 배경화면에 아직 이루지 않은 목표만 보이기
+     * @param {boolean} checked
+     */
+    function setOpenOnly(checked) {
+        state.customization.openOnly = Boolean(checked);
+        generateResult();
+        autoSave();
+    }
+
+    /**
+     * 레이아웃 버튼과 '남은 목표만' 선택 상자 상태 맞추기
+     */
+    function updateLayoutControls() {
+        const { layout, openOnly } = state.customization;
+        updateButtonState('layoutGrid', 'view-btn', 'data-layout', layout);
+
+        const option = document.getElementById('openOnlyOption');
+        const toggle = document.getElementById('openOnlyToggle');
+        if (option) option.hidden = layout !== 'wallpaper';
+        if (toggle) toggle.checked = Boolean(openOnly);
     }
 
 
     // =========================================================================
-    // 커스터마이징 기능
+    // 진행 현황 대시보드
     // =========================================================================
 
     /**
-     * 커스터마이징 패널 토글
+     * 진행 현황 화면 생성 (요약 카드, 차트, 오래된 목표, 다가오는 기한)
+     */
+    function renderStats() {
+        const stats = model.getStats();
+
+        if (elements.statsSummary) {
+            const cards = [
+                { label: '전체 목표', value: stats.total },
+                { label: '달성', value: stats.achieved },
+                { label: '진행 중', value: stats.open },
+                { label: '달성률', value: `${stats.rate}%` }
+            ];
+            elements.statsSummary.innerHTML = cards.map(card => `
+                <div class="stats-card">
+                    <span class="stats-card-value">${card.value}</span>
+                    <span class="stats-card-label">${card.label}</span>
+                </div>
+            `).join('');
+        }
+
+        if (elements.statsCategoryChart) {
+            elements.statsCategoryChart.innerHTML = stats.categories.length > 0
+                ? renderProgressBars(stats.categories.map(c => ({
+                    label: `${c.badge || '📌'} ${c.title}`,
+                    achieved: c.achieved,
+                    total: c.total
+                })))
+                : '<p class="stats-empty">아직 작성된 목표가 없어요.</p>';
+        }
+
+        if (elements.statsYearChart) {
+            elements.statsYearChart.innerHTML = stats.achievedByYear.length > 0
+                ? renderColumnChart(stats.achievedByYear.map(p => ({ label: String(p.year), value: p.count })))
+                : '<p class="stats-empty">달성한 목표가 생기면 연도별로 보여드려요.</p>';
+        }
+
+        if (elements.statsOldest) {
+            const oldest = stats.oldestOpen;
+            const createdAt = parseDateString(oldest?.item.createdAt);
+            elements.statsOldest.innerHTML = oldest ? `
+                <p class="stats-goal">
+                    <span aria-hidden="true">${sanitize(oldest.category.badge)}</span>
+                    ${sanitize(oldest.item.text)}
+                </p>
+                <p class="stats-goal-meta">${createdAt ? `${formatDate(createdAt)}에 적은 목표` : '작성일 기록 이전에 적은 목표'}</p>
+            ` : '<p class="stats-empty">진행 중인 목표가 없어요. 모두 이루었네요! 🎉</p>';
+        }
+
+        if (elements.statsUpcoming) {
+            elements.statsUpcoming.innerHTML = stats.upcoming.length > 0 ? `
+                <ul class="stats-upcoming-list">
+                    ${stats.upcoming.map(entry => `
+                        <li>
+                            <span class="stats-goal">
+                                <span aria-hidden="true">${sanitize(entry.category.badge)}</span>
+                                ${sanitize(entry.item.text)}
+                            </span>
+                            <span class="stats-goal-meta">${entry.label} · ${entry.remaining}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="stats-empty">기한을 정한 목표가 없어요. 작성 화면에서 "언제까지"를 적어보세요.</p>';
+        }
+    }
+
+
+    // =========================================================================
+    // 커스터마이징 기능
+    // =========================================================================
+
+    /**
+     * 커스터마이징 패널 토글
+     */
+    function toggleCustomizePanel() {
+        const body = elements.customizeBody;
+        const icon = elements.customizeToggleIcon;
+
+        if (!body) return;
+
+        body.classList.toggle('collapsed');
+
+        if (icon) {
+            icon.textContent = body.classList.contains('collapsed') ? '▶' : '▼';
+        }
+    }
+
+    /**
+     * 테마 설정
+     */
+    function setTheme(theme) {
+        state.customization.theme = theme;
+
+        // 직접 고른 색상/팔레트 대신 테마 색상으로
+        clearCustomColorStyles();
+
+        const card = elements.resultCard;
+        if (card) {
+            card.setAttribute('data-theme', theme);
+        }
+
+        // 버튼 활성화 상태 업데이트
+        updateButtonState('themeGrid', 'theme-btn', 'data-theme', theme);
+
+        // 컬러 피커 값 업데이트
+        updateColorPickersFromTheme(theme);
+    }
+
+    // 테마별 기본 색상 - WCAG AA 대비율 준수
+    const THEME_COLORS = {
+        default: { header: '#D45D3F', bg: '#FFFFFF', text: '#1A1A1A' },
+        spring: { header: '#D6336C', bg: '#FFF5F7', text: '#1A1A1A' },
+        ocean: { header: '#1E6091', bg: '#E8F4F8', text: '#1A1A1A' },
+        forest: { header: '#276749', bg: '#EDF5EE', text: '#1A1A1A' },
+        sunset: { header: '#C53030', bg: '#FFF6E5', text: '#1A1A1A' },
+        night: { header: '#1E3A5F', bg: '#0D1B2A', text: '#E8ECF0' }
+    };
+
+    // setCustomColor 종류 → customization 키
+    const CUSTOM_COLOR_KEYS = { header: 'headerColor', bg: 'bgColor', text: 'textColor', accent: 'accentColor' };
+
+    /**
+     * 테마에 따른 컬러 피커 업데이트
+     */
+    function updateColorPickersFromTheme(theme) {
+        const colors = THEME_COLORS[theme] || THEME_COLORS.default;
+
+        document.getElementById('headerColorPicker').value = colors.header;
+        document.getElementById('bgColorPicker').value = colors.bg;
+        document.getElementById('textColorPicker').value = colors.text;
+
+        state.customization.headerColor = colors.header;
+        state.customization.bgColor = colors.bg;
+        state.customization.textColor = colors.text;
+        state.customization.accentColor = null;
+
+        updateContrastCheck();
+    }
+
+    /**
+     * 배경 패턴 설정
+     */
+    function setPattern(pattern) {
+        state.customization.pattern = pattern;
+
+        const card = elements.resultCard;
+        if (card) {
+            card.setAttribute('data-pattern', pattern);
+        }
+
+        updateButtonState('patternGrid', 'pattern-btn', 'data-pattern', pattern);
+    }
+
+    /**
+     * 폰트 설정
+     */
+    function setFont(font) {
+        state.customization.font = font;
+
+        const card = elements.resultCard;
+        if (card) {
+            card.setAttribute('data-font', font);
+        }
+
+        updateButtonState('fontGrid', 'font-btn', 'data-font', font);
+    }
+
+    /**
+     * 프레임 설정
+     */
+    function setFrame(frame) {
+        state.customization.frame = frame;
+
+        const card = elements.resultCard;
+        if (card) {
+            card.setAttribute('data-frame', frame);
+        }
+
+        updateButtonState('frameGrid', 'frame-btn', 'data-frame', frame);
+    }
+
+    /**
+     * 커스텀 컬러 설정
+     */
+    function setCustomColor(type, color) {
+        const card = elements.resultCard;
+        if (!card) return;
+
+        // 테마 버튼 활성화 해제 (커스텀 색상 사용 시)
+        const themeButtons = document.querySelectorAll('.theme-btn');
+        themeButtons.forEach(btn => btn.classList.remove('active'));
+
+        switch (type) {
+        case 'header':
+            state.customization.headerColor = color;
+            card.querySelector('.result-banner').style.background = color;
+            break;
+        case 'bg':
+            state.customization.bgColor = color;
+            card.querySelector('.result-body').style.backgroundColor = color;
+            card.style.backgroundColor = color;
+            break;
+        case 'text':
+            state.customization.textColor = color;
+            card.querySelector('.result-body').style.color = color;
+            break;
+        case 'accent':
+            state.customization.accentColor = color;
+            card.style.setProperty('--card-accent', color);
+            card.classList.add('has-accent');
+            break;
+        }
+
+        updateContrastCheck();
+    }
+
+    /**
+     * 글자/배경 색상 대비 표시 (WCAG AA 미만이면 경고와 자동 보정 버튼)
+     */
+    function updateContrastCheck() {
+        const box = document.getElementById('contrastCheck');
+        if (!box) return;
+
+        const { textColor, bgColor } = state.customization;
+        let result;
+        try {
+            result = checkContrast(textColor, bgColor);
+        } catch (e) {
+            box.hidden = true;
+            return;
+        }
+
+        box.hidden = false;
+        box.className = `contrast-check ${result.passes ? 'pass' : 'fail'}`;
+
+        if (result.passes) {
+            box.innerHTML = `<span aria-hidden="true">✓</span> 글자 대비 ${result.ratio}:1 · ${result.level} 통과`;
+            return;
+        }
+
+        box.innerHTML = `
+            <p><span aria-hidden="true">⚠️</span> 글자 대비 ${result.ratio}:1 · 글자가 잘 안 읽힐 수 있어요 (AA 기준 ${WCAG_AA}:1)</p>
+            <button class="contrast-fix-btn" onclick="BucketList.fixTextContrast()">자동 보정</button>
+        `;
+    }
+
+    /**
+     * 글자 색상을 배경과 AA 대비를 만족하는 가장 가까운 색으로 바꾸기
+     */
+    function fixTextContrast() {
+        const { textColor, bgColor } = state.customization;
+
+        let fixed;
+        try {
+            fixed = fixTextColor(textColor, bgColor);
+        } catch (err) {
+            console.warn('글자 색상 보정 실패:', err);
+            return;
+        }
+
+        setCustomColor('text', fixed);
+        const picker = document.getElementById('textColorPicker');
+        if (picker) picker.value = fixed.toLowerCase();
+
+        autoSave();
+        showSaveIndicator(`✓ 글자 색상을 ${fixed}(으)로 보정했습니다`);
+    }
+
+
+    // =========================================================================
+    // 색상 팔레트 (기준 색 하나로 헤더/배경/글자/강조 색상 만들기)
+    // =========================================================================
+
+    // 사진에서 색을 뽑을 때 줄여 그릴 크기 (px)
+    const PALETTE_SAMPLE_SIZE = 64;
+
+    const paletteState = {
+        seed: DEFAULT_CUSTOMIZATION.headerColor,
+        scheme: DEFAULT_SCHEME
+    };
+
+    /**
+     * 팔레트 방식 버튼 그리기 (지금 기준 색으로 만든 색상 미리보기 포함)
+     */
+    function renderPaletteSchemes() {
+        const container = document.getElementById('paletteSchemes');
+        if (!container) return;
+
+        container.innerHTML = Object.entries(PALETTE_SCHEMES).map(([key, scheme]) => {
+            const palette = generatePalette(paletteState.seed, key);
+            const swatches = [palette.header, palette.bg, palette.text, palette.accent]
+                .map(color => `<span class="palette-swatch" style="background: ${color}"></span>`)
+                .join('');
+
+            return `
+                <button class="palette-scheme-btn${key === paletteState.scheme ? ' active' : ''}" data-scheme="${key}"
+                    onclick="BucketList.setPaletteScheme('${key}')" aria-pressed="${key === paletteState.scheme}">
+                    <span class="palette-swatches" aria-hidden="true">${swatches}</span>
+                    ${scheme.label}
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 지금 기준 색과 방식으로 만든 팔레트를 카드에 적용
+     */
+    function applyPalette() {
+        const palette = generatePalette(paletteState.seed, paletteState.scheme);
+
+        Object.entries(CUSTOM_COLOR_KEYS).forEach(([type, key]) => {
+            setCustomColor(type, palette[type]);
+            const picker = document.getElementById(`${key}Picker`);
+            if (picker) picker.value = palette[type].toLowerCase();
+        });
+    }
+
+    /**
+     * 기준 색을 고르는 동안 카드에 바로 보여주기 (저장은 setPaletteSeed에서)
+     * @param {string} seed - '#RRGGBB'
+     */
+    function previewPalette(seed) {
+        paletteState.seed = seed;
+        applyPalette();
+        renderPaletteSchemes();
+    }
+
+    /**
+     * 기준 색 확정
+     * @param {string} seed - '#RRGGBB'
+     */
+    function setPaletteSeed(seed) {
+        previewPalette(seed);
+
+        const picker = document.getElementById('seedColorPicker');
+        if (picker) picker.value = seed.toLowerCase();
+
+        autoSave();
+    }
+
+    /**
+     * 팔레트 방식 선택 (보색 / 유사색 / 단색)
+     * @param {string} scheme - PALETTE_SCHEMES 키
+     */
+    function setPaletteScheme(scheme) {
+        if (!PALETTE_SCHEMES[scheme]) return;
+
+        paletteState.scheme = scheme;
+        applyPalette();
+        renderPaletteSchemes();
+        autoSave();
+    }
+
+    /**
+     * 기준 색을 뽑을 사진 선택 창 열기
+     */
+    function openPalettePhoto() {
+        const input = document.getElementById('paletteImageFile');
+        if (!input) return;
+
+        input.value = '';
+        input.click();
+    }
+
+    /**
+     * 사진을 작게 그려 픽셀 읽기
+     * @param {File} file - 이미지 파일
+     * @returns {Promise<Uint8ClampedArray>} RGBA 픽셀
+     */
+    function readImagePixels(file) {
+        return loadImageFile(file).then(image => {
+            const canvas = document.createElement('canvas');
+            canvas.width = PALETTE_SAMPLE_SIZE;
+            canvas.height = PALETTE_SAMPLE_SIZE;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) {
+                throw new Error('이 브라우저에서는 사진을 읽을 수 없습니다.');
+            }
+
+            ctx.drawImage(image, 0, 0, PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE);
+            return ctx.getImageData(0, 0, PALETTE_SAMPLE_SIZE, PALETTE_SAMPLE_SIZE).data;
+        });
+    }
+
+    /**
+     * 이미지 파일 열기
+     * @param {File} file - 이미지 파일
+     * @returns {Promise<HTMLImageElement>} 다 읽은 이미지
+     */
+    function loadImageFile(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('사진을 열 수 없습니다. 다른 이미지 파일을 선택해주세요.'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * 선택한 사진의 대표 색으로 팔레트 만들기
+     */
+    function handlePalettePhoto(file) {
+        if (!file) return;
+
+        readImagePixels(file).then(pixels => {
+            const seed = extractSeedColor(pixels);
+            if (!seed) {
+                throw new Error('사진에서 색을 찾지 못했습니다. 투명하지 않은 사진을 선택해주세요.');
+            }
+
+            setPaletteSeed(seed);
+            showSaveIndicator(`✓ 사진에서 ${seed} 색을 뽑았습니다`);
+        }).catch(err => {
+            console.warn('사진 색 추출 실패:', err);
+            openModal('사진에서 색 뽑기 실패', `<p class="modal-error">${sanitize(err.message)}</p>`, [
+                { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+            ]);
+        });
+    }
+
+    /**
+     * 테마 기본색과 다른 색상만 직접 지정한 색으로 적용 (프리셋, 저장된 꾸미기 복원)
+     * @param {Object} colors - { theme, headerColor, bgColor, textColor }
+     */
+    function applyCustomColors(colors) {
+        const defaults = THEME_COLORS[colors.theme] || THEME_COLORS.default;
+
+        Object.entries(CUSTOM_COLOR_KEYS).forEach(([type, key]) => {
+            const color = colors[key];
+            if (!color || color.toUpperCase() === defaults[type]) return;
+
+            setCustomColor(type, color);
+            const picker = document.getElementById(`${key}Picker`);
+            if (picker) picker.value = color;
+        });
+    }
+
+    /**
+     * 버튼 활성화 상태 업데이트
+     */
+    function updateButtonState(gridId, btnClass, dataAttr, value) {
+        const grid = document.getElementById(gridId);
+        if (!grid) return;
+
+        grid.querySelectorAll(`.${btnClass}`).forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute(dataAttr) === value);
+        });
+    }
+
+
+    // =========================================================================
+    // 스티커 기능
+    // =========================================================================
+
+    // 손잡이와 편집 도구를 보여줄 스티커 id
+    let selectedStickerId = null;
+
+    // 직접 올린 이미지 스티커 (IndexedDB, 모든 리스트가 같이 씀)
+    const imageStickers = new ImageStickerStore(window.indexedDB);
+
+    // 이미지 id → 화면 주소(object URL) 약속 (이미지마다 한 번만 읽음)
+    const imageStickerUrls = new Map();
+
+    // 스티커 카탈로그에서 보고 있는 팩과 검색어 (검색어가 있으면 모든 팩에서 찾음)
+    const stickerCatalogState = {
+        pack: DEFAULT_STICKER_PACK,
+        query: ''
+    };
+
+    /**
+     * 카탈로그 스티커 버튼
+     * @param {Object} item - { emoji, tags }
+     * @returns {string}
+     */
+    function stickerButtonHtml({ emoji, tags }) {
+        return `<button class="sticker-btn" onclick="BucketList.addSticker('${emoji}')" title="${sanitize(tags.join(', '))}"
+            aria-label="${sanitize(tags[0])} 스티커 추가">${emoji}</button>`;
+    }
+
+    /**
+     * 스티커 팩 탭과 스티커 목록 그리기 (STICKER_PACKS 데이터 기준)
+     */
+    function renderStickerCatalog() {
+        const tabs = document.getElementById('stickerPackTabs');
+        const grid = document.getElementById('stickerGrid');
+        if (!tabs || !grid) return;
+
+        const query = stickerCatalogState.query.trim();
+        tabs.innerHTML = STICKER_PACKS.map(pack => {
+            const active = !query && pack.id === stickerCatalogState.pack;
+            return `
+                <button class="sticker-pack-btn${active ? ' active' : ''}" onclick="BucketList.setStickerPack('${pack.id}')"
+                    aria-pressed="${active}">
+                    <span aria-hidden="true">${pack.icon}</span> ${pack.label}
+                </button>
+            `;
+        }).join('');
+
+        const items = query ? searchStickers(query) : getStickerPack(stickerCatalogState.pack).stickers;
+        grid.innerHTML = items.length > 0
+            ? items.map(stickerButtonHtml).join('')
+            : `<p class="sticker-empty">'${sanitize(query)}'에 맞는 스티커가 없습니다</p>`;
+
+        renderRecentStickers();
+    }
+
+    /**
+     * 최근 사용한 스티커 줄 그리기 (없으면 숨김)
+     */
+    function renderRecentStickers() {
+        const section = document.getElementById('stickerRecent');
+        const grid = document.getElementById('stickerRecentGrid');
+        if (!section || !grid) return;
+
+        const recent = readRecentStickers(localStorage).map(emoji => findCatalogSticker(emoji));
+        grid.innerHTML = recent.map(stickerButtonHtml).join('');
+        section.hidden = recent.length === 0;
+    }
+
+    /**
+     * 스티커 팩 고르기 (검색어는 지움)
+     * @param {string} packId
+     */
+    function setStickerPack(packId) {
+        stickerCatalogState.pack = getStickerPack(packId).id;
+        stickerCatalogState.query = '';
+
+        const input = document.getElementById('stickerSearch');
+        if (input) input.value = '';
+        renderStickerCatalog();
+    }
+
+    /**
+     * 스티커 검색 (한국어/영어 태그)
+     * @param {string} query
+     */
+    function searchStickerCatalog(query) {
+        stickerCatalogState.query = String(query || '');
+        renderStickerCatalog();
+    }
+
+    /**
+     * 스티커 추가
+     */
+    function addSticker(emoji) {
+        const container = elements.stickerContainer;
+        const card = elements.resultCard;
+
+        if (!container || !card) return;
+
+        state.stickerIdCounter++;
+        const stickerId = `sticker-${state.stickerIdCounter}`;
+
+        const { x, y } = getNewStickerPosition(50);
+
+        const sticker = {
+            id: stickerId,
+            emoji: emoji,
+            x: x,
+            y: y
+        };
+
+        container.appendChild(createStickerElement(sticker));
+
+        // 상태에 저장
+        state.stickers.push(sticker);
+        autoSave();
+
+        addRecentSticker(localStorage, emoji);
+        renderRecentStickers();
+    }
+
+    /**
+     * 새 스티커를 놓을 위치 (비율)
+     * 카드 테두리의 아무 곳에서 가까운, 글자와 다른 스티커를 가리지 않는 자리
+     * (빈자리가 없으면 카드 안의 랜덤 위치)
+     * @param {number} size - 스티커 크기 (px)
+     * @returns {{ x: number, y: number }}
+     */
+    function getNewStickerPosition(size) {
+        const card = getStickerCardSize();
+        const spot = findStickerSpot(
+            { width: size, height: size },
+            card,
+            [...getCardTextBoxes(), ...getStickerBoxes()],
+            pointOnPerimeter(card, Math.random())
+        );
+        if (spot) return toRelativePosition(spot, card);
+
+        const cardRect = elements.resultCard.getBoundingClientRect();
+        const maxX = cardRect.width - size;
+        const maxY = cardRect.height - size;
+        return toRelativePosition({ x: Math.random() * maxX, y: Math.random() * maxY }, card);
+    }
+
+    /**
+     * 직접 올린 이미지 스티커 추가
+     * @param {string} imageId - 이미지 저장소 id
+     */
+    function addImageSticker(imageId) {
+        const container = elements.stickerContainer;
+        if (!container || !elements.resultCard) return;
+
+        state.stickerIdCounter++;
+        const sticker = {
+            id: `sticker-${state.stickerIdCounter}`,
+            type: 'image',
+            imageId,
+            size: IMAGE_STICKER_SIZE,
+            ...getNewStickerPosition(IMAGE_STICKER_SIZE)
+        };
+
+        container.appendChild(createStickerElement(sticker));
+        state.stickers.push(sticker);
+        autoSave();
+    }
+
+    /**
+     * 공유 링크 QR 코드 스티커 추가
+     * 카드를 이미지로 저장하거나 인쇄해도 휴대폰으로 찍으면 리스트가 열림
+     * (이미 있으면 지금 내용으로 바꿈, 크기는 모듈 수에 맞춤)
+     */
+    function addQrSticker() {
+        const card = elements.resultCard;
+        if (!elements.stickerContainer || !card) return;
+
+        createShareUrl()
+            .then(url => {
+                // 담을 수 있는지 먼저 확인 (너무 길면 오류)
+                const { size, dense } = getQrStickerSize(encodeQR(url, { ecc: QR_STICKER_ECC }));
+
+                const existing = state.stickers.find(s => s.type === 'qr');
+                if (existing) {
+                    existing.value = url;
+                    existing.size = size;
+                    updateStickerElement(existing);
+                    autoSave();
+                    if (dense) {
+                        warnDenseQrCode();
+                    } else {
+                        showSaveIndicator('✓ QR 코드를 지금 내용으로 바꿨습니다');
+                    }
+                    return;
+                }
+
+                state.stickerIdCounter++;
+                const cardRect = card.getBoundingClientRect();
+                const sticker = {
+                    id: `sticker-${state.stickerIdCounter}`,
+                    type: 'qr',
+                    value: url,
+                    size,
+                    ...toRelativePosition({
+                        x: Math.max(0, cardRect.width - size - 24),
+                        y: Math.max(0, cardRect.height - size - 72)
+                    }, getStickerCardSize())
+                };
+
+                elements.stickerContainer.appendChild(createStickerElement(sticker));
+                layoutStickers();
+                state.stickers.push(sticker);
+                autoSave();
+                if (dense) {
+                    warnDenseQrCode();
+                }
+            })
+            .catch(err => {
+                console.warn('QR 코드 만들기 실패:', err);
+                openModal('QR 코드를 만들 수 없어요', `
+                    <p class="modal-error">${sanitize(err.message)}</p>
+                    <p>항목이 많으면 링크가 길어져 QR 코드에 담기지 않습니다. 백업 파일(.json)로 공유해주세요.</p>
+                `, [
+                    { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+                ]);
+            });
+    }
+
+    /**
+     * QR 코드가 너무 촘촘해서 인쇄하면 읽기 어렵다고 알림
+     */
+    function warnDenseQrCode() {
+        openModal('QR 코드가 촘촘해요', `
+            <p class="modal-error">항목이 많아 링크가 길어서, 가장 크게 붙여도 QR 코드의 한 칸이 ${QR_STICKER_MODULE_PX}px보다 작습니다.</p>
+            <p>인쇄하면 휴대폰으로 잘 읽히지 않을 수 있어요. 카드를 크게 인쇄하거나, 항목을 줄이거나, 링크 복사로 공유해주세요.</p>
+        `, [
+            { label: '확인', action: 'BucketList.closeModal()', primary: true }
+        ]);
+    }
+
+    /**
+     * QR 코드 스티커를 지금 리스트 내용으로 갱신 (결과 화면에 들어올 때)
+     */
+    function refreshQrStickers() {
+        const sticker = state.stickers.find(s => s.type === 'qr');
+        if (!sticker || state.sharedView) return;
+
+        createShareUrl()
+            .then(url => {
+                const { size, dense } = getQrStickerSize(encodeQR(url, { ecc: QR_STICKER_ECC }));
+                if (url === sticker.value && size === sticker.size) return;
+
+                sticker.value = url;
+                sticker.size = size;
+                updateStickerElement(sticker);
+                autoSave();
+                if (dense) {
+                    showSaveIndicator('⚠️ QR 코드가 촘촘해서 인쇄하면 잘 읽히지 않을 수 있어요');
+                }
+            })
+            .catch(err => {
+                // 담을 수 없게 되면 이전 QR 코드를 그대로 둠
+                console.warn('QR 코드 갱신 실패:', err);
+            });
+    }
+
+    /**
+     * 스티커 내용 (이모지 글자, 이미지 또는 QR 코드 SVG)
+     * 이모지는 공유 링크/가져온 파일에서 올 수 있으므로 마크업이 아닌 글자로 넣음
+     * @param {Object} sticker
+     * @returns {Node}
+     */
+    function renderStickerContent(sticker) {
+        if (sticker.type === 'image') {
+            // 이미지는 저장소에서 읽은 뒤 loadStickerImage()가 채움
+            const img = document.createElement('img');
+            img.alt = '';
+            img.draggable = false;
+            return img;
+        }
+        if (sticker.type !== 'qr') {
+            return document.createTextNode(sticker.emoji || '');
+        }
+
+        const template = document.createElement('template');
+        try {
+            template.innerHTML = toSvg(encodeQR(sticker.value, { ecc: QR_STICKER_ECC }), { label: '버킷리스트 공유 QR 코드' });
+        } catch (e) {
+            console.warn('QR 코드 그리기 실패:', e);
+        }
+        return template.content;
+    }
+
+    /**
+     * 화면의 스티커 요소 내용만 다시 그리기 (위치 유지)
+     */
+    function updateStickerElement(sticker) {
+        const stickerEl = document.getElementById(sticker.id);
+        if (stickerEl) {
+            stickerEl.replaceWith(createStickerElement(sticker));
+            layoutStickers();
+        }
+    }
+
+    /**
+     * 스티커 요소 생성
+     * @param {Object} sticker - { id, emoji, x, y, scale?, rotation? },
+     *   { id, type: 'qr', value, size, x, y, ... } 또는 { id, type: 'image', imageId, size, x, y, ... }
+     * @returns {HTMLElement}
+     */
+    function createStickerElement(sticker) {
+        const labels = { qr: '공유 QR 코드 스티커', image: '이미지 스티커' };
+        const stickerEl = document.createElement('div');
+        stickerEl.className = STICKER_TYPE_CLASSES[sticker.type] ? `sticker ${STICKER_TYPE_CLASSES[sticker.type]}` : 'sticker';
+        stickerEl.id = sticker.id;
+        stickerEl.tabIndex = state.sharedView ? -1 : 0;
+        stickerEl.setAttribute('aria-label', labels[sticker.type] || `${sticker.emoji} 스티커`);
+        stickerEl.innerHTML = `
+            <button class="sticker-delete" onclick="BucketList.removeSticker('${sticker.id}')" aria-label="스티커 삭제">×</button>
+            <span class="sticker-handle sticker-handle-rotate" data-handle="rotate" title="끌어서 돌리기 (Shift: 15°씩)" aria-hidden="true"></span>
+            <span class="sticker-handle sticker-handle-resize" data-handle="resize" title="끌어서 크기 바꾸기" aria-hidden="true"></span>
+        `;
+        stickerEl.prepend(renderStickerContent(sticker));
+        // 카드에 붙이기 전에는 크기를 모르므로 비율로 두고, layoutStickers()에서 카드 안으로 맞춤
+        stickerEl.style.left = `${sticker.x * 100}%`;
+        stickerEl.style.top = `${sticker.y * 100}%`;
+        if (sticker.type === 'qr' || sticker.type === 'image') {
+            const size = sticker.size || (sticker.type === 'qr' ? QR_STICKER_SIZE.min : IMAGE_STICKER_SIZE);
+            stickerEl.style.width = `${size}px`;
+            stickerEl.style.height = `${size}px`;
+        }
+        if (sticker.type === 'image') {
+            loadStickerImage(stickerEl, sticker.imageId);
+        }
+        applyStickerTransform(stickerEl, sticker);
+        if (sticker.id === selectedStickerId) {
+            stickerEl.classList.add('selected');
+        }
+
+        // 드래그 기능 추가
+        makeDraggable(stickerEl);
+
+        return stickerEl;
+    }
+
+    /**
+     * 이미지 스티커의 화면 주소
+     * @param {string} imageId
+     * @returns {Promise<string|null>} 이 기기에 없는 이미지면 null
+     */
+    function getImageStickerUrl(imageId) {
+        if (!imageStickerUrls.has(imageId)) {
+            imageStickerUrls.set(imageId, imageStickers.get(imageId)
+                .then(record => (record ? URL.createObjectURL(record.blob) : null))
+                .catch(err => {
+                    console.warn('이미지 스티커 읽기 실패:', err);
+                    imageStickerUrls.delete(imageId);
+                    return null;
+                }));
+        }
+        return imageStickerUrls.get(imageId);
+    }
+
+    /**
+     * 이미지 스티커 요소에 이미지 채우기 (다른 기기에서 가져온 리스트처럼 이미지가 없으면 빈 자리 표시)
+     * @param {HTMLElement} stickerEl
+     * @param {string} imageId
+     */
+    function loadStickerImage(stickerEl, imageId) {
+        getImageStickerUrl(imageId).then(url => {
+            const image = stickerEl.querySelector('img');
+            if (!image) return;
+
+            if (url) {
+                image.src = url;
+            } else {
+                stickerEl.classList.add('missing');
+                stickerEl.title = '이 기기에 저장되지 않은 이미지입니다';
+            }
+        });
+    }
+
+    /**
+     * 스티커 요소에 크기/회전 반영 (CSS 변수로 넘겨서 hover 효과와 함께 씀)
+     * @param {HTMLElement} stickerEl
+     * @param {Object} sticker
+     */
+    function applyStickerTransform(stickerEl, sticker) {
+        stickerEl.style.setProperty('--sticker-scale', normalizeStickerScale(sticker.scale));
+        stickerEl.style.setProperty('--sticker-rotation', `${normalizeStickerRotation(sticker.rotation)}deg`);
+    }
+
+    /**
+     * state.stickers 기준으로 스티커 다시 그리기
+     */
+    function renderStickers() {
+        const container = elements.stickerContainer;
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        state.stickers.forEach(sticker => {
+            container.appendChild(createStickerElement(sticker));
+
+            // 새 스티커 id가 복원된 id와 겹치지 않도록
+            const idNumber = parseInt(String(sticker.id).replace('sticker-', ''), 10);
+            if (idNumber > state.stickerIdCounter) {
+                state.stickerIdCounter = idNumber;
+            }
+        });
+
+        layoutStickers();
+
+        // 선택한 스티커가 없어졌으면 선택 해제
+        selectSticker(selectedStickerId);
+    }
+
+    /**
+     * 스티커를 붙일 카드 크기 (px)
+     * @returns {{ width: number, height: number }}
+     */
+    function getStickerCardSize() {
+        const container = elements.stickerContainer;
+        return { width: container?.offsetWidth || 0, height: container?.offsetHeight || 0 };
+    }
+
+    /**
+     * 저장된 비율 위치를 지금 카드 크기의 px 위치로 배치
+     * (다른 기기에서 열었거나 카드가 좁아져도 스티커가 카드 밖으로 잘리지 않게)
+     */
+    function layoutStickers() {
+        const card = getStickerCardSize();
+        // 결과 화면이 숨겨져 있으면 비율 위치 그대로 두고, 카드가 보이면 다시 배치
+        if (!card.width || !card.height) return;
+
+        state.stickers.forEach(sticker => {
+            const stickerEl = document.getElementById(sticker.id);
+            if (!stickerEl || stickerEl.classList.contains('dragging')) return;
+
+            const { x, y } = toPixelPosition(sticker, card, { width: stickerEl.offsetWidth, height: stickerEl.offsetHeight });
+            stickerEl.style.left = `${x}px`;
+            stickerEl.style.top = `${y}px`;
+        });
+    }
+
+    /**
+     * 화면 요소가 카드에서 차지하는 상자 (돌리거나 키운 스티커는 보이는 크기)
+     * @param {Element|DOMRect} target - 요소 또는 getClientRects()의 사각형
+     * @returns {{ x: number, y: number, width: number, height: number }}
+     */
+    function getCardBox(target) {
+        const rect = target.getBoundingClientRect ? target.getBoundingClientRect() : target;
+        const containerRect = elements.stickerContainer.getBoundingClientRect();
+        return {
+            x: rect.left - containerRect.left,
+            y: rect.top - containerRect.top,
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    /**
+     * 카드에 놓인 스티커 상자 목록
+     * @param {string} [exceptId] - 뺄 스티커 (끌고 있는 스티커)
+     * @returns {Array<Object>}
+     */
+    function getStickerBoxes(exceptId) {
+        const container = elements.stickerContainer;
+        if (!container) return [];
+
+        return [...container.querySelectorAll('.sticker')]
+            .filter(el => el.id !== exceptId)
+            .map(getCardBox);
+    }
+
+    /**
+     * 결과 카드 글자가 차지하는 상자 목록 (스티커가 가리지 않도록)
+     * 줄마다 실제 글자 폭만 계산해서 짧은 항목 옆 빈 곳에는 놓을 수 있음
+     * @returns {Array<Object>}
+     */
+    function getCardTextBoxes() {
+        const card = elements.resultCard;
+        const container = elements.stickerContainer;
+        if (!card || !container) return [];
+
+        const range = document.createRange();
+        if (typeof range.getClientRects !== 'function') return [];
+
+        const boxes = [];
+        const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (!node.textContent.trim() || container.contains(node)) continue;
+
+            range.selectNodeContents(node);
+            [...range.getClientRects()].forEach(rect => {
+                if (rect.width > 0 && rect.height > 0) boxes.push(getCardBox(rect));
+            });
+        }
+        return boxes;
+    }
+
+    /**
+     * 스티커 자동 배치 (카드 테두리를 따라 글자를 가리지 않게 고르게)
+     */
+    function autoArrangeStickers() {
+        const card = getStickerCardSize();
+        if (state.sharedView || !card.width || !card.height) return;
+
+        const placed = state.stickers
+            .map(sticker => ({ sticker, stickerEl: document.getElementById(sticker.id) }))
+            .filter(({ stickerEl }) => stickerEl);
+        if (placed.length === 0) return;
+
+        const boxes = placed.map(({ stickerEl }) => getCardBox(stickerEl));
+        const spots = arrangeStickers(boxes.map(({ width, height }) => ({ width, height })), card, getCardTextBoxes());
+
+        placed.forEach(({ sticker, stickerEl }, index) => {
+            const spot = spots[index];
+            if (!spot) return;
+
+            // 보이는 상자와 left/top의 차이 (돌리거나 키운 스티커)
+            placeStickerElement(
+                stickerEl,
+                spot.x - (boxes[index].x - stickerEl.offsetLeft),
+                spot.y - (boxes[index].y - stickerEl.offsetTop)
+            );
+            saveStickerPosition(sticker, stickerEl);
+        });
+
+        autoSave();
+        if (spots.some(spot => !spot)) {
+            showSaveIndicator('카드가 작아서 일부 스티커는 그대로 두었습니다');
+        }
+    }
+
+    /**
+     * 화면에 놓인 스티커 위치를 비율로 저장
+     * @param {Object} sticker
+     * @param {HTMLElement} stickerEl
+     */
+    function saveStickerPosition(sticker, stickerEl) {
+        Object.assign(sticker, toRelativePosition({
+            x: parseFloat(stickerEl.style.left) || 0,
+            y: parseFloat(stickerEl.style.top) || 0
+        }, getStickerCardSize()));
+    }
+
+    /**
+     * 이미지 스티커 파일 선택 열기
+     */
+    function openImageStickerUpload() {
+        const input = document.getElementById('imageStickerFile');
+        if (!input) return;
+
+        input.value = '';
+        input.click();
+    }
+
+    /**
+     * 올린 이미지를 저장할 크기로 줄이기 (SVG도 PNG로 바꿔 저장)
+     * @param {File} file
+     * @returns {Promise<Object>} { name, type, width, height, blob }
+     */
+    function downscaleImage(file) {
+        return loadImageFile(file).then(image => {
+            const { width, height } = fitImageSize(image.naturalWidth, image.naturalHeight);
+            const type = getOutputType(file.type);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) {
+                throw new Error('이 브라우저에서는 이미지를 줄일 수 없습니다.');
+            }
+
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(image, 0, 0, width, height);
+
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve({ name: file.name, type, width, height, blob });
+                    } else {
+                        reject(new Error('이미지를 변환하지 못했습니다. 다른 파일을 선택해주세요.'));
+                    }
+                }, type, 0.9);
+            });
+        });
+    }
+
+    /**
+     * 선택한 이미지 파일을 줄여 저장하고 카드에 붙이기
+     */
+    function handleImageStickerFile(file) {
+        if (!file) return;
+
+        Promise.resolve()
+            .then(() => {
+                validateImageFile(file);
+                return downscaleImage(file);
+            })
+            .then(image => imageStickers.add(image))
+            .then(record => {
+                renderImageStickerTray();
+                addImageSticker(record.id);
+                showSaveIndicator('✓ 이미지 스티커를 추가했습니다');
+            })
+            .catch(err => {
+                console.warn('이미지 스티커 추가 실패:', err);
+                openModal('이미지 스티커를 추가할 수 없어요', `<p class="modal-error">${sanitize(err.message)}</p>`, [
+                    { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+                ]);
+            });
+    }
+
+    /**
+     * 저장된 이미지 스티커 목록 그리기 (누르면 카드에 붙임)
+     */
+    function renderImageStickerTray() {
+        const tray = document.getElementById('imageStickerTray');
+        if (!tray) return;
+
+        imageStickers.getAll()
+            .then(records => Promise.all(records.map(record => (
+                getImageStickerUrl(record.id).then(url => ({ record, url }))
+            ))))
+            .then(images => {
+                const available = images.filter(({ url }) => url);
+                tray.innerHTML = available.map(({ record, url }) => `
+                    <div class="image-sticker-item">
+                        <button class="sticker-btn image-sticker-btn" onclick="BucketList.addImageSticker('${record.id}')"
+                            title="${sanitize(record.name)}">
+                            <img src="${url}" alt="${sanitize(record.name)}">
+                        </button>
+                        <button class="image-sticker-delete" onclick="BucketList.deleteImageSticker('${record.id}')"
+                            aria-label="${sanitize(record.name)} 이미지 삭제">×</button>
+                    </div>
+                `).join('');
+                tray.hidden = available.length === 0;
+            })
+            .catch(err => {
+                // IndexedDB를 쓸 수 없는 브라우저는 목록 없이 올리기 버튼만 둠
+                console.warn('이미지 스티커 목록 읽기 실패:', err);
+                tray.hidden = true;
+            });
+    }
+
+    /**
+     * 저장된 이미지 삭제 (지금 리스트에 붙인 같은 이미지 스티커도 함께 삭제)
+     * @param {string} imageId
+     */
+    function deleteImageSticker(imageId) {
+        if (!confirm('이 이미지를 삭제할까요?\n지금 리스트에 붙인 스티커도 함께 지워지고, 다른 리스트에서는 빈 자리로 표시됩니다.')) {
+            return;
+        }
+
+        imageStickers.remove(imageId)
+            .then(() => {
+                imageStickerUrls.get(imageId)?.then(url => url && URL.revokeObjectURL(url));
+                imageStickerUrls.delete(imageId);
+
+                const before = state.stickers.length;
+                state.stickers = state.stickers.filter(s => s.imageId !== imageId);
+                if (state.stickers.length !== before) {
+                    renderStickers();
+                    autoSave();
+                }
+                renderImageStickerTray();
+            })
+            .catch(err => {
+                console.warn('이미지 삭제 실패:', err);
+                alert('이미지를 삭제하지 못했습니다. 다시 시도해주세요.');
+            });
+    }
+
+    /**
+     * 스티커 삭제
+     */
+    function removeSticker(stickerId) {
+        const stickerEl = document.getElementById(stickerId);
+        if (stickerEl) {
+            stickerEl.remove();
+        }
+
+        // 상태에서 제거
+        state.stickers = state.stickers.filter(s => s.id !== stickerId);
+        if (selectedStickerId === stickerId) {
+            selectSticker(null);
+        }
+        autoSave();
+    }
+
+    /**
+     * 모든 스티커 삭제
+     */
+    function clearStickers() {
+        const container = elements.stickerContainer;
+        if (container) {
+            container.innerHTML = '';
+        }
+        state.stickers = [];
+        selectSticker(null);
+        autoSave();
+    }
+
+    /**
+     * 스티커 선택 (손잡이와 편집 도구 표시, null이면 선택 해제)
+     * @param {string|null} stickerId
+     */
+    function selectSticker(stickerId) {
+        selectedStickerId = state.sharedView || !state.stickers.some(s => s.id === stickerId) ? null : stickerId;
+
+        document.querySelectorAll('.sticker.selected').forEach(el => {
+            if (el.id !== selectedStickerId) el.classList.remove('selected');
+        });
+        if (selectedStickerId) {
+            document.getElementById(selectedStickerId)?.classList.add('selected');
+        }
+
+        const tools = document.getElementById('stickerTools');
+        if (tools) {
+            const sticker = getSelectedSticker();
+            tools.hidden = !sticker;
+            const duplicateBtn = tools.querySelector('[data-sticker-action="duplicate"]');
+            if (duplicateBtn) {
+                // 공유 QR 코드는 하나만
+                duplicateBtn.disabled = sticker?.type === 'qr';
+            }
+        }
+    }
+
+    /**
+     * 선택한 스티커
+     * @returns {Object|null}
+     */
+    function getSelectedSticker() {
+        return state.stickers.find(s => s.id === selectedStickerId) || null;
+    }
+
+    /**
+     * 선택한 스티커를 맨 앞/맨 뒤로
+     * @param {string} direction - 'front' | 'back'
+     */
+    function setStickerLayer(direction) {
+        const sticker = getSelectedSticker();
+        if (!sticker) return;
+
+        state.stickers = moveStickerLayer(state.stickers, sticker.id, direction);
+        renderStickers();
+        document.getElementById(sticker.id)?.focus({ preventScroll: true });
+        autoSave();
+    }
+
+    /**
+     * 선택한 스티커 복제 (복제본을 맨 앞에 두고 선택)
+     */
+    function duplicateSelectedSticker() {
+        const sticker = getSelectedSticker();
+        const container = elements.stickerContainer;
+        const stickerEl = sticker && document.getElementById(sticker.id);
+        if (!stickerEl || !container || sticker.type === 'qr') return;
+
+        state.stickerIdCounter++;
+        const copy = duplicateSticker(sticker, `sticker-${state.stickerIdCounter}`, getStickerCardSize(), {
+            width: stickerEl.offsetWidth,
+            height: stickerEl.offsetHeight
+        });
+
+        state.stickers.push(copy);
+        container.appendChild(createStickerElement(copy));
+        layoutStickers();
+        selectSticker(copy.id);
+        document.getElementById(copy.id)?.focus({ preventScroll: true });
+        autoSave();
+    }
+
+    /**
+     * 선택한 스티커의 크기/회전을 원래대로
+     */
+    function resetStickerTransform() {
+        const sticker = getSelectedSticker();
+        const stickerEl = sticker && document.getElementById(sticker.id);
+        if (!stickerEl) return;
+
+        setStickerTransform(sticker, { scale: 1, rotation: 0 });
+        applyStickerTransform(stickerEl, sticker);
+        autoSave();
+    }
+
+    /**
+     * 선택한 스티커 삭제
+     */
+    function removeSelectedSticker() {
+        if (selectedStickerId) {
+            removeSticker(selectedStickerId);
+        }
+    }
+
+    /**
+     * 스티커를 카드 안에서 옮기기 (경계 밖으로 나가지 않게)
+     * @param {HTMLElement} element
+     * @param {number} x
+     * @param {number} y
+     */
+    function placeStickerElement(element, x, y) {
+        const container = elements.stickerContainer;
+        const maxX = container.offsetWidth - element.offsetWidth;
+        const maxY = container.offsetHeight - element.offsetHeight;
+
+        element.style.left = `${Math.max(0, Math.min(x, maxX))}px`;
+        element.style.top = `${Math.max(0, Math.min(y, maxY))}px`;
+    }
+
+    /**
+     * 선택한 스티커 키보드 조작
+     * - 방향키: 1px씩 옮기기 (Shift: 10px)
+     * - [ / ]: 맨 뒤로 / 맨 앞으로
+     * - Delete, Backspace: 삭제 · Esc: 선택 해제
+     */
+    function handleStickerKeydown(e) {
+        const element = e.currentTarget;
+        if (state.sharedView || e.target !== element) return;
+
+        const sticker = state.stickers.find(s => s.id === element.id);
+        if (!sticker) return;
+
+        const step = e.shiftKey ? STICKER_NUDGE_LARGE : STICKER_NUDGE;
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+
+        if (moves[e.key]) {
+            const [dx, dy] = moves[e.key];
+            const { x, y } = toPixelPosition(sticker, getStickerCardSize(), { width: element.offsetWidth, height: element.offsetHeight });
+            placeStickerElement(element, x + dx, y + dy);
+            saveStickerPosition(sticker, element);
+            autoSave();
+        } else if (e.key === ']' || e.key === '[') {
+            setStickerLayer(e.key === ']' ? 'front' : 'back');
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            removeSticker(sticker.id);
+        } else if (e.key === 'Escape') {
+            selectSticker(null);
+            element.blur();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * 끄는 스티커가 맞춰진 안내선 표시 (null이면 숨김)
+     * @param {Object|null} guides - { x: 세로선 x|null, y: 가로선 y|null }
+     */
+    function showSnapGuides(guides) {
+        const container = elements.stickerContainer;
+        if (!container) return;
+
+        ['x', 'y'].forEach(axis => {
+            let guide = container.querySelector(`.sticker-guide[data-axis="${axis}"]`);
+            const line = guides?.[axis];
+
+            if (line === null || line === undefined) {
+                guide?.remove();
+                return;
+            }
+            if (!guide) {
+                guide = document.createElement('div');
+                guide.className = 'sticker-guide';
+                guide.dataset.axis = axis;
+                guide.setAttribute('aria-hidden', 'true');
+                container.appendChild(guide);
+            }
+            guide.style[axis === 'x' ? 'left' : 'top'] = `${line}px`;
+        });
+    }
+
+    /**
+     * 요소를 드래그 가능하게 만들기
+     * - 스티커 본체: 옮기기 (카드 가장자리/가운데, 다른 스티커에 맞춤)
+     * - 크기/회전 손잡이: 가운데를 기준으로 크기 바꾸기 / 돌리기
+     */
+    function makeDraggable(element) {
+        let mode = null;
+        let startX, startY, initialX, initialY;
+        let center, initialScale, initialRotation, preview;
+        let snapLines, visualOffset;
+
+        element.addEventListener('mousedown', startDrag);
+        element.addEventListener('touchstart', startDrag, { passive: false });
+        element.addEventListener('keydown', handleStickerKeydown);
+        element.addEventListener('focus', () => selectSticker(element.id));
+
+        const pointerOf = e => (e.touches ? e.touches[0] : e);
+
+        function startDrag(e) {
+            if (e.target.classList.contains('sticker-delete')) return;
+            if (state.sharedView) return;
+
+            const sticker = state.stickers.find(s => s.id === element.id);
+            selectSticker(element.id);
+            element.focus({ preventScroll: true });
+
+            mode = e.target.dataset?.handle || 'move';
+            element.classList.add(mode === 'move' ? 'dragging' : 'transforming');
+
+            startX = pointerOf(e).clientX;
+            startY = pointerOf(e).clientY;
+
+            // 돌리거나 키운 스티커는 화면 위치(getBoundingClientRect)가 left/top과 다름
+            initialX = element.offsetLeft;
+            initialY = element.offsetTop;
+
+            // 맞출 안내선과, 보이는 상자와 left/top의 차이 (끄는 동안 그대로)
+            if (mode === 'move') {
+                const box = getCardBox(element);
+                visualOffset = { x: box.x - initialX, y: box.y - initialY, width: box.width, height: box.height };
+                snapLines = getSnapLines(getStickerCardSize(), getStickerBoxes(element.id));
+            }
+
+            // 회전해도 바운딩 박스 가운데는 스티커 가운데
+            const rect = element.getBoundingClientRect();
+            center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+            initialScale = normalizeStickerScale(sticker?.scale);
+            initialRotation = normalizeStickerRotation(sticker?.rotation);
+            preview = null;
+
+            document.addEventListener('mousemove', drag);
+            document.addEventListener('mouseup', endDrag);
+            document.addEventListener('touchmove', drag, { passive: false });
+            document.addEventListener('touchend', endDrag);
+
+            e.preventDefault();
+        }
+
+        function drag(e) {
+            if (!mode) return;
+
+            const start = { x: startX, y: startY };
+            const current = { x: pointerOf(e).clientX, y: pointerOf(e).clientY };
+
+            if (mode === 'move') {
+                let x = initialX + current.x - start.x;
+                let y = initialY + current.y - start.y;
+
+                // Alt를 누르고 끌면 맞추지 않음
+                if (!e.altKey) {
+                    const snapped = snapStickerBox({ ...visualOffset, x: x + visualOffset.x, y: y + visualOffset.y }, snapLines);
+                    x = snapped.x - visualOffset.x;
+                    y = snapped.y - visualOffset.y;
+                    showSnapGuides(snapped.guides);
+                } else {
+                    showSnapGuides(null);
+                }
+                placeStickerElement(element, x, y);
+            } else {
+                preview = mode === 'resize'
+                    ? { scale: scaleFromPointer(center, start, current, initialScale), rotation: initialRotation }
+                    : { scale: initialScale, rotation: rotationFromPointer(center, start, current, initialRotation, e.shiftKey) };
+                applyStickerTransform(element, preview);
+            }
+
+            e.preventDefault();
+        }
+
+        function endDrag() {
+            element.classList.remove('dragging', 'transforming');
+            showSnapGuides(null);
+
+            // 상태 업데이트
+            const stickerId = element.id;
+            const sticker = state.stickers.find(s => s.id === stickerId);
+            if (sticker) {
+                if (mode === 'move') {
+                    saveStickerPosition(sticker, element);
+                } else if (preview) {
+                    setStickerTransform(sticker, preview);
+                }
+                autoSave();
+            }
+            mode = null;
+
+            document.removeEventListener('mousemove', drag);
+            document.removeEventListener('mouseup', endDrag);
+            document.removeEventListener('touchmove', drag);
+            document.removeEventListener('touchend', endDrag);
+        }
+    }
+
+
+    // =========================================================================
+    // 저장 및 인쇄
+    // =========================================================================
+
+    // 이미지 저장 설정 (대화상자에서 마지막으로 고른 값)
+    const imageOptions = {
+        preset: 'original',
+        format: 'png',
+        quality: DEFAULT_QUALITY
+    };
+
+    // 이미지를 만드는 중인지 (중복 저장 방지)
+    let imageExporting = false;
+
+    /**
+     * 이미지 저장 대화상자 (크기, 형식, 품질 선택)
+     */
+    function openImageExport() {
+        const presets = Object.entries(IMAGE_PRESETS).map(([key, preset]) => `
+            <label class="image-option">
+                <input type="radio" name="imagePreset" value="${key}"${key === imageOptions.preset ? ' checked' : ''}
+                    onchange="BucketList.setImageOption('preset', this.value)">
+                <span class="image-option-label">${preset.label}</span>
+                <span class="image-option-hint">${preset.hint}</span>
+            </label>
+        `).join('');
+
+        const formats = Object.entries(IMAGE_FORMATS).map(([key, format]) => `
+            <option value="${key}"${key === imageOptions.format ? ' selected' : ''}>${format.label}</option>
+        `).join('');
+
+        const lossy = IMAGE_FORMATS[imageOptions.format].lossy;
+        const quality = Math.round(imageOptions.quality * 100);
+
+        // 배경화면 레이아웃은 휴대폰 화면 크기로 고정
+        const sizes = state.customization.layout === 'wallpaper'
+            ? `<p class="image-option-note">휴대폰 배경화면 ${IMAGE_PRESETS.wallpaper.hint} 크기로 저장됩니다.</p>`
+            : presets;
+
+        const body = `
+            <fieldset class="image-options">
+                <legend>크기</legend>
+                ${sizes}
+            </fieldset>
+            <div class="image-format-row">
+                <label>
+                    형식
+                    <select id="imageFormat" onchange="BucketList.setImageOption('format', this.value)">${formats}</select>
+                </label>
+                <label class="image-quality" id="imageQuality"${lossy ? '' : ' hidden'}>
+                    품질
+                    <input type="range" min="0.5" max="1" step="0.05" value="${imageOptions.quality}"
+                        oninput="BucketList.setImageOption('quality', this.value)">
+                    <output id="imageQualityValue">${quality}%</output>
+                </label>
+            </div>
+            <div class="image-export-status" id="imageExportStatus" role="status" aria-live="polite"></div>
+        `;
+
+        openModal('이미지로 저장', body, [
+            { label: '닫기', action: 'BucketList.closeModal()' },
+            { label: '저장하기', action: 'BucketList.saveAsImage()', primary: true }
+        ]);
+    }
+
+    /**
+     * 이미지 저장 설정 변경
+     * @param {string} key - 'preset' | 'format' | 'quality'
+     * @param {string} value
+     */
+    function setImageOption(key, value) {
+        if (key === 'quality') {
+            imageOptions.quality = normalizeQuality(value);
+            const output = document.getElementById('imageQualityValue');
+            if (output) output.textContent = `${Math.round(imageOptions.quality * 100)}%`;
+            return;
+        }
+
+        if (key === 'preset' && IMAGE_PRESETS[value]) {
+            imageOptions.preset = value;
+        } else if (key === 'format' && IMAGE_FORMATS[value]) {
+            imageOptions.format = value;
+            const qualityRow = document.getElementById('imageQuality');
+            if (qualityRow) qualityRow.hidden = !IMAGE_FORMATS[value].lossy;
+        }
+    }
+
+    /**
+     * 이미지 저장 진행/오류 표시 (대화상자가 닫혀 있으면 새로 열기)
+     * @param {string} status - 'busy' | 'error'
+     * @param {string} message
+     */
+    function setImageExportStatus(status, message) {
+        if (!document.getElementById('imageExportStatus')) {
+            openModal('이미지로 저장', '<div class="image-export-status" id="imageExportStatus" role="status" aria-live="polite"></div>', [
+                { label: '닫기', action: 'BucketList.closeModal()' },
+                { label: '다시 시도', action: 'BucketList.saveAsImage()', primary: true }
+            ]);
+        }
+
+        const statusEl = document.getElementById('imageExportStatus');
+        if (!statusEl) return;
+
+        statusEl.className = `image-export-status ${status}`;
+        statusEl.innerHTML = status === 'busy'
+            ? `<span class="image-export-spinner" aria-hidden="true"></span> ${sanitize(message)}…`
+            : `<p class="modal-error">${sanitize(message)}</p>`;
+
+        const saveButton = document.querySelector('#modalActions .btn-primary');
+        if (saveButton) {
+            saveButton.disabled = status === 'busy';
+            saveButton.textContent = status === 'error' ? '다시 시도' : '저장하기';
+        }
+    }
+
+    /**
+     * 결과 카드를 고른 크기/형식의 이미지로 저장
+     */
+    function saveAsImage() {
+        const card = elements.resultCard;
+
+        if (!card) {
+            console.error('결과 카드를 찾을 수 없습니다.');
+            return;
+        }
+        if (imageExporting) return;
+
+        imageExporting = true;
+        setImageExportStatus('busy', IMAGE_EXPORT_STEPS.load);
+        selectSticker(null);
+
+        // 배경화면 레이아웃은 여백 없이 화면 크기에 꽉 채움
+        const wallpaper = state.customization.layout === 'wallpaper'
+            ? { preset: 'wallpaper', padding: 0 }
+            : {};
+
+        renderImage(card, {
+            ...imageOptions,
+            ...wallpaper,
+            background: state.customization.headerColor,
+            // 스티커 삭제 버튼과 손잡이, 안내선, 안내 툴팁은 이미지에서 제외
+            ignore: element => ['sticker-delete', 'sticker-handle', 'sticker-guide', 'onboarding-tooltip']
+                .some(className => element.classList?.contains(className)),
+            onProgress: (step, message) => setImageExportStatus('busy', message)
+        }).then(({ blob, format, width, height }) => {
+            downloadFile(blob, buildFileName(getExportName(), format.extension), format.mime);
+            closeModal();
+
+            const fallback = format !== IMAGE_FORMATS[imageOptions.format] ? ` · ${format.label}로 저장됨` : '';
+            showSaveIndicator(`✓ 이미지 저장됨 (${width}×${height}${fallback})`);
+        }).catch(err => {
+            console.error('이미지 저장 실패:', err);
+            setImageExportStatus('error', err.message || '이미지 저장에 실패했습니다. 다시 시도해주세요.');
+        }).finally(() => {
+            imageExporting = false;
+        });
+    }
+
+    /**
+     * 인쇄
+     */
+    function printResult() {
+        window.print();
+    }
+
+
+    // =========================================================================
+    // 대화상자
+    // =========================================================================
+
+    /**
+     * 대화상자 열기
+     * @param {string} title - 제목
+     * @param {string} bodyHTML - 본문 마크업 (호출하는 쪽에서 이스케이프)
+     * @param {Array<{ label: string, action: string, primary?: boolean }>} actions
+     *   버튼 목록 (action은 onclick 코드)
+     */
+    function openModal(title, bodyHTML, actions) {
+        const modal = document.getElementById('modal');
+        if (!modal) return;
+
+        document.getElementById('modalTitle').textContent = title;
+        document.getElementById('modalBody').innerHTML = bodyHTML;
+        document.getElementById('modalActions').innerHTML = actions.map(action => `
+            <button class="btn ${action.primary ? 'btn-primary' : 'btn-secondary'}" onclick="${action.action}">${action.label}</button>
+        `).join('');
+
+        modal.hidden = false;
+        modal.querySelector('.modal-actions .btn-primary, .modal-actions .btn')?.focus();
+    }
+
+    /**
+     * 대화상자 닫기
+     */
+    function closeModal() {
+        const modal = document.getElementById('modal');
+        if (modal) {
+            modal.hidden = true;
+        }
+    }
+
+
+    // =========================================================================
+    // 내보내기 (JSON / Markdown / 텍스트 / PDF / 캘린더)
+    // =========================================================================
+
+    // 미리보기 중인 가져오기 데이터
+    let pendingImport = null;
+
+    // 열 연결 중인 CSV 데이터 { fileName, rows, hasHeader, mapping }
+    let pendingCsv = null;
+
+    /**
+     * 내보내기 형식 선택 대화상자
+     */
+    function openExport() {
+        const options = [
+            { icon: '📝', label: 'Markdown (.md)', hint: '노션, 깃허브 등에 붙여넣기', action: 'BucketList.exportMarkdown()' },
+            { icon: '📄', label: '텍스트 (.txt)', hint: '메모 앱에 저장', action: 'BucketList.exportText()' },
+            { icon: '📋', label: '텍스트 복사', hint: '채팅방에 바로 붙여넣기', action: 'BucketList.copyText()' },
+            { icon: '📑', label: 'PDF (A4)', hint: '꾸민 카드 그대로 인쇄용 파일', action: 'BucketList.exportPDF(\'a4\')' },
+            { icon: '📑', label: 'PDF (Letter)', hint: '미국/캐나다 용지 크기', action: 'BucketList.exportPDF(\'letter\')' },
+            { icon: '📅', label: '캘린더 (.ics)', hint: '목표 기한을 캘린더 앱에 추가', action: 'BucketList.openCalendarExport()' },
+            { icon: '💾', label: '백업 파일 (.json)', hint: '꾸미기·스티커까지 그대로 다시 가져오기', action: 'BucketList.exportJSON()' }
+        ];
+
+        const body = `
+            <div class="export-options">
+                ${options.map(option => `
+                    <button class="export-option" onclick="${option.action}">
+                        <span class="export-option-icon" aria-hidden="true">${option.icon}</span>
+                        <span class="export-option-label">${option.label}</span>
+                        <span class="export-option-hint">${option.hint}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        openModal('내보내기', body, [
+            { label: '닫기', action: 'BucketList.closeModal()' }
+        ]);
+    }
+
+    /**
+     * 결과 카드와 같은 데이터로 만든 내보내기 데이터
+     */
+    function getExportData() {
+        return buildResultData(model, { view: state.customization.view });
+    }
+
+    /**
+     * 현재 리스트 이름 (파일 이름용)
+     */
+    function getExportName() {
+        return lists.getList(lists.getActiveId())?.name || model.userName;
+    }
+
+    /**
+     * Markdown 파일로 내보내기
+     */
+    function exportMarkdown() {
+        downloadFile(toMarkdown(getExportData()), buildFileName(getExportName(), 'md'), 'text/markdown;charset=utf-8');
+        closeModal();
+    }
+
+    /**
+     * 텍스트 파일로 내보내기
+     */
+    function exportText() {
+        downloadFile(toPlainText(getExportData()), buildFileName(getExportName(), 'txt'), 'text/plain;charset=utf-8');
+        closeModal();
+    }
+
+    /**
+     * 텍스트를 클립보드에 복사 (Clipboard API가 없으면 execCommand 사용)
+     */
+    function copyText() {
+        copyToClipboard(toPlainText(getExportData()), '✓ 클립보드에 복사됨', () => {
+            alert('복사에 실패했습니다. 텍스트 파일로 내보내기를 이용해주세요.');
+        });
+    }
+
+    /**
+     * 클립보드에 복사 (Clipboard API가 없거나 거부되면 textarea 방식으로 재시도)
+     * @param {string} text - 복사할 내용
+     * @param {string} message - 성공 시 표시할 문구
+     * @param {Function} onFail - 두 방식 모두 실패했을 때
+     */
+    function copyToClipboard(text, message, onFail) {
+        const done = () => {
+            closeModal();
+            showSaveIndicator(message);
+        };
+        const fallback = () => (copyTextFallback(text) ? done() : onFail());
+
+        if (navigator.clipboard?.writeText) {
+            navigator.clipboard.writeText(text).then(done).catch(err => {
+                console.warn('클립보드 복사 실패:', err);
+                fallback();
+            });
+            return;
+        }
+
+        fallback();
+    }
+
+    /**
+     * 숨긴 textarea를 이용한 복사
+     * @returns {boolean} 성공 여부
+     */
+    function copyTextFallback(text) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            return document.execCommand('copy');
+        } catch (e) {
+            return false;
+        } finally {
+            textarea.remove();
+        }
+    }
+
+    /**
+     * 결과 카드를 PDF 파일로 내보내기 (테마 색상, 폰트, 프레임, 스티커 반영)
+     * @param {string} [pageSize='a4'] - 'a4' | 'letter'
+     */
+    function exportPDF(pageSize = 'a4') {
+        try {
+            const bytes = createResultPdf(getExportData(), {
+                pageSize,
+                customization: state.customization,
+                stickers: state.stickers,
+                stickerImages: rasterizeStickerImages(),
+                cardWidth: elements.resultCard?.offsetWidth,
+                rasterize: rasterizeEmoji
+            });
+
+            downloadFile(bytes, buildFileName(getExportName(), 'pdf'), 'application/pdf');
+            closeModal();
+        } catch (e) {
+            console.error('PDF 저장 실패:', e);
+            alert('PDF 저장에 실패했습니다. 다시 시도해주세요.');
+        }
+    }
+
+    /**
+     * 이모지를 RGBA 픽셀로 그리기 (PDF의 한글 폰트에는 이모지가 없음)
+     * @param {string} emoji - 이모지
+     * @returns {{ width: number, height: number, data: Uint8ClampedArray }|null}
      */
-    function toggleCustomizePanel() {
-        const body = elements.customizeBody;
-        const icon = elements.customizeToggleIcon;
+    function rasterizeEmoji(emoji) {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
 
-        if (!body) return;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
 
-        body.classList.toggle('collapsed');
+        ctx.font = `${size * 0.8}px "Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(emoji, size / 2, size / 2 + size * 0.05);
 
-        if (icon) {
-            icon.textContent = body.classList.contains('collapsed') ? '▶' : '▼';
-        }
+        return { width: size, height: size, data: ctx.getImageData(0, 0, size, size).data };
     }
 
     /**
-     * 테마 설정
+     * 카드에 붙인 이미지 스티커를 RGBA 픽셀로 (화면에 이미 불러온 이미지만)
+     * @returns {Object} 이미지 id → { width, height, data }
      */
-    function setTheme(theme) {
-        state.customization.theme = theme;
+    function rasterizeStickerImages() {
+        const rasters = {};
+
+        state.stickers.filter(s => s.type === 'image').forEach(sticker => {
+            const image = document.getElementById(sticker.id)?.querySelector('img');
+            if (rasters[sticker.imageId] || !image?.complete || !image.naturalWidth) return;
+
+            const { width, height } = fitImageSize(image.naturalWidth, image.naturalHeight, 256);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return;
+
+            try {
+                ctx.drawImage(image, 0, 0, width, height);
+                rasters[sticker.imageId] = { width, height, data: ctx.getImageData(0, 0, width, height).data };
+            } catch (e) {
+                console.warn('이미지 스티커 변환 실패:', e);
+            }
+        });
+        return rasters;
+    }
 
-        const card = elements.resultCard;
-        if (card) {
-            card.setAttribute('data-theme', theme);
+    /**
+     * 캘린더 내보내기 요약 (포함/건너뛸 항목과 형식 선택)
+     */
+    function openCalendarExport() {
+        const { included, skipped } = collectCalendarEntries(model.getFilledCategories(), { birthYear: model.birthYear });
+
+        if (included.length === 0) {
+            openModal('캘린더로 내보내기', `
+                <p>목표 기한이 있는 진행 중 항목이 없습니다.</p>
+                <p class="import-hint">작성 화면에서 항목 옆 기한 칸에 "2030년까지", "40살 전"처럼 입력해주세요.</p>
+            `, [
+                { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+            ]);
+            return;
         }
 
-        // 버튼 활성화 상태 업데이트
-        updateButtonState('themeGrid', 'theme-btn', 'data-theme', theme);
+        const skippedList = skipped.length > 0 ? `
+            <p class="import-hint">건너뛰는 항목 ${skipped.length}개</p>
+            <ul class="import-categories calendar-skipped">
+                ${skipped.map(({ item, category, reason }) => `
+                    <li><span aria-hidden="true">${sanitize(category.badge)}</span> ${sanitize(item.text)} <span class="import-count">${reason}</span></li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        const body = `
+            <p class="import-summary">
+                기한이 있는 목표 <strong>${included.length}</strong>개를 캘린더 파일로 저장합니다.
+            </p>
+            ${skippedList}
+            <p class="import-hint">
+                <strong>일정</strong>: 기한 날짜의 종일 일정으로 추가합니다.<br>
+                <strong>할 일</strong>: 기한이 있는 할 일로 추가합니다. (지원하는 앱만)<br>
+                두 형식 모두 기한 ${DEFAULT_REMINDER_DAYS}일 전에 알림이 울립니다.
+            </p>
+        `;
 
-        // 컬러 피커 값 업데이트
-        updateColorPickersFromTheme(theme);
+        openModal('캘린더로 내보내기', body, [
+            { label: '취소', action: 'BucketList.closeModal()' },
+            { label: '할 일로 저장', action: 'BucketList.exportCalendar(\'todo\')' },
+            { label: '일정으로 저장', action: 'BucketList.exportCalendar(\'event\')', primary: true }
+        ]);
     }
 
     /**
-     * 테마에 따른 컬러 피커 업데이트 - WCAG AA 대비율 준수
+     * 기한이 있는 항목을 .ics 파일로 내보내기
+     * @param {string} [type='event'] - 'event' | 'todo'
      */
-    function updateColorPickersFromTheme(theme) {
-        const themeColors = {
-            default: { header: '#D45D3F', bg: '#FFFFFF', text: '#1A1A1A' },
-            spring: { header: '#D6336C', bg: '#FFF5F7', text: '#1A1A1A' },
-            ocean: { header: '#1E6091', bg: '#E8F4F8', text: '#1A1A1A' },
-            forest: { header: '#276749', bg: '#EDF5EE', text: '#1A1A1A' },
-            sunset: { header: '#C53030', bg: '#FFF6E5', text: '#1A1A1A' },
-            night: { header: '#1E3A5F', bg: '#0D1B2A', text: '#E8ECF0' }
-        };
+    function exportCalendar(type = 'event') {
+        const { content, included } = buildCalendar(model.getFilledCategories(), {
+            type,
+            calendarName: getExportName(),
+            birthYear: model.birthYear
+        });
 
-        const colors = themeColors[theme] || themeColors.default;
+        if (included.length > 0) {
+            downloadFile(content, buildFileName(getExportName(), 'ics'), 'text/calendar;charset=utf-8');
+        }
+        closeModal();
+    }
 
-        document.getElementById('headerColorPicker').value = colors.header;
-        document.getElementById('bgColorPicker').value = colors.bg;
-        document.getElementById('textColorPicker').value = colors.text;
+    /**
+     * 현재 리스트 전체를 JSON 파일로 내보내기
+     */
+    function exportJSON() {
+        const list = lists.getList(lists.getActiveId()) || {};
+        const data = createExport(getSaveDocument(), {
+            listName: list.name,
+            createdAt: list.createdAt,
+            updatedAt: list.updatedAt
+        });
 
-        state.customization.headerColor = colors.header;
-        state.customization.bgColor = colors.bg;
-        state.customization.textColor = colors.text;
+        downloadFile(JSON.stringify(data, null, 2), buildFileName(list.name || model.userName, 'json'), 'application/json');
+        closeModal();
     }
 
     /**
-     * 배경 패턴 설정
+     * 가져올 파일 선택 창 열기
      */
-    function setPattern(pattern) {
-        state.customization.pattern = pattern;
-
-        const card = elements.resultCard;
-        if (card) {
-            card.setAttribute('data-pattern', pattern);
-        }
+    function openImport() {
+        const input = document.getElementById('importFile');
+        if (!input) return;
 
-        updateButtonState('patternGrid', 'pattern-btn', 'data-pattern', pattern);
+        input.value = '';
+        input.click();
     }
 
     /**
-     * 폰트 설정
+     * 선택한 파일을 읽고 미리보기 표시
      */
-    function setFont(font) {
-        state.customization.font = font;
-
-        const card = elements.resultCard;
-        if (card) {
-            card.setAttribute('data-font', font);
-        }
+    function handleImportFile(file) {
+        if (!file) return;
 
-        updateButtonState('fontGrid', 'font-btn', 'data-font', font);
+        file.text().then(text => {
+            pendingImport = parseImport(text);
+            showImportPreview();
+        }).catch(err => {
+            pendingImport = null;
+            console.warn('가져오기 실패:', err);
+            openModal('가져오기 실패', `<p class="modal-error">${sanitize(err.message)}</p>`, [
+                { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+            ]);
+        });
     }
 
     /**
-     * 프레임 설정
+     * 가져오기 미리보기 (바꾸기 / 합치기 선택)
      */
-    function setFrame(frame) {
-        state.customization.frame = frame;
-
-        const card = elements.resultCard;
-        if (card) {
-            card.setAttribute('data-frame', frame);
-        }
+    function showImportPreview() {
+        if (!pendingImport) return;
+
+        const summary = summarizeDocument(pendingImport.document);
+        const listName = pendingImport.meta.listName ? `'${sanitize(pendingImport.meta.listName)}' · ` : '';
+
+        const body = `
+            <p class="import-summary">
+                ${listName}${sanitize(summary.userName) || '이름 없음'} ·
+                목표 <strong>${summary.total}</strong>개 (달성 ${summary.achieved}개) · 스티커 ${summary.stickers}개
+            </p>
+            <ul class="import-categories">
+                ${summary.categories.map(c => `
+                    <li><span aria-hidden="true">${sanitize(c.badge)}</span> ${sanitize(c.title)} <span class="import-count">${c.count}개</span></li>
+                `).join('')}
+            </ul>
+            <p class="import-hint">
+                <strong>바꾸기</strong>: 지금 리스트를 파일 내용으로 교체합니다.<br>
+                <strong>합치기</strong>: 지금 리스트에 없는 항목과 스티커만 더합니다.
+            </p>
+        `;
 
-        updateButtonState('frameGrid', 'frame-btn', 'data-frame', frame);
+        openModal('가져올 내용 확인', body, [
+            { label: '취소', action: 'BucketList.cancelImport()' },
+            { label: '합치기', action: 'BucketList.confirmImport(\'merge\')' },
+            { label: '바꾸기', action: 'BucketList.confirmImport(\'replace\')', primary: true }
+        ]);
     }
 
     /**
-     * 커스텀 컬러 설정
+     * 가져오기 적용
+     * @param {string} mode - 'replace' | 'merge'
      */
-    function setCustomColor(type, color) {
-        const card = elements.resultCard;
-        if (!card) return;
+    function confirmImport(mode) {
+        if (!pendingImport) return;
 
-        // 테마 버튼 활성화 해제 (커스텀 색상 사용 시)
-        const themeButtons = document.querySelectorAll('.theme-btn');
-        themeButtons.forEach(btn => btn.classList.remove('active'));
+        const incoming = pendingImport.document;
+        const data = mode === 'merge'
+            ? mergeDocuments(getSaveDocument(), incoming).document
+            : incoming;
 
-        switch (type) {
-            case 'header':
-                state.customization.headerColor = color;
-                card.querySelector('.result-banner').style.background = color;
-                break;
-            case 'bg':
-                state.customization.bgColor = color;
-                card.querySelector('.result-body').style.backgroundColor = color;
-                card.style.backgroundColor = color;
-                break;
-            case 'text':
-                state.customization.textColor = color;
-                card.querySelector('.result-body').style.color = color;
-                break;
+        pendingImport = null;
+        closeModal();
+
+        resetListState();
+        applyDocument(data);
+        autoSave();
+        refreshListViews();
+
+        if (state.currentStep === STEPS.RESULT) {
+            generateResult();
+        } else if (state.currentStep === STEPS.STATS) {
+            renderStats();
         }
     }
 
     /**
-     * 버튼 활성화 상태 업데이트
+     * 가져오기 취소
      */
-    function updateButtonState(gridId, btnClass, dataAttr, value) {
-        const grid = document.getElementById(gridId);
-        if (!grid) return;
-
-        grid.querySelectorAll(`.${btnClass}`).forEach(btn => {
-            btn.classList.toggle('active', btn.getAttribute(dataAttr) === value);
-        });
+    function cancelImport() {
+        pendingImport = null;
+        pendingCsv = null;
+        closeModal();
     }
 
 
     // =========================================================================
-    // 스티커 기능
+    // CSV 가져오기 (작성 화면)
     // =========================================================================
 
     /**
-     * 스티커 추가
+     * CSV 파일 선택 창 열기
      */
-    function addSticker(emoji) {
-        const container = elements.stickerContainer;
-        const card = elements.resultCard;
+    function openCsvImport() {
+        const input = document.getElementById('csvFile');
+        if (!input) return;
 
-        if (!container || !card) return;
+        input.value = '';
+        input.click();
+    }
 
-        state.stickerIdCounter++;
-        const stickerId = `sticker-${state.stickerIdCounter}`;
+    /**
+     * 선택한 CSV 파일을 읽고 열 연결 단계 표시
+     */
+    function handleCsvFile(file) {
+        if (!file) return;
 
-        // 랜덤 위치 (카드 영역 내)
-        const cardRect = card.getBoundingClientRect();
-        const maxX = cardRect.width - 50;
-        const maxY = cardRect.height - 50;
-        const x = Math.random() * maxX;
-        const y = Math.random() * maxY;
+        file.text().then(text => {
+            const rows = parseCSV(text);
+            if (rows.length === 0) {
+                throw new Error('파일에 가져올 내용이 없습니다.');
+            }
 
-        const stickerEl = document.createElement('div');
-        stickerEl.className = 'sticker';
-        stickerEl.id = stickerId;
-        stickerEl.innerHTML = `
-            ${emoji}
-            <button class="sticker-delete" onclick="BucketList.removeSticker('${stickerId}')" aria-label="스티커 삭제">×</button>
+            const hasHeader = detectHeader(rows);
+            pendingCsv = { fileName: file.name, rows, hasHeader, mapping: guessMapping(rows, hasHeader) };
+            showCsvMapping();
+        }).catch(err => {
+            pendingCsv = null;
+            console.warn('CSV 가져오기 실패:', err);
+            openModal('CSV 가져오기 실패', `<p class="modal-error">${sanitize(err.message)}</p>`, [
+                { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+            ]);
+        });
+    }
+
+    /**
+     * 열 연결 단계 (어느 열이 카테고리/항목/날짜/달성 여부인지)
+     */
+    function showCsvMapping() {
+        if (!pendingCsv) return;
+
+        const { fileName, rows, hasHeader, mapping } = pendingCsv;
+        const columns = Math.max(...rows.map(row => row.length));
+        const columnName = index => (hasHeader && rows[0][index]?.trim()) || `${index + 1}번째 열`;
+        const body = hasHeader ? rows.slice(1) : rows;
+
+        const selects = CSV_FIELDS.map(field => `
+            <label class="csv-mapping-row">
+                <span>${field.label}${field.required ? ' *' : ''}</span>
+                <select onchange="BucketList.setCsvColumn('${field.key}', this.value)">
+                    ${field.required ? '' : `<option value="-1"${mapping[field.key] === -1 ? ' selected' : ''}>사용 안 함</option>`}
+                    ${Array.from({ length: columns }, (_, index) => `
+                        <option value="${index}"${mapping[field.key] === index ? ' selected' : ''}>${sanitize(columnName(index))}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+
+        const preview = body.slice(0, 3).map(row => `
+            <tr>${CSV_FIELDS.map(field => `<td>${mapping[field.key] >= 0 ? sanitize(row[mapping[field.key]] || '') : ''}</td>`).join('')}</tr>
+        `).join('');
+
+        const html = `
+            <p class="import-summary">${sanitize(fileName)} · ${body.length}줄</p>
+            <label class="csv-header-toggle">
+                <input type="checkbox" onchange="BucketList.setCsvHeader(this.checked)"${hasHeader ? ' checked' : ''}>
+                첫 줄은 제목 줄 (가져오지 않음)
+            </label>
+            <div class="csv-mapping">${selects}</div>
+            <div class="csv-preview-wrapper">
+                <table class="csv-preview">
+                    <caption>미리보기</caption>
+                    <thead><tr>${CSV_FIELDS.map(field => `<th scope="col">${field.label}</th>`).join('')}</tr></thead>
+                    <tbody>${preview}</tbody>
+                </table>
+            </div>
+            <p class="import-hint">
+                날짜는 진행 중인 항목이면 목표 기한(2030, 2027-05-01, 40살 전), 달성한 항목이면 달성일로 저장됩니다.
+            </p>
         `;
-        stickerEl.style.left = `${x}px`;
-        stickerEl.style.top = `${y}px`;
 
-        // 드래그 기능 추가
-        makeDraggable(stickerEl);
+        openModal('CSV 가져오기 - 열 연결', html, [
+            { label: '취소', action: 'BucketList.cancelImport()' },
+            { label: '다음', action: 'BucketList.previewCsvImport()', primary: true }
+        ]);
+    }
 
-        container.appendChild(stickerEl);
+    /**
+     * 첫 줄을 제목 줄로 볼지 변경
+     * @param {boolean} hasHeader
+     */
+    function setCsvHeader(hasHeader) {
+        if (!pendingCsv) return;
 
-        // 상태에 저장
-        state.stickers.push({
-            id: stickerId,
-            emoji: emoji,
-            x: x,
-            y: y
-        });
+        pendingCsv.hasHeader = hasHeader;
+        pendingCsv.mapping = guessMapping(pendingCsv.rows, hasHeader);
+        showCsvMapping();
     }
 
     /**
-     * 스티커 삭제
+     * 열 연결 변경
+     * @param {string} field - category | item | date | achieved
+     * @param {string|number} index - 열 번호 (-1이면 사용 안 함)
      */
-    function removeSticker(stickerId) {
-        const stickerEl = document.getElementById(stickerId);
-        if (stickerEl) {
-            stickerEl.remove();
-        }
+    function setCsvColumn(field, index) {
+        if (!pendingCsv || !(field in pendingCsv.mapping)) return;
 
-        // 상태에서 제거
-        state.stickers = state.stickers.filter(s => s.id !== stickerId);
+        pendingCsv.mapping[field] = Number(index);
+        showCsvMapping();
     }
 
     /**
-     * 모든 스티커 삭제
+     * 가져오기 결과 미리보기 (추가될 항목, 새 카테고리, 줄별 오류)
      */
-    function clearStickers() {
-        const container = elements.stickerContainer;
-        if (container) {
-            container.innerHTML = '';
+    function previewCsvImport() {
+        if (!pendingCsv) return;
+
+        const { entries, errors } = mapRows(pendingCsv.rows, pendingCsv.mapping, { hasHeader: pendingCsv.hasHeader });
+        const plan = planImport(model.getCategories(), entries);
+        pendingCsv.ready = plan.ready;
+
+        const errorList = errors.length > 0 ? `
+            <p class="import-hint">가져오지 못하는 줄 ${errors.length}개</p>
+            <ul class="import-categories csv-errors">
+                ${errors.map(error => `
+                    <li>${error.line > 0 ? `<strong>${error.line}번째 줄</strong> ` : ''}${sanitize(error.message)}</li>
+                `).join('')}
+            </ul>
+        ` : '';
+
+        const html = `
+            <p class="import-summary">
+                항목 <strong>${plan.ready.length}</strong>개를 작성 화면에 추가합니다.
+                ${plan.duplicates.length > 0 ? `<br>이미 있는 항목 ${plan.duplicates.length}개는 건너뜁니다.` : ''}
+            </p>
+            ${plan.newCategories.length > 0 ? `
+                <p class="import-hint">새로 만드는 카테고리: ${plan.newCategories.map(title => sanitize(title)).join(', ')}</p>
+            ` : ''}
+            ${errorList}
+        `;
+
+        const actions = [
+            { label: '이전', action: 'BucketList.showCsvMapping()' },
+            { label: '취소', action: 'BucketList.cancelImport()' }
+        ];
+        if (plan.ready.length > 0) {
+            actions.push({ label: '가져오기', action: 'BucketList.confirmCsvImport()', primary: true });
         }
-        state.stickers = [];
+
+        openModal('CSV 가져오기 - 확인', html, actions);
     }
 
     /**
-     * 요소를 드래그 가능하게 만들기
+     * CSV 항목을 모델에 추가
      */
-    function makeDraggable(element) {
-        let isDragging = false;
-        let startX, startY, initialX, initialY;
-
-        element.addEventListener('mousedown', startDrag);
-        element.addEventListener('touchstart', startDrag, { passive: false });
+    function confirmCsvImport() {
+        if (!pendingCsv?.ready) return;
 
-        function startDrag(e) {
-            if (e.target.classList.contains('sticker-delete')) return;
+        const added = applyEntries(model, pendingCsv.ready, { createCategory: createCustomCategory });
 
-            isDragging = true;
-            element.classList.add('dragging');
+        pendingCsv = null;
+        closeModal();
+        renderCategories();
+        showSaveIndicator(`✓ ${added.items}개 항목을 가져왔습니다`);
+    }
 
-            const rect = element.getBoundingClientRect();
-            const containerRect = elements.stickerContainer.getBoundingClientRect();
 
-            if (e.type === 'touchstart') {
-                startX = e.touches[0].clientX;
-                startY = e.touches[0].clientY;
-            } else {
-                startX = e.clientX;
-                startY = e.clientY;
-            }
+    // =========================================================================
+    // 공유 링크 (읽기 전용 보기)
+    // =========================================================================
 
-            initialX = rect.left - containerRect.left;
-            initialY = rect.top - containerRect.top;
+    /**
+     * 현재 리스트를 담은 공유 링크 복사
+     * 링크가 너무 길면 백업 파일로 공유하도록 안내
+     */
+    function copyShareLink() {
+        createShareUrl()
+            .then(url => {
+                if (url.length > MAX_SHARE_URL_LENGTH) {
+                    openModal('링크로 공유하기에는 너무 커요', `
+                        <p>항목과 스티커가 많아 링크가 너무 길어집니다. (${url.length.toLocaleString()}자 / 최대 ${MAX_SHARE_URL_LENGTH.toLocaleString()}자)</p>
+                        <p>백업 파일(.json)로 내보내 보내주면 받는 사람이 가져오기로 열 수 있어요.</p>
+                    `, [
+                        { label: '닫기', action: 'BucketList.closeModal()' },
+                        { label: '백업 파일로 내보내기', action: 'BucketList.exportJSON()', primary: true }
+                    ]);
+                    return;
+                }
 
-            document.addEventListener('mousemove', drag);
-            document.addEventListener('mouseup', endDrag);
-            document.addEventListener('touchmove', drag, { passive: false });
-            document.addEventListener('touchend', endDrag);
+                copyToClipboard(url, '✓ 공유 링크가 복사되었습니다', () => {
+                    openModal('공유 링크', `
+                        <p>아래 링크를 직접 복사해주세요.</p>
+                        <input class="share-link-input" type="text" value="${sanitize(url)}" readonly onfocus="this.select()" aria-label="공유 링크">
+                    `, [
+                        { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+                    ]);
+                });
+            })
+            .catch(err => {
+                console.warn('공유 링크 만들기 실패:', err);
+                alert('공유 링크를 만들지 못했습니다. 내보내기를 이용해주세요.');
+            });
+    }
 
-            e.preventDefault();
-        }
+    /**
+     * 현재 리스트의 공유 링크 주소
+     * @returns {Promise<string>}
+     */
+    function createShareUrl() {
+        return encodeShare(getSaveDocument()).then(token => buildShareUrl(location.href, token));
+    }
 
-        function drag(e) {
-            if (!isDragging) return;
+    /**
+     * 주소에 공유 링크가 있으면 읽기 전용 보기로 열기
+     * @returns {boolean} 공유 링크 여부
+     */
+    function openSharedLink() {
+        const token = readShareToken(location.hash);
+        if (!token) return false;
+
+        decodeShare(token)
+            .then(showSharedView)
+            .catch(err => {
+                console.warn('공유 링크 열기 실패:', err);
+                clearShareHash();
+                openModal('공유 링크를 열 수 없어요', `<p class="modal-error">${sanitize(err.message)}</p>`, [
+                    { label: '닫기', action: 'BucketList.closeModal()', primary: true }
+                ]);
+            });
 
-            let currentX, currentY;
-            if (e.type === 'touchmove') {
-                currentX = e.touches[0].clientX;
-                currentY = e.touches[0].clientY;
-            } else {
-                currentX = e.clientX;
-                currentY = e.clientY;
-            }
+        return true;
+    }
 
-            const deltaX = currentX - startX;
-            const deltaY = currentY - startY;
+    /**
+     * 공유받은 문서를 결과 화면에 읽기 전용으로 표시
+     * (내 리스트는 저장해 두고, 보기 중에는 자동 저장하지 않음)
+     */
+    function showSharedView(doc) {
+        autoSave();
 
-            const newX = initialX + deltaX;
-            const newY = initialY + deltaY;
+        state.sharedView = doc;
+        resetListState();
+        applyDocument(doc);
 
-            // 경계 체크
-            const container = elements.stickerContainer;
-            const maxX = container.offsetWidth - element.offsetWidth;
-            const maxY = container.offsetHeight - element.offsetHeight;
+        document.body.classList.add('shared-view');
+        const banner = document.getElementById('sharedBanner');
+        if (banner) banner.hidden = false;
 
-            element.style.left = `${Math.max(0, Math.min(newX, maxX))}px`;
-            element.style.top = `${Math.max(0, Math.min(newY, maxY))}px`;
+        goToResult();
+    }
 
-            e.preventDefault();
-        }
+    /**
+     * 읽기 전용 보기를 끝내고 내 리스트 다시 불러오기
+     */
+    function leaveSharedView() {
+        state.sharedView = null;
+        clearShareHash();
 
-        function endDrag() {
-            isDragging = false;
-            element.classList.remove('dragging');
+        document.body.classList.remove('shared-view');
+        const banner = document.getElementById('sharedBanner');
+        if (banner) banner.hidden = true;
 
-            // 상태 업데이트
-            const stickerId = element.id;
-            const sticker = state.stickers.find(s => s.id === stickerId);
-            if (sticker) {
-                sticker.x = parseFloat(element.style.left);
-                sticker.y = parseFloat(element.style.top);
-            }
+        resetListState();
+        loadSavedData();
+        refreshListViews();
+    }
 
-            document.removeEventListener('mousemove', drag);
-            document.removeEventListener('mouseup', endDrag);
-            document.removeEventListener('touchmove', drag);
-            document.removeEventListener('touchend', endDrag);
+    /**
+     * 주소에서 공유 해시 지우기 (새로고침해도 다시 열리지 않도록)
+     */
+    function clearShareHash() {
+        if (readShareToken(location.hash)) {
+            history.replaceState(null, '', location.pathname + location.search);
         }
     }
 
-
-    // =========================================================================
-    // 저장 및 인쇄
-    // =========================================================================
-
     /**
-     * 이미지로 저장
+     * 공유받은 리스트를 내 리스트로 복사해 편집 시작
      */
-    function saveAsImage() {
-        const card = elements.resultCard;
-        const name = elements.userName?.value?.trim() || '버킷리스트';
-
-        if (!card) {
-            console.error('결과 카드를 찾을 수 없습니다.');
-            return;
-        }
+    function copySharedToMyLists() {
+        const doc = state.sharedView;
+        if (!doc) return;
 
-        // html2canvas 사용
-        if (typeof html2canvas === 'undefined') {
-            alert('이미지 저장 기능을 불러오는 중입니다. 잠시 후 다시 시도해주세요.');
+        try {
+            const entry = lists.create(doc.userName ? `${doc.userName}의 버킷리스트` : '공유받은 리스트');
+            lists.write(entry.id, { ...doc, savedAt: new Date().toISOString() });
+            lists.setActiveId(entry.id);
+        } catch (e) {
+            console.warn('공유 리스트 복사 실패:', e);
+            alert('리스트를 저장하지 못했습니다. 저장 공간을 확인해주세요.');
             return;
         }
 
-        // 스티커 삭제 버튼 임시 숨기기
-        const deleteButtons = card.querySelectorAll('.sticker-delete');
-        deleteButtons.forEach(btn => btn.style.display = 'none');
-
-        html2canvas(card, {
-            scale: 2,
-            backgroundColor: null,
-            useCORS: true,
-            logging: false,
-            allowTaint: true
-        }).then(canvas => {
-            const link = document.createElement('a');
-            link.download = `${sanitize(name)}_버킷리스트.png`;
-            link.href = canvas.toDataURL('image/png');
-            link.click();
-
-            // 삭제 버튼 다시 표시
-            deleteButtons.forEach(btn => btn.style.display = '');
-        }).catch(err => {
-            console.error('이미지 저장 실패:', err);
-            alert('이미지 저장에 실패했습니다. 다시 시도해주세요.');
-
-            // 삭제 버튼 다시 표시
-            deleteButtons.forEach(btn => btn.style.display = '');
-        });
+        leaveSharedView();
+        goToResult();
+        showSaveIndicator('✓ 내 리스트로 복사되었습니다');
     }
 
     /**
-     * 인쇄
+     * 공유 리스트 보기를 닫고 내 리스트로 돌아가기
      */
-    function printResult() {
-        window.print();
+    function closeSharedView() {
+        leaveSharedView();
+        goHome();
     }
 
 
@@ -1176,15 +3931,116 @@ const BucketList = (function() {
                 }
             });
 
-            // 입력 시 에러 상태 초기화
+            // 입력 시 에러 상태 초기화 및 모델 반영
             userNameInput.addEventListener('input', () => {
                 userNameInput.classList.remove('error');
                 if (elements.nameError) {
                     elements.nameError.textContent = '';
                 }
+                model.setUserName(userNameInput.value);
+            });
+        }
+
+        // 태어난 해 입력 → 모델 반영 ("40살 전" 기한 계산용)
+        const birthYearInput = elements.birthYear;
+        if (birthYearInput) {
+            birthYearInput.addEventListener('input', () => {
+                const year = parseInt(birthYearInput.value, 10);
+                model.setBirthYear(Number.isNaN(year) ? null : year);
+            });
+        }
+
+        // 항목 입력 → 모델 반영 (이벤트 위임)
+        const categoriesContainer = elements.categoriesContainer;
+        if (categoriesContainer) {
+            categoriesContainer.addEventListener('input', (e) => {
+                const row = e.target.closest('.item-row');
+                const card = e.target.closest('.category-card');
+                if (!row || !card) return;
+
+                const field = e.target.dataset.field;
+                if (!field) return;
+
+                // 기한은 해석 가능한 값일 때만 반영 (입력 중인 값은 그대로 둠)
+                if (field === 'deadline') {
+                    const deadline = parseDeadline(e.target.value);
+                    const invalid = !deadline && e.target.value.trim() !== '';
+                    e.target.classList.toggle('error', invalid);
+                    if (!invalid) {
+                        model.updateItem(card.dataset.id, row.dataset.itemId, { deadline });
+                    }
+                    return;
+                }
+
+                model.updateItem(card.dataset.id, row.dataset.itemId, { [field]: e.target.value });
             });
         }
 
+        // 가져올 파일 선택
+        const importInput = document.getElementById('importFile');
+        if (importInput) {
+            importInput.addEventListener('change', () => handleImportFile(importInput.files[0]));
+        }
+
+        // 팔레트 기준 색을 뽑을 사진 선택
+        const paletteInput = document.getElementById('paletteImageFile');
+        if (paletteInput) {
+            paletteInput.addEventListener('change', () => handlePalettePhoto(paletteInput.files[0]));
+        }
+
+        // 스티커 검색
+        const stickerSearchInput = document.getElementById('stickerSearch');
+        if (stickerSearchInput) {
+            stickerSearchInput.addEventListener('input', () => searchStickerCatalog(stickerSearchInput.value));
+        }
+
+        // 이미지 스티커로 올릴 파일 선택
+        const imageStickerInput = document.getElementById('imageStickerFile');
+        if (imageStickerInput) {
+            imageStickerInput.addEventListener('change', () => handleImageStickerFile(imageStickerInput.files[0]));
+        }
+
+        // 가져올 테마 프리셋 파일 선택
+        const presetInput = document.getElementById('presetFile');
+        if (presetInput) {
+            presetInput.addEventListener('change', () => handlePresetFile(presetInput.files[0]));
+        }
+
+        // 가져올 CSV 파일 선택
+        const csvInput = document.getElementById('csvFile');
+        if (csvInput) {
+            csvInput.addEventListener('change', () => handleCsvFile(csvInput.files[0]));
+        }
+
+        // 앱이 열린 상태에서 공유 링크를 붙여넣은 경우
+        window.addEventListener('hashchange', openSharedLink);
+
+        // 카드 크기가 바뀌면 (창 크기, 레이아웃, 항목 수) 스티커를 비율 위치에 다시 배치
+        if (typeof ResizeObserver === 'function' && elements.stickerContainer) {
+            new ResizeObserver(() => layoutStickers()).observe(elements.stickerContainer);
+        } else {
+            window.addEventListener('resize', layoutStickers);
+        }
+
+        // 스티커와 편집 도구 밖을 누르면 스티커 선택 해제
+        const deselectSticker = (e) => {
+            if (selectedStickerId && !e.target.closest?.('.sticker, #stickerTools')) {
+                selectSticker(null);
+            }
+        };
+        document.addEventListener('mousedown', deselectSticker);
+        document.addEventListener('touchstart', deselectSticker, { passive: true });
+
+        // 실행 취소/다시 실행 단축키
+        document.addEventListener('keydown', handleHistoryKeydown);
+
+        // Esc로 대화상자 닫기
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !document.getElementById('modal')?.hidden) {
+                cancelImport();
+            }
+        });
+
         // 카테고리 이름 입력 필드 Enter 키
         const categoryNameInput = elements.newCategoryName;
         if (categoryNameInput) {
@@ -1202,12 +4058,23 @@ const BucketList = (function() {
     // =========================================================================
 
     function init() {
+        // 화면 모드 적용 (운영체제 설정이 바뀌면 따라감)
+        applyColorScheme();
+        darkSchemeQuery?.addEventListener?.('change', applyColorScheme);
+
         // 온보딩 상태 확인
         checkOnboarding();
 
         // 저장된 데이터 불러오기
         const hasData = loadSavedData();
 
+        // 모델 기준으로 작성 화면/리스트 선택기 그리기
+        refreshListViews();
+        renderPresetGrid();
+        renderPaletteSchemes();
+        renderStickerCatalog();
+        renderImageStickerTray();
+
         // 이벤트 리스너 등록
         initEventListeners();
 
@@ -1224,7 +4091,12 @@ const BucketList = (function() {
             card.setAttribute('data-pattern', state.customization.pattern);
             card.setAttribute('data-font', state.customization.font);
             card.setAttribute('data-frame', state.customization.frame);
+            card.setAttribute('data-layout', state.customization.layout);
         }
+        updateLayoutControls();
+
+        // 공유 링크로 열었으면 읽기 전용 보기
+        openSharedLink();
 
         // 저장된 데이터가 있으면 알림
         if (hasData) {
@@ -1238,13 +4110,14 @@ const BucketList = (function() {
      * 자동 저장 이벤트 설정
      */
     function setupAutoSave() {
-        // 입력 필드 변경 시 자동 저장 (디바운스 적용)
+        // 모델 변경 시 자동 저장 (디바운스 적용)
         let saveTimeout;
-        document.addEventListener('input', (e) => {
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-                clearTimeout(saveTimeout);
-                saveTimeout = setTimeout(autoSave, 1000);
-            }
+        model.subscribe((event) => {
+            // 리스트를 불러올 때는 저장하지 않음
+            if (event.type === 'load') return;
+
+            clearTimeout(saveTimeout);
+            saveTimeout = setTimeout(autoSave, 1000);
         });
 
         // 페이지 떠나기 전 저장
@@ -1271,10 +4144,13 @@ const BucketList = (function() {
         goToName,
         goToWrite,
         goToResult,
+        goToStats,
+        goToStep,
 
         // 아이템 관리
         addItem,
         removeItem,
+        toggleAchieved,
 
         // 카테고리 관리
         toggleAddCategory,
@@ -1287,28 +4163,96 @@ const BucketList = (function() {
         setPattern,
         setFont,
         setFrame,
+        setResultView,
+        setLayout,
+        setOpenOnly,
         setCustomColor,
+        fixTextContrast,
+        previewPalette,
+        setPaletteSeed,
+        setPaletteScheme,
+        openPalettePhoto,
+        cycleColorScheme,
 
         // 테마 프리셋
         applyPreset,
+        applyCustomPreset,
+        saveCustomPreset,
+        renamePreset,
+        deletePreset,
+        movePreset,
+        exportPresets,
+        openPresetImport,
         getPresets: () => THEME_PRESETS,
 
         // 스티커
         addSticker,
+        setStickerPack,
+        addQrSticker,
         removeSticker,
         clearStickers,
+        autoArrangeStickers,
+        addImageSticker,
+        openImageStickerUpload,
+        deleteImageSticker,
+        setStickerLayer,
+        duplicateSelectedSticker,
+        resetStickerTransform,
+        removeSelectedSticker,
 
         // 온보딩
         dismissStickerTooltip,
 
         // 저장/인쇄
+        openImageExport,
+        setImageOption,
         saveAsImage,
         printResult,
 
+        // 내보내기/가져오기
+        openExport,
+        exportMarkdown,
+        exportText,
+        copyText,
+        exportPDF,
+        openCalendarExport,
+        exportCalendar,
+        exportJSON,
+        openImport,
+        confirmImport,
+        cancelImport,
+        openCsvImport,
+        showCsvMapping,
+        setCsvHeader,
+        setCsvColumn,
+        previewCsvImport,
+        confirmCsvImport,
+        closeModal,
+
+        // 공유 링크
+        copyShareLink,
+        copySharedToMyLists,
+        closeSharedView,
+
+        // 여러 리스트
+        switchList,
+        undo,
+        redo,
+        createList,
+        renameList,
+        duplicateList,
+        deleteList,
+
         // 데이터 관리
         clearSavedData,
 
         // 상태 (디버깅용)
-        getState: () => ({ ...state })
+        getState: () => ({ ...state, ...model.toJSON() }),
+        getModel: () => model
     };
 })();
+
+// 인라인 onclick 핸들러에서 접근할 수 있도록 전역에 노출
+window.BucketList = BucketList;
+
+export default BucketList;
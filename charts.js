@@ -0,0 +1,126 @@
+/**
+ * SVG 차트 모듈
+ *
+ * 외부 라이브러리 없이 SVG 마크업 문자열을 생성합니다.
+ * - 색상은 클래스(chart-*)로 지정하고 style.css에서 테마 변수로 칠함
+ * - 모든 차트는 role="img"와 <title>로 내용을 설명
+ */
+
+import { sanitize } from './utils.js';
+
+
+// =========================================================================
+// 공통
+// =========================================================================
+
+/**
+ * 긴 라벨 자르기 (SVG 텍스트는 줄바꿈이 없음)
+ * @param {string} text - 라벨
+ * @param {number} max - 최대 글자 수
+ * @returns {string}
+ */
+function truncate(text, max) {
+    const chars = Array.from(text || '');
+    return chars.length > max ? `${chars.slice(0, max - 1).join('')}…` : chars.join('');
+}
+
+/**
+ * SVG 루트 마크업
+ */
+function svg(width, height, title, body) {
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${sanitize(title)}" preserveAspectRatio="xMinYMin meet">
+            <title>${sanitize(title)}</title>
+            ${body}
+        </svg>
+    `;
+}
+
+
+// =========================================================================
+// 차트
+// =========================================================================
+
+/**
+ * 달성/진행 중 가로 막대 차트
+ * @param {Array<{ label: string, achieved: number, total: number }>} rows - 막대 데이터
+ * @param {Object} [options]
+ * @param {string} [options.title] - 접근성 제목
+ * @param {number} [options.width=480] - 전체 너비
+ * @param {number} [options.rowHeight=36] - 막대 한 줄 높이
+ * @param {number} [options.labelWidth=150] - 라벨 영역 너비
+ * @returns {string} SVG 마크업
+ *
+ * @example
+ * renderProgressBars([{ label: '💕 가족', achieved: 1, total: 3 }]);
+ */
+export function renderProgressBars(rows, options = {}) {
+    const {
+        title = '카테고리별 달성 현황',
+        width = 480,
+        rowHeight = 36,
+        labelWidth = 150
+    } = options;
+    const countWidth = 48;
+    const barWidth = width - labelWidth - countWidth;
+    const barHeight = Math.round(rowHeight * 0.5);
+    const height = Math.max(rows.length, 1) * rowHeight;
+
+    const body = rows.map((row, index) => {
+        const y = index * rowHeight;
+        const barY = y + (rowHeight - barHeight) / 2;
+        const achievedWidth = row.total > 0 ? Math.round((row.achieved / row.total) * barWidth) : 0;
+
+        return `
+            <g class="chart-row">
+                <text class="chart-label" x="0" y="${y + rowHeight / 2}" dominant-baseline="middle">${sanitize(truncate(row.label, 12))}</text>
+                <rect class="chart-bar-open" x="${labelWidth}" y="${barY}" width="${barWidth}" height="${barHeight}" rx="${barHeight / 2}"></rect>
+                <rect class="chart-bar-achieved" x="${labelWidth}" y="${barY}" width="${achievedWidth}" height="${barHeight}" rx="${barHeight / 2}"></rect>
+                <text class="chart-value" x="${width}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${row.achieved}/${row.total}</text>
+            </g>
+        `;
+    }).join('');
+
+    return svg(width, height, title, body);
+}
+
+/**
+ * 세로 막대 차트
+ * @param {Array<{ label: string, value: number }>} points - 막대 데이터
+ * @param {Object} [options]
+ * @param {string} [options.title] - 접근성 제목
+ * @param {number} [options.width=480] - 전체 너비
+ * @param {number} [options.height=200] - 전체 높이
+ * @returns {string} SVG 마크업
+ *
+ * @example
+ * renderColumnChart([{ label: '2025', value: 2 }, { label: '2026', value: 5 }]);
+ */
+export function renderColumnChart(points, options = {}) {
+    const { title = '연도별 달성', width = 480, height = 200 } = options;
+    const labelHeight = 24;
+    const valueHeight = 20;
+    const plotHeight = height - labelHeight - valueHeight;
+    const max = Math.max(1, ...points.map(point => point.value));
+    const slot = width / Math.max(points.length, 1);
+    const columnWidth = Math.min(48, slot * 0.6);
+
+    const body = points.map((point, index) => {
+        const columnHeight = Math.round((point.value / max) * plotHeight);
+        const x = index * slot + (slot - columnWidth) / 2;
+        const y = valueHeight + plotHeight - columnHeight;
+        const center = x + columnWidth / 2;
+
+        return `
+            <g class="chart-column">
+                <rect class="chart-bar-achieved" x="${x}" y="${y}" width="${columnWidth}" height="${columnHeight}" rx="4"></rect>
+                <text class="chart-value" x="${center}" y="${y - 6}" text-anchor="middle">${point.value}</text>
+                <text class="chart-label" x="${center}" y="${height - 6}" text-anchor="middle">${sanitize(truncate(point.label, 8))}</text>
+            </g>
+        `;
+    }).join('');
+
+    const axis = `<line class="chart-axis" x1="0" y1="${valueHeight + plotHeight}" x2="${width}" y2="${valueHeight + plotHeight}"></line>`;
+
+    return svg(width, height, title, axis + body);
+}
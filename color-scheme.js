@@ -0,0 +1,84 @@
+/**
+ * 앱 화면 모드 (밝게 / 어둡게)
+ *
+ * 기본은 운영체제 설정(prefers-color-scheme)을 따르고, 사용자가 직접 고르면 저장해 둡니다.
+ * 결과 카드는 화면 모드와 상관없이 자기 테마로 그려서 내보낸 이미지/PDF가 달라지지 않습니다.
+ * - 저장: `bucketlist_color_scheme` = 'light' | 'dark' (시스템 설정을 따르면 저장하지 않음)
+ * - 적용: <html data-color-scheme="light|dark">
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const COLOR_SCHEME_KEY = 'bucketlist_color_scheme';
+
+/**
+ * 화면 모드 선택지 (버튼을 누를 때 이 순서로 바뀜)
+ */
+export const COLOR_SCHEME_PREFERENCES = {
+    system: { label: '시스템 설정', icon: '🖥️' },
+    light: { label: '밝게', icon: '☀️' },
+    dark: { label: '어둡게', icon: '🌙' }
+};
+
+export const DEFAULT_COLOR_SCHEME_PREFERENCE = 'system';
+
+
+// =========================================================================
+// 설정 읽기/저장
+// =========================================================================
+
+/**
+ * 저장된 화면 모드 설정
+ * @param {Storage} storage - localStorage 호환 저장소
+ * @returns {string} 'system' | 'light' | 'dark'
+ */
+export function readColorSchemePreference(storage) {
+    try {
+        const saved = storage.getItem(COLOR_SCHEME_KEY);
+        return Object.keys(COLOR_SCHEME_PREFERENCES).includes(saved) ? saved : DEFAULT_COLOR_SCHEME_PREFERENCE;
+    } catch (e) {
+        console.warn('화면 모드 설정 읽기 실패:', e);
+        return DEFAULT_COLOR_SCHEME_PREFERENCE;
+    }
+}
+
+/**
+ * 화면 모드 설정 저장 (시스템 설정을 따르면 키 삭제)
+ * @param {Storage} storage
+ * @param {string} preference - 'system' | 'light' | 'dark'
+ */
+export function saveColorSchemePreference(storage, preference) {
+    try {
+        if (preference === 'light' || preference === 'dark') {
+            storage.setItem(COLOR_SCHEME_KEY, preference);
+        } else {
+            storage.removeItem(COLOR_SCHEME_KEY);
+        }
+    } catch (e) {
+        console.warn('화면 모드 설정 저장 실패:', e);
+    }
+}
+
+/**
+ * 실제로 적용할 모드
+ * @param {string} preference - 'system' | 'light' | 'dark'
+ * @param {boolean} prefersDark - 운영체제가 어두운 모드인지
+ * @returns {string} 'light' | 'dark'
+ */
+export function resolveColorScheme(preference, prefersDark) {
+    if (preference === 'light' || preference === 'dark') return preference;
+    return prefersDark ? 'dark' : 'light';
+}
+
+/**
+ * 버튼을 눌렀을 때 다음 설정 (시스템 설정 → 밝게 → 어둡게 → 시스템 설정)
+ * @param {string} preference
+ * @returns {string}
+ */
+export function nextColorSchemePreference(preference) {
+    const order = Object.keys(COLOR_SCHEME_PREFERENCES);
+    return order[(order.indexOf(preference) + 1) % order.length];
+}
@@ -0,0 +1,207 @@
+/**
+ * 색상 대비 검사 모듈
+ *
+ * 결과 카드의 글자 색상과 배경 색상이 WCAG 대비 기준을 만족하는지 계산하고,
+ * 기준에 못 미치면 글자 색상의 밝기만 조금씩 바꿔 가장 가까운 통과 색상을 찾습니다.
+ * - 대비율: (밝은 색 상대 휘도 + 0.05) / (어두운 색 상대 휘도 + 0.05), 1 ~ 21
+ * - AA: 본문 4.5:1 이상, 큰 글자 3:1 이상 / AAA: 7:1 이상
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const WCAG_AA = 4.5;
+export const WCAG_AA_LARGE = 3;
+export const WCAG_AAA = 7;
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+
+// =========================================================================
+// 색상 변환
+// =========================================================================
+
+/**
+ * '#RRGGBB' / '#RGB' → [r, g, b] (0~255)
+ * @param {string} hex
+ * @returns {number[]}
+ * @throws {Error} 색상 형식이 아닌 경우
+ */
+export function parseHex(hex) {
+    const match = HEX_COLOR.exec(String(hex).trim());
+    if (!match) {
+        throw new Error(`색상 형식이 올바르지 않습니다: ${hex}`);
+    }
+
+    const digits = match[1].length === 3
+        ? match[1].split('').map(d => d + d).join('')
+        : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/**
+ * [r, g, b] → '#RRGGBB'
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export function toHex(rgb) {
+    return '#' + rgb
+        .map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+}
+
+/**
+ * RGB → HSL (h: 0~360, s/l: 0~1)
+ */
+function rgbToHsl([r, g, b]) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    const d = max - min;
+
+    if (d === 0) return [0, 0, l];
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === rn) h = ((gn - bn) / d) % 6;
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+
+    return [(h * 60 + 360) % 360, s, l];
+}
+
+/**
+ * HSL → RGB
+ */
+function hslToRgb([h, s, l]) {
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    const [r, g, b] = h < 60 ? [c, x, 0]
+        : h < 120 ? [x, c, 0]
+            : h < 180 ? [0, c, x]
+                : h < 240 ? [0, x, c]
+                    : h < 300 ? [x, 0, c]
+                        : [c, 0, x];
+
+    return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+
+/**
+ * '#RRGGBB' → [h, s, l] (h: 0~360, s/l: 0~1)
+ * @param {string} hex
+ * @returns {number[]}
+ */
+export function hexToHsl(hex) {
+    return rgbToHsl(parseHex(hex));
+}
+
+/**
+ * [h, s, l] → '#RRGGBB' (색상은 360도로 돌리고 s/l은 0~1로 자름)
+ * @param {number[]} hsl
+ * @returns {string}
+ */
+export function hslToHex([h, s, l]) {
+    const clamp = v => Math.min(1, Math.max(0, v));
+    return toHex(hslToRgb([((h % 360) + 360) % 360, clamp(s), clamp(l)]));
+}
+
+
+// =========================================================================
+// 대비 계산
+// =========================================================================
+
+/**
+ * 상대 휘도 (WCAG 2.x 정의)
+ * @param {string} hex
+ * @returns {number} 0(검정) ~ 1(흰색)
+ */
+export function relativeLuminance(hex) {
+    const [r, g, b] = parseHex(hex).map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * 두 색상의 대비율
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 ~ 21
+ */
+export function contrastRatio(a, b) {
+    const la = relativeLuminance(a);
+    const lb = relativeLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+/**
+ * 글자/배경 대비 검사
+ * @param {string} text - 글자 색상
+ * @param {string} background - 배경 색상
+ * @returns {{ ratio: number, level: string, passes: boolean }}
+ *   ratio는 소수 둘째 자리에서 내림 (4.499는 4.49로 표시되어 통과처럼 보이지 않도록),
+ *   level은 'AAA' | 'AA' | 'AA-large' | 'fail', passes는 본문 AA 통과 여부
+ *
+ * @example
+ * checkContrast('#777777', '#FFFFFF'); // { ratio: 4.47, level: 'AA-large', passes: false }
+ */
+export function checkContrast(text, background) {
+    const exact = contrastRatio(text, background);
+    const level = exact >= WCAG_AAA ? 'AAA'
+        : exact >= WCAG_AA ? 'AA'
+            : exact >= WCAG_AA_LARGE ? 'AA-large'
+                : 'fail';
+
+    return { ratio: Math.floor(exact * 100) / 100, level, passes: exact >= WCAG_AA };
+}
+
+/**
+ * 기준을 통과하는 가장 가까운 글자 색상
+ * 색상(hue)과 채도는 두고 밝기만 어둡게/밝게 바꿔 보고, 덜 바뀌는 쪽을 고름
+ * @param {string} text - 지금 글자 색상
+ * @param {string} background - 배경 색상
+ * @param {number} [target=4.5] - 목표 대비율
+ * @returns {string} '#RRGGBB' (이미 통과하면 그대로, 어느 쪽도 안 되면 검정/흰색 중 대비가 큰 색)
+ */
+export function fixTextColor(text, background, target = WCAG_AA) {
+    const original = toHex(parseHex(text));
+    if (contrastRatio(original, background) >= target) return original;
+
+    const [h, s, l] = rgbToHsl(parseHex(text));
+    const passes = lightness => contrastRatio(toHex(hslToRgb([h, s, lightness])), background) >= target;
+
+    const candidates = [0, 1]
+        .filter(end => passes(end))
+        .map(end => {
+            // l(실패)과 end(통과) 사이에서 통과하는 가장 가까운 밝기 찾기
+            let fail = l;
+            let pass = end;
+            for (let i = 0; i < 20; i++) {
+                const mid = (fail + pass) / 2;
+                if (passes(mid)) pass = mid;
+                else fail = mid;
+            }
+            return { lightness: pass, end, distance: Math.abs(pass - l) };
+        })
+        .sort((a, b) => a.distance - b.distance);
+
+    if (candidates.length === 0) {
+        return contrastRatio('#000000', background) >= contrastRatio('#FFFFFF', background) ? '#000000' : '#FFFFFF';
+    }
+
+    // 반올림 때문에 경계에서 떨어지면 같은 방향으로 조금 더 이동
+    const { end } = candidates[0];
+    let { lightness } = candidates[0];
+    let fixed = toHex(hslToRgb([h, s, lightness]));
+    while (contrastRatio(fixed, background) < target) {
+        lightness = end > l ? Math.min(1, lightness + 0.002) : Math.max(0, lightness - 0.002);
+        fixed = toHex(hslToRgb([h, s, lightness]));
+    }
+    return fixed;
+}
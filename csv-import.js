@@ -0,0 +1,368 @@
+/**
+ * CSV 가져오기 모듈
+ *
+ * 스프레드시트로 모은 목표(카테고리, 항목, 날짜, 달성 여부)를 작성 화면으로 가져옵니다.
+ * - 쉼표/세미콜론/탭 구분, 따옴표로 감싼 칸(줄바꿈 포함), UTF-8 BOM 지원
+ * - 열 연결(매핑)은 제목 줄을 보고 추측하고, 사용자가 바꿀 수 있음
+ * - 잘못된 줄은 건너뛰고 줄 번호와 이유를 함께 돌려줌
+ */
+
+import { parseDeadline } from './deadline.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 가져올 수 있는 열 (표시 순서)
+ */
+export const CSV_FIELDS = [
+    { key: 'category', label: '카테고리', required: true },
+    { key: 'item', label: '항목', required: true },
+    { key: 'date', label: '날짜/기한', required: false },
+    { key: 'achieved', label: '달성 여부', required: false }
+];
+
+/**
+ * 한 번에 가져올 수 있는 최대 줄 수
+ */
+export const MAX_CSV_ROWS = 500;
+
+/**
+ * 제목 줄에서 열을 찾을 때 쓰는 이름 (공백/대소문자 무시)
+ */
+const HEADER_NAMES = {
+    category: ['카테고리', '분류', '영역', '종류', 'category'],
+    item: ['항목', '내용', '목표', '버킷리스트', '하고싶은일', 'item', 'goal', 'text'],
+    date: ['날짜', '기한', '목표일', '마감', '마감일', '달성일', 'date', 'deadline', 'due'],
+    achieved: ['달성', '달성여부', '완료', '완료여부', '상태', 'achieved', 'done', 'status']
+};
+
+const ACHIEVED_VALUES = ['o', 'y', 'yes', 'true', '1', 'v', '달성', '완료', '했음', '✓', '✔', '✅'];
+const OPEN_VALUES = ['x', 'n', 'no', 'false', '0', '-', '미달성', '미완료', '진행중', '아직'];
+
+
+// =========================================================================
+// CSV 해석
+// =========================================================================
+
+/**
+ * 구분 문자 추측 (첫 줄에서 가장 많이 나온 문자)
+ * @param {string} text - CSV 원문
+ * @returns {string} ',' | ';' | '\t'
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const counts = [',', ';', '\t'].map(delimiter => ({
+        delimiter,
+        count: firstLine.split(delimiter).length - 1
+    }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+/**
+ * CSV 원문 → 2차원 배열 (RFC 4180)
+ * @param {string} text - CSV 원문
+ * @param {string} [delimiter] - 구분 문자 (없으면 추측)
+ * @returns {Array<Array<string>>} 빈 줄을 제외한 줄 목록
+ *   각 줄에는 원문 줄 번호를 line 속성으로 붙임
+ *
+ * @example
+ * parseCSV('카테고리,항목\n여행,"파리, 런던"');
+ * // [['카테고리', '항목'], ['여행', '파리, 런던']]
+ */
+export function parseCSV(text, delimiter) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const separator = delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.some(cell => cell.trim())) {
+            row.line = rowLine;
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    endRow();
+
+    return rows;
+}
+
+
+// =========================================================================
+// 열 연결
+// =========================================================================
+
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[\s_\-()/·]/g, '');
+}
+
+function findHeaderField(cell) {
+    const name = normalizeHeader(cell);
+    return Object.keys(HEADER_NAMES).find(key => HEADER_NAMES[key].includes(name)) || null;
+}
+
+/**
+ * 첫 줄이 제목 줄인지 추측
+ * @param {Array<Array<string>>} rows - parseCSV() 결과
+ * @returns {boolean}
+ */
+export function detectHeader(rows) {
+    return rows.length > 0 && rows[0].some(cell => findHeaderField(cell) !== null);
+}
+
+/**
+ * 열 연결 추측
+ * - 제목 줄이 있으면 이름으로 찾음
+ * - 찾지 못한 필수 열은 앞에서부터 남은 열로 채움 (카테고리, 항목, 날짜, 달성 순서)
+ * @param {Array<Array<string>>} rows - parseCSV() 결과
+ * @param {boolean} hasHeader - 첫 줄이 제목 줄인지
+ * @returns {{ category: number, item: number, date: number, achieved: number }} 열 번호 (없으면 -1)
+ */
+export function guessMapping(rows, hasHeader) {
+    const columns = Math.max(0, ...rows.map(row => row.length));
+    const mapping = { category: -1, item: -1, date: -1, achieved: -1 };
+
+    if (hasHeader && rows.length > 0) {
+        rows[0].forEach((cell, index) => {
+            const key = findHeaderField(cell);
+            if (key && mapping[key] === -1) {
+                mapping[key] = index;
+            }
+        });
+    }
+
+    const used = new Set(Object.values(mapping).filter(index => index >= 0));
+    CSV_FIELDS.forEach(({ key, required }) => {
+        if (mapping[key] !== -1 || (hasHeader && !required)) return;
+
+        for (let index = 0; index < columns; index++) {
+            if (!used.has(index)) {
+                mapping[key] = index;
+                used.add(index);
+                break;
+            }
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * 달성 여부 값 해석
+ * @param {string} value - 칸 내용
+ * @returns {boolean|null} 알 수 없는 값이면 null
+ */
+export function parseAchieved(value) {
+    const text = String(value || '').trim().toLowerCase().replace(/\s/g, '');
+    if (!text || OPEN_VALUES.includes(text)) return false;
+    if (ACHIEVED_VALUES.includes(text)) return true;
+    return null;
+}
+
+
+// =========================================================================
+// 줄 → 항목
+// =========================================================================
+
+/**
+ * 연결한 열로 줄마다 항목 만들기
+ * @param {Array<Array<string>>} rows - parseCSV() 결과
+ * @param {Object} mapping - guessMapping() 결과 (사용자가 바꾼 값)
+ * @param {Object} [options]
+ * @param {boolean} [options.hasHeader=false] - 첫 줄을 건너뛸지
+ * @returns {{ entries: Array<Object>, errors: Array<{ line: number, message: string }> }}
+ *   entries: [{ line, category, text, deadline, achieved, achievedAt }]
+ */
+export function mapRows(rows, mapping, { hasHeader = false } = {}) {
+    const entries = [];
+    const errors = [];
+    const cell = (row, index) => (index >= 0 ? String(row[index] ?? '').trim() : '');
+
+    if (mapping.category < 0 || mapping.item < 0) {
+        return { entries, errors: [{ line: 0, message: '카테고리와 항목 열을 선택해주세요.' }] };
+    }
+
+    const body = hasHeader ? rows.slice(1) : rows;
+    if (body.length > MAX_CSV_ROWS) {
+        errors.push({ line: 0, message: `한 번에 ${MAX_CSV_ROWS}줄까지 가져올 수 있어 나머지 ${body.length - MAX_CSV_ROWS}줄은 건너뜁니다.` });
+    }
+
+    body.slice(0, MAX_CSV_ROWS).forEach(row => {
+        const line = row.line;
+        const category = cell(row, mapping.category);
+        const text = cell(row, mapping.item);
+        const dateText = cell(row, mapping.date);
+        const achievedText = cell(row, mapping.achieved);
+
+        if (!category) {
+            errors.push({ line, message: '카테고리가 비어 있습니다.' });
+            return;
+        }
+        if (!text) {
+            errors.push({ line, message: '항목 내용이 비어 있습니다.' });
+            return;
+        }
+
+        const achieved = parseAchieved(achievedText);
+        if (achieved === null) {
+            errors.push({ line, message: `달성 여부를 알 수 없습니다: "${achievedText}" (O/X, 달성/미달성 등)` });
+            return;
+        }
+
+        let deadline = null;
+        let achievedAt = null;
+        if (dateText) {
+            const parsed = parseDeadline(dateText);
+            if (!parsed) {
+                errors.push({ line, message: `날짜 형식을 알 수 없습니다: "${dateText}" (예: 2027-05-01, 2030, 40살 전)` });
+                return;
+            }
+            if (achieved && parsed.type !== 'date') {
+                errors.push({ line, message: `달성한 항목의 날짜는 2025-03-01처럼 입력해주세요: "${dateText}"` });
+                return;
+            }
+
+            // 달성한 항목은 달성일, 진행 중인 항목은 목표 기한으로 사용
+            if (achieved) {
+                achievedAt = parsed.value;
+            } else {
+                deadline = parsed;
+            }
+        }
+
+        entries.push({ line, category, text, deadline, achieved, achievedAt });
+    });
+
+    return { entries, errors };
+}
+
+
+// =========================================================================
+// 모델에 반영
+// =========================================================================
+
+function normalizeTitle(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * 항목을 넣을 카테고리 찾기 (제목 또는 기본 카테고리 id)
+ * @param {Array<Object>} categories - 현재 카테고리 목록
+ * @param {string} name - CSV의 카테고리 값
+ * @returns {Object|null}
+ */
+export function findCategoryByName(categories, name) {
+    const normalized = normalizeTitle(name);
+    return categories.find(category => normalizeTitle(category.title) === normalized)
+        || categories.find(category => category.id === name.trim())
+        || null;
+}
+
+/**
+ * 가져오기 결과 미리 계산 (새로 만들 카테고리, 이미 있는 항목)
+ * @param {Array<Object>} categories - 현재 카테고리 목록
+ * @param {Array<Object>} entries - mapRows() 결과 항목
+ * @returns {{ newCategories: Array<string>, duplicates: Array<Object>, ready: Array<Object> }}
+ */
+export function planImport(categories, entries) {
+    const newCategories = [];
+    const duplicates = [];
+    const ready = [];
+    const seen = new Map();
+
+    entries.forEach(entry => {
+        const existing = findCategoryByName(categories, entry.category);
+        const key = existing ? existing.id : normalizeTitle(entry.category);
+
+        if (!existing && !newCategories.some(title => normalizeTitle(title) === key)) {
+            newCategories.push(entry.category);
+        }
+
+        if (!seen.has(key)) {
+            seen.set(key, new Set((existing?.items || []).map(item => normalizeTitle(item.text)).filter(Boolean)));
+        }
+
+        const texts = seen.get(key);
+        if (texts.has(normalizeTitle(entry.text))) {
+            duplicates.push(entry);
+            return;
+        }
+        texts.add(normalizeTitle(entry.text));
+        ready.push(entry);
+    });
+
+    return { newCategories, duplicates, ready };
+}
+
+/**
+ * 항목을 모델에 추가
+ * - 없는 카테고리는 createCategory(제목)로 만듦 (앱의 "나만의 카테고리 추가"와 같은 경로)
+ * - 카테고리의 빈 입력칸이 있으면 먼저 채움
+ * @param {BucketListModel} model - 버킷리스트 모델
+ * @param {Array<Object>} entries - planImport()의 ready 항목
+ * @param {Object} [options]
+ * @param {Function} [options.createCategory] - (title) => 추가된 카테고리
+ * @returns {{ items: number, categories: number }} 추가한 개수
+ */
+export function applyEntries(model, entries, { createCategory = title => model.addCategory({ title }) } = {}) {
+    const added = { items: 0, categories: 0 };
+
+    entries.forEach(entry => {
+        let category = findCategoryByName(model.getCategories(), entry.category);
+        if (!category) {
+            category = createCategory(entry.category.trim());
+            added.categories++;
+        }
+
+        const current = model.getCategory(category.id);
+        const empty = current.items.find(item => !item.text.trim());
+        const itemId = empty ? empty.id : model.addItem(category.id).id;
+
+        model.updateItem(category.id, itemId, { text: entry.text, deadline: entry.deadline });
+        if (entry.achieved) {
+            model.setAchieved(category.id, itemId, true, entry.achievedAt || undefined);
+        }
+        added.items++;
+    });
+
+    return added;
+}
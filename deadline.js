@@ -0,0 +1,210 @@
+/**
+ * 목표 기한 모듈
+ *
+ * 항목별 "언제까지" 값을 해석하고 정렬/그룹화합니다.
+ * - { type: 'date', value: 'YYYY-MM-DD' } : 특정 날짜까지
+ * - { type: 'year', value: 2030 }         : 그 해가 끝나기 전까지
+ * - { type: 'age',  value: 40 }           : 그 나이가 되기 전까지 (태어난 해 필요)
+ */
+
+import { formatDate, getRelativeTime, toDateString, parseDateString } from './utils.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const DEADLINE_TYPES = ['date', 'year', 'age'];
+
+/**
+ * 마감순 보기 그룹 (표시 순서)
+ */
+export const DEADLINE_GROUPS = [
+    { id: 'overdue', title: '기한이 지난 목표' },
+    { id: 'soon', title: '1년 안에 이룰 목표' },
+    { id: 'later', title: '그 이후의 목표' },
+    { id: 'undated', title: '기한을 정하지 않은 목표' },
+    { id: 'achieved', title: '이미 이룬 목표' }
+];
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2200;
+const MAX_AGE = 150;
+
+
+// =========================================================================
+// 해석 / 표시
+// =========================================================================
+
+/**
+ * 입력 문자열을 기한 객체로 변환
+ * @param {string} text - "2027-05-01", "2027.5.1", "2030", "2030년", "40살 전", "40세"
+ * @returns {Object|null} 기한 객체, 비어 있거나 해석할 수 없으면 null
+ *
+ * @example
+ * parseDeadline('40살 전'); // { type: 'age', value: 40 }
+ */
+export function parseDeadline(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const dateMatch = /^(\d{4})\s*[-./]\s*(\d{1,2})\s*[-./]\s*(\d{1,2})\.?$/.exec(value);
+    if (dateMatch) {
+        const [, year, month, day] = dateMatch;
+        const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        return isValidDeadline({ type: 'date', value: date }) ? { type: 'date', value: date } : null;
+    }
+
+    const yearMatch = /^(\d{4})\s*년?\s*(까지)?$/.exec(value);
+    if (yearMatch) {
+        const deadline = { type: 'year', value: Number(yearMatch[1]) };
+        return isValidDeadline(deadline) ? deadline : null;
+    }
+
+    const ageMatch = /^(\d{1,3})\s*(살|세)\s*(전|전에|전까지|까지)?$/.exec(value);
+    if (ageMatch) {
+        const deadline = { type: 'age', value: Number(ageMatch[1]) };
+        return isValidDeadline(deadline) ? deadline : null;
+    }
+
+    return null;
+}
+
+/**
+ * 기한 객체 형식 검증
+ * @param {*} deadline - 검사할 값
+ * @returns {boolean}
+ */
+export function isValidDeadline(deadline) {
+    if (!deadline || typeof deadline !== 'object') return false;
+
+    const { type, value } = deadline;
+    if (type === 'date') return parseDateString(value) !== null;
+    if (type === 'year') return Number.isInteger(value) && value >= MIN_YEAR && value <= MAX_YEAR;
+    if (type === 'age') return Number.isInteger(value) && value > 0 && value <= MAX_AGE;
+    return false;
+}
+
+/**
+ * 입력란에 다시 채울 문자열
+ * @param {Object|null} deadline - 기한 객체
+ * @returns {string} parseDeadline()으로 되돌릴 수 있는 문자열
+ */
+export function formatDeadlineInput(deadline) {
+    if (!isValidDeadline(deadline)) return '';
+    if (deadline.type === 'age') return `${deadline.value}살 전`;
+    return String(deadline.value);
+}
+
+/**
+ * 기한을 실제 마감 날짜로 변환
+ * - year: 그 해 12월 31일
+ * - age: (태어난 해 + 나이 - 1)년 12월 31일, 태어난 해가 없으면 null
+ * @param {Object|null} deadline - 기한 객체
+ * @param {number|null} [birthYear] - 태어난 해
+ * @returns {Date|null}
+ */
+export function resolveDeadline(deadline, birthYear = null) {
+    if (!isValidDeadline(deadline)) return null;
+
+    switch (deadline.type) {
+    case 'date':
+        return parseDateString(deadline.value);
+    case 'year':
+        return new Date(deadline.value, 11, 31);
+    case 'age':
+        return Number.isInteger(birthYear) ? new Date(birthYear + deadline.value - 1, 11, 31) : null;
+    default:
+        return null;
+    }
+}
+
+/**
+ * 결과 카드용 기한 설명
+ * @param {Object|null} deadline - 기한 객체
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해
+ * @param {Date} [options.now] - 기준 시각
+ * @returns {{ label: string, remaining: string, overdue: boolean }|null}
+ *
+ * @example
+ * describeDeadline({ type: 'year', value: 2030 });
+ * // { label: '2030년까지', remaining: '4년 남음', overdue: false }
+ */
+export function describeDeadline(deadline, { birthYear = null, now = new Date() } = {}) {
+    if (!isValidDeadline(deadline)) return null;
+
+    const label = deadline.type === 'age'
+        ? `${deadline.value}살 전까지`
+        : `${formatDate(resolveDeadline(deadline), { precision: deadline.type === 'year' ? 'year' : 'day' })}까지`;
+
+    const due = resolveDeadline(deadline, birthYear);
+    if (!due) return { label, remaining: '', overdue: false };
+
+    // 마감일 당일까지는 지나지 않은 것으로 봄
+    const endOfDue = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+    const overdue = endOfDue <= now;
+    const remaining = overdue ? '기한 지남' : getRelativeTime(endOfDue, now);
+
+    return { label, remaining, overdue };
+}
+
+
+// =========================================================================
+// 정렬 / 그룹화
+// =========================================================================
+
+/**
+ * 카테고리 목록을 마감일 기준으로 평탄화
+ * @param {Array<Object>} categories - 카테고리 목록 (items 포함)
+ * @param {number|null} [birthYear] - 태어난 해
+ * @returns {Array<Object>} [{ item, category, due }] 마감일 오름차순, 기한 없는 항목은 뒤로
+ */
+export function sortByDeadline(categories, birthYear = null) {
+    const entries = [];
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            entries.push({ item, category, due: resolveDeadline(item.deadline, birthYear) });
+        });
+    });
+
+    // Array.prototype.sort는 안정 정렬이므로 같은 기한은 작성 순서 유지
+    return entries.sort((a, b) => {
+        if (a.due && b.due) return a.due - b.due;
+        if (a.due) return -1;
+        if (b.due) return 1;
+        return 0;
+    });
+}
+
+/**
+ * 마감순 보기용 그룹 (빈 그룹 제외)
+ * @param {Array<Object>} categories - 카테고리 목록 (items 포함)
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해
+ * @param {Date} [options.now] - 기준 시각
+ * @returns {Array<Object>} [{ id, title, entries: [{ item, category, due }] }]
+ */
+export function groupByDeadline(categories, { birthYear = null, now = new Date() } = {}) {
+    const oneYearLater = new Date(now.getFullYear() + 1, now.getMonth(), now.getDate());
+    const today = toDateString(now);
+
+    const groups = DEADLINE_GROUPS.map(group => ({ ...group, entries: [] }));
+    const byId = Object.fromEntries(groups.map(group => [group.id, group]));
+
+    sortByDeadline(categories, birthYear).forEach(entry => {
+        if (entry.item.achieved) {
+            byId.achieved.entries.push(entry);
+        } else if (!entry.due) {
+            byId.undated.entries.push(entry);
+        } else if (toDateString(entry.due) < today) {
+            byId.overdue.entries.push(entry);
+        } else if (entry.due <= oneYearLater) {
+            byId.soon.entries.push(entry);
+        } else {
+            byId.later.entries.push(entry);
+        }
+    });
+
+    return groups.filter(group => group.entries.length > 0);
+}
@@ -0,0 +1,120 @@
+/**
+ * 실행 취소 / 다시 실행 기록
+ *
+ * 리스트 문서(항목, 꾸미기, 스티커)를 저장할 때마다 한 단계씩 쌓습니다.
+ * 리스트마다 따로 만들어 쓰며, 기록은 이번 세션(탭을 닫기 전)까지만 유지합니다.
+ * - 단계: savedAt을 뺀 문서 JSON (내용이 같으면 쌓지 않음)
+ * - 잇따른 변경(글자 입력, 스티커 끌기 등)은 HISTORY_MERGE_MS 안이면 한 단계로 합침
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const MAX_HISTORY = 50;
+
+// 이 시간(ms) 안에 이어진 저장은 한 단계로 합침
+export const HISTORY_MERGE_MS = 1000;
+
+
+// =========================================================================
+// 기록
+// =========================================================================
+
+/**
+ * 저장 시각을 뺀 문서 JSON
+ * @param {Object} doc
+ * @returns {string}
+ */
+function toSnapshot(doc) {
+    // undefined인 속성은 JSON에서 빠짐
+    return JSON.stringify({ ...doc, savedAt: undefined });
+}
+
+/**
+ * 리스트 하나의 실행 취소 기록
+ *
+ * @example
+ * const history = new DocumentHistory(doc);
+ * history.push(changedDoc);
+ * const previous = history.undo();
+ */
+export class DocumentHistory {
+    /**
+     * @param {Object} initial - 처음 불러온 문서
+     * @param {Object} [options] - { max, mergeMs }
+     */
+    constructor(initial, { max = MAX_HISTORY, mergeMs = HISTORY_MERGE_MS } = {}) {
+        this.entries = [toSnapshot(initial)];
+        this.index = 0;
+        this.max = max;
+        this.mergeMs = mergeMs;
+        this.lastPushAt = -Infinity;
+    }
+
+    /**
+     * 바뀐 문서 기록 (실행 취소한 뒤라면 그 뒤의 단계는 버림)
+     * @param {Object} doc
+     * @param {number} [now] - 현재 시각 (ms)
+     * @returns {boolean} 기록했는지 (내용이 같으면 false)
+     */
+    push(doc, now = Date.now()) {
+        const snapshot = toSnapshot(doc);
+        if (snapshot === this.entries[this.index]) return false;
+
+        this.entries = this.entries.slice(0, this.index + 1);
+
+        // 방금 쌓은 단계에 이어진 변경이면 합침 (처음 문서는 그대로 둠)
+        if (this.index > 0 && now - this.lastPushAt < this.mergeMs) {
+            this.entries[this.index] = snapshot;
+        } else {
+            this.entries.push(snapshot);
+            if (this.entries.length > this.max) {
+                this.entries.shift();
+            }
+            this.index = this.entries.length - 1;
+        }
+
+        this.lastPushAt = now;
+        return true;
+    }
+
+    /**
+     * 실행 취소
+     * @returns {Object|null} 이전 문서
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+
+        this.index--;
+        this.lastPushAt = -Infinity;
+        return JSON.parse(this.entries[this.index]);
+    }
+
+    /**
+     * 다시 실행
+     * @returns {Object|null} 다음 문서
+     */
+    redo() {
+        if (!this.canRedo()) return null;
+
+        this.index++;
+        this.lastPushAt = -Infinity;
+        return JSON.parse(this.entries[this.index]);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * iCalendar(.ics) 내보내기 모듈
+ *
+ * 목표 기한이 있는 항목을 캘린더 앱(구글, 애플, 아웃룩 등)에서 열 수 있는 파일로 만듭니다.
+ * - 항목 하나 = 기한 날짜의 종일 일정(VEVENT) 또는 할 일(VTODO)
+ * - 항목 내용은 SUMMARY, 카테고리 제목은 CATEGORIES
+ * - 기한이 없거나 날짜로 바꿀 수 없는 항목은 건너뛰고 이유를 함께 돌려줌
+ */
+
+import { resolveDeadline, describeDeadline } from './deadline.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 내보내기 형식 → iCalendar 구성 요소
+ */
+export const ICS_TYPES = {
+    event: 'VEVENT',
+    todo: 'VTODO'
+};
+
+/**
+ * 기본 알림 시점 (기한 며칠 전)
+ */
+export const DEFAULT_REMINDER_DAYS = 7;
+
+/**
+ * 건너뛴 이유
+ */
+export const SKIP_REASONS = {
+    undated: '기한 없음',
+    age: '태어난 해가 없어 날짜를 정할 수 없음',
+    achieved: '이미 달성함'
+};
+
+const PRODUCT_ID = '-//bucket-list2//Bucket List//KO';
+
+
+// =========================================================================
+// 형식 변환
+// =========================================================================
+
+/**
+ * TEXT 값 이스케이프 (역슬래시, 쉼표, 세미콜론, 줄바꿈)
+ * @param {string} text - 원문
+ * @returns {string}
+ */
+export function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 한 줄을 75바이트(UTF-8) 단위로 접기 (이어지는 줄은 공백으로 시작)
+ * @param {string} line - 내용 줄
+ * @returns {string} CRLF로 이어진 줄
+ */
+export function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        const limit = parts.length === 0 ? 75 : 74;
+
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * 날짜 → YYYYMMDD (종일 일정용, 현지 날짜)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIcsDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/**
+ * 시각 → YYYYMMDDTHHMMSSZ (UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+
+// =========================================================================
+// 캘린더 만들기
+// =========================================================================
+
+/**
+ * 캘린더로 내보낼 항목 고르기
+ * @param {Array<Object>} categories - 내용이 있는 카테고리 목록 (model.getFilledCategories())
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해 (나이 기한 계산용)
+ * @returns {{ included: Array<{ item, category, due }>, skipped: Array<{ item, category, reason }> }}
+ *   included는 기한 오름차순
+ */
+export function collectCalendarEntries(categories, { birthYear = null } = {}) {
+    const included = [];
+    const skipped = [];
+
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            if (!item.text.trim()) return;
+
+            if (item.achieved) {
+                skipped.push({ item, category, reason: SKIP_REASONS.achieved });
+                return;
+            }
+
+            const due = resolveDeadline(item.deadline, birthYear);
+            if (!due) {
+                const reason = item.deadline?.type === 'age' ? SKIP_REASONS.age : SKIP_REASONS.undated;
+                skipped.push({ item, category, reason });
+                return;
+            }
+
+            included.push({ item, category, due });
+        });
+    });
+
+    included.sort((a, b) => a.due - b.due);
+    return { included, skipped };
+}
+
+/**
+ * .ics 파일 내용 만들기
+ * @param {Array<Object>} categories - 내용이 있는 카테고리 목록
+ * @param {Object} [options]
+ * @param {string} [options.type='event'] - 'event'(종일 일정) | 'todo'(할 일)
+ * @param {string} [options.calendarName] - 캘린더 이름
+ * @param {number|null} [options.birthYear] - 태어난 해
+ * @param {number} [options.reminderDays=7] - 기한 며칠 전 알림 (0이면 알림 없음)
+ * @param {Date} [options.now] - 만든 시각 (DTSTAMP)
+ * @returns {{ content: string, included: Array<Object>, skipped: Array<Object> }}
+ *
+ * @example
+ * const { content, skipped } = buildCalendar(model.getFilledCategories(), { calendarName: '나의 버킷리스트' });
+ */
+export function buildCalendar(categories, options = {}) {
+    const {
+        type = 'event',
+        calendarName = '',
+        birthYear = null,
+        reminderDays = DEFAULT_REMINDER_DAYS,
+        now = new Date()
+    } = options;
+
+    const component = ICS_TYPES[type] || ICS_TYPES.event;
+    const { included, skipped } = collectCalendarEntries(categories, { birthYear });
+    const stamp = toIcsDateTime(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (calendarName) {
+        lines.push(`X-WR-CALNAME:${escapeIcsText(calendarName)}`);
+    }
+
+    included.forEach(({ item, category, due }) => {
+        const summary = escapeIcsText(item.text.trim());
+        const deadline = describeDeadline(item.deadline, { birthYear, now });
+        const description = [`${category.badge || ''} ${category.title}`.trim(), deadline?.label].filter(Boolean).join(' · ');
+
+        lines.push(
+            `BEGIN:${component}`,
+            `UID:${item.id}@bucket-list2`,
+            `DTSTAMP:${stamp}`
+        );
+
+        if (component === ICS_TYPES.todo) {
+            lines.push(`DUE;VALUE=DATE:${toIcsDate(due)}`, 'STATUS:NEEDS-ACTION');
+        } else {
+            const next = new Date(due.getFullYear(), due.getMonth(), due.getDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${toIcsDate(due)}`, `DTEND;VALUE=DATE:${toIcsDate(next)}`, 'TRANSP:TRANSPARENT');
+        }
+
+        lines.push(
+            `SUMMARY:${summary}`,
+            `CATEGORIES:${escapeIcsText(category.title)}`,
+            `DESCRIPTION:${escapeIcsText(description)}`
+        );
+
+        if (reminderDays > 0) {
+            // 할 일은 시작 시각이 없으므로 기한(DUE) 기준으로 알림
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${summary}`,
+                component === ICS_TYPES.todo ? `TRIGGER;RELATED=END:-P${reminderDays}D` : `TRIGGER:-P${reminderDays}D`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push(`END:${component}`);
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return {
+        content: lines.map(foldLine).join('\r\n') + '\r\n',
+        included,
+        skipped
+    };
+}
@@ -0,0 +1,241 @@
+/**
+ * 이미지 내보내기 모듈
+ *
+ * 결과 카드를 SNS/배경화면/인쇄용 크기의 이미지 파일로 만듭니다.
+ * - 렌더러(html2canvas)는 처음 저장할 때만 불러옴 (첫 화면 로딩에 포함하지 않음)
+ * - 크기 프리셋: 카드를 가운데에 맞춰 넣고 남는 자리는 배경색으로 채움
+ * - 형식: PNG / JPEG / WebP (손실 압축 형식은 품질 선택, 브라우저가 지원하지 않으면 PNG)
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 크기 프리셋 (px)
+ * width/height가 null이면 화면 크기 그대로 scale배
+ */
+export const IMAGE_PRESETS = {
+    original: { label: '화면 크기', hint: '지금 보이는 카드 그대로 (2배 선명하게)', width: null, height: null, scale: 2 },
+    story: { label: '인스타그램 스토리', hint: '1080 × 1920', width: 1080, height: 1920 },
+    square: { label: '정사각형', hint: '1080 × 1080 · 피드 게시물', width: 1080, height: 1080 },
+    wallpaper: { label: '휴대폰 배경화면', hint: '1170 × 2532', width: 1170, height: 2532 },
+    a4: { label: 'A4 인쇄용', hint: '2480 × 3508 · 300dpi', width: 2480, height: 3508 }
+};
+
+/**
+ * 파일 형식
+ */
+export const IMAGE_FORMATS = {
+    png: { label: 'PNG', mime: 'image/png', extension: 'png', lossy: false },
+    jpeg: { label: 'JPEG', mime: 'image/jpeg', extension: 'jpg', lossy: true },
+    webp: { label: 'WebP', mime: 'image/webp', extension: 'webp', lossy: true }
+};
+
+export const DEFAULT_QUALITY = 0.92;
+
+/**
+ * 진행 단계 (onProgress로 전달)
+ */
+export const IMAGE_EXPORT_STEPS = {
+    load: '이미지 변환 도구를 불러오는 중',
+    render: '카드를 그리는 중',
+    encode: '파일을 만드는 중'
+};
+
+// 프리셋 가장자리 여백 (짧은 변 대비 비율)
+const PRESET_PADDING = 0.06;
+
+// 렌더링 배율 한도 (너무 큰 캔버스는 모바일 브라우저에서 실패)
+const MAX_RENDER_SCALE = 4;
+
+// 불러온 렌더러 (한 번만 불러옴)
+let rendererPromise = null;
+
+
+// =========================================================================
+// 크기 계산
+// =========================================================================
+
+/**
+ * 카드를 프리셋 크기에 맞춘 배치
+ * @param {{ width: number, height: number }} source - 카드 크기 (px)
+ * @param {Object} preset - IMAGE_PRESETS의 값
+ * @param {Object} [options]
+ * @param {number} [options.padding=0.06] - 가장자리 여백 (짧은 변 대비 비율, 0이면 꽉 채움)
+ * @returns {{ width: number, height: number, scale: number, x: number, y: number, drawWidth: number, drawHeight: number }}
+ *   width/height는 결과 이미지 크기, scale은 카드 렌더링 배율, x/y/drawWidth/drawHeight는 카드를 그릴 자리
+ *
+ * @example
+ * computeLayout({ width: 600, height: 900 }, IMAGE_PRESETS.square);
+ * // { width: 1080, height: 1080, scale: 1.06, x: 223, y: 65, ... } (여백 65px 안에 가운데 정렬)
+ */
+export function computeLayout(source, preset, { padding: paddingRatio = PRESET_PADDING } = {}) {
+    if (!preset.width || !preset.height) {
+        const scale = preset.scale || 1;
+        const width = Math.round(source.width * scale);
+        const height = Math.round(source.height * scale);
+        return { width, height, scale, x: 0, y: 0, drawWidth: width, drawHeight: height };
+    }
+
+    const padding = Math.round(Math.min(preset.width, preset.height) * paddingRatio);
+    const scale = Math.min(
+        (preset.width - padding * 2) / source.width,
+        (preset.height - padding * 2) / source.height
+    );
+    const drawWidth = source.width * scale;
+    const drawHeight = source.height * scale;
+
+    return {
+        width: preset.width,
+        height: preset.height,
+        scale,
+        x: (preset.width - drawWidth) / 2,
+        y: (preset.height - drawHeight) / 2,
+        drawWidth,
+        drawHeight
+    };
+}
+
+/**
+ * 품질 값 정리 (0.1 ~ 1)
+ * @param {*} quality
+ * @returns {number}
+ */
+export function normalizeQuality(quality) {
+    const value = Number(quality);
+    if (!Number.isFinite(value)) return DEFAULT_QUALITY;
+    return Math.min(1, Math.max(0.1, value));
+}
+
+
+// =========================================================================
+// 렌더러
+// =========================================================================
+
+/**
+ * html2canvas 불러오기 (실패하면 다음 호출에서 다시 시도)
+ * @param {Function} [load] - 모듈을 불러오는 함수 (테스트용)
+ * @returns {Promise<Function>} html2canvas
+ */
+export function loadRenderer(load = () => import('html2canvas')) {
+    if (!rendererPromise) {
+        rendererPromise = Promise.resolve()
+            .then(load)
+            .then(module => {
+                const render = module?.default || module;
+                if (typeof render !== 'function') {
+                    throw new Error('렌더러 형식이 올바르지 않습니다.');
+                }
+                return render;
+            })
+            .catch(err => {
+                rendererPromise = null;
+                // 예전처럼 전역으로 불러온 경우
+                if (typeof window !== 'undefined' && typeof window.html2canvas === 'function') {
+                    return window.html2canvas;
+                }
+                console.warn('html2canvas 불러오기 실패:', err);
+                throw new Error('이미지 변환 도구를 불러오지 못했습니다. 인터넷 연결을 확인한 뒤 다시 시도해주세요.');
+            });
+    }
+    return rendererPromise;
+}
+
+/**
+ * 캔버스 → 파일 (형식을 지원하지 않으면 PNG)
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} format - IMAGE_FORMATS의 값
+ * @param {number} quality
+ * @returns {Promise<{ blob: Blob, format: Object }>}
+ */
+function canvasToBlob(canvas, format, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('이미지 파일을 만들지 못했습니다. 더 작은 크기로 다시 시도해주세요.'));
+                return;
+            }
+            // 지원하지 않는 형식은 브라우저가 PNG로 만듦
+            const actual = Object.values(IMAGE_FORMATS).find(f => f.mime === blob.type) || IMAGE_FORMATS.png;
+            resolve({ blob, format: actual });
+        }, format.mime, format.lossy ? quality : undefined);
+    });
+}
+
+
+// =========================================================================
+// 내보내기
+// =========================================================================
+
+/**
+ * 요소를 이미지 파일로 만들기
+ * @param {HTMLElement} element - 결과 카드
+ * @param {Object} [options]
+ * @param {string} [options.preset='original'] - IMAGE_PRESETS 키
+ * @param {string} [options.format='png'] - IMAGE_FORMATS 키
+ * @param {number} [options.quality=0.92] - JPEG/WebP 품질
+ * @param {number} [options.padding] - 프리셋 여백 비율 (배경화면 레이아웃은 0)
+ * @param {string} [options.background='#FFFFFF'] - 여백 배경색 (JPEG는 투명 부분도 이 색)
+ * @param {Function} [options.ignore] - (element) => boolean, 이미지에서 뺄 요소
+ * @param {Function} [options.onProgress] - (step, message) => void
+ * @returns {Promise<{ blob: Blob, format: Object, width: number, height: number }>}
+ * @throws {Error} 렌더러를 불러오지 못했거나 캔버스를 만들 수 없는 경우
+ */
+export async function renderImage(element, options = {}) {
+    const {
+        preset: presetKey = 'original',
+        format: formatKey = 'png',
+        quality = DEFAULT_QUALITY,
+        padding = PRESET_PADDING,
+        background = '#FFFFFF',
+        ignore = () => false,
+        onProgress = () => {}
+    } = options;
+
+    const preset = IMAGE_PRESETS[presetKey] || IMAGE_PRESETS.original;
+    const format = IMAGE_FORMATS[formatKey] || IMAGE_FORMATS.png;
+
+    onProgress('load', IMAGE_EXPORT_STEPS.load);
+    const html2canvas = await loadRenderer();
+
+    onProgress('render', IMAGE_EXPORT_STEPS.render);
+    const layout = computeLayout({ width: element.offsetWidth, height: element.offsetHeight }, preset, { padding });
+    let rendered;
+    try {
+        rendered = await html2canvas(element, {
+            scale: Math.min(layout.scale, MAX_RENDER_SCALE),
+            backgroundColor: null,
+            useCORS: true,
+            logging: false,
+            ignoreElements: ignore
+        });
+    } catch (err) {
+        console.warn('카드 렌더링 실패:', err);
+        throw new Error('카드를 이미지로 그리지 못했습니다. 잠시 후 다시 시도해주세요.');
+    }
+
+    // 프리셋 크기 캔버스에 배경을 칠하고 카드를 가운데에 그림
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error('이 브라우저에서는 이미지를 만들 수 없습니다.');
+    }
+
+    // 화면 크기 PNG는 카드 모서리 밖을 투명하게 둠
+    if (preset.width || format.lossy) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, layout.width, layout.height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(rendered, layout.x, layout.y, layout.drawWidth, layout.drawHeight);
+
+    onProgress('encode', IMAGE_EXPORT_STEPS.encode);
+    const result = await canvasToBlob(canvas, format, normalizeQuality(quality));
+
+    return { ...result, width: layout.width, height: layout.height };
+}
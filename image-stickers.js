@@ -0,0 +1,235 @@
+/**
+ * 사용자 이미지 스티커 저장소
+ *
+ * 직접 올린 사진이나 로고(PNG, JPEG, WebP, SVG)를 작게 줄여 브라우저 IndexedDB에 저장합니다.
+ * 리스트 문서(localStorage)와 따로 저장하므로 저장 용량 한도에 걸리지 않고, 여러 리스트에서 다시 쓸 수 있습니다.
+ * - DB: `bucketlist_images` / 저장소 `images` = { id, name, type, width, height, blob, createdAt }
+ * - 스티커: { id, type: 'image', imageId, size, x, y, ... } (이미지 자체는 문서에 담지 않음)
+ */
+
+import { generateId } from './utils.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const IMAGE_DB_NAME = 'bucketlist_images';
+export const IMAGE_STORE_NAME = 'images';
+const IMAGE_DB_VERSION = 1;
+
+/**
+ * 올릴 수 있는 파일 형식
+ */
+export const IMAGE_STICKER_TYPES = {
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/webp': 'WebP',
+    'image/svg+xml': 'SVG'
+};
+
+// 올릴 수 있는 최대 파일 크기 (저장할 때는 줄여서 훨씬 작아짐)
+export const MAX_IMAGE_FILE_SIZE = 10 * 1024 * 1024;
+
+// 저장할 이미지의 긴 변 (px, 이미지로 크게 내보내도 흐려지지 않을 정도)
+export const MAX_IMAGE_DIMENSION = 512;
+
+// 카드에 처음 붙일 때 긴 변 (px)
+export const IMAGE_STICKER_SIZE = 80;
+
+export const MAX_IMAGE_STICKERS = 50;
+
+
+// =========================================================================
+// 파일 검사 / 크기 계산
+// =========================================================================
+
+/**
+ * 올린 파일 검사
+ * @param {File} file
+ * @throws {Error} 형식이 다르거나 너무 큰 경우
+ */
+export function validateImageFile(file) {
+    if (!file) {
+        throw new Error('파일을 선택해주세요.');
+    }
+    if (!IMAGE_STICKER_TYPES[file.type]) {
+        throw new Error('PNG, JPEG, WebP, SVG 이미지만 올릴 수 있습니다.');
+    }
+    if (file.size > MAX_IMAGE_FILE_SIZE) {
+        throw new Error('파일이 너무 큽니다. (최대 10MB)');
+    }
+}
+
+/**
+ * 긴 변이 max를 넘지 않도록 줄인 크기 (키우지는 않음)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [max=MAX_IMAGE_DIMENSION]
+ * @returns {{ width: number, height: number }}
+ */
+export function fitImageSize(width, height, max = MAX_IMAGE_DIMENSION) {
+    if (!(width > 0) || !(height > 0)) {
+        // 크기 정보가 없는 SVG는 정사각형으로
+        return { width: max, height: max };
+    }
+
+    const ratio = Math.min(1, max / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * ratio)),
+        height: Math.max(1, Math.round(height * ratio))
+    };
+}
+
+/**
+ * 줄인 이미지를 저장할 형식 (사진은 JPEG, 투명할 수 있는 형식은 PNG)
+ * @param {string} type - 올린 파일 형식
+ * @returns {string}
+ */
+export function getOutputType(type) {
+    return type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+}
+
+
+// =========================================================================
+// 저장소
+// =========================================================================
+
+/**
+ * IndexedDB 요청 → Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 이미지 스티커 저장소
+ *
+ * @example
+ * const images = new ImageStickerStore(indexedDB);
+ * const record = await images.add({ name: 'logo.png', type: 'image/png', width: 256, height: 128, blob });
+ * const all = await images.getAll();
+ */
+export class ImageStickerStore {
+    /**
+     * @param {IDBFactory} [factory] - indexedDB (없으면 저장할 수 없음)
+     */
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    /**
+     * DB 열기 (한 번만 열고, 실패하면 다음 호출에서 다시 시도)
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.factory) {
+            return Promise.reject(new Error('이 브라우저에서는 이미지 스티커를 저장할 수 없습니다.'));
+        }
+
+        if (!this.dbPromise) {
+            const request = this.factory.open(IMAGE_DB_NAME, IMAGE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IMAGE_STORE_NAME)) {
+                    db.createObjectStore(IMAGE_STORE_NAME, { keyPath: 'id' });
+                }
+            };
+
+            this.dbPromise = promisify(request).catch(err => {
+                this.dbPromise = null;
+                console.warn('이미지 저장소 열기 실패:', err);
+                throw new Error('이미지 저장소를 열 수 없습니다. 사생활 보호 모드에서는 저장되지 않을 수 있습니다.');
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * 저장소 작업 실행
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} action - (store) => IDBRequest
+     * @returns {Promise<*>} 요청 결과 (트랜잭션이 끝난 뒤)
+     */
+    async run(mode, action) {
+        const db = await this.open();
+        const transaction = db.transaction(IMAGE_STORE_NAME, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('이미지 저장이 취소되었습니다.'));
+        });
+
+        const [result] = await Promise.all([
+            promisify(action(transaction.objectStore(IMAGE_STORE_NAME))),
+            done
+        ]);
+        return result;
+    }
+
+    /**
+     * 저장된 이미지 목록 (올린 순서)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const records = await this.run('readonly', store => store.getAll());
+        return records.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    /**
+     * 이미지 조회
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        return (await this.run('readonly', store => store.get(id))) || null;
+    }
+
+    /**
+     * 줄인 이미지 저장
+     * @param {Object} image - { name, type, width, height, blob }
+     * @returns {Promise<Object>} 저장된 항목
+     * @throws {Error} 개수 한도를 넘었거나 저장에 실패한 경우
+     */
+    async add({ name, type, width, height, blob }) {
+        const count = await this.run('readonly', store => store.count());
+        if (count >= MAX_IMAGE_STICKERS) {
+            throw new Error(`이미지는 ${MAX_IMAGE_STICKERS}개까지 저장할 수 있습니다. 쓰지 않는 이미지를 지워주세요.`);
+        }
+
+        const record = {
+            id: `image-${generateId()}`,
+            name: String(name || '').slice(0, 60),
+            type,
+            width,
+            height,
+            blob,
+            createdAt: new Date().toISOString()
+        };
+
+        try {
+            await this.run('readwrite', store => store.add(record));
+        } catch (err) {
+            console.warn('이미지 저장 실패:', err);
+            throw new Error(err?.name === 'QuotaExceededError'
+                ? '저장 공간이 부족합니다. 쓰지 않는 이미지를 지워주세요.'
+                : '이미지를 저장하지 못했습니다. 다시 시도해주세요.');
+        }
+        return record;
+    }
+
+    /**
+     * 이미지 삭제
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.run('readwrite', store => store.delete(id));
+    }
+}
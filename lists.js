@@ -0,0 +1,324 @@
+/**
+ * 여러 버킷리스트 저장소
+ *
+ * 한 브라우저에서 여러 리스트(가족별, "2026 리스트" / "평생 리스트" 등)를 관리합니다.
+ * - 목록 정보: `bucketlist_lists` = { activeId, lists: [{ id, name, createdAt, updatedAt }] }
+ * - 리스트 문서: 기본 리스트는 기존 `bucketlist_data`, 나머지는 `bucketlist_data:<id>`
+ *   (목록 정보가 없던 이전 버전 데이터는 그대로 기본 리스트가 됨)
+ */
+
+import { generateId } from './utils.js';
+import { migrate } from './schema.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const LISTS_KEY = 'bucketlist_lists';
+export const DATA_KEY = 'bucketlist_data';
+export const BACKUP_KEY = 'bucketlist_data_backup';
+export const DEFAULT_LIST_ID = 'default';
+export const DEFAULT_LIST_NAME = '나의 버킷리스트';
+
+/**
+ * 리스트 문서 저장 키
+ * @param {string} id - 리스트 id
+ * @returns {string}
+ */
+export function getDataKey(id) {
+    return id === DEFAULT_LIST_ID ? DATA_KEY : `${DATA_KEY}:${id}`;
+}
+
+/**
+ * 리스트 백업 저장 키 (마이그레이션 실패 시 원본 보관)
+ * @param {string} id - 리스트 id
+ * @returns {string}
+ */
+export function getBackupKey(id) {
+    return id === DEFAULT_LIST_ID ? BACKUP_KEY : `${BACKUP_KEY}:${id}`;
+}
+
+
+// =========================================================================
+// 저장소
+// =========================================================================
+
+/**
+ * 리스트 목록/문서 저장소
+ *
+ * @example
+ * const lists = new ListStore(localStorage);
+ * const entry = lists.create('2026 리스트');
+ * lists.setActiveId(entry.id);
+ */
+export class ListStore {
+    /**
+     * @param {Storage} storage - localStorage 호환 저장소
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * 목록 정보 읽기 (없거나 손상되면 기본 리스트 하나로 구성)
+     * @returns {{ activeId: string, lists: Array<Object> }}
+     */
+    getIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(LISTS_KEY));
+            if (index && Array.isArray(index.lists) && index.lists.length > 0) {
+                const activeId = index.lists.some(list => list.id === index.activeId)
+                    ? index.activeId
+                    : index.lists[0].id;
+                return { activeId, lists: index.lists };
+            }
+        } catch (e) {
+            console.warn('리스트 목록 읽기 실패 (기본 리스트로 시작):', e);
+        }
+
+        return {
+            activeId: DEFAULT_LIST_ID,
+            lists: [this.createEntry(this.guessLegacyName(), DEFAULT_LIST_ID)]
+        };
+    }
+
+    /**
+     * 목록 정보 저장
+     * @param {{ activeId: string, lists: Array<Object> }} index
+     */
+    saveIndex(index) {
+        this.storage.setItem(LISTS_KEY, JSON.stringify(index));
+    }
+
+    /**
+     * 리스트 목록 (복사본)
+     * @returns {Array<{ id: string, name: string, createdAt: string, updatedAt: string|null }>}
+     */
+    getLists() {
+        return this.getIndex().lists.map(list => ({ ...list }));
+    }
+
+    /**
+     * 리스트 조회
+     * @param {string} id - 리스트 id
+     * @returns {Object|null}
+     */
+    getList(id) {
+        return this.getLists().find(list => list.id === id) || null;
+    }
+
+    /**
+     * 현재 리스트 id
+     * @returns {string}
+     */
+    getActiveId() {
+        return this.getIndex().activeId;
+    }
+
+    /**
+     * 현재 리스트 변경
+     * @param {string} id - 리스트 id
+     * @returns {boolean} 변경 여부
+     */
+    setActiveId(id) {
+        const index = this.getIndex();
+        if (!index.lists.some(list => list.id === id)) return false;
+
+        this.saveIndex({ ...index, activeId: id });
+        return true;
+    }
+
+    /**
+     * 리스트 문서 원문 읽기
+     * @param {string} id - 리스트 id
+     * @returns {string|null}
+     */
+    read(id) {
+        return this.storage.getItem(getDataKey(id));
+    }
+
+    /**
+     * 리스트 문서 저장 (목록의 updatedAt 갱신)
+     * @param {string} id - 리스트 id
+     * @param {Object} doc - 저장할 문서
+     */
+    write(id, doc) {
+        this.storage.setItem(getDataKey(id), JSON.stringify(doc));
+
+        const index = this.getIndex();
+        const list = index.lists.find(l => l.id === id);
+        if (list) {
+            list.updatedAt = new Date().toISOString();
+            this.saveIndex(index);
+        }
+    }
+
+    /**
+     * 리스트 문서를 현재 스키마로 읽기 (변환했으면 다시 저장)
+     * 읽을 수 없으면 원본을 백업 키로 옮기고 data는 null.
+     * 백업마저 실패하면(저장 공간 부족 등) 원본을 문서 키에 그대로 두고 backupFailed를 알림
+     * (이때 새 문서를 저장하면 하나뿐인 원본을 덮어쓰게 됨)
+     * 변환한 문서를 다시 저장하지 못해도 문서는 읽은 것이므로 data를 돌려주고 writeError로 알림
+     * @param {string} id - 리스트 id
+     * @returns {{ data: Object|null, migrated: boolean, fromVersion?: number, error?: Error, writeError?: Error, backupFailed: boolean }}
+     */
+    readDocument(id) {
+        const raw = this.read(id);
+        if (!raw) return { data: null, migrated: false, backupFailed: false };
+
+        let result;
+        try {
+            result = migrate(JSON.parse(raw));
+        } catch (error) {
+            try {
+                this.backup(id, raw);
+                return { data: null, migrated: false, error, backupFailed: false };
+            } catch (backupError) {
+                console.warn('읽을 수 없는 문서 백업 실패:', backupError);
+                return { data: null, migrated: false, error, backupFailed: true };
+            }
+        }
+
+        const { data, migrated, fromVersion } = result;
+        if (migrated) {
+            try {
+                this.write(id, data);
+            } catch (writeError) {
+                // 원본은 그대로 남아 있으므로 다음 저장 때 다시 씀
+                console.warn('변환한 문서 저장 실패:', writeError);
+                return { data, migrated, fromVersion, writeError, backupFailed: false };
+            }
+        }
+        return { data, migrated, fromVersion, backupFailed: false };
+    }
+
+    /**
+     * 읽을 수 없는 문서를 백업 키로 옮기기
+     * @param {string} id - 리스트 id
+     * @param {string} raw - 원본 문자열
+     */
+    backup(id, raw) {
+        this.storage.setItem(getBackupKey(id), raw);
+        this.storage.removeItem(getDataKey(id));
+    }
+
+    /**
+     * 새 리스트 추가 (문서는 처음 저장할 때 생성됨)
+     * @param {string} name - 리스트 이름
+     * @returns {Object} 추가된 목록 항목
+     */
+    create(name) {
+        const index = this.getIndex();
+        const entry = this.createEntry(name);
+
+        index.lists.push(entry);
+        this.saveIndex(index);
+        return { ...entry };
+    }
+
+    /**
+     * 리스트 이름 변경
+     * @param {string} id - 리스트 id
+     * @param {string} name - 새 이름
+     * @returns {boolean} 변경 여부
+     */
+    rename(id, name) {
+        const trimmed = String(name || '').trim();
+        const index = this.getIndex();
+        const list = index.lists.find(l => l.id === id);
+        if (!list || !trimmed) return false;
+
+        list.name = trimmed;
+        this.saveIndex(index);
+        return true;
+    }
+
+    /**
+     * 리스트 복제 (문서, 꾸미기, 스티커 포함)
+     * 원문을 그대로 새 키에 복사한 뒤 목록에 올림 (도중에 실패하면 복사본을 지우고 목록은 그대로)
+     * @param {string} id - 원본 리스트 id
+     * @param {string} [name] - 복제본 이름 (기본: "원본 이름 (사본)")
+     * @returns {Object|null} 추가된 목록 항목
+     * @throws {Error} 저장 공간이 부족한 경우 등
+     */
+    duplicate(id, name) {
+        const source = this.getList(id);
+        if (!source) return null;
+
+        const entry = this.createEntry(name || `${source.name} (사본)`);
+        const raw = this.read(id);
+
+        try {
+            if (raw) {
+                this.storage.setItem(getDataKey(entry.id), raw);
+                entry.updatedAt = new Date().toISOString();
+            }
+
+            const index = this.getIndex();
+            index.lists.push(entry);
+            this.saveIndex(index);
+        } catch (e) {
+            this.storage.removeItem(getDataKey(entry.id));
+            throw e;
+        }
+        return { ...entry };
+    }
+
+    /**
+     * 리스트 삭제 (마지막 남은 리스트는 삭제할 수 없음)
+     * @param {string} id - 리스트 id
+     * @returns {boolean} 삭제 여부
+     */
+    remove(id) {
+        const index = this.getIndex();
+        if (index.lists.length <= 1 || !index.lists.some(list => list.id === id)) return false;
+
+        const lists = index.lists.filter(list => list.id !== id);
+        const activeId = index.activeId === id ? lists[0].id : index.activeId;
+
+        this.storage.removeItem(getDataKey(id));
+        this.storage.removeItem(getBackupKey(id));
+        this.saveIndex({ activeId, lists });
+        return true;
+    }
+
+    /**
+     * 모든 리스트 문서와 목록 정보 삭제
+     */
+    clear() {
+        this.getIndex().lists.forEach(list => {
+            this.storage.removeItem(getDataKey(list.id));
+            this.storage.removeItem(getBackupKey(list.id));
+        });
+        this.storage.removeItem(LISTS_KEY);
+    }
+
+    /**
+     * 목록 항목 생성
+     * @param {string} name - 리스트 이름
+     * @param {string} [id] - 지정할 id
+     * @returns {Object}
+     */
+    createEntry(name, id = `list-${generateId()}`) {
+        return {
+            id,
+            name: String(name || '').trim() || DEFAULT_LIST_NAME,
+            createdAt: new Date().toISOString(),
+            updatedAt: null
+        };
+    }
+
+    /**
+     * 이전 버전 데이터의 이름으로 기본 리스트 이름 추정
+     * @returns {string}
+     */
+    guessLegacyName() {
+        try {
+            const userName = JSON.parse(this.storage.getItem(DATA_KEY))?.userName?.trim();
+            return userName ? `${userName}의 버킷리스트` : DEFAULT_LIST_NAME;
+        } catch (e) {
+            return DEFAULT_LIST_NAME;
+        }
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * 버킷리스트 데이터 모델
+ *
+ * DOM과 분리된 메모리 모델 (리스트 → 카테고리 → 항목)
+ * - 작성 화면, 결과 카드, 자동 저장, 히스토리가 모두 이 모델을 읽음
+ * - 변경 시 subscribe()로 등록한 리스너에 이벤트 전달
+ */
+
+import { SCHEMA_VERSION, BUILT_IN_CATEGORIES } from './schema.js';
+import { generateId, deepClone, toDateString } from './utils.js';
+import { groupByDeadline } from './deadline.js';
+import { computeStats } from './stats.js';
+
+
+// =========================================================================
+// 기본 문서
+// =========================================================================
+
+/**
+ * 항목 생성 (내용이 있으면 작성일 기록)
+ * @param {string} [text] - 항목 내용
+ * @returns {{ id: string, text: string, createdAt?: string }}
+ */
+export function createItem(text = '') {
+    return text.trim()
+        ? { id: generateId(), text, createdAt: toDateString() }
+        : { id: generateId(), text };
+}
+
+/**
+ * 기본 카테고리만 있는 새 문서 생성
+ * @returns {Object} 현재 스키마 버전 문서
+ */
+export function createDefaultDocument() {
+    return {
+        version: SCHEMA_VERSION,
+        userName: '',
+        birthYear: null,
+        categories: BUILT_IN_CATEGORIES.map(({ id, type, badge, title }) => ({
+            id,
+            type,
+            badge,
+            title,
+            items: [createItem()]
+        }))
+    };
+}
+
+/**
+ * 카테고리 목록에서 겹치지 않는 다음 커스텀 카테고리 id
+ * @param {Array<Object>} categories - 카테고리 목록
+ * @returns {string} custom-N
+ */
+export function nextCustomId(categories) {
+    const max = categories.reduce((acc, category) => {
+        const n = parseInt(String(category.id).replace('custom-', ''), 10);
+        return Number.isNaN(n) ? acc : Math.max(acc, n);
+    }, 0);
+    return `custom-${max + 1}`;
+}
+
+
+// =========================================================================
+// 모델
+// =========================================================================
+
+/**
+ * 버킷리스트 모델
+ *
+ * 이벤트 타입:
+ * - load, user:update
+ * - category:add, category:remove
+ * - item:add, item:update, item:remove
+ *
+ * @example
+ * const model = new BucketListModel();
+ * model.subscribe(event => console.log(event.type));
+ * model.addItem('family', '가족 여행');
+ */
+export class BucketListModel {
+    /**
+     * @param {Object} [doc] - 초기 문서 (현재 스키마 버전)
+     */
+    constructor(doc) {
+        this.listeners = new Set();
+        this.userName = '';
+        this.birthYear = null;
+        this.categories = [];
+        this.load(doc || createDefaultDocument());
+    }
+
+    /**
+     * 변경 리스너 등록
+     * @param {Function} listener - (event, model) => void
+     * @returns {Function} 등록 해제 함수
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 리스너에 이벤트 전달
+     * @param {string} type - 이벤트 타입
+     * @param {Object} [detail] - 추가 정보
+     */
+    emit(type, detail = {}) {
+        const event = { type, ...detail };
+        this.listeners.forEach(listener => listener(event, this));
+    }
+
+    /**
+     * 문서 전체 교체
+     * @param {Object} doc - 현재 스키마 버전 문서
+     */
+    load(doc) {
+        this.userName = doc.userName || '';
+        this.birthYear = Number.isInteger(doc.birthYear) ? doc.birthYear : null;
+        this.categories = deepClone(doc.categories || []).map(category => ({
+            ...category,
+            items: category.items.length > 0 ? category.items : [createItem()]
+        }));
+        this.emit('load');
+    }
+
+    /**
+     * 저장용 문서로 변환
+     * @returns {Object} { version, userName, birthYear, categories }
+     */
+    toJSON() {
+        return {
+            version: SCHEMA_VERSION,
+            userName: this.userName,
+            birthYear: this.birthYear,
+            categories: deepClone(this.categories)
+        };
+    }
+
+    /**
+     * 이름 설정
+     * @param {string} name - 사용자 이름
+     */
+    setUserName(name) {
+        this.userName = name;
+        this.emit('user:update');
+    }
+
+    /**
+     * 태어난 해 설정 ("40살 전" 같은 기한 계산용)
+     * @param {number|null} year - 태어난 해 (없으면 null)
+     */
+    setBirthYear(year) {
+        this.birthYear = Number.isInteger(year) ? year : null;
+        this.emit('user:update');
+    }
+
+    /**
+     * 카테고리 목록 (복사본)
+     * @returns {Array<Object>}
+     */
+    getCategories() {
+        return deepClone(this.categories);
+    }
+
+    /**
+     * 카테고리 조회 (복사본)
+     * @param {string} id - 카테고리 id
+     * @returns {Object|null}
+     */
+    getCategory(id) {
+        const category = this.findCategory(id);
+        return category ? deepClone(category) : null;
+    }
+
+    /**
+     * 내용이 있는 항목만 남긴 카테고리 목록 (결과 카드용)
+     * @returns {Array<Object>} 항목이 하나 이상인 카테고리
+     */
+    getFilledCategories() {
+        return this.getCategories()
+            .map(category => ({
+                ...category,
+                items: category.items
+                    .map(item => ({ ...item, text: item.text.trim() }))
+                    .filter(item => item.text)
+            }))
+            .filter(category => category.items.length > 0);
+    }
+
+    /**
+     * 카테고리 추가
+     * @param {Object} options
+     * @param {string} options.title - 카테고리 이름
+     * @param {string} [options.badge] - 배지 이모지
+     * @param {string} [options.type] - family/place/learn/custom
+     * @param {string} [options.id] - 지정할 id (없으면 custom-N)
+     * @returns {Object} 추가된 카테고리 (복사본)
+     */
+    addCategory({ title, badge = '⭐', type = 'custom', id } = {}) {
+        const category = {
+            id: id || this.nextCustomId(),
+            type,
+            badge,
+            title: title || '나만의 카테고리',
+            items: [createItem()]
+        };
+
+        this.categories.push(category);
+        this.emit('category:add', { categoryId: category.id });
+        return deepClone(category);
+    }
+
+    /**
+     * 카테고리 삭제
+     * @param {string} id - 카테고리 id
+     * @returns {boolean} 삭제 여부
+     */
+    removeCategory(id) {
+        const index = this.categories.findIndex(category => category.id === id);
+        if (index === -1) return false;
+
+        this.categories.splice(index, 1);
+        this.emit('category:remove', { categoryId: id });
+        return true;
+    }
+
+    /**
+     * 항목 추가
+     * @param {string} categoryId - 카테고리 id
+     * @param {string} [text] - 항목 내용
+     * @returns {Object|null} 추가된 항목 (복사본)
+     */
+    addItem(categoryId, text = '') {
+        const category = this.findCategory(categoryId);
+        if (!category) return null;
+
+        const item = createItem(text);
+        category.items.push(item);
+        this.emit('item:add', { categoryId, itemId: item.id });
+        return { ...item };
+    }
+
+    /**
+     * 항목 수정
+     * @param {string} categoryId - 카테고리 id
+     * @param {string} itemId - 항목 id
+     * @param {Object} changes - 변경할 필드 (id 제외)
+     * @returns {boolean} 수정 여부
+     */
+    updateItem(categoryId, itemId, changes) {
+        const item = this.findItem(categoryId, itemId);
+        if (!item) return false;
+
+        const rest = { ...changes };
+        delete rest.id;
+
+        // 빈 항목에 처음 내용을 적는 시점을 작성일로 기록
+        if (!item.createdAt && !item.text.trim() && rest.text?.trim()) {
+            rest.createdAt = toDateString();
+        }
+
+        Object.assign(item, rest);
+        this.emit('item:update', { categoryId, itemId });
+        return true;
+    }
+
+    /**
+     * 항목 달성 여부 설정
+     * @param {string} categoryId - 카테고리 id
+     * @param {string} itemId - 항목 id
+     * @param {boolean} achieved - 달성 여부
+     * @param {string} [achievedAt] - 달성일 YYYY-MM-DD (기본: 오늘)
+     * @returns {boolean} 수정 여부
+     */
+    setAchieved(categoryId, itemId, achieved, achievedAt = toDateString()) {
+        const item = this.findItem(categoryId, itemId);
+        if (!item) return false;
+
+        return this.updateItem(categoryId, itemId, {
+            achieved,
+            achievedAt: achieved ? (item.achievedAt || achievedAt) : null
+        });
+    }
+
+    /**
+     * 달성 현황 (내용이 있는 항목 기준)
+     * @returns {{ total: number, achieved: number, categories: Array<Object> }}
+     *   categories: [{ id, title, total, achieved }]
+     */
+    getCompletion() {
+        const categories = this.getFilledCategories().map(category => ({
+            id: category.id,
+            title: category.title,
+            total: category.items.length,
+            achieved: category.items.filter(item => item.achieved).length
+        }));
+
+        return {
+            total: categories.reduce((sum, c) => sum + c.total, 0),
+            achieved: categories.reduce((sum, c) => sum + c.achieved, 0),
+            categories
+        };
+    }
+
+    /**
+     * 진행 현황 대시보드 통계 (내용이 있는 항목 기준)
+     * @param {Date} [now] - 기준 시각
+     * @returns {Object} computeStats() 결과
+     */
+    getStats(now = new Date()) {
+        return computeStats(this.getFilledCategories(), { birthYear: this.birthYear, now });
+    }
+
+    /**
+     * 마감순 보기용 그룹 (내용이 있는 항목 기준)
+     * @param {Date} [now] - 기준 시각
+     * @returns {Array<Object>} [{ id, title, entries: [{ item, category, due }] }]
+     */
+    getDeadlineGroups(now = new Date()) {
+        return groupByDeadline(this.getFilledCategories(), { birthYear: this.birthYear, now });
+    }
+
+    /**
+     * 항목 삭제 (마지막 항목이면 내용만 비움)
+     * @param {string} categoryId - 카테고리 id
+     * @param {string} itemId - 항목 id
+     * @returns {boolean} 삭제 여부
+     */
+    removeItem(categoryId, itemId) {
+        const category = this.findCategory(categoryId);
+        if (!category) return false;
+
+        const index = category.items.findIndex(item => item.id === itemId);
+        if (index === -1) return false;
+
+        if (category.items.length > 1) {
+            category.items.splice(index, 1);
+        } else {
+            category.items[index] = { id: itemId, text: '' };
+        }
+
+        this.emit('item:remove', { categoryId, itemId });
+        return true;
+    }
+
+    /**
+     * 다음 커스텀 카테고리 id
+     * @returns {string} custom-N
+     */
+    nextCustomId() {
+        return nextCustomId(this.categories);
+    }
+
+    /**
+     * 내부 카테고리 참조 조회
+     * @param {string} id - 카테고리 id
+     * @returns {Object|undefined}
+     */
+    findCategory(id) {
+        return this.categories.find(category => category.id === id);
+    }
+
+    /**
+     * 내부 항목 참조 조회
+     * @param {string} categoryId - 카테고리 id
+     * @param {string} itemId - 항목 id
+     * @returns {Object|undefined}
+     */
+    findItem(categoryId, itemId) {
+        return this.findCategory(categoryId)?.items.find(item => item.id === itemId);
+    }
+}
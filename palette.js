@@ -0,0 +1,124 @@
+/**
+ * 색상 팔레트 모듈
+ *
+ * 색 하나(직접 고르거나 사진에서 뽑은 색)로 결과 카드의 헤더/배경/글자/강조 색상을 만듭니다.
+ * - 보색: 배경과 강조를 반대편 색상으로
+ * - 유사색: 색상환에서 30도 옆의 색으로
+ * - 단색: 같은 색상의 밝기/채도만 바꿔서
+ * 헤더는 흰 제목 글자가, 본문은 글자 색상이 읽히도록 대비 기준을 맞춥니다.
+ */
+
+import { hexToHsl, hslToHex, fixTextColor, toHex, WCAG_AA_LARGE } from './contrast.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 팔레트 방식
+ * bgHue/accentHue는 씨앗 색상에서 돌리는 각도
+ */
+export const PALETTE_SCHEMES = {
+    complementary: { label: '보색', bgHue: 180, bgSaturation: 0.45, accentHue: 180 },
+    analogous: { label: '유사색', bgHue: 30, bgSaturation: 0.55, accentHue: -30 },
+    monochrome: { label: '단색', bgHue: 0, bgSaturation: 0.35, accentHue: 0 }
+};
+
+export const DEFAULT_SCHEME = 'complementary';
+
+// 헤더 제목 글자 색 (result-banner는 흰 글자)
+const BANNER_TEXT = '#FFFFFF';
+
+// 사진에서 색을 뽑을 때 색상 구간 수와 무시할 채도/밝기
+const HUE_BUCKETS = 24;
+const MIN_SATURATION = 0.2;
+const MIN_LIGHTNESS = 0.1;
+const MAX_LIGHTNESS = 0.92;
+
+
+// =========================================================================
+// 팔레트 만들기
+// =========================================================================
+
+/**
+ * 씨앗 색상으로 카드 팔레트 만들기
+ * @param {string} seed - '#RRGGBB'
+ * @param {string} [scheme='complementary'] - PALETTE_SCHEMES 키
+ * @returns {{ header: string, bg: string, text: string, accent: string }}
+ * @throws {Error} 색상 형식이 아닌 경우
+ *
+ * @example
+ * generatePalette('#1E6091', 'analogous');
+ * // { header: '#1E6091', bg: '#EBECF9', text: '#1B2832', accent: '#16988F' }
+ */
+export function generatePalette(seed, scheme = DEFAULT_SCHEME) {
+    const options = PALETTE_SCHEMES[scheme] || PALETTE_SCHEMES[DEFAULT_SCHEME];
+    const [h, s, l] = hexToHsl(seed);
+
+    // 무채색은 회색 팔레트로, 나머지는 너무 탁하지 않게 채도를 조금 올림
+    const saturation = s < 0.05 ? 0 : Math.max(s, 0.25);
+
+    // 헤더: 씨앗 색 그대로, 흰 제목이 안 읽히면 어둡게
+    const header = fixTextColor(hslToHex([h, saturation, Math.min(l, 0.6)]), BANNER_TEXT, WCAG_AA_LARGE);
+
+    const bg = hslToHex([
+        h + options.bgHue,
+        Math.min(saturation, options.bgSaturation),
+        0.95
+    ]);
+
+    const text = fixTextColor(hslToHex([h, Math.min(saturation, 0.3), 0.15]), bg);
+
+    const accent = fixTextColor(hslToHex([
+        h + options.accentHue,
+        Math.min(saturation + 0.1, 0.75),
+        scheme === 'monochrome' ? 0.6 : 0.45
+    ]), bg, WCAG_AA_LARGE);
+
+    return { header, bg, text, accent };
+}
+
+
+// =========================================================================
+// 사진에서 색 뽑기
+// =========================================================================
+
+/**
+ * 사진 픽셀에서 대표 색상 뽑기
+ * 채도가 있는 픽셀을 색상 구간으로 나눠 가장 많은(채도 가중) 구간의 평균색을 고름
+ * @param {Uint8ClampedArray|number[]} pixels - RGBA 순서 (ImageData.data)
+ * @returns {string|null} '#RRGGBB' (보이는 픽셀이 없으면 null)
+ */
+export function extractSeedColor(pixels) {
+    const buckets = Array.from({ length: HUE_BUCKETS }, () => ({ weight: 0, r: 0, g: 0, b: 0 }));
+    const average = { count: 0, r: 0, g: 0, b: 0 };
+
+    for (let i = 0; i + 3 < pixels.length; i += 4) {
+        const [r, g, b, a] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+        if (a < 128) continue;
+
+        average.count++;
+        average.r += r;
+        average.g += g;
+        average.b += b;
+
+        const [h, s, l] = hexToHsl(toHex([r, g, b]));
+        if (s < MIN_SATURATION || l < MIN_LIGHTNESS || l > MAX_LIGHTNESS) continue;
+
+        const bucket = buckets[Math.floor(h / (360 / HUE_BUCKETS)) % HUE_BUCKETS];
+        bucket.weight += s;
+        bucket.r += r * s;
+        bucket.g += g * s;
+        bucket.b += b * s;
+    }
+
+    if (average.count === 0) return null;
+
+    const best = buckets.reduce((a, b) => (b.weight > a.weight ? b : a));
+    if (best.weight === 0) {
+        // 흑백 사진 등 채도 있는 픽셀이 없으면 평균색
+        return toHex([average.r, average.g, average.b].map(v => v / average.count));
+    }
+    return toHex([best.r, best.g, best.b].map(v => v / best.weight));
+}
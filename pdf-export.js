@@ -0,0 +1,961 @@
+/**
+ * PDF 내보내기 모듈
+ *
+ * 결과 카드를 A4/Letter 크기의 벡터 PDF로 만듭니다.
+ * 서버나 외부 라이브러리 없이 PDF 문법을 직접 써서 오프라인에서도 동작합니다.
+ * - 글자: PDF 뷰어에 내장된 한글 표준 폰트(HYGoThic / HYSMyeongJo)를 참조 (폰트 파일은 넣지 않음)
+ * - 이모지: 한글 폰트에 없으므로 앱이 넘겨준 래스터 이미지로 그림
+ * - QR 코드 스티커: 모듈을 사각형으로 그려 확대해도 선명하게 인쇄
+ * - 긴 리스트는 여러 쪽으로 나누고, 둘째 쪽부터 머리글과 이어지는 카테고리 제목을 반복
+ */
+
+import { formatDate } from './utils.js';
+import { getItemMeta } from './text-export.js';
+import { encodeQR, getDarkRuns, QR_QUIET_ZONE, QR_STICKER_ECC } from './qr.js';
+import { normalizeStickerScale, normalizeStickerRotation, toPixelPosition } from './stickers.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 용지 크기 (pt, 1pt = 1/72inch)
+ */
+export const PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'Letter', width: 612, height: 792 }
+};
+
+/**
+ * 앱 폰트 → PDF 표준 한글 폰트
+ * 웹 폰트(Gaegu, Jua 등)는 파일에 넣을 수 없어 가장 가까운 계열로 대체
+ */
+export const PDF_FONTS = {
+    default: 'HYGoThic-Medium',
+    cute: 'HYGoThic-Medium',
+    round: 'HYGoThic-Medium',
+    handwriting: 'HYSMyeongJo-Medium'
+};
+
+/**
+ * 결과 카드 기본 색상 (style.css :root와 동일)
+ */
+const COLORS = {
+    page: '#FFFFFF',
+    header: '#D45D3F',
+    bg: '#FFFFFF',
+    text: '#1A1A1A',
+    sage: '#4A8B6A',
+    muted: '#505050',
+    error: '#C53030',
+    success: '#2F855A',
+    white: '#FFFFFF'
+};
+
+/**
+ * 프레임별 카드 모서리 반지름 (왼쪽 위, 오른쪽 위, 오른쪽 아래, 왼쪽 아래)
+ */
+const FRAME_RADII = {
+    modern: [24, 8, 24, 8],
+    rounded: [30, 30, 30, 30],
+    ticket: [16, 16, 16, 16],
+    polaroid: [4, 4, 4, 4],
+    stamp: [0, 0, 0, 0]
+};
+
+/**
+ * 레이아웃 치수 (pt)
+ */
+const LAYOUT = {
+    margin: 36,
+    padding: 24,
+    bannerHeight: 112,
+    continuedHeight: 44,
+    summaryHeight: 28,
+    sectionHeaderHeight: 32,
+    sectionGap: 16,
+    itemGap: 6,
+    itemPadding: 8,
+    textSize: 11,
+    lineHeight: 16,
+    metaSize: 8.5,
+    metaLineHeight: 12,
+    footerHeight: 40,
+    polaroidExtra: 28,
+    stickerSize: 30
+};
+
+/**
+ * 결과 카드 기본 너비 (px, 스티커 위치 환산용)
+ */
+const DEFAULT_CARD_WIDTH = 600;
+
+/**
+ * 이모지 묶음 (국기, 피부색, ZWJ 조합 포함)
+ */
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*)*/gu;
+
+
+// =========================================================================
+// 색상 / 글자 측정
+// =========================================================================
+
+/**
+ * #RRGGBB → [r, g, b] (0~1)
+ * @param {string} hex - 색상 코드
+ * @param {string} [fallback] - 잘못된 값일 때 사용할 색상
+ * @returns {Array<number>}
+ */
+export function hexToRgb(hex, fallback = '#000000') {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || '').trim()) || /^#?([0-9a-f]{6})$/i.exec(fallback);
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+}
+
+/**
+ * 두 색상 섞기
+ * @param {Array<number>} from - 기준 색상
+ * @param {Array<number>} to - 섞을 색상
+ * @param {number} amount - to의 비율 (0~1)
+ * @returns {Array<number>}
+ */
+export function mixColor(from, to, amount) {
+    return from.map((c, i) => c + (to[i] - c) * amount);
+}
+
+/**
+ * 글자와 이모지 구간 나누기
+ * @param {string} text - 원문
+ * @returns {Array<{ text: string, emoji: boolean }>}
+ *
+ * @example
+ * splitEmoji('🌍 세계 여행');
+ * // [{ text: '🌍', emoji: true }, { text: ' 세계 여행', emoji: false }]
+ */
+export function splitEmoji(text) {
+    const segments = [];
+    const source = String(text || '');
+    let last = 0;
+
+    const pushText = value => {
+        const cleaned = value.replace(/[\uFE0F\u200D]/g, '');
+        if (cleaned) segments.push({ text: cleaned, emoji: false });
+    };
+
+    for (const match of source.matchAll(EMOJI_PATTERN)) {
+        pushText(source.slice(last, match.index));
+        segments.push({ text: match[0], emoji: true });
+        last = match.index + match[0].length;
+    }
+    pushText(source.slice(last));
+
+    return segments;
+}
+
+/**
+ * 글자 하나의 너비 (반각 영문/숫자 0.5em, 한글 등 전각 1em)
+ */
+function charWidth(char, size) {
+    const code = char.codePointAt(0);
+    return code >= 0x20 && code <= 0x7E ? size * 0.5 : size;
+}
+
+/**
+ * 글자/이모지 단위로 쪼개기 (줄바꿈 계산용)
+ */
+function toUnits(text) {
+    return splitEmoji(text).flatMap(segment =>
+        segment.emoji ? [segment] : Array.from(segment.text).map(char => ({ text: char, emoji: false }))
+    );
+}
+
+function unitWidth(unit, size) {
+    return unit.emoji ? size : charWidth(unit.text, size);
+}
+
+/**
+ * 글자 너비 계산 (이모지는 1em)
+ * @param {string} text - 원문
+ * @param {number} size - 글자 크기 (pt)
+ * @returns {number} 너비 (pt)
+ */
+export function measureText(text, size) {
+    return toUnits(text).reduce((sum, unit) => sum + unitWidth(unit, size), 0);
+}
+
+/**
+ * 너비에 맞춰 줄 나누기 (가능하면 띄어쓰기에서 나눔)
+ * @param {string} text - 원문
+ * @param {number} size - 글자 크기 (pt)
+ * @param {number} maxWidth - 최대 너비 (pt)
+ * @returns {Array<string>} 한 줄 이상
+ */
+export function wrapText(text, size, maxWidth) {
+    const lines = [];
+    let line = [];
+    let width = 0;
+
+    const flush = units => lines.push(units.map(unit => unit.text).join('').trimEnd());
+
+    toUnits(String(text || '').replace(/\s+/g, ' ').trim()).forEach(unit => {
+        const advance = unitWidth(unit, size);
+
+        if (line.length > 0 && unit.text !== ' ' && width + advance > maxWidth) {
+            const lastSpace = line.map(u => u.text).lastIndexOf(' ');
+            const carry = lastSpace > 0 ? line.splice(lastSpace).slice(1) : [];
+            flush(line);
+            line = carry;
+            width = carry.reduce((sum, u) => sum + unitWidth(u, size), 0);
+        }
+
+        if (line.length === 0 && unit.text === ' ') return;
+        line.push(unit);
+        width += advance;
+    });
+
+    if (line.length > 0 || lines.length === 0) flush(line);
+    return lines;
+}
+
+
+// =========================================================================
+// PDF 작성기
+// =========================================================================
+
+/**
+ * PDF 숫자 표기 (소수점 둘째 자리까지)
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * 색상 연산자 인자 "r g b"
+ */
+function rgb(color) {
+    return color.map(num).join(' ');
+}
+
+/**
+ * UTF-16BE 16진 문자열 (한글 폰트 인코딩 UniKS-UCS2-H / 문서 정보용)
+ */
+function toUtf16Hex(text) {
+    return Array.from(text, char => {
+        const code = char.codePointAt(0);
+        // BMP 밖의 글자는 표준 폰트에 없으므로 물음표로 표시
+        return (code > 0xFFFF ? 0x3F : code).toString(16).padStart(4, '0');
+    }).join('').toUpperCase();
+}
+
+/**
+ * 문자열 → 바이트 (PDF 구문은 ASCII만 사용)
+ */
+function toBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+/**
+ * PDF 쪽 하나 (좌표는 왼쪽 위 기준, pt)
+ */
+class PdfPage {
+    /**
+     * @param {number} width - 쪽 너비
+     * @param {number} height - 쪽 높이
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.ops = [];
+    }
+
+    /**
+     * 둥근 사각형 경로
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     * @param {Array<number>|number} [radius=0] - 모서리 반지름 (왼쪽 위부터 시계 방향)
+     */
+    pathRect(x, y, w, h, radius = 0) {
+        const [tl, tr, br, bl] = (Array.isArray(radius) ? radius : [radius, radius, radius, radius])
+            .map(r => Math.max(0, Math.min(r, w / 2, h / 2)));
+        const k = 0.5523;
+        const top = this.height - y;
+        const bottom = top - h;
+        const right = x + w;
+
+        this.ops.push(
+            `${num(x + tl)} ${num(top)} m`,
+            `${num(right - tr)} ${num(top)} l`,
+            tr ? `${num(right - tr + tr * k)} ${num(top)} ${num(right)} ${num(top - tr + tr * k)} ${num(right)} ${num(top - tr)} c` : '',
+            `${num(right)} ${num(bottom + br)} l`,
+            br ? `${num(right)} ${num(bottom + br - br * k)} ${num(right - br + br * k)} ${num(bottom)} ${num(right - br)} ${num(bottom)} c` : '',
+            `${num(x + bl)} ${num(bottom)} l`,
+            bl ? `${num(x + bl - bl * k)} ${num(bottom)} ${num(x)} ${num(bottom + bl - bl * k)} ${num(x)} ${num(bottom + bl)} c` : '',
+            `${num(x)} ${num(top - tl)} l`,
+            tl ? `${num(x)} ${num(top - tl + tl * k)} ${num(x + tl - tl * k)} ${num(top)} ${num(x + tl)} ${num(top)} c` : '',
+            'h'
+        );
+        this.ops = this.ops.filter(Boolean);
+    }
+
+    /**
+     * 원 경로
+     */
+    pathCircle(cx, cy, r) {
+        const k = 0.5523 * r;
+        const y = this.height - cy;
+        this.ops.push(
+            `${num(cx + r)} ${num(y)} m`,
+            `${num(cx + r)} ${num(y + k)} ${num(cx + k)} ${num(y + r)} ${num(cx)} ${num(y + r)} c`,
+            `${num(cx - k)} ${num(y + r)} ${num(cx - r)} ${num(y + k)} ${num(cx - r)} ${num(y)} c`,
+            `${num(cx - r)} ${num(y - k)} ${num(cx - k)} ${num(y - r)} ${num(cx)} ${num(y - r)} c`,
+            `${num(cx + k)} ${num(y - r)} ${num(cx + r)} ${num(y - k)} ${num(cx + r)} ${num(y)} c`,
+            'h'
+        );
+    }
+
+    /**
+     * 경로 칠하기/선 긋기
+     * @param {Object} style - { fill, stroke, lineWidth, dash }
+     */
+    paint({ fill, stroke, lineWidth = 1, dash } = {}) {
+        if (fill) this.ops.push(`${rgb(fill)} rg`);
+        if (stroke) this.ops.push(`${rgb(stroke)} RG`, `${num(lineWidth)} w`, dash ? `[${dash.map(num).join(' ')}] 0 d` : '[] 0 d');
+        this.ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    }
+
+    /**
+     * 사각형 그리기
+     */
+    rect(x, y, w, h, { radius = 0, ...style } = {}) {
+        this.pathRect(x, y, w, h, radius);
+        this.paint(style);
+    }
+
+    /**
+     * 원 그리기
+     */
+    circle(cx, cy, r, style) {
+        this.pathCircle(cx, cy, r);
+        this.paint(style);
+    }
+
+    /**
+     * 꺾은선 그리기
+     * @param {Array<Array<number>>} points - [[x, y], ...]
+     */
+    polyline(points, { color, lineWidth = 1, close = false, fill = false } = {}) {
+        points.forEach(([x, y], index) => {
+            this.ops.push(`${num(x)} ${num(this.height - y)} ${index === 0 ? 'm' : 'l'}`);
+        });
+        if (close) this.ops.push('h');
+        if (fill) {
+            this.ops.push(`${rgb(color)} rg`, 'f');
+        } else {
+            this.ops.push(`${rgb(color)} RG`, `${num(lineWidth)} w`, '1 J 1 j [] 0 d', 'S');
+        }
+    }
+
+    /**
+     * 글자 쓰기 (이모지를 뺀 글자만, y는 기준선)
+     */
+    text(value, x, y, { font, size, color }) {
+        if (!value) return;
+        this.ops.push(
+            'BT',
+            `/${font} ${num(size)} Tf`,
+            `${rgb(color)} rg`,
+            `${num(x)} ${num(this.height - y)} Td`,
+            `<${toUtf16Hex(value)}> Tj`,
+            'ET'
+        );
+    }
+
+    /**
+     * 점 (cx, cy)를 기준으로 돌려서 그리기
+     * @param {number} degrees - 시계 방향 각도
+     * @param {number} cx
+     * @param {number} cy
+     * @param {Function} draw - () => void, 이 쪽에 그리는 함수
+     */
+    rotated(degrees, cx, cy, draw) {
+        if (!degrees) {
+            draw();
+            return;
+        }
+
+        // PDF 좌표는 y가 위로 커지므로 시계 방향이 음수
+        const rad = -degrees * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const y = this.height - cy;
+        this.ops.push(
+            'q',
+            `${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} ${num(cx - cx * cos + y * sin)} ${num(y - cx * sin - y * cos)} cm`
+        );
+        draw();
+        this.ops.push('Q');
+    }
+
+    /**
+     * 이미지 그리기
+     * @param {string} name - PdfWriter.addImage()가 돌려준 이름
+     * @param {string} [state] - PdfWriter.addOpacity()가 돌려준 이름
+     */
+    image(name, x, y, w, h, state) {
+        this.ops.push(
+            'q',
+            state ? `/${state} gs` : '',
+            `${num(w)} 0 0 ${num(h)} ${num(x)} ${num(this.height - y - h)} cm`,
+            `/${name} Do`,
+            'Q'
+        );
+        this.ops = this.ops.filter(Boolean);
+    }
+}
+
+/**
+ * 최소 PDF 작성기
+ * - 쪽, 한글 표준 폰트, RGBA 이미지, 투명도만 지원
+ *
+ * @example
+ * const pdf = new PdfWriter({ title: '나의 버킷리스트' });
+ * const font = pdf.addFont('HYGoThic-Medium');
+ * const page = pdf.addPage(595.28, 841.89);
+ * page.text('안녕하세요', 72, 72, { font, size: 12, color: [0, 0, 0] });
+ * const bytes = pdf.toBytes();
+ */
+export class PdfWriter {
+    /**
+     * @param {Object} [info]
+     * @param {string} [info.title] - 문서 제목
+     * @param {Date} [info.now] - 만든 시각
+     */
+    constructor({ title = '', now = new Date() } = {}) {
+        this.title = title;
+        this.now = now;
+        this.pages = [];
+        this.fonts = new Map();
+        this.images = new Map();
+        this.opacities = new Map();
+    }
+
+    /**
+     * 한글 표준 폰트 등록
+     * @param {string} baseFont - HYGoThic-Medium | HYSMyeongJo-Medium
+     * @returns {string} 리소스 이름
+     */
+    addFont(baseFont) {
+        if (!this.fonts.has(baseFont)) {
+            this.fonts.set(baseFont, `F${this.fonts.size + 1}`);
+        }
+        return this.fonts.get(baseFont);
+    }
+
+    /**
+     * RGBA 이미지 등록 (같은 key는 한 번만 저장)
+     * @param {string} key - 이미지 구분 값
+     * @param {{ width: number, height: number, data: Uint8ClampedArray }} raster - RGBA 픽셀
+     * @returns {string} 리소스 이름
+     */
+    addImage(key, raster) {
+        if (!this.images.has(key)) {
+            this.images.set(key, { name: `I${this.images.size + 1}`, raster });
+        }
+        return this.images.get(key).name;
+    }
+
+    /**
+     * 투명도 상태 등록
+     * @param {number} alpha - 0~1
+     * @returns {string} 리소스 이름
+     */
+    addOpacity(alpha) {
+        const key = num(alpha);
+        if (!this.opacities.has(key)) {
+            this.opacities.set(key, `GS${this.opacities.size + 1}`);
+        }
+        return this.opacities.get(key);
+    }
+
+    /**
+     * 쪽 추가
+     * @param {number} width - 너비 (pt)
+     * @param {number} height - 높이 (pt)
+     * @returns {PdfPage}
+     */
+    addPage(width, height) {
+        const page = new PdfPage(width, height);
+        this.pages.push(page);
+        return page;
+    }
+
+    /**
+     * PDF 파일 바이트 생성
+     * @returns {Uint8Array}
+     */
+    toBytes() {
+        const objects = [];
+        const reserve = () => objects.push(null);
+        const define = (id, ...chunks) => {
+            objects[id - 1] = chunks;
+        };
+        const stream = (dict, bytes) => [`<< ${dict} /Length ${bytes.length} >>\nstream\n`, bytes, '\nendstream'];
+
+        const catalogId = reserve();
+        const pagesId = reserve();
+
+        const fontRefs = [...this.fonts].map(([baseFont, name]) => {
+            const fontId = reserve();
+            const cidFontId = reserve();
+            const descriptorId = reserve();
+
+            define(fontId, `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont}-UniKS-UCS2-H /Encoding /UniKS-UCS2-H /DescendantFonts [${cidFontId} 0 R] >>`);
+            define(cidFontId, `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${baseFont} /CIDSystemInfo << /Registry (Adobe) /Ordering (Korea1) /Supplement 1 >> /FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`);
+            define(descriptorId, `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 6 /FontBBox [0 -148 1001 880] /ItalicAngle 0 /Ascent 880 /Descent -148 /CapHeight 880 /StemV 91 >>`);
+            return `/${name} ${fontId} 0 R`;
+        });
+
+        const imageRefs = [...this.images.values()].map(({ name, raster }) => {
+            const { width, height, data } = raster;
+            const color = new Uint8Array(width * height * 3);
+            const alpha = new Uint8Array(width * height);
+            for (let i = 0; i < width * height; i++) {
+                color[i * 3] = data[i * 4];
+                color[i * 3 + 1] = data[i * 4 + 1];
+                color[i * 3 + 2] = data[i * 4 + 2];
+                alpha[i] = data[i * 4 + 3];
+            }
+
+            const maskId = reserve();
+            const imageId = reserve();
+            define(maskId, ...stream(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8`, alpha));
+            define(imageId, ...stream(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /SMask ${maskId} 0 R`, color));
+            return `/${name} ${imageId} 0 R`;
+        });
+
+        const stateRefs = [...this.opacities].map(([alpha, name]) => `/${name} << /Type /ExtGState /ca ${alpha} /CA ${alpha} >>`);
+
+        const resources = [
+            `/Font << ${fontRefs.join(' ')} >>`,
+            imageRefs.length ? `/XObject << ${imageRefs.join(' ')} >>` : '',
+            stateRefs.length ? `/ExtGState << ${stateRefs.join(' ')} >>` : ''
+        ].filter(Boolean).join(' ');
+
+        const pageIds = this.pages.map(page => {
+            const contentId = reserve();
+            const pageId = reserve();
+            define(contentId, ...stream('', toBytes(page.ops.join('\n'))));
+            define(pageId, `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Resources << ${resources} >> /Contents ${contentId} 0 R >>`);
+            return pageId;
+        });
+
+        define(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+        define(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+        const pad = n => String(n).padStart(2, '0');
+        const date = `D:${this.now.getFullYear()}${pad(this.now.getMonth() + 1)}${pad(this.now.getDate())}${pad(this.now.getHours())}${pad(this.now.getMinutes())}${pad(this.now.getSeconds())}`;
+        const infoId = reserve();
+        define(infoId, `<< /Title <FEFF${toUtf16Hex(this.title)}> /Producer (bucket-list2) /CreationDate (${date}) >>`);
+
+        // 본문 조립 (xref에 각 객체의 바이트 위치 기록)
+        const chunks = [toBytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let length = chunks[0].length;
+        const offsets = objects.map((parts, index) => {
+            const offset = length;
+            [`${index + 1} 0 obj\n`, ...parts, '\nendobj\n'].forEach(part => {
+                const bytes = typeof part === 'string' ? toBytes(part) : part;
+                chunks.push(bytes);
+                length += bytes.length;
+            });
+            return offset;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n') + '\n';
+        chunks.push(toBytes(xref));
+
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let position = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, position);
+            position += chunk.length;
+        });
+        return result;
+    }
+}
+
+
+// =========================================================================
+// 결과 카드 레이아웃
+// =========================================================================
+
+/**
+ * QR 코드 그리기 (흰 배경 + 검은 모듈, 여백 포함)
+ * @param {PdfPage} page
+ * @param {string} value - 담을 내용
+ * @param {number} x - 왼쪽 (pt)
+ * @param {number} y - 위쪽 (pt)
+ * @param {number} size - 한 변 (pt)
+ */
+function drawQrCode(page, value, x, y, size) {
+    let qr;
+    try {
+        qr = encodeQR(value, { ecc: QR_STICKER_ECC });
+    } catch (e) {
+        console.warn('QR 코드 생성 실패:', e);
+        return;
+    }
+
+    const unit = size / (qr.size + QR_QUIET_ZONE * 2);
+    page.rect(x, y, size, size, { fill: hexToRgb(COLORS.white) });
+
+    getDarkRuns(qr).forEach(run => {
+        page.pathRect(x + run.x * unit, y + run.y * unit, run.width * unit, unit);
+    });
+    page.paint({ fill: hexToRgb('#000000') });
+}
+
+/**
+ * 결과 카드 PDF 만들기
+ * @param {Object} data - buildResultData() 결과
+ * @param {Object} [options]
+ * @param {string} [options.pageSize='a4'] - 'a4' | 'letter'
+ * @param {Object} [options.customization] - 꾸미기 설정 (headerColor, bgColor, textColor, font, frame)
+ * @param {Array<Object>} [options.stickers] - 스티커 [{ emoji, x, y, scale?, rotation? }]
+ *   또는 QR 코드 [{ type: 'qr', value, size, x, y, ... }], 이미지 [{ type: 'image', imageId, size, x, y, ... }]
+ *   (x/y는 카드에 대한 0~1 비율, 배열 순서대로 겹쳐 그림)
+ * @param {Object} [options.stickerImages] - 이미지 id → { width, height, data } (없는 이미지 스티커는 그리지 않음)
+ * @param {number} [options.cardWidth=600] - 화면의 결과 카드 너비 (px, 스티커 크기 환산용)
+ * @param {Function} [options.rasterize] - (emoji) => { width, height, data } | null
+ *   이모지 래스터 이미지 (없으면 이모지를 그리지 않음)
+ * @param {string} [options.footer] - 마지막 쪽 하단 문구
+ * @returns {Uint8Array} PDF 파일 바이트
+ */
+export function createResultPdf(data, options = {}) {
+    const {
+        pageSize = 'a4',
+        customization = {},
+        stickers = [],
+        stickerImages = {},
+        cardWidth = DEFAULT_CARD_WIDTH,
+        rasterize = null,
+        footer = '꿈을 적는 순간, 그 꿈은 목표가 됩니다 ✨'
+    } = options;
+
+    const size = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const frame = FRAME_RADII[customization.frame] ? customization.frame : 'modern';
+    const pdf = new PdfWriter({ title: data.title, now: data.now });
+    const font = pdf.addFont(PDF_FONTS[customization.font] || PDF_FONTS.default);
+
+    // 색상 (밤하늘처럼 어두운 배경도 읽히도록 배경/글자색을 섞어서 만듦)
+    const header = hexToRgb(customization.headerColor, COLORS.header);
+    const bg = hexToRgb(customization.bgColor, COLORS.bg);
+    const text = hexToRgb(customization.textColor, COLORS.text);
+    const white = hexToRgb(COLORS.white);
+    const sage = hexToRgb(COLORS.sage);
+    const palette = {
+        header,
+        bg,
+        text,
+        muted: mixColor(text, bg, 0.35),
+        line: mixColor(bg, text, 0.12),
+        item: mixColor(bg, text, 0.04),
+        achieved: mixColor(bg, sage, 0.15),
+        sage,
+        error: hexToRgb(COLORS.error),
+        bannerText: white,
+        bannerMuted: mixColor(white, header, 0.3),
+        page: hexToRgb(COLORS.page)
+    };
+
+    const card = {
+        x: LAYOUT.margin,
+        y: LAYOUT.margin,
+        width: size.width - LAYOUT.margin * 2,
+        height: size.height - LAYOUT.margin * 2
+    };
+    const inner = {
+        x: card.x + LAYOUT.padding,
+        width: card.width - LAYOUT.padding * 2,
+        bottom: card.y + card.height - LAYOUT.padding - (frame === 'polaroid' ? LAYOUT.polaroidExtra : 0)
+    };
+
+    // 이모지 이미지 (래스터가 없으면 자리만 비움)
+    const emojiImages = new Map();
+    const emojiImage = emoji => {
+        if (!rasterize) return null;
+        if (!emojiImages.has(emoji)) {
+            let name = null;
+            try {
+                const raster = rasterize(emoji);
+                name = raster ? pdf.addImage(emoji, raster) : null;
+            } catch (e) {
+                console.warn('이모지 이미지 생성 실패:', e);
+            }
+            emojiImages.set(emoji, name);
+        }
+        return emojiImages.get(emoji);
+    };
+
+    /**
+     * 글자 + 이모지 한 줄 쓰기 (y는 기준선)
+     * @returns {number} 쓴 너비
+     */
+    const drawText = (page, value, x, y, { size: fontSize, color = text, align = 'left', opacity }) => {
+        const width = measureText(value, fontSize);
+        let cursor = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+
+        splitEmoji(value).forEach(segment => {
+            if (segment.emoji) {
+                const image = emojiImage(segment.text);
+                if (image) {
+                    page.image(image, cursor, y - fontSize * 0.85, fontSize, fontSize, opacity ? pdf.addOpacity(opacity) : undefined);
+                }
+                cursor += fontSize;
+            } else {
+                page.text(segment.text, cursor, y, { font, size: fontSize, color });
+                cursor += measureText(segment.text, fontSize);
+            }
+        });
+
+        return width;
+    };
+
+    // ---------------------------------------------------------------------
+    // 카드 / 머리글
+    // ---------------------------------------------------------------------
+
+    const drawCard = page => {
+        const radius = FRAME_RADII[frame];
+        page.rect(card.x, card.y, card.width, card.height, { radius, fill: bg, stroke: palette.line, lineWidth: 0.75 });
+
+        if (frame === 'ticket') {
+            page.circle(card.x + card.width / 2, card.y, 12, { fill: palette.page });
+            page.circle(card.x + card.width / 2, card.y + card.height, 12, { fill: palette.page });
+        } else if (frame === 'stamp') {
+            const step = 14;
+            for (let x = card.x + step / 2; x < card.x + card.width; x += step) {
+                page.circle(x, card.y, 4, { fill: palette.page });
+                page.circle(x, card.y + card.height, 4, { fill: palette.page });
+            }
+            for (let y = card.y + step / 2; y < card.y + card.height; y += step) {
+                page.circle(card.x, y, 4, { fill: palette.page });
+                page.circle(card.x + card.width, y, 4, { fill: palette.page });
+            }
+        } else if (frame === 'polaroid') {
+            drawText(page, '📷', card.x + card.width / 2, card.y + card.height - 12, { size: 14, align: 'center', opacity: 0.5 });
+        }
+    };
+
+    const drawBanner = (page, height) => {
+        const [tl, tr] = FRAME_RADII[frame];
+        const inset = frame === 'stamp' ? 8 : 0;
+        page.rect(card.x + inset, card.y + inset, card.width - inset * 2, height - inset, { radius: [tl, tr, 0, 0], fill: header });
+    };
+
+    const drawFirstHeader = page => {
+        drawBanner(page, LAYOUT.bannerHeight);
+        drawText(page, '🪣', card.x + card.width - 28, card.y + LAYOUT.bannerHeight / 2 + 26, { size: 64, align: 'right', opacity: 0.2 });
+        drawText(page, '🪣 나의 버킷리스트', inner.x, card.y + 46, { size: 22, color: palette.bannerText });
+        drawText(page, data.title, inner.x, card.y + 72, { size: 13, color: palette.bannerText });
+        drawText(page, `작성일: ${formatDate(data.now)}`, inner.x, card.y + 92, { size: 10, color: palette.bannerMuted });
+        return card.y + LAYOUT.bannerHeight;
+    };
+
+    const drawContinuedHeader = page => {
+        drawBanner(page, LAYOUT.continuedHeight);
+        drawText(page, `🪣 ${data.title}`, inner.x, card.y + 28, { size: 12, color: palette.bannerText });
+        drawText(page, '(계속)', inner.x + inner.width, card.y + 28, { size: 10, color: palette.bannerMuted, align: 'right' });
+        return card.y + LAYOUT.continuedHeight;
+    };
+
+    // ---------------------------------------------------------------------
+    // 섹션 / 항목
+    // ---------------------------------------------------------------------
+
+    const itemTextWidth = inner.width - LAYOUT.itemPadding * 2 - 18;
+
+    const layoutEntry = ({ item, category }) => {
+        const badge = category ? `${category.badge} ` : '';
+        const { parts, overdue } = getItemMeta(item, data);
+        const lines = wrapText(badge + item.text, LAYOUT.textSize, itemTextWidth);
+        const metaLines = parts.length > 0 ? wrapText(parts.join(' · '), LAYOUT.metaSize, itemTextWidth) : [];
+
+        return {
+            item,
+            lines,
+            metaLines,
+            overdue,
+            height: LAYOUT.itemPadding * 2 + lines.length * LAYOUT.lineHeight + metaLines.length * LAYOUT.metaLineHeight
+        };
+    };
+
+    const drawSectionHeader = (page, section, y, continued) => {
+        const baseline = y + 20;
+        let x = inner.x;
+        x += drawText(page, section.icon, x, baseline, { size: 16 }) + 8;
+        drawText(page, continued ? `${section.title} (계속)` : section.title, x, baseline, { size: 13, color: text });
+
+        const count = String(section.count);
+        const pillWidth = measureText(count, 9) + 16;
+        page.rect(inner.x + inner.width - pillWidth, y + 7, pillWidth, 18, { radius: 9, fill: palette.achieved });
+        drawText(page, count, inner.x + inner.width - pillWidth / 2, y + 19.5, { size: 9, color: sage, align: 'center' });
+
+        page.rect(inner.x, y + LAYOUT.sectionHeaderHeight - 4, inner.width, 1.5, { fill: palette.line });
+    };
+
+    const drawMarker = (page, achieved, x, y) => {
+        if (achieved) {
+            // ★
+            const points = [];
+            for (let i = 0; i < 10; i++) {
+                const r = i % 2 === 0 ? 6 : 2.6;
+                const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+                points.push([x + 6 + r * Math.cos(angle), y + 6 + r * Math.sin(angle)]);
+            }
+            page.polyline(points, { color: hexToRgb(COLORS.success), close: true, fill: true });
+        } else {
+            // ✓
+            page.polyline([[x + 1.5, y + 6.5], [x + 4.5, y + 9.5], [x + 10.5, y + 2.5]], { color: sage, lineWidth: 1.6 });
+        }
+    };
+
+    const drawEntry = (page, entry, y) => {
+        const { item } = entry;
+        page.rect(inner.x + 4, y, inner.width - 4, entry.height, { radius: 6, fill: item.achieved ? palette.achieved : palette.item });
+
+        const x = inner.x + 4 + LAYOUT.itemPadding;
+        drawMarker(page, item.achieved, x, y + LAYOUT.itemPadding + 2);
+
+        let baseline = y + LAYOUT.itemPadding + LAYOUT.textSize + 1;
+        entry.lines.forEach(line => {
+            const width = drawText(page, line, x + 18, baseline, { size: LAYOUT.textSize, color: text });
+            if (item.achieved) {
+                page.rect(x + 18, baseline - LAYOUT.textSize * 0.35, width, 0.8, { fill: sage });
+            }
+            baseline += LAYOUT.lineHeight;
+        });
+
+        baseline += LAYOUT.metaLineHeight - LAYOUT.lineHeight;
+        entry.metaLines.forEach(line => {
+            drawText(page, line, x + 18, baseline, { size: LAYOUT.metaSize, color: entry.overdue ? palette.error : palette.muted });
+            baseline += LAYOUT.metaLineHeight;
+        });
+    };
+
+    // ---------------------------------------------------------------------
+    // 쪽 나누기
+    // ---------------------------------------------------------------------
+
+    let page;
+    let y;
+
+    const newPage = () => {
+        page = pdf.addPage(size.width, size.height);
+        drawCard(page);
+        y = (pdf.pages.length === 1 ? drawFirstHeader(page) : drawContinuedHeader(page)) + LAYOUT.padding;
+    };
+
+    newPage();
+
+    if (data.completion.total === 0) {
+        drawText(page, '아직 작성된 버킷리스트가 없습니다.', card.x + card.width / 2, y + 40, { size: 12, color: palette.muted, align: 'center' });
+        y += 60;
+    } else {
+        drawText(page, `전체 ${data.completion.total}개 중 ${data.completion.achieved}개 달성 (${data.percent}%)`,
+            card.x + card.width / 2, y + 12, { size: 10, color: palette.muted, align: 'center' });
+        y += LAYOUT.summaryHeight;
+    }
+
+    data.sections.forEach(section => {
+        const entries = section.entries.map(layoutEntry);
+        if (entries.length === 0) return;
+
+        // 섹션 제목만 쪽 끝에 남지 않도록 첫 항목과 함께 배치
+        if (y + LAYOUT.sectionHeaderHeight + entries[0].height > inner.bottom) {
+            newPage();
+        }
+        drawSectionHeader(page, section, y, false);
+        y += LAYOUT.sectionHeaderHeight + 8;
+
+        entries.forEach(entry => {
+            if (y + entry.height > inner.bottom) {
+                newPage();
+                drawSectionHeader(page, section, y, true);
+                y += LAYOUT.sectionHeaderHeight + 8;
+            }
+            drawEntry(page, entry, y);
+            y += entry.height + LAYOUT.itemGap;
+        });
+
+        y += LAYOUT.sectionGap;
+    });
+
+    if (footer) {
+        if (y + LAYOUT.footerHeight > inner.bottom) {
+            newPage();
+        }
+        page.rect(inner.x, y, inner.width, LAYOUT.footerHeight, { radius: 8, fill: palette.item });
+        drawText(page, footer, card.x + card.width / 2, y + 25, { size: 10, color: palette.muted, align: 'center' });
+    }
+
+    // 스티커: 위치는 모든 쪽을 이어 붙인 카드에 대한 비율, 크기는 화면 카드 너비 기준으로 환산
+    // (크기/회전은 화면처럼 스티커 가운데를 기준으로)
+    const scale = card.width / (cardWidth > 0 ? cardWidth : DEFAULT_CARD_WIDTH);
+    const fullCard = { width: card.width, height: card.height * pdf.pages.length };
+    stickers.forEach(sticker => {
+        const stickerSize = (Number(sticker.size) || LAYOUT.stickerSize) * scale;
+        const position = toPixelPosition(sticker, fullCard, { width: stickerSize, height: 0 });
+        const index = Math.min(Math.floor(position.y / card.height), pdf.pages.length - 1);
+        const top = Math.min(position.y - index * card.height, card.height - stickerSize);
+        const left = position.x;
+
+        const page = pdf.pages[index];
+        const drawSize = stickerSize * normalizeStickerScale(sticker.scale);
+        const cx = card.x + left + stickerSize / 2;
+        const cy = card.y + top + stickerSize / 2;
+
+        page.rotated(normalizeStickerRotation(sticker.rotation), cx, cy, () => {
+            if (sticker.type === 'qr') {
+                drawQrCode(page, sticker.value, cx - drawSize / 2, cy - drawSize / 2, drawSize);
+            } else if (sticker.type === 'image') {
+                // 정사각형 자리에 비율을 유지해서 맞춤
+                const raster = stickerImages[sticker.imageId];
+                if (!raster) return;
+                const fit = drawSize / Math.max(raster.width, raster.height);
+                const width = raster.width * fit;
+                const height = raster.height * fit;
+                page.image(pdf.addImage(`image:${sticker.imageId}`, raster), cx - width / 2, cy - height / 2, width, height);
+            } else {
+                drawText(page, sticker.emoji, cx - drawSize / 2, cy - drawSize / 2 + drawSize * 0.85, { size: drawSize });
+            }
+        });
+    });
+
+    // 쪽 번호
+    pdf.pages.forEach((p, index) => {
+        drawText(p, `${index + 1} / ${pdf.pages.length}`, size.width / 2, size.height - LAYOUT.margin / 2 + 3, {
+            size: 8,
+            color: hexToRgb(COLORS.muted),
+            align: 'center'
+        });
+    });
+
+    return pdf.toBytes();
+}
@@ -0,0 +1,592 @@
+/**
+ * QR 코드 모듈
+ *
+ * 외부 라이브러리/네트워크 없이 QR 코드(ISO/IEC 18004 Model 2)를 만듭니다.
+ * - 바이트 모드(UTF-8)만 사용, 버전 1~40 중 들어가는 가장 작은 버전 선택
+ * - 오류 정정 수준 L/M/Q/H, 8가지 마스크 중 벌점이 가장 낮은 것 선택
+ * - 결과는 모듈 행렬이며, SVG 경로로 바꿔 결과 카드/PDF에 그림
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 오류 정정 수준 (복원 가능한 비율: L 7%, M 15%, Q 25%, H 30%)
+ */
+export const QR_ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+/**
+ * 가장자리 여백 (모듈 수, 표준 권장값)
+ */
+export const QR_QUIET_ZONE = 4;
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+/**
+ * 결과 카드에 붙이는 QR 코드 스티커 (인쇄해도 휴대폰으로 읽히도록)
+ * - 오류 정정 L: 같은 링크를 더 적은 모듈로 담아 모듈 한 칸을 크게 그림
+ * - 모듈 한 칸이 화면에서 최소 3px (A4로 인쇄하면 약 1mm)이 되는 크기로 붙임
+ */
+export const QR_STICKER_ECC = 'L';
+export const QR_STICKER_MODULE_PX = 3;
+export const QR_STICKER_SIZE = { min: 120, max: 320 };
+
+// 형식 정보에 넣는 오류 정정 수준 값
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// 블록당 오류 정정 코드워드 수 [수준][버전]
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// 오류 정정 블록 수 [수준][버전]
+const ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// 마스크 패턴 (x: 열, y: 행)
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+
+// =========================================================================
+// 용량 계산
+// =========================================================================
+
+/**
+ * 버전별 한 변의 모듈 수
+ * @param {number} version - 1~40
+ * @returns {number}
+ */
+export function getSize(version) {
+    return version * 4 + 17;
+}
+
+/**
+ * 기능 패턴을 뺀 데이터+오류 정정 모듈 수
+ * @param {number} version
+ * @returns {number}
+ */
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignCount - 10) * alignCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * 데이터 코드워드 수
+ * @param {number} version
+ * @param {string} ecc - 'L' | 'M' | 'Q' | 'H'
+ * @returns {number}
+ */
+function getDataCodewords(version, ecc) {
+    return Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCKS[ecc][version];
+}
+
+/**
+ * 바이트 모드로 담을 수 있는 최대 바이트 수
+ * @param {number} version - 1~40
+ * @param {string} [ecc='M']
+ * @returns {number}
+ *
+ * @example
+ * getByteCapacity(40, 'L'); // 2953
+ */
+export function getByteCapacity(version, ecc = 'M') {
+    const countBits = version <= 9 ? 8 : 16;
+    return Math.floor((getDataCodewords(version, ecc) * 8 - 4 - countBits) / 8);
+}
+
+
+// =========================================================================
+// 오류 정정 (리드-솔로몬, GF(256))
+// =========================================================================
+
+/**
+ * GF(256) 곱셈 (원시 다항식 x^8 + x^4 + x^3 + x^2 + 1)
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * 생성 다항식 계수 (최고차항 제외)
+ * @param {number} degree - 오류 정정 코드워드 수
+ * @returns {Array<number>}
+ */
+function getGenerator(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * 데이터 블록의 오류 정정 코드워드
+ * @param {Array<number>} data
+ * @param {Array<number>} generator
+ * @returns {Array<number>}
+ */
+function getRemainder(data, generator) {
+    const result = new Array(generator.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        generator.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * 데이터를 블록으로 나눠 오류 정정 코드워드를 붙이고 교차 배치
+ * @param {Array<number>} data - 데이터 코드워드
+ * @param {number} version
+ * @param {string} ecc
+ * @returns {Array<number>} 최종 코드워드
+ */
+function addErrorCorrection(data, version, ecc) {
+    const blockCount = ECC_BLOCKS[ecc][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const generator = getGenerator(eccLength);
+
+    // 앞쪽 블록은 데이터가 1바이트 짧음
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+
+        const remainder = getRemainder(block, generator);
+        if (i < shortBlockCount) block.push(0);
+        blocks.push(block.concat(remainder));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // 짧은 블록에 채운 자리는 건너뜀
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+
+// =========================================================================
+// 데이터 인코딩
+// =========================================================================
+
+/**
+ * 바이트 모드 데이터 코드워드 (모드, 길이, 데이터, 종료 비트, 채움 바이트)
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @param {string} ecc
+ * @returns {Array<number>}
+ */
+function encodeData(bytes, version, ecc) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    const capacityBits = getDataCodewords(version, ecc) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+
+// =========================================================================
+// 모듈 배치
+// =========================================================================
+
+/**
+ * 정렬 패턴 중심 좌표
+ * @param {number} version
+ * @returns {Array<number>}
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = getSize(version) - 7; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * 모듈 행렬 (기능 패턴 여부를 함께 기록)
+ */
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = getSize(version);
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    /**
+     * 위치 찾기 패턴, 타이밍 패턴, 정렬 패턴, 버전 정보
+     */
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // 위치 찾기 패턴 (분리 여백 포함)
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // 정렬 패턴 (위치 찾기 패턴과 겹치는 세 모서리 제외)
+        const positions = getAlignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // 형식 정보 자리 예약 (마스크를 고른 뒤 다시 그림)
+        this.drawFormatBits('M', 0);
+
+        // 버전 정보 (7 이상)
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (this.version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * 형식 정보 (오류 정정 수준 + 마스크, BCH 부호) 두 벌 그리기
+     */
+    drawFormatBits(ecc, mask) {
+        const data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        const { size } = this;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    /**
+     * 코드워드를 오른쪽 아래부터 지그재그로 배치
+     */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // 세로 타이밍 패턴 열은 건너뜀
+            if (right === 6) right = 5;
+
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+
+                    if (!this.reserved[y][x] && index < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 데이터 영역에 마스크 적용 (두 번 적용하면 원래대로)
+     */
+    applyMask(mask) {
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && test(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * 마스크 벌점 (연속 모듈, 2×2 블록, 위치 찾기 패턴 모양, 밝기 치우침)
+     */
+    getPenalty() {
+        const { size, modules } = this;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let penalty = 0;
+        let dark = 0;
+
+        const scanLine = line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) penalty += 3 + runLength - 5;
+                    runLength = 1;
+                }
+            }
+
+            for (let i = 0; i + 11 <= size; i++) {
+                finderLike.forEach(pattern => {
+                    if (pattern.every((value, k) => line[i + k] === value)) penalty += 40;
+                });
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scanLine(modules[y]);
+            scanLine(modules.map(row => row[y]));
+
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+
+                if (x + 1 < size && y + 1 < size) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return penalty;
+    }
+}
+
+
+// =========================================================================
+// QR 코드 만들기
+// =========================================================================
+
+/**
+ * 문자열 → QR 코드 모듈 행렬
+ * @param {string} text - 담을 내용 (UTF-8 바이트 모드)
+ * @param {Object} [options]
+ * @param {string} [options.ecc='M'] - 오류 정정 수준
+ * @param {number} [options.mask] - 마스크 고정 (0~7, 없으면 자동 선택)
+ * @returns {{ version: number, ecc: string, mask: number, size: number, modules: Array<Array<boolean>> }}
+ *   modules[y][x]가 true면 검은 모듈
+ * @throws {Error} 가장 큰 버전에도 담을 수 없는 경우
+ *
+ * @example
+ * const qr = encodeQR('https://example.com/#share=z...');
+ * const svg = toSvg(qr);
+ */
+export function encodeQR(text, options = {}) {
+    const ecc = QR_ECC_LEVELS.includes(options.ecc) ? options.ecc : 'M';
+    const bytes = new TextEncoder().encode(String(text));
+
+    let version = MIN_VERSION;
+    while (version <= MAX_VERSION && getByteCapacity(version, ecc) < bytes.length) {
+        version++;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`QR 코드에 담기에는 내용이 너무 깁니다. (${bytes.length}바이트 / 최대 ${getByteCapacity(MAX_VERSION, ecc)}바이트)`);
+    }
+
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(addErrorCorrection(encodeData(bytes, version, ecc), version, ecc));
+
+    let mask = options.mask;
+    if (!Number.isInteger(mask) || mask < 0 || mask > 7) {
+        let best = Infinity;
+        for (let candidate = 0; candidate < MASKS.length; candidate++) {
+            matrix.applyMask(candidate);
+            matrix.drawFormatBits(ecc, candidate);
+            const penalty = matrix.getPenalty();
+            if (penalty < best) {
+                best = penalty;
+                mask = candidate;
+            }
+            matrix.applyMask(candidate);
+        }
+    }
+
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(ecc, mask);
+
+    return { version, ecc, mask, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * 검은 모듈을 가로로 이어 붙인 사각형 목록 (여백 포함 좌표)
+ * @param {Object} qr - encodeQR() 결과
+ * @param {number} [border=4] - 여백 모듈 수
+ * @returns {Array<{ x: number, y: number, width: number }>} 높이는 모두 1
+ */
+export function getDarkRuns(qr, border = QR_QUIET_ZONE) {
+    const runs = [];
+    qr.modules.forEach((row, y) => {
+        let start = -1;
+        for (let x = 0; x <= qr.size; x++) {
+            if (x < qr.size && row[x]) {
+                if (start < 0) start = x;
+            } else if (start >= 0) {
+                runs.push({ x: start + border, y: y + border, width: x - start });
+                start = -1;
+            }
+        }
+    });
+    return runs;
+}
+
+/**
+ * QR 코드 SVG 마크업
+ * @param {Object} qr - encodeQR() 결과
+ * @param {Object} [options]
+ * @param {number} [options.border=4] - 여백 모듈 수
+ * @param {string} [options.dark='#000000'] - 모듈 색
+ * @param {string} [options.light='#FFFFFF'] - 배경 색
+ * @param {string} [options.label] - 접근성 이름 (aria-label)
+ * @returns {string}
+ */
+export function toSvg(qr, options = {}) {
+    const { border = QR_QUIET_ZONE, dark = '#000000', light = '#FFFFFF', label = 'QR 코드' } = options;
+    const total = qr.size + border * 2;
+    const path = getDarkRuns(qr, border).map(run => `M${run.x} ${run.y}h${run.width}v1h-${run.width}z`).join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges" role="img" aria-label="${label}">`
+        + `<rect width="${total}" height="${total}" fill="${light}"/>`
+        + `<path d="${path}" fill="${dark}"/>`
+        + '</svg>';
+}
+
+
+// =========================================================================
+// 스티커 크기
+// =========================================================================
+
+/**
+ * QR 코드 스티커 한 변 (모듈 수에 맞춰 키우되 카드를 다 덮지 않도록 최대 크기까지)
+ * @param {Object} qr - encodeQR() 결과
+ * @returns {{ size: number, modulePx: number, dense: boolean }}
+ *   modulePx: 모듈 한 칸 (px), dense: 최대 크기로도 QR_STICKER_MODULE_PX보다 작아 인쇄하면 읽기 어려움
+ */
+export function getQrStickerSize(qr) {
+    const total = qr.size + QR_QUIET_ZONE * 2;
+    const needed = total * QR_STICKER_MODULE_PX;
+    const size = Math.min(QR_STICKER_SIZE.max, Math.max(QR_STICKER_SIZE.min, needed));
+
+    return {
+        size,
+        modulePx: Math.round(size / total * 100) / 100,
+        dense: needed > QR_STICKER_SIZE.max
+    };
+}
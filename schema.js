@@ -0,0 +1,322 @@
+/**
+ * 저장 데이터 스키마 모듈
+ *
+ * localStorage(`bucketlist_data`)에 저장되는 문서의 버전을 관리합니다.
+ * - 현재 스키마 버전 (SCHEMA_VERSION)
+ * - 이전 버전 문서를 한 단계씩 올리는 마이그레이션
+ * - 문서 구조 검증
+ */
+
+import { generateId } from './utils.js';
+import { isValidDeadline } from './deadline.js';
+import { LEGACY_CARD_SIZE, toRelativePosition } from './stickers.js';
+import { isStickerEmoji } from './sticker-catalog.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 현재 스키마 버전
+ * - v1: version 필드 없음, items가 문자열 배열
+ * - v2: 카테고리/항목에 id 부여, items가 { id, text } 객체 배열
+ *       (선택 필드: achieved, achievedAt, note, deadline, createdAt / 문서: birthYear)
+ * - v3: 스티커 x/y를 px 대신 카드 크기에 대한 비율(0~1)로 저장
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * 기본 카테고리 (작성 화면에 표시되는 순서)
+ */
+export const BUILT_IN_CATEGORIES = [
+    {
+        id: 'family',
+        type: 'family',
+        badge: '💕',
+        title: '가족·친구와 함께하고 싶은 일',
+        description: '소중한 사람들과 함께 하고 싶은 것들',
+        placeholder: '예: 가족과 함께 유럽 여행 가기'
+    },
+    {
+        id: 'place',
+        type: 'place',
+        badge: '🌍',
+        title: '가보고 싶은 곳·도전하고 싶은 것',
+        description: '새로운 장소, 새로운 경험, 새로운 도전',
+        placeholder: '예: 제주도 올레길 완주하기'
+    },
+    {
+        id: 'learn',
+        type: 'learn',
+        badge: '📚',
+        title: '배우고 싶은 것·나누고 싶은 것',
+        description: '배움의 기쁨, 나눔의 행복',
+        placeholder: '예: 피아노 배워서 연주하기'
+    }
+];
+
+
+/**
+ * 카테고리 종류 (카드 색상과 배지 모양, 저장 문서의 category.type)
+ */
+export const CATEGORY_TYPES = [...BUILT_IN_CATEGORIES.map(category => category.type), 'custom'];
+
+/**
+ * id 형식
+ * (id는 onclick 속성 같은 마크업에 그대로 들어가므로 따옴표/꺾쇠가 들어갈 수 없게 형식을 제한)
+ * - 커스텀 카테고리: custom-N / 항목: generateId() / 스티커: sticker-N / 이미지: image-(generateId())
+ */
+export const CUSTOM_CATEGORY_ID_PATTERN = /^custom-\d+$/;
+export const ITEM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+export const STICKER_ID_PATTERN = /^sticker-\d+$/;
+export const IMAGE_ID_PATTERN = /^image-[A-Za-z0-9]+$/;
+
+/**
+ * 카테고리 id 형식 확인 (기본 카테고리 id 또는 custom-N)
+ * @param {*} id
+ * @returns {boolean}
+ */
+export function isValidCategoryId(id) {
+    return typeof id === 'string'
+        && (CUSTOM_CATEGORY_ID_PATTERN.test(id) || BUILT_IN_CATEGORIES.some(category => category.id === id));
+}
+
+
+// =========================================================================
+// 마이그레이션
+// =========================================================================
+
+/**
+ * 버전별 마이그레이션 함수
+ * MIGRATIONS[n]은 vn 문서를 받아 v(n+1) 문서를 반환합니다.
+ */
+const MIGRATIONS = {
+    /**
+     * v1 → v2: 카테고리/항목 id 부여, 문자열 항목을 객체로 변환
+     */
+    1(doc) {
+        // 배열이 아닌 값은 그대로 두어 검증 단계에서 걸러지도록 함
+        if (doc.categories !== undefined && !Array.isArray(doc.categories)) {
+            return { ...doc, version: 2 };
+        }
+
+        const categories = (doc.categories || []).map((category, index) => {
+            const builtIn = !category.id && category.type !== 'custom'
+                ? BUILT_IN_CATEGORIES[index]
+                : null;
+            const type = category.type || builtIn?.type || 'custom';
+
+            return {
+                id: category.id || builtIn?.id || `custom-${index + 1}`,
+                type,
+                badge: category.badge || builtIn?.badge || '⭐',
+                title: category.title || '',
+                items: (Array.isArray(category.items) ? category.items : []).map(item => (
+                    typeof item === 'string'
+                        ? { id: generateId(), text: item }
+                        : { id: item.id || generateId(), text: item.text || '' }
+                ))
+            };
+        });
+
+        return {
+            ...doc,
+            version: 2,
+            categories,
+            stickers: Array.isArray(doc.stickers) ? doc.stickers : [],
+            customization: doc.customization || {}
+        };
+    },
+
+    /**
+     * v2 → v3: 스티커 px 위치를 카드 크기에 대한 비율로 변환
+     */
+    2(doc) {
+        if (!Array.isArray(doc.stickers)) {
+            return { ...doc, version: 3 };
+        }
+
+        return {
+            ...doc,
+            version: 3,
+            stickers: doc.stickers.map(sticker => (
+                // 형식이 잘못된 스티커는 그대로 두어 검증 단계에서 걸러지도록 함
+                typeof sticker?.x === 'number' && typeof sticker?.y === 'number'
+                    ? { ...sticker, ...toRelativePosition(sticker, LEGACY_CARD_SIZE) }
+                    : sticker
+            ))
+        };
+    }
+};
+
+/**
+ * 문서의 스키마 버전 확인 (version 필드가 없으면 v1)
+ * @param {Object} doc - 저장된 문서
+ * @returns {number} 스키마 버전
+ */
+export function getVersion(doc) {
+    return Number.isInteger(doc?.version) ? doc.version : 1;
+}
+
+/**
+ * 저장된 문서를 현재 버전까지 마이그레이션
+ * @param {Object} doc - 저장된 문서
+ * @returns {{ data: Object, fromVersion: number, migrated: boolean }}
+ * @throws {Error} 지원하지 않는 버전이거나 검증에 실패한 경우
+ *
+ * @example
+ * const { data, migrated } = migrate(storage.get('bucketlist_data'));
+ */
+export function migrate(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('저장된 데이터 형식이 올바르지 않습니다.');
+    }
+
+    const fromVersion = getVersion(doc);
+    if (fromVersion > SCHEMA_VERSION) {
+        throw new Error(`지원하지 않는 데이터 버전입니다: v${fromVersion}`);
+    }
+
+    let data = doc;
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        const step = MIGRATIONS[version];
+        if (!step) {
+            throw new Error(`v${version} 마이그레이션을 찾을 수 없습니다.`);
+        }
+        data = step(data);
+    }
+
+    const { valid, errors } = validate(data);
+    if (!valid) {
+        throw new Error(`데이터 검증 실패: ${errors.join(', ')}`);
+    }
+
+    return { data, fromVersion, migrated: fromVersion !== SCHEMA_VERSION };
+}
+
+
+// =========================================================================
+// 검증
+// =========================================================================
+
+/**
+ * 현재 버전 문서 구조 검증
+ * @param {Object} doc - 검증할 문서
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validate(doc) {
+    const errors = [];
+
+    if (!doc || typeof doc !== 'object') {
+        return { valid: false, errors: ['문서가 객체가 아닙니다'] };
+    }
+
+    if (doc.version !== SCHEMA_VERSION) {
+        errors.push(`version이 ${SCHEMA_VERSION}이 아닙니다`);
+    }
+
+    if (doc.userName !== undefined && typeof doc.userName !== 'string') {
+        errors.push('userName이 문자열이 아닙니다');
+    }
+
+    if (doc.birthYear != null && !Number.isInteger(doc.birthYear)) {
+        errors.push('birthYear가 정수가 아닙니다');
+    }
+
+    if (!Array.isArray(doc.categories)) {
+        errors.push('categories가 배열이 아닙니다');
+    } else {
+        doc.categories.forEach((category, i) => {
+            if (typeof category?.id !== 'string' || !category.id) {
+                errors.push(`categories[${i}].id가 없습니다`);
+            } else if (!isValidCategoryId(category.id)) {
+                errors.push(`categories[${i}].id 형식이 올바르지 않습니다`);
+            }
+            if (typeof category?.title !== 'string') {
+                errors.push(`categories[${i}].title이 문자열이 아닙니다`);
+            }
+            if (!Array.isArray(category?.items)) {
+                errors.push(`categories[${i}].items가 배열이 아닙니다`);
+                return;
+            }
+            category.items.forEach((item, j) => {
+                if (typeof item?.id !== 'string' || typeof item?.text !== 'string' || !ITEM_ID_PATTERN.test(item.id)) {
+                    errors.push(`categories[${i}].items[${j}] 형식이 올바르지 않습니다`);
+                    return;
+                }
+                if (item.achieved !== undefined && typeof item.achieved !== 'boolean') {
+                    errors.push(`categories[${i}].items[${j}].achieved가 boolean이 아닙니다`);
+                }
+                if (item.achievedAt != null && typeof item.achievedAt !== 'string') {
+                    errors.push(`categories[${i}].items[${j}].achievedAt이 문자열이 아닙니다`);
+                }
+                if (item.note !== undefined && typeof item.note !== 'string') {
+                    errors.push(`categories[${i}].items[${j}].note가 문자열이 아닙니다`);
+                }
+                if (item.createdAt !== undefined && typeof item.createdAt !== 'string') {
+                    errors.push(`categories[${i}].items[${j}].createdAt이 문자열이 아닙니다`);
+                }
+                if (item.deadline != null && !isValidDeadline(item.deadline)) {
+                    errors.push(`categories[${i}].items[${j}].deadline 형식이 올바르지 않습니다`);
+                }
+            });
+        });
+    }
+
+    if (!Array.isArray(doc.stickers)) {
+        errors.push('stickers가 배열이 아닙니다');
+    } else {
+        doc.stickers.forEach((sticker, i) => {
+            if (typeof sticker?.id !== 'string' || typeof sticker?.x !== 'number' || typeof sticker?.y !== 'number') {
+                errors.push(`stickers[${i}] 형식이 올바르지 않습니다`);
+                return;
+            }
+            if (!STICKER_ID_PATTERN.test(sticker.id)) {
+                errors.push(`stickers[${i}].id 형식이 올바르지 않습니다`);
+            }
+            if (!(sticker.x >= 0 && sticker.x <= 1 && sticker.y >= 0 && sticker.y <= 1)) {
+                errors.push(`stickers[${i}] 위치가 0~1 비율이 아닙니다`);
+            }
+            const error = validateStickerContent(sticker);
+            if (error) {
+                errors.push(`stickers[${i}].${error}`);
+            }
+        });
+
+        // 앱은 QR 코드 스티커를 하나만 두고 갱신함
+        if (doc.stickers.filter(sticker => sticker?.type === 'qr').length > 1) {
+            errors.push('QR 코드 스티커가 둘 이상입니다');
+        }
+    }
+
+    if (doc.customization !== undefined && (typeof doc.customization !== 'object' || doc.customization === null)) {
+        errors.push('customization이 객체가 아닙니다');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 스티커 종류별 내용 검사
+ * @param {Object} sticker
+ * @returns {string|null} 오류 (필드 이름으로 시작)
+ */
+function validateStickerContent(sticker) {
+    if (sticker.size !== undefined && !(typeof sticker.size === 'number' && sticker.size > 0)) {
+        return 'size가 양수가 아닙니다';
+    }
+
+    switch (sticker.type) {
+    case undefined:
+        return isStickerEmoji(sticker.emoji) ? null : 'emoji 형식이 올바르지 않습니다';
+    case 'qr':
+        return typeof sticker.value === 'string' && sticker.value ? null : 'value가 없습니다';
+    case 'image':
+        return typeof sticker.imageId === 'string' && IMAGE_ID_PATTERN.test(sticker.imageId)
+            ? null
+            : 'imageId 형식이 올바르지 않습니다';
+    default:
+        return 'type이 올바르지 않습니다';
+    }
+}
@@ -0,0 +1,324 @@
+/**
+ * 공유 링크 모듈
+ *
+ * 서버 없이 리스트를 보여줄 수 있도록 문서를 압축해 URL 해시(#share=...)에 담습니다.
+ * - 담는 내용: 이름, 카테고리/항목(내용, 달성, 기한, 소감), 꾸미기, 이모지 스티커
+ *   (항목 id·작성일처럼 받는 쪽에서 다시 만들 수 있는 값은 제외)
+ * - 압축: 브라우저 내장 CompressionStream('deflate-raw') → base64url
+ *   (지원하지 않는 브라우저는 압축 없이 담고, 첫 글자로 방식을 구분)
+ * - 해시는 서버로 전송되지 않으므로 내용이 서버 로그에 남지 않음
+ */
+
+import { migrate, isValidCategoryId, SCHEMA_VERSION } from './schema.js';
+import { nextCustomId } from './model.js';
+import { generateId } from './utils.js';
+import { setStickerTransform } from './stickers.js';
+import { isStickerEmoji } from './sticker-catalog.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const SHARE_PARAM = 'share';
+/**
+ * 공유 데이터 버전
+ * - v1: 스키마 v2 문서 기준 (스티커 위치 px)
+ * - v2: 스키마 v3 문서 기준 (스티커 위치 0~1 비율)
+ */
+export const SHARE_VERSION = 2;
+
+/**
+ * 공유 링크 최대 길이
+ * 메신저/브라우저가 자르지 않고 전달하는 길이 (넘으면 파일 공유를 안내)
+ */
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+/**
+ * 풀어낸 JSON 최대 크기 (지나치게 큰 링크로 브라우저가 멈추지 않도록)
+ */
+export const MAX_SHARE_JSON_SIZE = 512 * 1024;
+
+// 토큰 첫 글자: 압축 방식
+const ENCODING_DEFLATE = 'z';
+const ENCODING_PLAIN = 'j';
+
+const CUSTOMIZATION_KEYS = ['theme', 'pattern', 'font', 'frame', 'headerColor', 'bgColor', 'textColor', 'accentColor', 'view', 'layout', 'openOnly'];
+
+
+// =========================================================================
+// 공유 데이터
+// =========================================================================
+
+/**
+ * 저장 문서 → 공유 데이터 (빈 항목과 다시 만들 수 있는 값 제외)
+ * @param {Object} doc - 저장 문서 (model.toJSON() + customization, stickers)
+ * @returns {Object} { v, userName, birthYear, categories, customization, stickers }
+ */
+export function createSharePayload(doc) {
+    const categories = doc.categories
+        .map(category => ({
+            id: category.id,
+            type: category.type,
+            badge: category.badge,
+            title: category.title,
+            items: category.items
+                .filter(item => item.text.trim())
+                .map(item => {
+                    const shared = { text: item.text };
+                    if (item.achieved) {
+                        shared.achieved = true;
+                        if (item.achievedAt) shared.achievedAt = item.achievedAt;
+                    }
+                    if (item.note) shared.note = item.note;
+                    if (item.deadline) shared.deadline = item.deadline;
+                    return shared;
+                })
+        }))
+        .filter(category => category.items.length > 0);
+
+    const customization = {};
+    CUSTOMIZATION_KEYS.forEach(key => {
+        if (doc.customization?.[key] !== undefined) {
+            customization[key] = doc.customization[key];
+        }
+    });
+
+    return {
+        v: SHARE_VERSION,
+        userName: doc.userName || '',
+        birthYear: doc.birthYear ?? null,
+        categories,
+        customization,
+        // QR 코드 스티커는 링크 자신을 담고 있으므로 제외
+        stickers: (doc.stickers || [])
+            .filter(sticker => sticker.emoji)
+            .map(sticker => {
+                const { emoji, x, y } = sticker;
+                // 크기/회전은 바꾼 스티커만 담아 링크를 짧게 유지
+                return setStickerTransform({ emoji, x, y }, sticker);
+            })
+    };
+}
+
+/**
+ * 공유 데이터 → 현재 스키마 문서 (id를 새로 만들고 검증)
+ * 링크는 누구나 만들 수 있으므로 마크업에 들어가는 값은 형식을 확인
+ * - 카테고리 id: 기본 카테고리 id나 custom-N이 아니면 새 custom-N
+ * - 스티커: 이모지 스티커만 받고, 이모지가 아닌 값은 버림
+ * @param {Object} payload - createSharePayload() 결과
+ * @returns {Object} 현재 스키마 문서
+ * @throws {Error} 공유 데이터 형식이 올바르지 않은 경우
+ */
+export function shareToDocument(payload) {
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.categories)) {
+        throw new Error('공유 링크의 내용이 올바르지 않습니다.');
+    }
+    if (payload.v > SHARE_VERSION) {
+        throw new Error('더 최신 버전 앱에서 만든 링크입니다. 앱을 새로고침한 뒤 다시 열어주세요.');
+    }
+
+    const categories = [];
+    payload.categories.forEach(category => {
+        categories.push({
+            id: isValidCategoryId(category?.id) && !categories.some(c => c.id === category.id)
+                ? category.id
+                : nextCustomId(categories),
+            type: category?.type || 'custom',
+            badge: category?.badge || '',
+            title: category?.title,
+            items: Array.isArray(category?.items)
+                ? category.items.map(item => ({ ...item, id: generateId() }))
+                : category?.items
+        });
+    });
+
+    const doc = {
+        // v1 링크는 스티커 위치가 px인 스키마 v2 문서로 보고 마이그레이션
+        version: (payload.v || 1) < 2 ? 2 : SCHEMA_VERSION,
+        userName: payload.userName || '',
+        birthYear: payload.birthYear ?? null,
+        categories,
+        customization: payload.customization || {},
+        stickers: Array.isArray(payload.stickers)
+            ? payload.stickers
+                .filter(sticker => isStickerEmoji(sticker?.emoji))
+                .map((sticker, i) => setStickerTransform({ id: `sticker-${i + 1}`, emoji: sticker.emoji, x: sticker.x, y: sticker.y }, sticker))
+            : payload.stickers
+    };
+
+    try {
+        return migrate(doc).data;
+    } catch (e) {
+        throw new Error('공유 링크의 내용이 올바르지 않습니다.');
+    }
+}
+
+
+// =========================================================================
+// 인코딩
+// =========================================================================
+
+/**
+ * 바이트 → base64url (패딩 없음)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * base64url → 바이트
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} base64url 형식이 아닌 경우
+ */
+export function fromBase64Url(text) {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+        throw new Error('base64url 형식이 아닙니다.');
+    }
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * 바이트를 압축/해제 스트림에 통과시키기
+ * @param {Uint8Array} bytes
+ * @param {TransformStream} transform - CompressionStream | DecompressionStream
+ * @param {number} [limit] - 결과 최대 바이트
+ * @returns {Promise<Uint8Array|null>} 최대 크기를 넘으면 중단하고 null
+ */
+async function pipeBytes(bytes, transform, limit = Infinity) {
+    const source = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        }
+    });
+
+    const reader = source.pipeThrough(transform).getReader();
+    const chunks = [];
+    let size = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        size += value.length;
+        if (size > limit) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const result = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * 압축 스트림을 쓸 수 있는지
+ */
+export function supportsCompression() {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function';
+}
+
+/**
+ * 저장 문서 → 공유 토큰
+ * @param {Object} doc - 저장 문서
+ * @returns {Promise<string>} 해시에 넣을 토큰
+ *
+ * @example
+ * const token = await encodeShare(getSaveDocument());
+ */
+export async function encodeShare(doc) {
+    const bytes = new TextEncoder().encode(JSON.stringify(createSharePayload(doc)));
+
+    if (supportsCompression()) {
+        const compressed = await pipeBytes(bytes, new CompressionStream('deflate-raw'));
+        return ENCODING_DEFLATE + toBase64Url(compressed);
+    }
+
+    return ENCODING_PLAIN + toBase64Url(bytes);
+}
+
+/**
+ * 공유 토큰 → 현재 스키마 문서
+ * @param {string} token - encodeShare() 결과
+ * @returns {Promise<Object>} 현재 스키마 문서
+ * @throws {Error} 손상되었거나 열 수 없는 링크
+ */
+export async function decodeShare(token) {
+    if (typeof token !== 'string' || token.length < 2) {
+        throw new Error('공유 링크가 비어 있습니다.');
+    }
+    if (token.length > MAX_SHARE_URL_LENGTH) {
+        throw new Error('공유 링크가 너무 깁니다.');
+    }
+
+    const encoding = token[0];
+    if (encoding === ENCODING_DEFLATE && !supportsCompression()) {
+        throw new Error('이 브라우저에서는 공유 링크를 열 수 없습니다. 최신 브라우저에서 다시 열어주세요.');
+    }
+    if (encoding !== ENCODING_DEFLATE && encoding !== ENCODING_PLAIN) {
+        throw new Error('공유 링크가 손상되었습니다.');
+    }
+
+    let bytes;
+    try {
+        bytes = fromBase64Url(token.slice(1));
+        if (encoding === ENCODING_DEFLATE) {
+            bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'), MAX_SHARE_JSON_SIZE);
+        }
+    } catch (e) {
+        throw new Error('공유 링크가 손상되었습니다.');
+    }
+
+    if (!bytes || bytes.length > MAX_SHARE_JSON_SIZE) {
+        throw new Error('공유 링크의 내용이 너무 큽니다.');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('공유 링크가 손상되었습니다.');
+    }
+
+    return shareToDocument(payload);
+}
+
+
+// =========================================================================
+// URL
+// =========================================================================
+
+/**
+ * 공유 링크 만들기 (기존 해시는 버림)
+ * @param {string} href - 현재 페이지 주소
+ * @param {string} token - 공유 토큰
+ * @returns {string}
+ */
+export function buildShareUrl(href, token) {
+    return `${href.split('#')[0]}#${SHARE_PARAM}=${token}`;
+}
+
+/**
+ * 해시에서 공유 토큰 읽기
+ * @param {string} hash - location.hash
+ * @returns {string|null} 공유 링크가 아니면 null
+ */
+export function readShareToken(hash) {
+    const match = String(hash || '').match(new RegExp(`^#?${SHARE_PARAM}=([A-Za-z0-9_-]+)$`));
+    return match ? match[1] : null;
+}
@@ -0,0 +1,127 @@
+/**
+ * 진행 현황 통계 모듈
+ *
+ * 대시보드 화면에 표시할 숫자를 카테고리 목록에서 계산합니다.
+ * - 전체/달성/진행 중 항목 수
+ * - 카테고리별 달성 현황
+ * - 연도별 달성 수
+ * - 가장 오래된 진행 중 목표
+ * - 다가오는 기한
+ */
+
+import { toDateString, parseDateString } from './utils.js';
+import { sortByDeadline, describeDeadline } from './deadline.js';
+
+
+/**
+ * 다가오는 기한 기본 표시 개수
+ */
+export const UPCOMING_LIMIT = 5;
+
+/**
+ * 진행 현황 통계 계산
+ * @param {Array<Object>} categories - 내용이 있는 카테고리 목록 (items 포함)
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해 (나이 기한 계산용)
+ * @param {Date} [options.now] - 기준 시각
+ * @param {number} [options.upcomingLimit] - 다가오는 기한 최대 개수
+ * @returns {Object} { total, achieved, open, rate, categories, achievedByYear, oldestOpen, upcoming }
+ *
+ * @example
+ * const stats = computeStats(model.getFilledCategories());
+ * stats.rate; // 0 ~ 100
+ */
+export function computeStats(categories, { birthYear = null, now = new Date(), upcomingLimit = UPCOMING_LIMIT } = {}) {
+    const perCategory = categories.map(category => {
+        const achieved = category.items.filter(item => item.achieved).length;
+        return {
+            id: category.id,
+            title: category.title,
+            badge: category.badge,
+            total: category.items.length,
+            achieved,
+            open: category.items.length - achieved
+        };
+    });
+
+    const total = perCategory.reduce((sum, c) => sum + c.total, 0);
+    const achieved = perCategory.reduce((sum, c) => sum + c.achieved, 0);
+
+    return {
+        total,
+        achieved,
+        open: total - achieved,
+        rate: total > 0 ? Math.round((achieved / total) * 100) : 0,
+        categories: perCategory,
+        achievedByYear: countAchievedByYear(categories),
+        oldestOpen: findOldestOpen(categories),
+        upcoming: findUpcoming(categories, { birthYear, now }).slice(0, upcomingLimit)
+    };
+}
+
+/**
+ * 연도별 달성 수 (달성일이 없는 항목은 제외, 빈 연도는 0으로 채움)
+ * @param {Array<Object>} categories - 카테고리 목록
+ * @returns {Array<{ year: number, count: number }>} 연도 오름차순
+ */
+export function countAchievedByYear(categories) {
+    const counts = new Map();
+
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            const date = item.achieved ? parseDateString(item.achievedAt) : null;
+            if (!date) return;
+
+            const year = date.getFullYear();
+            counts.set(year, (counts.get(year) || 0) + 1);
+        });
+    });
+
+    if (counts.size === 0) return [];
+
+    const years = [...counts.keys()];
+    const result = [];
+    for (let year = Math.min(...years); year <= Math.max(...years); year++) {
+        result.push({ year, count: counts.get(year) || 0 });
+    }
+    return result;
+}
+
+/**
+ * 가장 오래된 진행 중 목표
+ * 작성일(createdAt)이 없는 항목은 기록 이전에 쓴 것으로 보고 먼저 고름
+ * @param {Array<Object>} categories - 카테고리 목록
+ * @returns {{ item: Object, category: Object }|null}
+ */
+export function findOldestOpen(categories) {
+    let oldest = null;
+
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            if (item.achieved) return;
+
+            const createdAt = item.createdAt || '';
+            if (!oldest || createdAt < (oldest.item.createdAt || '')) {
+                oldest = { item, category };
+            }
+        });
+    });
+
+    return oldest;
+}
+
+/**
+ * 아직 지나지 않은 기한의 진행 중 목표 (마감일 오름차순)
+ * @param {Array<Object>} categories - 카테고리 목록
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해
+ * @param {Date} [options.now] - 기준 시각
+ * @returns {Array<{ item: Object, category: Object, due: Date, label: string, remaining: string }>}
+ */
+export function findUpcoming(categories, { birthYear = null, now = new Date() } = {}) {
+    const today = toDateString(now);
+
+    return sortByDeadline(categories, birthYear)
+        .filter(({ item, due }) => !item.achieved && due && toDateString(due) >= today)
+        .map(entry => ({ ...entry, ...describeDeadline(entry.item.deadline, { birthYear, now }) }));
+}
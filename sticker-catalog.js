@@ -0,0 +1,265 @@
+/**
+ * 스티커 카탈로그
+ *
+ * 스티커 팩(기본, 여행, 공부, 가족, 계절)과 검색 태그, 최근 사용한 스티커를 다룹니다.
+ * 팩을 추가하려면 STICKER_PACKS에 항목만 더하면 됩니다 (index.html은 고치지 않음).
+ * - 태그: 한국어/영어 검색어 (팩 이름도 검색됨)
+ * - 최근 사용: `bucketlist_recent_stickers` = ['⭐', '✈️', ...] (최근 것이 앞)
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const RECENT_STICKERS_KEY = 'bucketlist_recent_stickers';
+export const MAX_RECENT_STICKERS = 10;
+
+// 카탈로그에 없는 이모지 스티커의 최대 길이 (합성 이모지도 들어가도록)
+export const MAX_STICKER_EMOJI_LENGTH = 16;
+
+/**
+ * 스티커 항목 만들기
+ * @param {string} emoji
+ * @param {string} tags - 공백으로 구분한 검색어
+ * @returns {{ emoji: string, tags: Array<string> }}
+ */
+function sticker(emoji, tags) {
+    return { emoji, tags: tags.split(' ') };
+}
+
+/**
+ * 스티커 팩 (첫 번째 팩이 기본으로 열림)
+ */
+export const STICKER_PACKS = [
+    {
+        id: 'basic',
+        label: '기본',
+        icon: '⭐',
+        tags: ['basic'],
+        stickers: [
+            sticker('⭐', '별 star'),
+            sticker('🌟', '별 반짝 star glow'),
+            sticker('💫', '별 어지러움 dizzy star'),
+            sticker('✨', '반짝 빛 sparkles shine'),
+            sticker('🎀', '리본 선물 ribbon bow'),
+            sticker('🌈', '무지개 rainbow'),
+            sticker('🦋', '나비 butterfly'),
+            sticker('🌸', '벚꽃 꽃 봄 cherry blossom flower'),
+            sticker('🌺', '꽃 히비스커스 hibiscus flower'),
+            sticker('🍀', '네잎클로버 행운 clover luck'),
+            sticker('🌻', '해바라기 꽃 sunflower flower'),
+            sticker('🎈', '풍선 파티 balloon party'),
+            sticker('🎁', '선물 gift present'),
+            sticker('💝', '하트 선물 사랑 heart gift love'),
+            sticker('🏆', '트로피 우승 trophy win'),
+            sticker('🎯', '목표 과녁 target goal'),
+            sticker('🚀', '로켓 도전 rocket launch'),
+            sticker('💪', '힘 운동 응원 strong muscle'),
+            sticker('🎵', '음악 노래 music note'),
+            sticker('📸', '사진 카메라 photo camera')
+        ]
+    },
+    {
+        id: 'travel',
+        label: '여행',
+        icon: '✈️',
+        tags: ['travel', 'trip'],
+        stickers: [
+            sticker('✈️', '비행기 airplane plane'),
+            sticker('🧳', '여행가방 짐 luggage suitcase'),
+            sticker('🗺️', '지도 map'),
+            sticker('🧭', '나침반 compass'),
+            sticker('🌍', '지구 세계 world globe earth'),
+            sticker('🏝️', '섬 바다 휴양 island beach'),
+            sticker('🏖️', '해변 바다 beach sea'),
+            sticker('🏔️', '산 등산 mountain hiking'),
+            sticker('⛺', '캠핑 텐트 camping tent'),
+            sticker('🗼', '탑 도쿄 tower tokyo'),
+            sticker('🗽', '자유의여신상 뉴욕 statue liberty newyork'),
+            sticker('🚗', '자동차 드라이브 car drive'),
+            sticker('🚂', '기차 train'),
+            sticker('🚢', '배 크루즈 ship cruise'),
+            sticker('🎡', '관람차 놀이공원 ferris wheel')
+        ]
+    },
+    {
+        id: 'study',
+        label: '공부',
+        icon: '📚',
+        tags: ['study', 'school'],
+        stickers: [
+            sticker('📚', '책 독서 books reading'),
+            sticker('📖', '책 읽기 book read'),
+            sticker('✏️', '연필 필기 pencil write'),
+            sticker('📝', '메모 노트 memo note'),
+            sticker('🎓', '졸업 학위 graduation degree'),
+            sticker('🏫', '학교 school'),
+            sticker('💡', '아이디어 전구 idea bulb'),
+            sticker('🧠', '뇌 생각 brain think'),
+            sticker('🔬', '과학 현미경 science microscope'),
+            sticker('🧪', '실험 과학 experiment science'),
+            sticker('📐', '수학 자 math ruler'),
+            sticker('💻', '컴퓨터 코딩 computer coding laptop'),
+            sticker('🌐', '외국어 인터넷 language internet'),
+            sticker('🎨', '미술 그림 art paint'),
+            sticker('🎹', '피아노 음악 piano music')
+        ]
+    },
+    {
+        id: 'family',
+        label: '가족',
+        icon: '🏠',
+        tags: ['family', 'home'],
+        stickers: [
+            sticker('🏠', '집 home house'),
+            sticker('👪', '가족 family'),
+            sticker('💕', '사랑 하트 love heart'),
+            sticker('🤗', '포옹 안아줘 hug'),
+            sticker('👶', '아기 baby'),
+            sticker('👵', '할머니 grandma grandmother'),
+            sticker('👴', '할아버지 grandpa grandfather'),
+            sticker('🐶', '강아지 반려동물 dog puppy pet'),
+            sticker('🐱', '고양이 반려동물 cat kitten pet'),
+            sticker('🎂', '생일 케이크 birthday cake'),
+            sticker('🍳', '요리 cooking'),
+            sticker('🍽️', '식사 외식 dinner meal'),
+            sticker('🎮', '게임 game'),
+            sticker('🧸', '곰인형 장난감 teddy bear toy'),
+            sticker('💌', '편지 letter')
+        ]
+    },
+    {
+        id: 'seasonal',
+        label: '계절',
+        icon: '🍂',
+        tags: ['season', 'seasonal'],
+        stickers: [
+            sticker('🌷', '봄 튤립 꽃 spring tulip'),
+            sticker('🌱', '봄 새싹 spring sprout'),
+            sticker('☀️', '여름 해 summer sun'),
+            sticker('🍉', '여름 수박 summer watermelon'),
+            sticker('🏊', '여름 수영 summer swim'),
+            sticker('🍂', '가을 낙엽 autumn fall leaves'),
+            sticker('🍁', '가을 단풍 autumn maple'),
+            sticker('🌕', '추석 보름달 chuseok moon'),
+            sticker('🎃', '할로윈 호박 halloween pumpkin'),
+            sticker('❄️', '겨울 눈 winter snow'),
+            sticker('⛄', '겨울 눈사람 winter snowman'),
+            sticker('🎄', '크리스마스 트리 christmas tree'),
+            sticker('🎅', '크리스마스 산타 christmas santa'),
+            sticker('🧧', '설날 세뱃돈 새해 new year'),
+            sticker('🎆', '새해 불꽃놀이 new year fireworks')
+        ]
+    }
+];
+
+export const DEFAULT_STICKER_PACK = STICKER_PACKS[0].id;
+
+
+// =========================================================================
+// 조회 / 검색
+// =========================================================================
+
+/**
+ * 팩 조회 (없으면 기본 팩)
+ * @param {string} id
+ * @param {Array<Object>} [packs]
+ * @returns {Object}
+ */
+export function getStickerPack(id, packs = STICKER_PACKS) {
+    return packs.find(pack => pack.id === id) || packs[0];
+}
+
+/**
+ * 카탈로그에서 스티커 찾기
+ * @param {string} emoji
+ * @param {Array<Object>} [packs]
+ * @returns {Object|null} { emoji, tags }
+ */
+export function findCatalogSticker(emoji, packs = STICKER_PACKS) {
+    for (const pack of packs) {
+        const item = pack.stickers.find(s => s.emoji === emoji);
+        if (item) return item;
+    }
+    return null;
+}
+
+/**
+ * 스티커로 붙일 수 있는 이모지인지 (공유 링크/가져온 파일 검사용)
+ * 카탈로그에 없는 이전 버전 스티커도 받되, 길거나 마크업이 될 수 있는 문자열은 거부
+ * @param {*} emoji
+ * @returns {boolean}
+ */
+export function isStickerEmoji(emoji) {
+    if (typeof emoji !== 'string' || !emoji) return false;
+    if (findCatalogSticker(emoji)) return true;
+    return emoji.length <= MAX_STICKER_EMOJI_LENGTH && !/[\s<>"'`&\\]/.test(emoji);
+}
+
+/**
+ * 검색어로 스티커 찾기
+ * 띄어 쓴 검색어는 모두 맞아야 하고, 각 검색어는 태그나 팩 이름의 일부면 맞음 (영어는 대소문자 무시)
+ * @param {string} query
+ * @param {Array<Object>} [packs]
+ * @returns {Array<Object>} [{ emoji, tags, pack }] (같은 이모지는 한 번만)
+ */
+export function searchStickers(query, packs = STICKER_PACKS) {
+    const terms = String(query ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const seen = new Set();
+    const results = [];
+    packs.forEach(pack => {
+        pack.stickers.forEach(item => {
+            if (seen.has(item.emoji)) return;
+
+            const keywords = [item.emoji, pack.label, ...pack.tags, ...item.tags].map(keyword => keyword.toLowerCase());
+            if (terms.every(term => keywords.some(keyword => keyword.includes(term)))) {
+                seen.add(item.emoji);
+                results.push({ ...item, pack: pack.id });
+            }
+        });
+    });
+    return results;
+}
+
+
+// =========================================================================
+// 최근 사용
+// =========================================================================
+
+/**
+ * 최근 사용한 스티커 (카탈로그에 없는 값은 빼고)
+ * @param {Storage} storage - localStorage 호환 저장소
+ * @returns {Array<string>} 이모지 목록 (최근 것이 앞)
+ */
+export function readRecentStickers(storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(RECENT_STICKERS_KEY));
+        if (!Array.isArray(saved)) return [];
+        return saved.filter(emoji => findCatalogSticker(emoji)).slice(0, MAX_RECENT_STICKERS);
+    } catch (e) {
+        console.warn('최근 스티커 읽기 실패:', e);
+        return [];
+    }
+}
+
+/**
+ * 최근 사용한 스티커에 추가 (이미 있으면 맨 앞으로)
+ * @param {Storage} storage
+ * @param {string} emoji
+ * @returns {Array<string>} 바뀐 목록
+ */
+export function addRecentSticker(storage, emoji) {
+    const recent = [emoji, ...readRecentStickers(storage).filter(item => item !== emoji)]
+        .filter(item => findCatalogSticker(item))
+        .slice(0, MAX_RECENT_STICKERS);
+
+    try {
+        storage.setItem(RECENT_STICKERS_KEY, JSON.stringify(recent));
+    } catch (e) {
+        console.warn('최근 스티커 저장 실패:', e);
+    }
+    return recent;
+}
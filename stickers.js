@@ -0,0 +1,385 @@
+/**
+ * 스티커 편집 계산
+ *
+ * 결과 카드 위 스티커의 위치, 크기, 회전, 겹침 순서를 다룹니다. 화면 요소는 app.js가 그립니다.
+ * - 스티커: { id, emoji, x, y, scale?, rotation? } (scale 1, rotation 0이면 생략)
+ * - 위치: 스티커 왼쪽 위 모서리를 카드 너비/높이에 대한 비율(0~1)로 저장
+ *   (화면 크기가 달라도, 이미지/PDF로 크게 내보내도 카드의 같은 자리에 놓임)
+ * - 겹침 순서: state.stickers 배열 순서 (뒤에 있을수록 위에 그려짐)
+ * - 상자: { x, y, width, height } 카드 왼쪽 위 기준 px (돌리거나 키운 스티커는 화면에 보이는 크기)
+ */
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 크기 배율 범위
+ */
+export const STICKER_SCALE = { min: 0.5, max: 3 };
+
+// 키보드로 옮기는 거리 (px, Shift를 누르면 크게)
+export const STICKER_NUDGE = 1;
+export const STICKER_NUDGE_LARGE = 10;
+
+// 회전 손잡이를 Shift와 함께 끌면 이 각도 단위로 맞춤
+export const ROTATION_SNAP = 15;
+
+// 복제한 스티커를 원래 스티커에서 비켜 놓는 거리 (px)
+export const DUPLICATE_OFFSET = 16;
+
+// 끌 때 이 거리(px) 안에 있는 안내선에 맞춤
+export const SNAP_DISTANCE = 6;
+
+// 자동 배치할 때 카드 가장자리와 띄울 거리, 스티커/글자와 띄울 거리 (px)
+export const ARRANGE_MARGIN = 12;
+export const ARRANGE_GAP = 6;
+
+// 자동 배치 후보 위치 간격 (px)
+const ARRANGE_STEP = 8;
+
+// 가장자리에서 멀어질수록 점수를 깎는 비율 (클수록 가장자리에 붙음)
+const ARRANGE_EDGE_WEIGHT = 2;
+
+/**
+ * 위치를 px로 저장하던 때(스키마 v2, 공유 링크 v1)의 카드 크기
+ * 그때는 카드 크기를 저장하지 않았으므로 데스크톱 결과 카드의 보통 크기로 환산
+ */
+export const LEGACY_CARD_SIZE = { width: 600, height: 900 };
+
+// 비율 위치 소수점 자리 (600px 카드에서 0.06px)
+const POSITION_PRECISION = 10000;
+
+
+// =========================================================================
+// 값 정리
+// =========================================================================
+
+/**
+ * 크기 배율 정리 (숫자가 아니면 1, 범위 밖이면 가장자리 값)
+ * @param {*} scale
+ * @returns {number}
+ */
+export function normalizeStickerScale(scale) {
+    if (typeof scale !== 'number' || !Number.isFinite(scale)) return 1;
+    const clamped = Math.min(STICKER_SCALE.max, Math.max(STICKER_SCALE.min, scale));
+    return Math.round(clamped * 100) / 100;
+}
+
+/**
+ * 회전 각도 정리 (-180 초과 ~ 180 이하, 소수점 한 자리)
+ * @param {*} rotation - 도(deg)
+ * @returns {number}
+ */
+export function normalizeStickerRotation(rotation) {
+    if (typeof rotation !== 'number' || !Number.isFinite(rotation)) return 0;
+    let angle = Math.round(rotation * 10) / 10 % 360;
+    if (angle > 180) angle -= 360;
+    if (angle <= -180) angle += 360;
+    // -0 방지
+    return angle === 0 ? 0 : angle;
+}
+
+/**
+ * 크기/회전 값을 정리해서 넣기 (기본값이면 속성을 지워 저장 문서를 가볍게 유지)
+ * @param {Object} sticker - 바꿀 스티커 (직접 수정)
+ * @param {Object} transform - { scale?, rotation? }
+ * @returns {Object} sticker
+ */
+export function setStickerTransform(sticker, { scale = sticker.scale, rotation = sticker.rotation } = {}) {
+    const normalizedScale = normalizeStickerScale(scale);
+    const normalizedRotation = normalizeStickerRotation(rotation);
+
+    if (normalizedScale === 1) {
+        delete sticker.scale;
+    } else {
+        sticker.scale = normalizedScale;
+    }
+    if (normalizedRotation === 0) {
+        delete sticker.rotation;
+    } else {
+        sticker.rotation = normalizedRotation;
+    }
+    return sticker;
+}
+
+
+// =========================================================================
+// 위치
+// =========================================================================
+
+/**
+ * px 위치 → 카드 크기에 대한 비율 위치 (0~1)
+ * @param {Object} position - { x, y } 카드 왼쪽 위 기준 px
+ * @param {Object} card - { width, height } 카드 크기 (px)
+ * @returns {{ x: number, y: number }}
+ */
+export function toRelativePosition(position, card) {
+    const ratio = (value, length) => {
+        if (!(length > 0) || !Number.isFinite(value)) return 0;
+        const clamped = Math.min(1, Math.max(0, value / length));
+        return Math.round(clamped * POSITION_PRECISION) / POSITION_PRECISION;
+    };
+
+    return { x: ratio(position.x, card.width), y: ratio(position.y, card.height) };
+}
+
+/**
+ * 비율 위치 → 지금 카드의 px 위치 (스티커가 카드 밖으로 나가지 않게)
+ * @param {Object} position - { x, y } 비율 위치
+ * @param {Object} card - { width, height } 카드 크기 (px)
+ * @param {Object} [item] - { width, height } 스티커 크기 (px)
+ * @returns {{ x: number, y: number }}
+ */
+export function toPixelPosition(position, card, item = { width: 0, height: 0 }) {
+    const pixel = (value, length, size) => {
+        const max = Math.max(0, length - size);
+        return Math.min(max, Math.max(0, (Number(value) || 0) * length));
+    };
+
+    return { x: pixel(position.x, card.width, item.width), y: pixel(position.y, card.height, item.height) };
+}
+
+
+// =========================================================================
+// 겹침 순서 / 복제
+// =========================================================================
+
+/**
+ * 스티커를 맨 앞 또는 맨 뒤로 옮긴 새 배열
+ * @param {Array<Object>} stickers
+ * @param {string} id
+ * @param {string} direction - 'front' | 'back'
+ * @returns {Array<Object>} 없는 id면 원래 순서 그대로
+ */
+export function moveStickerLayer(stickers, id, direction) {
+    const sticker = stickers.find(s => s.id === id);
+    if (!sticker) return stickers.slice();
+
+    const rest = stickers.filter(s => s !== sticker);
+    return direction === 'back' ? [sticker, ...rest] : [...rest, sticker];
+}
+
+/**
+ * 스티커 복제 (크기/회전 유지, 조금 비켜 놓음)
+ * @param {Object} sticker
+ * @param {string} id - 새 스티커 id
+ * @param {Object} card - { width, height } 카드 크기 (px)
+ * @param {Object} [item] - { width, height } 스티커 크기 (px)
+ * @returns {Object}
+ */
+export function duplicateSticker(sticker, id, card, item = { width: 0, height: 0 }) {
+    const { x, y } = toPixelPosition(sticker, card, item);
+
+    // 오른쪽 아래로 자리가 없으면 왼쪽 위로 비켜 놓음
+    const shift = (value, max) => (value + DUPLICATE_OFFSET <= max
+        ? value + DUPLICATE_OFFSET
+        : Math.max(0, value - DUPLICATE_OFFSET));
+
+    return {
+        ...sticker,
+        id,
+        ...toRelativePosition({
+            x: shift(x, card.width - item.width),
+            y: shift(y, card.height - item.height)
+        }, card)
+    };
+}
+
+
+// =========================================================================
+// 손잡이 끌기
+// =========================================================================
+
+/**
+ * 크기 손잡이를 끈 뒤의 배율 (가운데에서 멀어진 비율만큼)
+ * @param {Object} center - { x, y } 스티커 가운데 (화면 좌표)
+ * @param {Object} start - { x, y } 끌기 시작한 위치
+ * @param {Object} current - { x, y } 지금 위치
+ * @param {number} initialScale - 끌기 시작할 때 배율
+ * @returns {number}
+ */
+export function scaleFromPointer(center, start, current, initialScale) {
+    const startDistance = Math.hypot(start.x - center.x, start.y - center.y);
+    if (startDistance < 1) return normalizeStickerScale(initialScale);
+
+    const distance = Math.hypot(current.x - center.x, current.y - center.y);
+    return normalizeStickerScale(initialScale * distance / startDistance);
+}
+
+/**
+ * 회전 손잡이를 끈 뒤의 각도 (시계 방향이 +)
+ * @param {Object} center - { x, y }
+ * @param {Object} start - { x, y }
+ * @param {Object} current - { x, y }
+ * @param {number} initialRotation - 끌기 시작할 때 각도
+ * @param {boolean} [snap=false] - ROTATION_SNAP 단위로 맞출지
+ * @returns {number}
+ */
+export function rotationFromPointer(center, start, current, initialRotation, snap = false) {
+    const angle = point => Math.atan2(point.y - center.y, point.x - center.x) * 180 / Math.PI;
+    let rotation = initialRotation + angle(current) - angle(start);
+
+    if (snap) {
+        rotation = Math.round(rotation / ROTATION_SNAP) * ROTATION_SNAP;
+    }
+    return normalizeStickerRotation(rotation);
+}
+
+
+// =========================================================================
+// 안내선 맞춤
+// =========================================================================
+
+/**
+ * 맞출 수 있는 안내선 (카드 가장자리/가운데, 다른 스티커의 가장자리/가운데)
+ * @param {Object} card - { width, height }
+ * @param {Array<Object>} others - 다른 스티커 상자
+ * @returns {{ x: Array<number>, y: Array<number> }} 세로선의 x, 가로선의 y
+ */
+export function getSnapLines(card, others = []) {
+    const lines = {
+        x: [0, card.width / 2, card.width],
+        y: [0, card.height / 2, card.height]
+    };
+
+    others.forEach(box => {
+        lines.x.push(box.x, box.x + box.width / 2, box.x + box.width);
+        lines.y.push(box.y, box.y + box.height / 2, box.y + box.height);
+    });
+    return lines;
+}
+
+/**
+ * 상자의 가장자리나 가운데가 가까운 안내선에 붙도록 옮긴 위치
+ * @param {Object} box - 끌고 있는 스티커 상자
+ * @param {Object} lines - getSnapLines() 결과
+ * @param {number} [threshold=SNAP_DISTANCE]
+ * @returns {{ x: number, y: number, guides: { x: number|null, y: number|null } }} 맞춘 안내선 (없으면 null)
+ */
+export function snapStickerBox(box, lines, threshold = SNAP_DISTANCE) {
+    const snapAxis = (start, length, targets) => {
+        let best = null;
+        [start, start + length / 2, start + length].forEach(edge => {
+            targets.forEach(line => {
+                const offset = line - edge;
+                if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, line };
+                }
+            });
+        });
+        return best;
+    };
+
+    const snapX = snapAxis(box.x, box.width, lines.x);
+    const snapY = snapAxis(box.y, box.height, lines.y);
+
+    return {
+        x: box.x + (snapX?.offset || 0),
+        y: box.y + (snapY?.offset || 0),
+        guides: { x: snapX ? snapX.line : null, y: snapY ? snapY.line : null }
+    };
+}
+
+
+// =========================================================================
+// 자동 배치
+// =========================================================================
+
+/**
+ * 두 상자가 겹치는지 (gap만큼 띄워야 겹치지 않은 것으로 봄)
+ * @param {Object} a
+ * @param {Object} b
+ * @param {number} [gap=0]
+ * @returns {boolean}
+ */
+export function boxesOverlap(a, b, gap = 0) {
+    return a.x < b.x + b.width + gap
+        && b.x < a.x + a.width + gap
+        && a.y < b.y + b.height + gap
+        && b.y < a.y + a.height + gap;
+}
+
+/**
+ * 카드 테두리 위의 점 (왼쪽 위에서 시계 방향으로 한 바퀴를 0~1로)
+ * @param {Object} card - { width, height }
+ * @param {number} t
+ * @returns {{ x: number, y: number }}
+ */
+export function pointOnPerimeter(card, t) {
+    const { width, height } = card;
+    let distance = ((t % 1) + 1) % 1 * 2 * (width + height);
+
+    if (distance < width) return { x: distance, y: 0 };
+    distance -= width;
+    if (distance < height) return { x: width, y: distance };
+    distance -= height;
+    if (distance < width) return { x: width - distance, y: height };
+    distance -= width;
+    return { x: 0, y: height - distance };
+}
+
+/**
+ * 다른 것과 겹치지 않으면서 target에 가깝고 카드 가장자리에 붙은 자리
+ * @param {Object} size - { width, height } 스티커 크기
+ * @param {Object} card - { width, height }
+ * @param {Array<Object>} obstacles - 피할 상자 (글자, 다른 스티커)
+ * @param {Object} target - { x, y } 가까이 놓고 싶은 점
+ * @returns {{ x: number, y: number }|null} 스티커 왼쪽 위 (자리가 없으면 null)
+ */
+export function findStickerSpot(size, card, obstacles, target) {
+    const minX = ARRANGE_MARGIN;
+    const minY = ARRANGE_MARGIN;
+    const maxX = card.width - ARRANGE_MARGIN - size.width;
+    const maxY = card.height - ARRANGE_MARGIN - size.height;
+    if (maxX < minX || maxY < minY) return null;
+
+    const steps = (min, max) => {
+        const values = [];
+        for (let value = min; value < max; value += ARRANGE_STEP) values.push(value);
+        values.push(max);
+        return values;
+    };
+    const xs = steps(minX, maxX);
+    const ys = steps(minY, maxY);
+
+    let best = null;
+    let bestScore = Infinity;
+    ys.forEach(y => {
+        xs.forEach(x => {
+            const box = { x, y, width: size.width, height: size.height };
+            if (obstacles.some(obstacle => boxesOverlap(box, obstacle, ARRANGE_GAP))) return;
+
+            const edgeDistance = Math.min(x - minX, y - minY, maxX - x, maxY - y);
+            const score = Math.hypot(x + size.width / 2 - target.x, y + size.height / 2 - target.y)
+                + edgeDistance * ARRANGE_EDGE_WEIGHT;
+            if (score < bestScore) {
+                best = { x, y };
+                bestScore = score;
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * 스티커를 카드 테두리를 따라 고르게 나눠 놓기 (글자를 가리지 않고, 서로 겹치지 않게)
+ * 자리가 모자라면 다른 스티커와는 겹치더라도 글자는 피함
+ * @param {Array<Object>} sizes - 스티커 크기 목록 { width, height } (겹침 순서대로)
+ * @param {Object} card - { width, height }
+ * @param {Array<Object>} obstacles - 피할 글자 상자
+ * @returns {Array<{ x: number, y: number }|null>} 스티커 왼쪽 위 (놓을 수 없으면 null)
+ */
+export function arrangeStickers(sizes, card, obstacles) {
+    const placed = [];
+
+    return sizes.map((size, index) => {
+        const target = pointOnPerimeter(card, (index + 0.5) / sizes.length);
+        const spot = findStickerSpot(size, card, [...obstacles, ...placed], target)
+            || findStickerSpot(size, card, obstacles, target);
+
+        if (spot) placed.push({ ...spot, ...size });
+        return spot;
+    });
+}
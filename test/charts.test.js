@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { renderProgressBars, renderColumnChart } from '../charts.js';
+
+function parse(markup) {
+    const container = document.createElement('div');
+    container.innerHTML = markup;
+    return container.querySelector('svg');
+}
+
+describe('SVG 차트 테스트', () => {
+    describe('renderProgressBars()', () => {
+        it('달성 비율만큼 막대를 채워야 함', () => {
+            const chart = parse(renderProgressBars([
+                { label: '가족', achieved: 1, total: 4 },
+                { label: '장소', achieved: 0, total: 0 }
+            ], { width: 400, labelWidth: 100 }));
+
+            const achieved = chart.querySelectorAll('.chart-bar-achieved');
+            expect(chart.getAttribute('role')).toBe('img');
+            expect(achieved[0].getAttribute('width')).toBe('63');
+            expect(achieved[1].getAttribute('width')).toBe('0');
+            expect(chart.querySelectorAll('.chart-value')[0].textContent).toBe('1/4');
+        });
+
+        it('라벨을 이스케이프해야 함', () => {
+            const markup = renderProgressBars([{ label: '<b>', achieved: 0, total: 1 }]);
+            expect(markup).not.toContain('<b>');
+        });
+    });
+
+    describe('renderColumnChart()', () => {
+        it('가장 큰 값을 기준으로 막대 높이를 정해야 함', () => {
+            const chart = parse(renderColumnChart([
+                { label: '2025', value: 1 },
+                { label: '2026', value: 2 }
+            ], { height: 200 }));
+
+            const heights = Array.from(chart.querySelectorAll('rect')).map(rect => Number(rect.getAttribute('height')));
+            expect(heights).toEqual([78, 156]);
+        });
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    COLOR_SCHEME_KEY,
+    readColorSchemePreference,
+    saveColorSchemePreference,
+    resolveColorScheme,
+    nextColorSchemePreference
+} from '../color-scheme.js';
+
+describe('화면 모드 테스트', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('저장된 설정이 없거나 잘못되면 시스템 설정을 따라야 함', () => {
+        expect(readColorSchemePreference(localStorage)).toBe('system');
+
+        localStorage.setItem(COLOR_SCHEME_KEY, 'sepia');
+        expect(readColorSchemePreference(localStorage)).toBe('system');
+    });
+
+    it('직접 고른 모드만 저장해야 함', () => {
+        saveColorSchemePreference(localStorage, 'dark');
+        expect(localStorage.getItem(COLOR_SCHEME_KEY)).toBe('dark');
+        expect(readColorSchemePreference(localStorage)).toBe('dark');
+
+        saveColorSchemePreference(localStorage, 'system');
+        expect(localStorage.getItem(COLOR_SCHEME_KEY)).toBe(null);
+    });
+
+    it('직접 고른 모드가 운영체제 설정보다 우선해야 함', () => {
+        expect(resolveColorScheme('system', true)).toBe('dark');
+        expect(resolveColorScheme('system', false)).toBe('light');
+        expect(resolveColorScheme('light', true)).toBe('light');
+        expect(resolveColorScheme('dark', false)).toBe('dark');
+    });
+
+    it('버튼을 누르면 차례로 바뀌어야 함', () => {
+        expect(nextColorSchemePreference('system')).toBe('light');
+        expect(nextColorSchemePreference('light')).toBe('dark');
+        expect(nextColorSchemePreference('dark')).toBe('system');
+    });
+});
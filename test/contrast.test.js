@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseHex, toHex, hexToHsl, hslToHex, contrastRatio, checkContrast, fixTextColor, WCAG_AA, WCAG_AAA } from '../contrast.js';
+
+describe('색상 대비 검사 테스트', () => {
+    it('hex 색상을 읽고 다시 만들어야 함', () => {
+        expect(parseHex('#1e6091')).toEqual([30, 96, 145]);
+        expect(parseHex('fff')).toEqual([255, 255, 255]);
+        expect(toHex([30, 96, 145])).toBe('#1E6091');
+        expect(() => parseHex('red')).toThrow('색상 형식');
+    });
+
+    it('HSL로 바꿨다가 되돌려도 같은 색이어야 함', () => {
+        const [h, s, l] = hexToHsl('#D45D3F');
+
+        expect(h).toBeCloseTo(12, 0);
+        expect(hslToHex([h, s, l])).toBe('#D45D3F');
+        expect(hslToHex([h + 360, s, l])).toBe('#D45D3F');
+        expect(hslToHex([0, 0, 2])).toBe('#FFFFFF');
+    });
+
+    it('WCAG 대비율을 계산해야 함', () => {
+        expect(contrastRatio('#000000', '#FFFFFF')).toBeCloseTo(21);
+        expect(contrastRatio('#FFFFFF', '#000000')).toBeCloseTo(21);
+        expect(contrastRatio('#777777', '#777777')).toBeCloseTo(1);
+        expect(contrastRatio('#767676', '#FFFFFF')).toBeCloseTo(4.54, 2);
+    });
+
+    it('대비 등급을 나누고 통과처럼 보이지 않게 내림해야 함', () => {
+        expect(checkContrast('#1A1A1A', '#FFFFFF')).toMatchObject({ level: 'AAA', passes: true });
+        expect(checkContrast('#767676', '#FFFFFF')).toMatchObject({ level: 'AA', passes: true });
+        expect(checkContrast('#777777', '#FFFFFF')).toEqual({ ratio: 4.47, level: 'AA-large', passes: false });
+        expect(checkContrast('#CCCCCC', '#FFFFFF')).toMatchObject({ level: 'fail', passes: false });
+    });
+
+    describe('fixTextColor()', () => {
+        it('이미 통과하면 그대로 두어야 함', () => {
+            expect(fixTextColor('#1a1a1a', '#FFFFFF')).toBe('#1A1A1A');
+        });
+
+        it('가까운 쪽으로 밝기만 바꿔 기준을 넘겨야 함', () => {
+            const fixed = fixTextColor('#FF8080', '#FFFFFF');
+            const [r, g, b] = parseHex(fixed);
+
+            expect(contrastRatio(fixed, '#FFFFFF')).toBeGreaterThanOrEqual(WCAG_AA);
+            expect(contrastRatio(fixed, '#FFFFFF')).toBeLessThan(4.7);
+            // 붉은 계열 유지
+            expect(r).toBeGreaterThan(g);
+            expect(g).toBe(b);
+        });
+
+        it('어두운 배경에서는 밝게 바꿔야 함', () => {
+            const fixed = fixTextColor('#334455', '#0D1B2A');
+
+            expect(contrastRatio(fixed, '#0D1B2A')).toBeGreaterThanOrEqual(WCAG_AA);
+            expect(parseHex(fixed)[2]).toBeGreaterThan(0x55);
+        });
+
+        it('어느 쪽으로도 안 되면 대비가 큰 검정/흰색', () => {
+            expect(fixTextColor('#808080', '#808080', WCAG_AAA)).toBe('#000000');
+        });
+    });
+});
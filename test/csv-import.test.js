@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import {
+    detectDelimiter,
+    parseCSV,
+    detectHeader,
+    guessMapping,
+    parseAchieved,
+    mapRows,
+    findCategoryByName,
+    planImport,
+    applyEntries,
+    MAX_CSV_ROWS
+} from '../csv-import.js';
+import { BucketListModel } from '../model.js';
+
+const SAMPLE = [
+    '\uFEFF이름,카테고리,하고 싶은 일,기한,달성',
+    '민수,여행,"파리, 런던 가기",2030,X',
+    '민수,family,가족 캠핑,,O',
+    '지은,운동,"마라톤 ""풀코스"" 완주",40살 전,',
+    '',
+    '지은,,피아노,,',
+    '지은,운동,수영,언젠가,',
+    '지은,운동,등산,2026-05-01,완료',
+    '지은,운동,요가,2030,완료',
+    '지은,운동,줄넘기,,글쎄'
+].join('\r\n');
+
+describe('CSV 가져오기 테스트', () => {
+    describe('parseCSV()', () => {
+        it('따옴표, 이스케이프한 따옴표, 빈 줄, BOM을 처리해야 함', () => {
+            const rows = parseCSV(SAMPLE);
+
+            expect(rows).toHaveLength(9);
+            expect(rows[0][0]).toBe('이름');
+            expect(rows[1][2]).toBe('파리, 런던 가기');
+            expect(rows[3][2]).toBe('마라톤 "풀코스" 완주');
+        });
+
+        it('원문 줄 번호를 기록해야 함 (칸 안 줄바꿈 포함)', () => {
+            const rows = parseCSV('a,b\n"여러\n줄",c\n\nd,e');
+            expect(rows.map(row => row.line)).toEqual([1, 2, 5]);
+            expect(rows[1][0]).toBe('여러\n줄');
+        });
+
+        it('세미콜론/탭 구분 문자를 추측해야 함', () => {
+            expect(detectDelimiter('a;b;c\n1;2;3')).toBe(';');
+            expect(detectDelimiter('a\tb')).toBe('\t');
+            expect(detectDelimiter('한 칸')).toBe(',');
+            expect([...parseCSV('여행;파리')[0]]).toEqual(['여행', '파리']);
+        });
+    });
+
+    describe('열 연결', () => {
+        it('제목 줄의 이름으로 열을 찾아야 함', () => {
+            const rows = parseCSV(SAMPLE);
+
+            expect(detectHeader(rows)).toBe(true);
+            expect(guessMapping(rows, true)).toEqual({ category: 1, item: 2, date: 3, achieved: 4 });
+        });
+
+        it('제목 줄이 없으면 앞에서부터 순서대로 연결해야 함', () => {
+            const rows = parseCSV('여행,파리\n운동,수영');
+
+            expect(detectHeader(rows)).toBe(false);
+            expect(guessMapping(rows, false)).toEqual({ category: 0, item: 1, date: -1, achieved: -1 });
+        });
+
+        it('달성 여부 값을 해석해야 함', () => {
+            expect(parseAchieved('O')).toBe(true);
+            expect(parseAchieved('✅')).toBe(true);
+            expect(parseAchieved('X')).toBe(false);
+            expect(parseAchieved('')).toBe(false);
+            expect(parseAchieved('글쎄')).toBe(null);
+        });
+    });
+
+    describe('mapRows()', () => {
+        it('정상 줄은 항목으로, 잘못된 줄은 줄 번호와 이유로 돌려줘야 함', () => {
+            const rows = parseCSV(SAMPLE);
+            const { entries, errors } = mapRows(rows, guessMapping(rows, true), { hasHeader: true });
+
+            expect(entries.map(e => e.text)).toEqual(['파리, 런던 가기', '가족 캠핑', '마라톤 "풀코스" 완주', '등산']);
+            expect(entries[0].deadline).toEqual({ type: 'year', value: 2030 });
+            expect(entries[2].deadline).toEqual({ type: 'age', value: 40 });
+            expect(entries[3]).toMatchObject({ achieved: true, achievedAt: '2026-05-01', deadline: null });
+
+            expect(errors.map(e => e.line)).toEqual([6, 7, 9, 10]);
+            expect(errors[0].message).toContain('카테고리');
+            expect(errors[1].message).toContain('언젠가');
+            expect(errors[2].message).toContain('달성한 항목');
+            expect(errors[3].message).toContain('글쎄');
+        });
+
+        it('필수 열이 없으면 오류를 돌려줘야 함', () => {
+            const { entries, errors } = mapRows([['a']], { category: 0, item: -1, date: -1, achieved: -1 });
+            expect(entries).toEqual([]);
+            expect(errors[0].line).toBe(0);
+        });
+
+        it('최대 줄 수를 넘으면 나머지를 건너뛰어야 함', () => {
+            const rows = parseCSV(Array.from({ length: MAX_CSV_ROWS + 3 }, (_, i) => `여행,곳 ${i}`).join('\n'));
+            const { entries, errors } = mapRows(rows, { category: 0, item: 1, date: -1, achieved: -1 });
+
+            expect(entries).toHaveLength(MAX_CSV_ROWS);
+            expect(errors[0].message).toContain('3줄');
+        });
+    });
+
+    describe('모델에 반영', () => {
+        it('제목 또는 기본 카테고리 id로 카테고리를 찾아야 함', () => {
+            const categories = new BucketListModel().getCategories();
+
+            expect(findCategoryByName(categories, 'family').id).toBe('family');
+            expect(findCategoryByName(categories, categories[1].title).id).toBe(categories[1].id);
+            expect(findCategoryByName(categories, '운동')).toBe(null);
+        });
+
+        it('새로 만들 카테고리와 중복 항목을 미리 계산해야 함', () => {
+            const model = new BucketListModel();
+            model.addItem('family', '가족 캠핑');
+
+            const { newCategories, duplicates, ready } = planImport(model.getCategories(), [
+                { category: 'family', text: '가족 캠핑' },
+                { category: '운동', text: '수영' },
+                { category: ' 운동 ', text: '수영 ' },
+                { category: '운동', text: '등산' }
+            ]);
+
+            expect(newCategories).toEqual(['운동']);
+            expect(duplicates).toHaveLength(2);
+            expect(ready.map(e => e.text)).toEqual(['수영', '등산']);
+        });
+
+        it('빈 입력칸을 먼저 채우고 없는 카테고리는 만들어야 함', () => {
+            const model = new BucketListModel();
+            const created = [];
+            const added = applyEntries(model, [
+                { category: 'family', text: '가족 캠핑', deadline: { type: 'year', value: 2030 }, achieved: false, achievedAt: null },
+                { category: '운동', text: '등산', deadline: null, achieved: true, achievedAt: '2026-05-01' },
+                { category: '운동', text: '수영', deadline: null, achieved: false, achievedAt: null }
+            ], {
+                createCategory: title => {
+                    created.push(title);
+                    return model.addCategory({ title });
+                }
+            });
+
+            expect(added).toEqual({ items: 3, categories: 1 });
+            expect(created).toEqual(['운동']);
+
+            const family = model.getCategory('family');
+            expect(family.items[0]).toMatchObject({ text: '가족 캠핑', deadline: { type: 'year', value: 2030 } });
+
+            const sports = model.getCategories().find(c => c.title === '운동');
+            expect(sports.items.map(item => item.text)).toEqual(['등산', '수영']);
+            expect(sports.items[0]).toMatchObject({ achieved: true, achievedAt: '2026-05-01' });
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+    parseDeadline,
+    isValidDeadline,
+    formatDeadlineInput,
+    resolveDeadline,
+    describeDeadline,
+    sortByDeadline,
+    groupByDeadline
+} from '../deadline.js';
+
+const NOW = new Date(2026, 1, 1);
+
+describe('목표 기한 테스트', () => {
+    describe('parseDeadline()', () => {
+        it('날짜/연도/나이 형식을 해석해야 함', () => {
+            expect(parseDeadline('2027-05-01')).toEqual({ type: 'date', value: '2027-05-01' });
+            expect(parseDeadline('2027.5.1')).toEqual({ type: 'date', value: '2027-05-01' });
+            expect(parseDeadline('2030')).toEqual({ type: 'year', value: 2030 });
+            expect(parseDeadline('2030년까지')).toEqual({ type: 'year', value: 2030 });
+            expect(parseDeadline('40살 전')).toEqual({ type: 'age', value: 40 });
+            expect(parseDeadline('40세')).toEqual({ type: 'age', value: 40 });
+        });
+
+        it('비어 있거나 해석할 수 없으면 null을 반환해야 함', () => {
+            expect(parseDeadline('')).toBeNull();
+            expect(parseDeadline('언젠가')).toBeNull();
+            expect(parseDeadline('2026-02-30')).toBeNull();
+        });
+
+        it('formatDeadlineInput()과 왕복해야 함', () => {
+            ['2027-05-01', '2030', '40살 전'].forEach(text => {
+                expect(formatDeadlineInput(parseDeadline(text))).toBe(text);
+            });
+        });
+    });
+
+    describe('isValidDeadline()', () => {
+        it('형식이 맞지 않는 기한을 거부해야 함', () => {
+            expect(isValidDeadline({ type: 'year', value: '2030' })).toBe(false);
+            expect(isValidDeadline({ type: 'age', value: 0 })).toBe(false);
+            expect(isValidDeadline({ type: 'month', value: 3 })).toBe(false);
+            expect(isValidDeadline(null)).toBe(false);
+        });
+    });
+
+    describe('resolveDeadline()', () => {
+        it('연도는 그 해 마지막 날로 변환해야 함', () => {
+            expect(resolveDeadline({ type: 'year', value: 2030 })).toEqual(new Date(2030, 11, 31));
+        });
+
+        it('나이는 태어난 해가 있을 때만 변환해야 함', () => {
+            const deadline = { type: 'age', value: 40 };
+            expect(resolveDeadline(deadline)).toBeNull();
+            expect(resolveDeadline(deadline, 1990)).toEqual(new Date(2029, 11, 31));
+        });
+    });
+
+    describe('describeDeadline()', () => {
+        it('마감 표시와 남은 기간을 반환해야 함', () => {
+            expect(describeDeadline({ type: 'date', value: '2026-04-30' }, { now: NOW })).toEqual({
+                label: '2026년 4월 30일까지',
+                remaining: '3개월 남음',
+                overdue: false
+            });
+        });
+
+        it('지난 기한은 overdue로 표시해야 함', () => {
+            expect(describeDeadline({ type: 'year', value: 2025 }, { now: NOW })).toMatchObject({
+                label: '2025년까지',
+                overdue: true
+            });
+        });
+
+        it('태어난 해가 없으면 남은 기간 없이 표시해야 함', () => {
+            expect(describeDeadline({ type: 'age', value: 40 }, { now: NOW })).toEqual({
+                label: '40살 전까지',
+                remaining: '',
+                overdue: false
+            });
+        });
+    });
+
+    describe('정렬/그룹화', () => {
+        const categories = [
+            {
+                id: 'family',
+                badge: '💕',
+                items: [
+                    { id: 'a', text: '기한 없음' },
+                    { id: 'b', text: '2030', deadline: { type: 'year', value: 2030 } },
+                    { id: 'c', text: '달성', achieved: true, deadline: { type: 'year', value: 2026 } }
+                ]
+            },
+            {
+                id: 'place',
+                badge: '🌍',
+                items: [
+                    { id: 'd', text: '곧', deadline: { type: 'date', value: '2026-06-01' } },
+                    { id: 'e', text: '지남', deadline: { type: 'date', value: '2025-12-31' } }
+                ]
+            }
+        ];
+
+        it('마감일 오름차순, 기한 없는 항목은 뒤로 정렬해야 함', () => {
+            expect(sortByDeadline(categories).map(e => e.item.id)).toEqual(['e', 'd', 'c', 'b', 'a']);
+        });
+
+        it('기한 상태별로 그룹을 나눠야 함', () => {
+            const groups = groupByDeadline(categories, { now: NOW });
+
+            expect(groups.map(g => [g.id, g.entries.map(e => e.item.id)])).toEqual([
+                ['overdue', ['e']],
+                ['soon', ['d']],
+                ['later', ['b']],
+                ['undated', ['a']],
+                ['achieved', ['c']]
+            ]);
+            expect(groups[0].entries[0].category.badge).toBe('🌍');
+        });
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { DocumentHistory, MAX_HISTORY, HISTORY_MERGE_MS } from '../history.js';
+
+describe('실행 취소 기록 테스트', () => {
+    const doc = userName => ({ userName, categories: [], stickers: [], savedAt: new Date().toISOString() });
+
+    it('처음 문서로는 더 되돌릴 수 없어야 함', () => {
+        const history = new DocumentHistory(doc('a'));
+
+        expect(history.canUndo()).toBe(false);
+        expect(history.undo()).toBe(null);
+        expect(history.canRedo()).toBe(false);
+    });
+
+    it('되돌리고 다시 실행해야 함', () => {
+        const history = new DocumentHistory(doc('a'));
+        history.push(doc('b'), 0);
+        history.push(doc('c'), HISTORY_MERGE_MS);
+
+        expect(history.undo().userName).toBe('b');
+        expect(history.undo().userName).toBe('a');
+        expect(history.canUndo()).toBe(false);
+        expect(history.redo().userName).toBe('b');
+        expect(history.canRedo()).toBe(true);
+    });
+
+    it('저장 시각만 다르면 쌓지 않아야 함', () => {
+        const history = new DocumentHistory(doc('a'));
+
+        expect(history.push({ ...doc('a'), savedAt: 'later' })).toBe(false);
+        expect(history.canUndo()).toBe(false);
+        expect(history.undo()).toBe(null);
+    });
+
+    it('잇따른 변경은 한 단계로 합치되 처음 문서는 남겨야 함', () => {
+        const history = new DocumentHistory(doc(''));
+        history.push(doc('홍'), 0);
+        history.push(doc('홍길'), 300);
+        history.push(doc('홍길동'), 600);
+
+        expect(history.undo().userName).toBe('');
+        expect(history.redo().userName).toBe('홍길동');
+    });
+
+    it('되돌린 뒤 바꾸면 다시 실행할 단계를 버려야 함', () => {
+        const history = new DocumentHistory(doc('a'));
+        history.push(doc('b'), 0);
+        history.undo();
+        history.push(doc('c'), 100);
+
+        expect(history.canRedo()).toBe(false);
+        expect(history.undo().userName).toBe('a');
+    });
+
+    it('최대 단계 수를 넘으면 오래된 단계부터 버려야 함', () => {
+        const history = new DocumentHistory(doc('0'));
+        for (let i = 1; i <= MAX_HISTORY + 5; i++) {
+            history.push(doc(String(i)), i * HISTORY_MERGE_MS);
+        }
+
+        let oldest = null;
+        while (history.canUndo()) oldest = history.undo();
+        expect(oldest.userName).toBe('6');
+    });
+});
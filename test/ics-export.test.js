@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { escapeIcsText, foldLine, toIcsDate, toIcsDateTime, collectCalendarEntries, buildCalendar, SKIP_REASONS } from '../ics-export.js';
+import { BucketListModel } from '../model.js';
+
+const NOW = new Date(Date.UTC(2026, 1, 1, 9, 30, 0));
+
+function createCategories() {
+    const model = new BucketListModel();
+
+    const trip = model.addItem('family', '가족 여행, 제주도');
+    model.updateItem('family', trip.id, { deadline: { type: 'date', value: '2027-05-01' } });
+
+    const camp = model.addItem('family', '캠핑');
+    model.updateItem('family', camp.id, { deadline: { type: 'year', value: 2026 } });
+
+    const marathon = model.addItem('place', '마라톤 완주');
+    model.updateItem('place', marathon.id, { deadline: { type: 'age', value: 40 } });
+
+    model.addItem('learn', '피아노');
+
+    const done = model.addItem('learn', '수영');
+    model.updateItem('learn', done.id, { deadline: { type: 'year', value: 2025 } });
+    model.setAchieved('learn', done.id, true, '2025-08-01');
+
+    return model.getFilledCategories();
+}
+
+describe('iCalendar 내보내기 테스트', () => {
+    describe('형식 변환', () => {
+        it('쉼표, 세미콜론, 역슬래시, 줄바꿈을 이스케이프해야 함', () => {
+            expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+        });
+
+        it('75바이트를 넘는 줄은 접어야 함', () => {
+            const line = `SUMMARY:${'가'.repeat(40)}`;
+            const folded = foldLine(line);
+            const lines = folded.split('\r\n');
+
+            expect(lines.length).toBe(2);
+            expect(lines[1].startsWith(' ')).toBe(true);
+            lines.forEach(part => expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75));
+            expect(folded.replace(/\r\n /g, '')).toBe(line);
+        });
+
+        it('날짜와 UTC 시각 형식', () => {
+            expect(toIcsDate(new Date(2030, 0, 5))).toBe('20300105');
+            expect(toIcsDateTime(NOW)).toBe('20260201T093000Z');
+        });
+    });
+
+    describe('collectCalendarEntries()', () => {
+        it('기한 순으로 고르고 건너뛴 항목의 이유를 돌려줘야 함', () => {
+            const { included, skipped } = collectCalendarEntries(createCategories());
+
+            expect(included.map(e => e.item.text)).toEqual(['캠핑', '가족 여행, 제주도']);
+            expect(skipped.map(e => [e.item.text, e.reason])).toEqual([
+                ['마라톤 완주', SKIP_REASONS.age],
+                ['피아노', SKIP_REASONS.undated],
+                ['수영', SKIP_REASONS.achieved]
+            ]);
+        });
+
+        it('태어난 해가 있으면 나이 기한도 포함해야 함', () => {
+            const { included } = collectCalendarEntries(createCategories(), { birthYear: 1990 });
+            expect(included.map(e => e.item.text)).toContain('마라톤 완주');
+        });
+    });
+
+    describe('buildCalendar()', () => {
+        it('종일 일정(VEVENT)과 알림을 만들어야 함', () => {
+            const { content } = buildCalendar(createCategories(), { calendarName: '나의 버킷리스트', now: NOW });
+
+            expect(content.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+            expect(content.endsWith('END:VCALENDAR\r\n')).toBe(true);
+            expect(content).toContain('X-WR-CALNAME:나의 버킷리스트');
+            expect(content.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+            expect(content).toContain('DTSTART;VALUE=DATE:20270501\r\nDTEND;VALUE=DATE:20270502');
+            expect(content).toContain('SUMMARY:가족 여행\\, 제주도');
+            expect(content).toContain('CATEGORIES:가족·친구와 함께하고 싶은 일');
+            expect(content).toContain('TRIGGER:-P7D');
+            expect(content).toContain('DTSTAMP:20260201T093000Z');
+        });
+
+        it('할 일(VTODO)은 DUE와 기한 기준 알림을 사용해야 함', () => {
+            const { content } = buildCalendar(createCategories(), { type: 'todo', reminderDays: 3, now: NOW });
+
+            expect(content).not.toContain('BEGIN:VEVENT');
+            expect(content).toContain('DUE;VALUE=DATE:20261231');
+            expect(content).toContain('TRIGGER;RELATED=END:-P3D');
+        });
+
+        it('알림 일수가 0이면 VALARM을 넣지 않아야 함', () => {
+            const { content } = buildCalendar(createCategories(), { reminderDays: 0, now: NOW });
+            expect(content).not.toContain('VALARM');
+        });
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { computeLayout, normalizeQuality, loadRenderer, renderImage, IMAGE_PRESETS, IMAGE_FORMATS, DEFAULT_QUALITY } from '../image-export.js';
+
+/**
+ * 그리기 호출을 기록하는 가짜 2D 컨텍스트
+ */
+function mockCanvas({ blobType } = {}) {
+    const calls = [];
+    const ctx = {
+        fillRect: (...args) => calls.push(['fillRect', ...args]),
+        drawImage: (image, ...args) => calls.push(['drawImage', ...args])
+    };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+    vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function(callback, type, quality) {
+        calls.push(['toBlob', type, quality, this.width, this.height]);
+        callback(new Blob([''], { type: blobType || type }));
+    });
+    return calls;
+}
+
+describe('이미지 내보내기 테스트', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('computeLayout()', () => {
+        it('화면 크기 프리셋은 배율만 곱해야 함', () => {
+            expect(computeLayout({ width: 600, height: 900 }, IMAGE_PRESETS.original)).toEqual({
+                width: 1200, height: 1800, scale: 2, x: 0, y: 0, drawWidth: 1200, drawHeight: 1800
+            });
+        });
+
+        it('고정 크기 프리셋은 여백 안에 가운데 정렬해야 함', () => {
+            const layout = computeLayout({ width: 600, height: 900 }, IMAGE_PRESETS.square);
+
+            expect(layout.width).toBe(1080);
+            expect(layout.height).toBe(1080);
+            expect(layout.y).toBeCloseTo(65);
+            expect(layout.drawHeight).toBeCloseTo(950);
+            expect(layout.x * 2 + layout.drawWidth).toBeCloseTo(1080);
+        });
+
+        it('세로로 긴 프리셋에서는 너비에 맞춰야 함', () => {
+            const layout = computeLayout({ width: 600, height: 900 }, IMAGE_PRESETS.story);
+
+            expect(layout.drawWidth).toBeCloseTo(1080 - 65 * 2);
+            expect(layout.y).toBeGreaterThan(layout.x);
+        });
+
+        it('여백이 0이면 같은 비율의 카드로 프리셋을 꽉 채워야 함', () => {
+            const layout = computeLayout({ width: 390, height: 390 * 2532 / 1170 }, IMAGE_PRESETS.wallpaper, { padding: 0 });
+
+            expect(layout.scale).toBeCloseTo(3);
+            expect(layout.x).toBeCloseTo(0);
+            expect(layout.y).toBeCloseTo(0);
+            expect(layout.drawHeight).toBeCloseTo(2532);
+        });
+    });
+
+    it('품질은 0.1~1 사이로 정리해야 함', () => {
+        expect(normalizeQuality('0.8')).toBe(0.8);
+        expect(normalizeQuality(5)).toBe(1);
+        expect(normalizeQuality(0)).toBe(0.1);
+        expect(normalizeQuality('abc')).toBe(DEFAULT_QUALITY);
+    });
+
+    describe('loadRenderer()', () => {
+        it('불러오기에 실패하면 전역 html2canvas를 쓰고 다음에 다시 시도해야 함', async () => {
+            const render = await loadRenderer(() => Promise.reject(new Error('network')));
+            expect(render).toBe(window.html2canvas);
+
+            const loader = vi.fn(() => Promise.resolve({ default: () => 'rendered' }));
+            const loaded = await loadRenderer(loader);
+            expect(loaded()).toBe('rendered');
+
+            // 한 번 불러오면 다시 불러오지 않음
+            await loadRenderer(loader);
+            expect(loader).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('renderImage()', () => {
+        it('프리셋 크기 캔버스에 배경을 칠하고 카드를 그려야 함', async () => {
+            const calls = mockCanvas();
+            const steps = [];
+            const card = document.createElement('div');
+            Object.defineProperty(card, 'offsetWidth', { value: 600 });
+            Object.defineProperty(card, 'offsetHeight', { value: 900 });
+
+            const result = await renderImage(card, {
+                preset: 'square',
+                format: 'jpeg',
+                quality: 0.7,
+                onProgress: step => steps.push(step)
+            });
+
+            expect(steps).toEqual(['load', 'render', 'encode']);
+            expect(calls[0]).toEqual(['fillRect', 0, 0, 1080, 1080]);
+            expect(calls[1][0]).toBe('drawImage');
+            expect(calls[2]).toEqual(['toBlob', 'image/jpeg', 0.7, 1080, 1080]);
+            expect(result).toMatchObject({ format: IMAGE_FORMATS.jpeg, width: 1080, height: 1080 });
+        });
+
+        it('브라우저가 형식을 지원하지 않으면 PNG로 알려야 함', async () => {
+            mockCanvas({ blobType: 'image/png' });
+            const card = document.createElement('div');
+
+            const result = await renderImage(card, { format: 'webp' });
+            expect(result.format).toBe(IMAGE_FORMATS.png);
+        });
+    });
+});
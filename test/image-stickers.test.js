@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+    MAX_IMAGE_DIMENSION,
+    MAX_IMAGE_FILE_SIZE,
+    MAX_IMAGE_STICKERS,
+    ImageStickerStore,
+    validateImageFile,
+    fitImageSize,
+    getOutputType
+} from '../image-stickers.js';
+
+/**
+ * 메모리에 저장하는 가짜 IndexedDB (요청은 다음 마이크로태스크에 끝남)
+ * @param {Object} [options] - { records: 처음 저장된 항목, addError: store.add가 낼 오류 }
+ */
+function mockIndexedDB({ records = [], addError = null } = {}) {
+    const data = new Map(records.map(record => [record.id, record]));
+    const storeNames = new Set();
+
+    const request = (transaction, run) => {
+        const req = {};
+        queueMicrotask(() => {
+            try {
+                req.result = run();
+                req.onsuccess?.();
+                transaction?.oncomplete?.();
+            } catch (err) {
+                req.error = err;
+                req.onerror?.();
+                transaction.error = err;
+                transaction.onerror?.();
+            }
+        });
+        return req;
+    };
+
+    const db = {
+        objectStoreNames: { contains: name => storeNames.has(name) },
+        createObjectStore: name => storeNames.add(name),
+        transaction() {
+            const transaction = {};
+            transaction.objectStore = () => ({
+                // IndexedDB처럼 키 순서로 돌려줌
+                getAll: () => request(transaction, () => [...data.values()].sort((a, b) => a.id.localeCompare(b.id))),
+                get: id => request(transaction, () => data.get(id)),
+                count: () => request(transaction, () => data.size),
+                add: record => request(transaction, () => {
+                    if (addError) throw addError;
+                    data.set(record.id, record);
+                    return record.id;
+                }),
+                delete: id => request(transaction, () => {
+                    data.delete(id);
+                })
+            });
+            return transaction;
+        }
+    };
+
+    const factory = {
+        open: vi.fn(() => {
+            // 처음 열 때는 저장소를 만든 뒤 성공
+            const req = request(null, () => {
+                req.result = db;
+                req.onupgradeneeded?.();
+                return db;
+            });
+            return req;
+        })
+    };
+    return { factory, data };
+}
+
+/**
+ * 저장된 이미지 항목
+ */
+function imageRecord(id, createdAt) {
+    return { id, name: `${id}.png`, type: 'image/png', width: 1, height: 1, blob: null, createdAt };
+}
+
+describe('이미지 스티커 테스트', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('PNG, JPEG, WebP, SVG만 받아야 함', () => {
+        expect(() => validateImageFile({ type: 'image/png', size: 1000 })).not.toThrow();
+        expect(() => validateImageFile({ type: 'image/svg+xml', size: 1000 })).not.toThrow();
+        expect(() => validateImageFile({ type: 'image/gif', size: 1000 })).toThrow('PNG, JPEG');
+        expect(() => validateImageFile({ type: 'image/png', size: MAX_IMAGE_FILE_SIZE + 1 })).toThrow('너무 큽니다');
+        expect(() => validateImageFile(null)).toThrow('선택');
+    });
+
+    it('긴 변 기준으로 비율을 유지해 줄이고 키우지는 않아야 함', () => {
+        expect(fitImageSize(2048, 1024)).toEqual({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION / 2 });
+        expect(fitImageSize(300, 3000, 100)).toEqual({ width: 10, height: 100 });
+        expect(fitImageSize(5000, 1, 100)).toEqual({ width: 100, height: 1 });
+        expect(fitImageSize(120, 80)).toEqual({ width: 120, height: 80 });
+        // 크기 정보가 없는 SVG
+        expect(fitImageSize(0, 0, 64)).toEqual({ width: 64, height: 64 });
+    });
+
+    it('사진은 JPEG, 투명할 수 있는 형식은 PNG로 저장해야 함', () => {
+        expect(getOutputType('image/jpeg')).toBe('image/jpeg');
+        expect(getOutputType('image/svg+xml')).toBe('image/png');
+        expect(getOutputType('image/webp')).toBe('image/png');
+    });
+
+    it('IndexedDB가 없으면 안내 오류로 실패해야 함', async () => {
+        const store = new ImageStickerStore(null);
+
+        await expect(store.getAll()).rejects.toThrow('저장할 수 없습니다');
+        await expect(store.add({ name: 'a.png', type: 'image/png', width: 1, height: 1, blob: null })).rejects.toThrow('저장할 수 없습니다');
+    });
+
+    describe('ImageStickerStore (IndexedDB)', () => {
+        it('저장한 이미지를 조회하고 올린 순서로 돌려줘야 함', async () => {
+            const { factory } = mockIndexedDB({
+                records: [imageRecord('image-a', '2026-03-02T00:00:00.000Z')]
+            });
+            const store = new ImageStickerStore(factory);
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date('2026-03-01T00:00:00.000Z'));
+
+            const first = await store.add({ name: 'first.png', type: 'image/png', width: 10, height: 20, blob: null });
+            vi.setSystemTime(new Date('2026-03-03T00:00:00.000Z'));
+            const last = await store.add({ name: 'last.png', type: 'image/png', width: 10, height: 20, blob: null });
+
+            expect(first.id).toMatch(/^image-/);
+            expect(await store.get(first.id)).toEqual(first);
+            expect(await store.get('image-missing')).toBeNull();
+            expect((await store.getAll()).map(record => record.id)).toEqual([first.id, 'image-a', last.id]);
+
+            // DB는 한 번만 열어야 함
+            expect(factory.open).toHaveBeenCalledTimes(1);
+        });
+
+        it('이미지를 지울 수 있어야 함', async () => {
+            const { factory, data } = mockIndexedDB({
+                records: [imageRecord('image-a', '2026-03-01'), imageRecord('image-b', '2026-03-02')]
+            });
+            const store = new ImageStickerStore(factory);
+
+            await store.remove('image-a');
+
+            expect(data.has('image-a')).toBe(false);
+            expect((await store.getAll()).map(record => record.id)).toEqual(['image-b']);
+        });
+
+        it('개수 한도를 넘으면 저장하지 않아야 함', async () => {
+            const records = Array.from({ length: MAX_IMAGE_STICKERS }, (_, i) => imageRecord(`image-${i}`, '2026-03-01'));
+            const { factory, data } = mockIndexedDB({ records });
+            const store = new ImageStickerStore(factory);
+
+            await expect(store.add({ name: 'over.png', type: 'image/png', width: 1, height: 1, blob: null }))
+                .rejects.toThrow(`${MAX_IMAGE_STICKERS}개까지`);
+            expect(data.size).toBe(MAX_IMAGE_STICKERS);
+        });
+
+        it('저장 공간이 부족하면 안내 오류로 바꿔야 함', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const quota = Object.assign(new Error('quota'), { name: 'QuotaExceededError' });
+            const store = new ImageStickerStore(mockIndexedDB({ addError: quota }).factory);
+
+            await expect(store.add({ name: 'big.png', type: 'image/png', width: 1, height: 1, blob: null }))
+                .rejects.toThrow('저장 공간이 부족합니다');
+        });
+
+        it('그 밖의 저장 실패는 다시 시도하라고 안내해야 함', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const store = new ImageStickerStore(mockIndexedDB({ addError: new Error('disk') }).factory);
+
+            await expect(store.add({ name: 'a.png', type: 'image/png', width: 1, height: 1, blob: null }))
+                .rejects.toThrow('다시 시도해주세요');
+        });
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ListStore, DATA_KEY, LISTS_KEY, BACKUP_KEY, DEFAULT_LIST_ID, getDataKey } from '../lists.js';
+import { SCHEMA_VERSION } from '../schema.js';
+
+describe('여러 리스트 저장소 테스트', () => {
+    let lists;
+
+    beforeEach(() => {
+        localStorage.clear();
+        lists = new ListStore(localStorage);
+    });
+
+    it('목록 정보가 없으면 기존 데이터를 기본 리스트로 사용해야 함', () => {
+        localStorage.setItem(DATA_KEY, JSON.stringify({ userName: '홍길동', categories: [] }));
+
+        expect(lists.getActiveId()).toBe(DEFAULT_LIST_ID);
+        expect(lists.getLists()).toMatchObject([{ id: DEFAULT_LIST_ID, name: '홍길동의 버킷리스트' }]);
+        expect(lists.read(DEFAULT_LIST_ID)).toBe(localStorage.getItem(DATA_KEY));
+    });
+
+    it('리스트마다 다른 키에 저장해야 함', () => {
+        const entry = lists.create('2026 리스트');
+        lists.write(DEFAULT_LIST_ID, { userName: '엄마' });
+        lists.write(entry.id, { userName: '아빠' });
+
+        expect(getDataKey(entry.id)).toBe(`${DATA_KEY}:${entry.id}`);
+        expect(JSON.parse(lists.read(DEFAULT_LIST_ID)).userName).toBe('엄마');
+        expect(JSON.parse(lists.read(entry.id)).userName).toBe('아빠');
+        expect(lists.getList(entry.id).updatedAt).not.toBeNull();
+    });
+
+    it('현재 리스트를 전환하고 없는 리스트는 거부해야 함', () => {
+        const entry = lists.create('평생 리스트');
+
+        expect(lists.setActiveId(entry.id)).toBe(true);
+        expect(lists.getActiveId()).toBe(entry.id);
+        expect(lists.setActiveId('nope')).toBe(false);
+    });
+
+    it('이름을 바꾸고 빈 이름은 무시해야 함', () => {
+        expect(lists.rename(DEFAULT_LIST_ID, '  가족 리스트  ')).toBe(true);
+        expect(lists.rename(DEFAULT_LIST_ID, '   ')).toBe(false);
+        expect(lists.getList(DEFAULT_LIST_ID).name).toBe('가족 리스트');
+    });
+
+    it('문서를 포함해 복제해야 함', () => {
+        lists.write(DEFAULT_LIST_ID, { userName: '홍길동', stickers: [{ id: 'sticker-1' }] });
+        lists.rename(DEFAULT_LIST_ID, '내 리스트');
+
+        const copy = lists.duplicate(DEFAULT_LIST_ID);
+
+        expect(copy.name).toBe('내 리스트 (사본)');
+        expect(lists.read(copy.id)).toBe(lists.read(DEFAULT_LIST_ID));
+        expect(copy.updatedAt).not.toBeNull();
+    });
+
+    it('손상된 문서도 원문 그대로 복제해야 함', () => {
+        localStorage.setItem(DATA_KEY, '{broken');
+
+        const copy = lists.duplicate(DEFAULT_LIST_ID);
+
+        expect(lists.read(copy.id)).toBe('{broken');
+        expect(lists.getLists().map(list => list.id)).toEqual([DEFAULT_LIST_ID, copy.id]);
+    });
+
+    it('저장 공간이 부족하면 복제본을 목록에 남기지 않아야 함', () => {
+        lists.write(DEFAULT_LIST_ID, { userName: '홍길동' });
+        const storage = {
+            getItem: key => localStorage.getItem(key),
+            setItem: (key, value) => {
+                if (key.startsWith(`${DATA_KEY}:`)) throw new DOMException('저장 공간 부족', 'QuotaExceededError');
+                localStorage.setItem(key, value);
+            },
+            removeItem: key => localStorage.removeItem(key)
+        };
+
+        expect(() => new ListStore(storage).duplicate(DEFAULT_LIST_ID)).toThrow();
+        expect(lists.getLists().map(list => list.id)).toEqual([DEFAULT_LIST_ID]);
+        expect(Object.keys(localStorage).filter(key => key.startsWith(`${DATA_KEY}:`))).toEqual([]);
+    });
+
+    it('삭제 시 문서를 지우고 현재 리스트를 옮겨야 함', () => {
+        const entry = lists.create('임시');
+        lists.write(entry.id, { userName: '임시' });
+        lists.setActiveId(entry.id);
+
+        expect(lists.remove(entry.id)).toBe(true);
+        expect(lists.read(entry.id)).toBeNull();
+        expect(lists.getActiveId()).toBe(DEFAULT_LIST_ID);
+    });
+
+    it('마지막 남은 리스트는 삭제할 수 없어야 함', () => {
+        expect(lists.remove(DEFAULT_LIST_ID)).toBe(false);
+    });
+
+    it('손상된 목록 정보는 기본 리스트로 되돌려야 함', () => {
+        localStorage.setItem(LISTS_KEY, '{broken');
+        expect(lists.getLists().map(list => list.id)).toEqual([DEFAULT_LIST_ID]);
+    });
+
+    describe('문서 읽기', () => {
+        it('이전 버전 문서는 변환해서 다시 저장해야 함', () => {
+            localStorage.setItem(DATA_KEY, JSON.stringify({ userName: '홍길동', categories: [] }));
+
+            const result = lists.readDocument(DEFAULT_LIST_ID);
+
+            expect(result).toMatchObject({ migrated: true, fromVersion: 1, backupFailed: false });
+            expect(JSON.parse(lists.read(DEFAULT_LIST_ID)).version).toBe(SCHEMA_VERSION);
+        });
+
+        it('읽을 수 없는 문서는 백업 키로 옮겨야 함', () => {
+            localStorage.setItem(DATA_KEY, '{broken');
+
+            const result = lists.readDocument(DEFAULT_LIST_ID);
+
+            expect(result).toMatchObject({ data: null, backupFailed: false });
+            expect(result.error).toBeInstanceOf(Error);
+            expect(localStorage.getItem(BACKUP_KEY)).toBe('{broken');
+            expect(lists.read(DEFAULT_LIST_ID)).toBeNull();
+        });
+
+        it('백업 저장이 실패하면 원본을 그대로 두고 알려야 함', () => {
+            localStorage.setItem(DATA_KEY, '{broken');
+            const storage = {
+                getItem: key => localStorage.getItem(key),
+                setItem: (key, value) => {
+                    if (key === BACKUP_KEY) throw new DOMException('저장 공간 부족', 'QuotaExceededError');
+                    localStorage.setItem(key, value);
+                },
+                removeItem: key => localStorage.removeItem(key)
+            };
+
+            const result = new ListStore(storage).readDocument(DEFAULT_LIST_ID);
+
+            expect(result).toMatchObject({ data: null, backupFailed: true });
+            expect(localStorage.getItem(DATA_KEY)).toBe('{broken');
+            expect(localStorage.getItem(BACKUP_KEY)).toBeNull();
+        });
+
+        it('변환한 문서를 다시 저장하지 못해도 문서를 돌려주고 백업하지 않아야 함', () => {
+            const original = JSON.stringify({ userName: '홍길동', categories: [] });
+            localStorage.setItem(DATA_KEY, original);
+            const storage = {
+                getItem: key => localStorage.getItem(key),
+                setItem: () => {
+                    throw new DOMException('저장 공간 부족', 'QuotaExceededError');
+                },
+                removeItem: key => localStorage.removeItem(key)
+            };
+
+            const result = new ListStore(storage).readDocument(DEFAULT_LIST_ID);
+
+            expect(result).toMatchObject({ migrated: true, backupFailed: false });
+            expect(result.data).toMatchObject({ version: SCHEMA_VERSION, userName: '홍길동' });
+            expect(result.error).toBeUndefined();
+            expect(result.writeError.name).toBe('QuotaExceededError');
+            expect(localStorage.getItem(DATA_KEY)).toBe(original);
+            expect(localStorage.getItem(BACKUP_KEY)).toBeNull();
+        });
+    });
+});
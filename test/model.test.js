@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import { BucketListModel, createDefaultDocument } from '../model.js';
+import { SCHEMA_VERSION } from '../schema.js';
+
+describe('데이터 모델 테스트', () => {
+    describe('createDefaultDocument()', () => {
+        it('기본 카테고리 3개와 빈 항목을 가져야 함', () => {
+            const doc = createDefaultDocument();
+
+            expect(doc.version).toBe(SCHEMA_VERSION);
+            expect(doc.categories.map(c => c.id)).toEqual(['family', 'place', 'learn']);
+            doc.categories.forEach(category => {
+                expect(category.items).toHaveLength(1);
+                expect(category.items[0].text).toBe('');
+            });
+        });
+    });
+
+    describe('BucketListModel', () => {
+        it('항목을 추가/수정/삭제해야 함', () => {
+            const model = new BucketListModel();
+            const item = model.addItem('family', '가족 여행');
+
+            expect(model.getCategory('family').items).toHaveLength(2);
+
+            model.updateItem('family', item.id, { text: '유럽 여행' });
+            expect(model.getCategory('family').items[1].text).toBe('유럽 여행');
+
+            model.removeItem('family', item.id);
+            expect(model.getCategory('family').items).toHaveLength(1);
+        });
+
+        it('마지막 항목은 삭제 대신 내용만 비워야 함', () => {
+            const model = new BucketListModel();
+            const [only] = model.getCategory('place').items;
+
+            model.updateItem('place', only.id, { text: '제주도' });
+            model.removeItem('place', only.id);
+
+            expect(model.getCategory('place').items).toEqual([{ id: only.id, text: '' }]);
+        });
+
+        it('항목 id는 수정할 수 없어야 함', () => {
+            const model = new BucketListModel();
+            const [item] = model.getCategory('learn').items;
+
+            model.updateItem('learn', item.id, { id: 'hacked', text: '피아노' });
+
+            expect(model.getCategory('learn').items[0].id).toBe(item.id);
+        });
+
+        it('커스텀 카테고리에 겹치지 않는 id를 부여해야 함', () => {
+            const model = new BucketListModel();
+            const first = model.addCategory({ title: '음악' });
+            const second = model.addCategory({ title: '운동', badge: '🏃' });
+
+            expect(first.id).toBe('custom-1');
+            expect(second).toMatchObject({ id: 'custom-2', type: 'custom', badge: '🏃' });
+
+            model.removeCategory('custom-1');
+            expect(model.addCategory({ title: '요리' }).id).toBe('custom-3');
+        });
+
+        it('반환값 수정이 모델에 영향을 주지 않아야 함', () => {
+            const model = new BucketListModel();
+            model.getCategories()[0].title = '변경';
+
+            expect(model.getCategory('family').title).not.toBe('변경');
+        });
+
+        it('내용이 있는 항목만 결과용으로 반환해야 함', () => {
+            const model = new BucketListModel();
+            model.addItem('family', '  가족 여행  ');
+            model.addItem('family', '   ');
+
+            const filled = model.getFilledCategories();
+
+            expect(filled).toHaveLength(1);
+            expect(filled[0].items.map(i => i.text)).toEqual(['가족 여행']);
+        });
+
+        it('toJSON()과 load()로 왕복해야 함', () => {
+            const model = new BucketListModel();
+            model.setUserName('홍길동');
+            model.addCategory({ title: '음악', badge: '🎸' });
+
+            const copy = new BucketListModel(model.toJSON());
+
+            expect(copy.toJSON()).toEqual(model.toJSON());
+        });
+
+        it('빈 카테고리를 불러오면 빈 항목 하나를 채워야 함', () => {
+            const model = new BucketListModel({
+                categories: [{ id: 'custom-1', type: 'custom', badge: '⭐', title: '음악', items: [] }]
+            });
+
+            expect(model.getCategory('custom-1').items).toHaveLength(1);
+        });
+
+        it('변경 시 구독자에게 이벤트를 전달하고 해제할 수 있어야 함', () => {
+            const model = new BucketListModel();
+            const listener = vi.fn();
+            const unsubscribe = model.subscribe(listener);
+
+            const item = model.addItem('family');
+            expect(listener).toHaveBeenLastCalledWith(
+                { type: 'item:add', categoryId: 'family', itemId: item.id },
+                model
+            );
+
+            unsubscribe();
+            model.setUserName('홍길동');
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('달성 표시 시 달성일을 기록하고 해제 시 지워야 함', () => {
+            const model = new BucketListModel();
+            const item = model.addItem('family', '가족 여행');
+
+            model.setAchieved('family', item.id, true, '2026-03-01');
+            expect(model.getCategory('family').items[1]).toMatchObject({ achieved: true, achievedAt: '2026-03-01' });
+
+            model.setAchieved('family', item.id, false);
+            expect(model.getCategory('family').items[1]).toMatchObject({ achieved: false, achievedAt: null });
+        });
+
+        it('이미 기록된 달성일은 다시 표시해도 유지해야 함', () => {
+            const model = new BucketListModel();
+            const item = model.addItem('family', '가족 여행');
+
+            model.setAchieved('family', item.id, true, '2026-03-01');
+            model.setAchieved('family', item.id, true, '2026-04-01');
+
+            expect(model.getCategory('family').items[1].achievedAt).toBe('2026-03-01');
+        });
+
+        it('카테고리별/전체 달성 현황을 계산해야 함', () => {
+            const model = new BucketListModel();
+            const a = model.addItem('family', '여행');
+            model.addItem('family', '캠핑');
+            model.addItem('place', '제주도');
+            model.setAchieved('family', a.id, true);
+
+            const completion = model.getCompletion();
+
+            expect(completion).toMatchObject({ total: 3, achieved: 1 });
+            expect(completion.categories).toEqual([
+                { id: 'family', title: '가족·친구와 함께하고 싶은 일', total: 2, achieved: 1 },
+                { id: 'place', title: '가보고 싶은 곳·도전하고 싶은 것', total: 1, achieved: 0 }
+            ]);
+        });
+
+        it('태어난 해를 저장하고 나이 기한 그룹에 반영해야 함', () => {
+            const model = new BucketListModel();
+            const item = model.addItem('family', '마라톤');
+            model.updateItem('family', item.id, { deadline: { type: 'age', value: 40 } });
+
+            expect(model.getDeadlineGroups(new Date(2026, 1, 1))[0].id).toBe('undated');
+
+            model.setBirthYear(1990);
+            expect(model.toJSON().birthYear).toBe(1990);
+            expect(model.getDeadlineGroups(new Date(2026, 1, 1))[0].id).toBe('later');
+        });
+
+        it('빈 항목에 처음 내용을 적을 때 작성일을 기록해야 함', () => {
+            const model = new BucketListModel();
+            const [item] = model.getCategory('family').items;
+
+            expect(item.createdAt).toBeUndefined();
+
+            model.updateItem('family', item.id, { text: '가족 여행' });
+            const { createdAt } = model.getCategory('family').items[0];
+            expect(createdAt).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+            model.updateItem('family', item.id, { text: '가족 유럽 여행' });
+            expect(model.getCategory('family').items[0].createdAt).toBe(createdAt);
+        });
+
+        it('없는 카테고리/항목 변경은 무시해야 함', () => {
+            const model = new BucketListModel();
+            const listener = vi.fn();
+            model.subscribe(listener);
+
+            expect(model.addItem('nope')).toBeNull();
+            expect(model.updateItem('family', 'nope', { text: 'x' })).toBe(false);
+            expect(model.removeCategory('nope')).toBe(false);
+            expect(listener).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { generatePalette, extractSeedColor, PALETTE_SCHEMES } from '../palette.js';
+import { contrastRatio, hexToHsl, WCAG_AA, WCAG_AA_LARGE } from '../contrast.js';
+
+describe('색상 팔레트 테스트', () => {
+    describe('generatePalette()', () => {
+        it('모든 방식에서 글자와 헤더 제목이 읽혀야 함', () => {
+            ['#1E6091', '#FFEE00', '#D45D3F', '#FFFFFF', '#000000'].forEach(seed => {
+                Object.keys(PALETTE_SCHEMES).forEach(scheme => {
+                    const palette = generatePalette(seed, scheme);
+
+                    expect(contrastRatio(palette.text, palette.bg)).toBeGreaterThanOrEqual(WCAG_AA);
+                    expect(contrastRatio(palette.header, '#FFFFFF')).toBeGreaterThanOrEqual(WCAG_AA_LARGE);
+                    expect(contrastRatio(palette.accent, palette.bg)).toBeGreaterThanOrEqual(WCAG_AA_LARGE);
+                });
+            });
+        });
+
+        it('읽히는 씨앗 색은 헤더에 그대로 써야 함', () => {
+            expect(generatePalette('#1e6091').header).toBe('#1E6091');
+        });
+
+        it('방식마다 배경 색상이 씨앗 색에서 돌아가야 함', () => {
+            const seedHue = hexToHsl('#1E6091')[0];
+            const hueOf = scheme => hexToHsl(generatePalette('#1E6091', scheme).bg)[0];
+            const distance = (a, b) => Math.min(Math.abs(a - b), 360 - Math.abs(a - b));
+
+            expect(distance(hueOf('complementary'), seedHue)).toBeCloseTo(180, -1);
+            expect(distance(hueOf('analogous'), seedHue)).toBeCloseTo(30, -1);
+            expect(distance(hueOf('monochrome'), seedHue)).toBeLessThan(5);
+        });
+
+        it('무채색 씨앗은 회색 팔레트', () => {
+            const { header, bg } = generatePalette('#808080', 'monochrome');
+            expect(hexToHsl(header)[1]).toBe(0);
+            expect(hexToHsl(bg)[1]).toBe(0);
+        });
+
+        it('색상 형식이 아니면 오류', () => {
+            expect(() => generatePalette('blue')).toThrow('색상 형식');
+        });
+    });
+
+    describe('extractSeedColor()', () => {
+        const fill = (count, rgba) => Array.from({ length: count }, () => rgba).flat();
+
+        it('채도 있는 색 중 가장 많은 색을 골라야 함', () => {
+            const pixels = [...fill(60, [220, 40, 40, 255]), ...fill(30, [30, 30, 200, 255]), ...fill(200, [128, 128, 128, 255])];
+            expect(extractSeedColor(pixels)).toBe('#DC2828');
+        });
+
+        it('흑백이면 평균색, 투명하면 null', () => {
+            expect(extractSeedColor([10, 10, 10, 255, 250, 250, 250, 255])).toBe('#828282');
+            expect(extractSeedColor([1, 2, 3, 0])).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import { splitEmoji, measureText, wrapText, hexToRgb, PdfWriter, createResultPdf, PAGE_SIZES } from '../pdf-export.js';
+import { buildResultData } from '../text-export.js';
+import { BucketListModel } from '../model.js';
+
+const NOW = new Date(2026, 1, 1);
+
+function createData(count = 3) {
+    const model = new BucketListModel();
+    model.setUserName('홍길동');
+    for (let i = 0; i < count; i++) {
+        model.addItem('family', `가족 여행 ${i + 1}`);
+    }
+    return buildResultData(model, { now: NOW });
+}
+
+function toText(bytes) {
+    return Array.from(bytes, b => String.fromCharCode(b)).join('');
+}
+
+function toHex(text) {
+    return Array.from(text, c => c.codePointAt(0).toString(16).padStart(4, '0')).join('').toUpperCase();
+}
+
+function countPages(pdf) {
+    return (pdf.match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('PDF 내보내기 테스트', () => {
+    describe('splitEmoji()', () => {
+        it('이모지와 글자 구간을 나눠야 함', () => {
+            expect(splitEmoji('🌍 세계 여행')).toEqual([
+                { text: '🌍', emoji: true },
+                { text: ' 세계 여행', emoji: false }
+            ]);
+        });
+
+        it('ZWJ 조합과 변형 선택자를 하나의 이모지로 묶어야 함', () => {
+            expect(splitEmoji('👨‍👩‍👧가족❤️')).toEqual([
+                { text: '👨‍👩‍👧', emoji: true },
+                { text: '가족', emoji: false },
+                { text: '❤️', emoji: true }
+            ]);
+        });
+    });
+
+    describe('measureText() / wrapText()', () => {
+        it('영문은 반각, 한글과 이모지는 전각으로 계산해야 함', () => {
+            expect(measureText('ab가🎉', 10)).toBe(30);
+        });
+
+        it('띄어쓰기 위치에서 줄을 나눠야 함', () => {
+            expect(wrapText('세계 여행 가기', 10, 45)).toEqual(['세계 여행', '가기']);
+        });
+
+        it('띄어쓰기가 없으면 글자 단위로 나눠야 함', () => {
+            expect(wrapText('가나다라마', 10, 30)).toEqual(['가나다', '라마']);
+        });
+
+        it('빈 문자열도 한 줄을 반환해야 함', () => {
+            expect(wrapText('', 10, 30)).toEqual(['']);
+        });
+    });
+
+    describe('hexToRgb()', () => {
+        it('잘못된 값은 기본 색상을 사용해야 함', () => {
+            expect(hexToRgb('#FF0000')).toEqual([1, 0, 0]);
+            expect(hexToRgb('red', '#000000')).toEqual([0, 0, 0]);
+        });
+    });
+
+    describe('PdfWriter', () => {
+        it('xref의 위치가 실제 객체 위치와 일치해야 함', () => {
+            const pdf = new PdfWriter({ title: '테스트', now: NOW });
+            const font = pdf.addFont('HYGoThic-Medium');
+            pdf.addPage(100, 100).text('안녕', 10, 20, { font, size: 12, color: [0, 0, 0] });
+            const text = toText(pdf.toBytes());
+
+            expect(text.startsWith('%PDF-1.4')).toBe(true);
+            const startxref = Number(/startxref\n(\d+)/.exec(text)[1]);
+            expect(text.slice(startxref, startxref + 4)).toBe('xref');
+
+            const offsets = text.slice(startxref).match(/^\d{10} 00000 n/gm).map(line => Number(line.slice(0, 10)));
+            offsets.forEach((offset, index) => {
+                expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+            });
+        });
+
+        it('RGBA 이미지를 색상과 투명도 마스크로 나눠 저장해야 함', () => {
+            const pdf = new PdfWriter();
+            pdf.addImage('🎉', { width: 1, height: 1, data: new Uint8ClampedArray([255, 0, 0, 128]) });
+            pdf.addImage('🎉', { width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 0, 0]) });
+            pdf.addPage(10, 10);
+            const text = toText(pdf.toBytes());
+
+            expect(text).toContain('/SMask');
+            expect(text.match(/\/Subtype \/Image/g)).toHaveLength(2);
+            expect(text).toContain('stream\n\xFF\x00\x00\nendstream');
+        });
+    });
+
+    describe('createResultPdf()', () => {
+        it('용지 크기와 한글 폰트를 지정해야 함', () => {
+            const a4 = toText(createResultPdf(createData()));
+            const letter = toText(createResultPdf(createData(), { pageSize: 'letter', customization: { font: 'handwriting' } }));
+
+            expect(a4).toContain(`/MediaBox [0 0 ${PAGE_SIZES.a4.width} ${PAGE_SIZES.a4.height}]`);
+            expect(a4).toContain('/BaseFont /HYGoThic-Medium');
+            expect(letter).toContain('/MediaBox [0 0 612 792]');
+            expect(letter).toContain('/BaseFont /HYSMyeongJo-Medium');
+        });
+
+        it('테마 색상으로 머리글을 칠해야 함', () => {
+            const text = toText(createResultPdf(createData(), { customization: { headerColor: '#FF0000' } }));
+            expect(text).toContain('1 0 0 rg');
+        });
+
+        it('긴 리스트는 여러 쪽으로 나누고 머리글과 섹션 제목을 반복해야 함', () => {
+            const data = createData(60);
+            const text = toText(createResultPdf(data));
+
+            expect(countPages(text)).toBeGreaterThan(1);
+            expect(text).toContain(`<${toHex('(계속)')}>`);
+            expect(text).toContain(`<${toHex(`${data.sections[0].title} (계속)`)}>`);
+            expect(text).toContain(`<${toHex(`1 / ${countPages(text)}`)}>`);
+        });
+
+        it('짧은 리스트는 한 쪽이어야 함', () => {
+            expect(countPages(toText(createResultPdf(createData())))).toBe(1);
+        });
+
+        it('래스터가 있으면 이모지와 스티커를 이미지로 넣어야 함', () => {
+            const raster = { width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255]) };
+            const requested = [];
+            const text = toText(createResultPdf(createData(), {
+                stickers: [{ emoji: '🌟', x: 0.02, y: 0.01 }],
+                rasterize: emoji => {
+                    requested.push(emoji);
+                    return raster;
+                }
+            }));
+
+            expect(requested).toContain('🌟');
+            expect(requested).toContain('🪣');
+            expect(new Set(requested).size).toBe(requested.length);
+            expect(text).toContain('/XObject');
+        });
+
+        it('스티커 크기와 회전을 가운데 기준으로 반영해야 함', () => {
+            const raster = { width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255]) };
+            const draw = sticker => toText(createResultPdf(createData(), {
+                stickers: [{ emoji: '🌟', x: 0.2, y: 0.1, ...sticker }],
+                rasterize: () => raster
+            }));
+
+            // 이미지 크기 ("w 0 0 h x y cm")
+            const sizes = text => [...text.matchAll(/^([\d.]+) 0 0 \1 [-\d.]+ [-\d.]+ cm$/gm)].map(m => Number(m[1]));
+            const plain = sizes(draw({}));
+            const scaled = sizes(draw({ scale: 2 })).filter(size => !plain.includes(size));
+
+            expect(scaled).toHaveLength(1);
+            expect(plain.some(size => Math.abs(size * 2 - scaled[0]) < 0.02)).toBe(true);
+            // 회전이 없으면 좌표계를 돌리지 않음
+            expect(draw({ scale: 2 })).not.toContain('0 -1 1 0');
+            // 시계 방향 90도 = PDF 좌표계 -90도 (0 -1 1 0)
+            expect(draw({ rotation: 90 })).toMatch(/^q\n0 -1 1 0 [-\d.]+ [-\d.]+ cm$/m);
+        });
+
+        it('이미지 스티커는 받은 픽셀을 비율대로 넣고, 없는 이미지는 건너뛰어야 함', () => {
+            const raster = { width: 2, height: 1, data: new Uint8ClampedArray(8).fill(255) };
+            const draw = stickerImages => toText(createResultPdf(createData(), {
+                stickers: [{ id: 'sticker-1', type: 'image', imageId: 'image-a', size: 100, x: 0.2, y: 0.1 }],
+                stickerImages
+            }));
+
+            const withImage = draw({ 'image-a': raster });
+            const size = Number(withImage.match(/^([\d.]+) 0 0 ([\d.]+) [-\d.]+ [-\d.]+ cm$/m)?.[1]);
+            const height = Number(withImage.match(/^([\d.]+) 0 0 ([\d.]+) [-\d.]+ [-\d.]+ cm$/m)?.[2]);
+
+            expect(withImage).toContain('/XObject');
+            expect(size).toBeCloseTo(height * 2, 1);
+            expect(draw({})).not.toContain('/XObject');
+        });
+
+        it('QR 코드 스티커는 이미지 없이 모듈을 도형으로 그려야 함', () => {
+            const requested = [];
+            const options = {
+                rasterize: emoji => {
+                    requested.push(emoji);
+                    return null;
+                }
+            };
+            const plain = toText(createResultPdf(createData(), options));
+            const withQr = toText(createResultPdf(createData(), {
+                ...options,
+                stickers: [{ id: 'sticker-1', type: 'qr', value: 'https://example.com/#share=zAbC', size: 120, x: 0.7, y: 0.02 }]
+            }));
+
+            expect(requested).not.toContain(undefined);
+            expect(withQr.length).toBeGreaterThan(plain.length + 1000);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+    encodeQR,
+    getByteCapacity,
+    getSize,
+    getDarkRuns,
+    toSvg,
+    getQrStickerSize,
+    MAX_VERSION,
+    QR_STICKER_ECC,
+    QR_STICKER_MODULE_PX,
+    QR_STICKER_SIZE
+} from '../qr.js';
+
+/**
+ * 왼쪽 위 형식 정보 15비트 읽기 (마스크 0x5412 해제)
+ */
+function readFormatBits(qr) {
+    const m = qr.modules;
+    const bits = [];
+    for (let i = 0; i <= 5; i++) bits.push(m[i][8]);
+    bits.push(m[7][8], m[8][8], m[8][7]);
+    for (let i = 9; i < 15; i++) bits.push(m[8][14 - i]);
+
+    const value = bits.reduce((acc, bit, i) => acc | (bit ? 1 << i : 0), 0) ^ 0x5412;
+    return { ecc: value >>> 13, mask: (value >>> 10) & 7 };
+}
+
+/**
+ * 7×7 위치 찾기 패턴 확인
+ */
+function hasFinder(qr, left, top) {
+    for (let dy = 0; dy < 7; dy++) {
+        for (let dx = 0; dx < 7; dx++) {
+            const ring = Math.max(Math.abs(dx - 3), Math.abs(dy - 3));
+            if (qr.modules[top + dy][left + dx] !== (ring !== 2)) return false;
+        }
+    }
+    return true;
+}
+
+describe('QR 코드 테스트', () => {
+    describe('용량', () => {
+        it('표준 용량표와 같아야 함', () => {
+            expect(getSize(1)).toBe(21);
+            expect(getSize(40)).toBe(177);
+            expect(getByteCapacity(1, 'L')).toBe(17);
+            expect(getByteCapacity(1, 'M')).toBe(14);
+            expect(getByteCapacity(10, 'L')).toBe(271);
+            expect(getByteCapacity(40, 'L')).toBe(2953);
+            expect(getByteCapacity(40, 'H')).toBe(1273);
+        });
+
+        it('담을 수 있는 가장 작은 버전을 골라야 함', () => {
+            expect(encodeQR('a'.repeat(14)).version).toBe(1);
+            expect(encodeQR('a'.repeat(15)).version).toBe(2);
+            expect(encodeQR('가'.repeat(11), { ecc: 'L' }).version).toBe(3);
+        });
+
+        it('너무 긴 내용은 오류', () => {
+            expect(() => encodeQR('a'.repeat(getByteCapacity(MAX_VERSION, 'M') + 1))).toThrow('너무 깁니다');
+        });
+    });
+
+    describe('모듈 배치', () => {
+        it('세 모서리에 위치 찾기 패턴과 타이밍 패턴이 있어야 함', () => {
+            const qr = encodeQR('https://example.com/#share=zAbC');
+            const last = qr.size - 7;
+
+            expect(qr.modules).toHaveLength(qr.size);
+            expect(hasFinder(qr, 0, 0)).toBe(true);
+            expect(hasFinder(qr, last, 0)).toBe(true);
+            expect(hasFinder(qr, 0, last)).toBe(true);
+
+            for (let i = 8; i < qr.size - 8; i++) {
+                expect(qr.modules[6][i]).toBe(i % 2 === 0);
+                expect(qr.modules[i][6]).toBe(i % 2 === 0);
+            }
+            expect(qr.modules[qr.size - 8][8]).toBe(true);
+        });
+
+        it('형식 정보에 오류 정정 수준과 마스크를 기록해야 함', () => {
+            const qr = encodeQR('버킷리스트', { ecc: 'Q', mask: 5 });
+            expect(readFormatBits(qr)).toEqual({ ecc: 3, mask: 5 });
+
+            const auto = encodeQR('버킷리스트', { ecc: 'L' });
+            expect(readFormatBits(auto)).toEqual({ ecc: 1, mask: auto.mask });
+        });
+
+        it('같은 내용은 항상 같은 코드를 만들어야 함', () => {
+            expect(encodeQR('같은 내용').modules).toEqual(encodeQR('같은 내용').modules);
+        });
+    });
+
+    describe('그리기', () => {
+        it('검은 모듈을 가로 막대로 묶어 여백만큼 옮겨야 함', () => {
+            const qr = encodeQR('a');
+            const runs = getDarkRuns(qr, 4);
+            const dark = qr.modules.flat().filter(Boolean).length;
+
+            expect(runs.reduce((sum, run) => sum + run.width, 0)).toBe(dark);
+            expect(runs[0]).toEqual({ x: 4, y: 4, width: 7 });
+        });
+
+        it('SVG는 여백을 포함한 viewBox를 써야 함', () => {
+            const qr = encodeQR('a');
+            const svg = toSvg(qr, { border: 2, label: '공유 QR' });
+
+            expect(svg).toContain('viewBox="0 0 25 25"');
+            expect(svg).toContain('aria-label="공유 QR"');
+            expect(svg).toContain('<path d="M2 2h7v1h-7z');
+        });
+    });
+
+    describe('스티커 크기', () => {
+        const url = length => `https://example.com/#share=${'z'.repeat(length)}`;
+
+        it('짧은 링크는 최소 크기로 붙여야 함', () => {
+            expect(getQrStickerSize(encodeQR('a', { ecc: QR_STICKER_ECC }))).toEqual({
+                size: QR_STICKER_SIZE.min,
+                modulePx: 4.14,
+                dense: false
+            });
+        });
+
+        it('모듈 한 칸이 최소 크기보다 작아지지 않게 키워야 함', () => {
+            const qr = encodeQR(url(500), { ecc: QR_STICKER_ECC });
+            const { size, modulePx, dense } = getQrStickerSize(qr);
+
+            expect(size).toBe((qr.size + 8) * QR_STICKER_MODULE_PX);
+            expect(modulePx).toBe(QR_STICKER_MODULE_PX);
+            expect(dense).toBe(false);
+        });
+
+        it('오류 정정 L은 같은 링크를 더 적은 모듈로 담아야 함', () => {
+            expect(encodeQR(url(700), { ecc: QR_STICKER_ECC }).size).toBeLessThan(encodeQR(url(700)).size);
+        });
+
+        it('최대 크기로도 모듈이 너무 작으면 촘촘하다고 알려야 함', () => {
+            const result = getQrStickerSize(encodeQR(url(1200), { ecc: QR_STICKER_ECC }));
+
+            expect(result.size).toBe(QR_STICKER_SIZE.max);
+            expect(result.modulePx).toBeLessThan(QR_STICKER_MODULE_PX);
+            expect(result.dense).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION, getVersion, migrate, validate } from '../schema.js';
+
+describe('스키마 마이그레이션 테스트', () => {
+    const legacyDoc = {
+        userName: '홍길동',
+        customization: { theme: 'ocean' },
+        categories: [
+            { title: '가족', items: ['여행 가기', ''] },
+            { title: '장소', items: ['제주도'] },
+            { title: '배움', items: [] },
+            { title: '음악', items: ['기타 배우기'] }
+        ],
+        savedAt: '2026-01-29T00:00:00.000Z'
+    };
+
+    describe('getVersion()', () => {
+        it('version 필드가 없으면 v1로 간주해야 함', () => {
+            expect(getVersion(legacyDoc)).toBe(1);
+        });
+
+        it('version 필드를 그대로 반환해야 함', () => {
+            expect(getVersion({ version: 2 })).toBe(2);
+        });
+    });
+
+    describe('migrate()', () => {
+        it('v1 문서를 현재 버전으로 올려야 함', () => {
+            const { data, fromVersion, migrated } = migrate(legacyDoc);
+
+            expect(fromVersion).toBe(1);
+            expect(migrated).toBe(true);
+            expect(data.version).toBe(SCHEMA_VERSION);
+            expect(data.userName).toBe('홍길동');
+            expect(data.customization).toEqual({ theme: 'ocean' });
+            expect(data.stickers).toEqual([]);
+        });
+
+        it('문자열 항목을 id가 있는 객체로 변환해야 함', () => {
+            const { data } = migrate(legacyDoc);
+            const items = data.categories[0].items;
+
+            expect(items).toHaveLength(2);
+            expect(items[0].text).toBe('여행 가기');
+            expect(typeof items[0].id).toBe('string');
+            expect(items[0].id).not.toBe(items[1].id);
+        });
+
+        it('id 없는 카테고리에 기본 카테고리 id를 순서대로 부여해야 함', () => {
+            const { data } = migrate(legacyDoc);
+
+            expect(data.categories.map(c => c.id)).toEqual(['family', 'place', 'learn', 'custom-4']);
+            expect(data.categories[3].type).toBe('custom');
+            expect(data.categories[0].badge).toBe('💕');
+        });
+
+        it('저장된 카테고리 id와 배지를 유지해야 함', () => {
+            const { data } = migrate({
+                categories: [{ id: 'custom-7', type: 'custom', badge: '🎸', title: '음악', items: ['기타'] }]
+            });
+
+            expect(data.categories[0]).toMatchObject({ id: 'custom-7', type: 'custom', badge: '🎸' });
+        });
+
+        it('v2 문서의 px 스티커 위치를 카드에 대한 비율로 바꿔야 함', () => {
+            const { data, fromVersion } = migrate({
+                version: 2,
+                categories: [],
+                stickers: [
+                    { id: 'sticker-1', emoji: '⭐', x: 150, y: 90, scale: 2 },
+                    { id: 'sticker-2', emoji: '🌸', x: 5000, y: -20 }
+                ]
+            });
+
+            expect(fromVersion).toBe(2);
+            expect(data.stickers).toEqual([
+                { id: 'sticker-1', emoji: '⭐', x: 0.25, y: 0.1, scale: 2 },
+                { id: 'sticker-2', emoji: '🌸', x: 1, y: 0 }
+            ]);
+        });
+
+        it('현재 버전 문서는 변경하지 않아야 함', () => {
+            const doc = {
+                version: SCHEMA_VERSION,
+                categories: [{ id: 'family', title: '가족', items: [{ id: 'a1', text: '여행' }] }],
+                stickers: []
+            };
+            const { data, migrated } = migrate(doc);
+
+            expect(migrated).toBe(false);
+            expect(data).toBe(doc);
+        });
+
+        it('더 높은 버전은 거부해야 함', () => {
+            expect(() => migrate({ version: SCHEMA_VERSION + 1 })).toThrow();
+        });
+
+        it('객체가 아닌 데이터는 거부해야 함', () => {
+            expect(() => migrate(null)).toThrow();
+            expect(() => migrate([1, 2])).toThrow();
+        });
+
+        it('마이그레이션 후 검증에 실패하면 에러를 던져야 함', () => {
+            expect(() => migrate({ categories: 'broken' })).toThrow(/검증 실패/);
+        });
+    });
+
+    describe('validate()', () => {
+        it('잘못된 항목 형식을 보고해야 함', () => {
+            const { valid, errors } = validate({
+                version: SCHEMA_VERSION,
+                categories: [{ id: 'family', title: '가족', items: ['문자열'] }],
+                stickers: [{ id: 'sticker-1', emoji: '⭐', x: '10', y: 0 }, { id: 'sticker-2', emoji: '⭐', x: 120, y: 0.5 }]
+            });
+
+            expect(valid).toBe(false);
+            expect(errors).toHaveLength(3);
+            expect(errors[2]).toContain('비율');
+        });
+
+        it('마크업에 들어가는 id와 스티커 내용 형식을 검사해야 함', () => {
+            const { errors } = validate({
+                version: SCHEMA_VERSION,
+                categories: [
+                    { id: 'x\');alert(1);(\'', title: '공격', items: [] },
+                    { id: 'custom-3', title: '음악', items: [{ id: '"><img>', text: '기타' }] }
+                ],
+                stickers: [
+                    { id: 'x\');alert(1);(\'', emoji: '⭐', x: 0, y: 0 },
+                    { id: 'sticker-2', emoji: '<img src=x onerror=alert(1)>', x: 0, y: 0 },
+                    { id: 'sticker-3', type: 'image', imageId: '"><script>', x: 0, y: 0 },
+                    { id: 'sticker-4', type: 'video', x: 0, y: 0 },
+                    { id: 'sticker-5', type: 'qr', value: 'https://example.com/#share=z', x: 0, y: 0 },
+                    { id: 'sticker-6', type: 'qr', value: 'https://example.com/#share=z', x: 0, y: 0 }
+                ]
+            });
+
+            expect(errors).toEqual([
+                'categories[0].id 형식이 올바르지 않습니다',
+                'categories[1].items[0] 형식이 올바르지 않습니다',
+                'stickers[0].id 형식이 올바르지 않습니다',
+                'stickers[1].emoji 형식이 올바르지 않습니다',
+                'stickers[2].imageId 형식이 올바르지 않습니다',
+                'stickers[3].type이 올바르지 않습니다',
+                'QR 코드 스티커가 둘 이상입니다'
+            ]);
+        });
+
+        it('목표 기한과 태어난 해 형식을 검사해야 함', () => {
+            const doc = {
+                version: SCHEMA_VERSION,
+                birthYear: 1990,
+                categories: [{
+                    id: 'family',
+                    title: '가족',
+                    items: [
+                        { id: 'a', text: '여행', deadline: { type: 'year', value: 2030 } },
+                        { id: 'b', text: '캠핑', deadline: null }
+                    ]
+                }],
+                stickers: []
+            };
+            expect(validate(doc).valid).toBe(true);
+
+            doc.birthYear = '1990';
+            doc.categories[0].items[1].deadline = '내년';
+            expect(validate(doc).errors).toHaveLength(2);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createSharePayload,
+    shareToDocument,
+    toBase64Url,
+    fromBase64Url,
+    encodeShare,
+    decodeShare,
+    buildShareUrl,
+    readShareToken,
+    MAX_SHARE_URL_LENGTH
+} from '../share.js';
+import { BucketListModel } from '../model.js';
+
+function createDocument() {
+    const model = new BucketListModel();
+    model.setUserName('지은');
+
+    const trip = model.addItem('family', '가족 여행');
+    model.updateItem('family', trip.id, { deadline: { type: 'year', value: 2030 }, note: '제주도' });
+
+    const swim = model.addItem('learn', '수영');
+    model.setAchieved('learn', swim.id, true, '2026-05-01');
+
+    return {
+        ...model.toJSON(),
+        customization: { theme: 'ocean', font: 'cute', unknown: 'x' },
+        stickers: [
+            { id: 'sticker-7', emoji: '⭐', x: 0.1, y: 0.25 },
+            { id: 'sticker-8', type: 'qr', value: 'https://example.com/#share=z', size: 120, x: 0, y: 0 },
+            { id: 'sticker-9', emoji: '🌸', x: 0.3, y: 0.4, scale: 1.5, rotation: -20 }
+        ],
+        savedAt: '2026-05-02T00:00:00.000Z'
+    };
+}
+
+describe('공유 링크 테스트', () => {
+    describe('공유 데이터', () => {
+        it('빈 항목, id, 작성일, QR 코드 스티커는 빼고 담아야 함', () => {
+            const payload = createSharePayload(createDocument());
+
+            expect(payload.categories.map(c => c.id)).toEqual(['family', 'learn']);
+            expect(payload.categories[0].items).toEqual([
+                { text: '가족 여행', note: '제주도', deadline: { type: 'year', value: 2030 } }
+            ]);
+            expect(payload.categories[1].items[0]).toEqual({ text: '수영', achieved: true, achievedAt: '2026-05-01' });
+            expect(payload.customization).toEqual({ theme: 'ocean', font: 'cute' });
+            expect(payload.stickers).toEqual([
+                { emoji: '⭐', x: 0.1, y: 0.25 },
+                { emoji: '🌸', x: 0.3, y: 0.4, scale: 1.5, rotation: -20 }
+            ]);
+        });
+
+        it('공유 데이터를 새 id가 있는 현재 스키마 문서로 되돌려야 함', () => {
+            const doc = shareToDocument(createSharePayload(createDocument()));
+
+            expect(doc.userName).toBe('지은');
+            expect(doc.categories[0].items[0].id).toEqual(expect.any(String));
+            expect(doc.categories[1].items[0]).toMatchObject({ text: '수영', achieved: true });
+            expect(doc.stickers[0]).toEqual({ id: 'sticker-1', emoji: '⭐', x: 0.1, y: 0.25 });
+            expect(doc.stickers[1]).toMatchObject({ id: 'sticker-2', scale: 1.5, rotation: -20 });
+        });
+
+        it('이전 버전 링크의 px 스티커 위치를 비율로 바꿔야 함', () => {
+            const doc = shareToDocument({
+                v: 1,
+                categories: [{ id: 'family', title: '가족', items: [{ text: '여행' }] }],
+                stickers: [{ emoji: '⭐', x: 300, y: 450 }]
+            });
+
+            expect(doc.stickers).toEqual([{ id: 'sticker-1', emoji: '⭐', x: 0.5, y: 0.5 }]);
+        });
+
+        it('마크업이 될 수 있는 스티커와 카테고리 id는 받지 않아야 함', () => {
+            const doc = shareToDocument({
+                v: 2,
+                categories: [
+                    { id: 'family', title: '가족', items: [{ text: '여행' }] },
+                    { id: 'x\');alert(1);(\'', type: 'custom', title: '공격', items: [{ text: 'a' }] },
+                    { id: 'family', title: '중복', items: [{ text: 'b' }] }
+                ],
+                stickers: [
+                    { emoji: '<img src=x onerror=alert(document.cookie)>', x: 0.1, y: 0.1 },
+                    { emoji: '⭐', x: 0.2, y: 0.2, type: 'image', imageId: 'image-x', onclick: 'x' }
+                ]
+            });
+
+            expect(doc.categories.map(c => c.id)).toEqual(['family', 'custom-1', 'custom-2']);
+            expect(doc.stickers).toEqual([{ id: 'sticker-1', emoji: '⭐', x: 0.2, y: 0.2 }]);
+        });
+
+        it('형식이 잘못되었거나 더 최신 버전이면 오류', () => {
+            expect(() => shareToDocument({})).toThrow('올바르지 않습니다');
+            expect(() => shareToDocument({ categories: [{ items: [] }] })).toThrow('올바르지 않습니다');
+            expect(() => shareToDocument({ v: 99, categories: [] })).toThrow('최신 버전');
+        });
+    });
+
+    describe('인코딩', () => {
+        it('base64url은 URL에 안전한 문자만 써야 함', () => {
+            const bytes = Uint8Array.from([251, 255, 190, 0, 1]);
+            const text = toBase64Url(bytes);
+
+            expect(text).toMatch(/^[A-Za-z0-9_-]+$/);
+            expect([...fromBase64Url(text)]).toEqual([...bytes]);
+            expect(() => fromBase64Url('a+b')).toThrow();
+        });
+
+        it('압축한 토큰을 다시 풀어야 함', async () => {
+            const token = await encodeShare(createDocument());
+            const doc = await decodeShare(token);
+
+            expect(token[0]).toBe('z');
+            expect(doc.categories.map(c => c.items[0].text)).toEqual(['가족 여행', '수영']);
+            expect(doc.customization.theme).toBe('ocean');
+        });
+
+        it('압축하지 않은 토큰도 열어야 함', async () => {
+            const json = JSON.stringify(createSharePayload(createDocument()));
+            const token = 'j' + toBase64Url(new TextEncoder().encode(json));
+
+            const doc = await decodeShare(token);
+            expect(doc.userName).toBe('지은');
+        });
+
+        it('손상되었거나 너무 긴 토큰은 오류', async () => {
+            await expect(decodeShare('')).rejects.toThrow('비어 있습니다');
+            await expect(decodeShare('zAAAA')).rejects.toThrow('손상');
+            await expect(decodeShare('q1234')).rejects.toThrow('손상');
+            await expect(decodeShare('j' + 'A'.repeat(MAX_SHARE_URL_LENGTH))).rejects.toThrow('너무 깁니다');
+        });
+    });
+
+    describe('URL', () => {
+        it('기존 해시를 바꿔 공유 링크를 만들고 다시 읽어야 함', () => {
+            const url = buildShareUrl('https://example.com/app/?a=1#old', 'zAbC_-');
+
+            expect(url).toBe('https://example.com/app/?a=1#share=zAbC_-');
+            expect(readShareToken(new URL(url).hash)).toBe('zAbC_-');
+            expect(readShareToken('#other')).toBe(null);
+            expect(readShareToken('')).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { computeStats, countAchievedByYear, findOldestOpen, findUpcoming } from '../stats.js';
+
+const NOW = new Date(2026, 1, 1);
+
+const categories = [
+    {
+        id: 'family',
+        title: '가족',
+        badge: '💕',
+        items: [
+            { id: 'a', text: '여행', achieved: true, achievedAt: '2024-05-01' },
+            { id: 'b', text: '캠핑', achieved: true, achievedAt: '2026-01-10' },
+            { id: 'c', text: '사진', createdAt: '2025-03-01', deadline: { type: 'date', value: '2026-03-01' } }
+        ]
+    },
+    {
+        id: 'place',
+        title: '장소',
+        badge: '🌍',
+        items: [
+            { id: 'd', text: '제주도', createdAt: '2024-01-01', deadline: { type: 'year', value: 2027 } },
+            { id: 'e', text: '지난 기한', createdAt: '2025-01-01', deadline: { type: 'date', value: '2025-12-01' } }
+        ]
+    }
+];
+
+describe('진행 현황 통계 테스트', () => {
+    describe('computeStats()', () => {
+        it('전체/카테고리별 달성 현황을 계산해야 함', () => {
+            const stats = computeStats(categories, { now: NOW });
+
+            expect(stats).toMatchObject({ total: 5, achieved: 2, open: 3, rate: 40 });
+            expect(stats.categories).toEqual([
+                { id: 'family', title: '가족', badge: '💕', total: 3, achieved: 2, open: 1 },
+                { id: 'place', title: '장소', badge: '🌍', total: 2, achieved: 0, open: 2 }
+            ]);
+        });
+
+        it('항목이 없으면 달성률 0이어야 함', () => {
+            expect(computeStats([]).rate).toBe(0);
+        });
+    });
+
+    describe('countAchievedByYear()', () => {
+        it('빈 연도를 0으로 채워 연도순으로 반환해야 함', () => {
+            expect(countAchievedByYear(categories)).toEqual([
+                { year: 2024, count: 1 },
+                { year: 2025, count: 0 },
+                { year: 2026, count: 1 }
+            ]);
+        });
+    });
+
+    describe('findOldestOpen()', () => {
+        it('작성일이 가장 이른 진행 중 목표를 찾아야 함', () => {
+            expect(findOldestOpen(categories).item.id).toBe('d');
+        });
+
+        it('작성일이 없는 항목을 더 오래된 것으로 봐야 함', () => {
+            const withLegacy = [{ id: 'x', items: [{ id: 'old', text: '예전 목표' }] }, ...categories];
+            expect(findOldestOpen(withLegacy).item.id).toBe('old');
+        });
+    });
+
+    describe('findUpcoming()', () => {
+        it('지나지 않은 기한만 가까운 순으로 반환해야 함', () => {
+            const upcoming = findUpcoming(categories, { now: NOW });
+
+            expect(upcoming.map(entry => entry.item.id)).toEqual(['c', 'd']);
+            expect(upcoming[0]).toMatchObject({ label: '2026년 3월 1일까지', remaining: '1개월 남음' });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    STICKER_PACKS,
+    RECENT_STICKERS_KEY,
+    MAX_RECENT_STICKERS,
+    getStickerPack,
+    findCatalogSticker,
+    isStickerEmoji,
+    searchStickers,
+    readRecentStickers,
+    addRecentSticker
+} from '../sticker-catalog.js';
+
+describe('스티커 카탈로그 테스트', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('팩마다 id가 다르고 모든 스티커에 한국어/영어 태그가 있어야 함', () => {
+        const ids = STICKER_PACKS.map(pack => pack.id);
+        expect(ids).toEqual(['basic', 'travel', 'study', 'family', 'seasonal']);
+
+        STICKER_PACKS.forEach(pack => {
+            pack.stickers.forEach(item => {
+                expect(item.tags.some(tag => /[가-힣]/.test(tag))).toBe(true);
+                expect(item.tags.some(tag => /^[a-z]+$/.test(tag))).toBe(true);
+            });
+        });
+    });
+
+    it('없는 팩이면 기본 팩을 돌려줘야 함', () => {
+        expect(getStickerPack('travel').label).toBe('여행');
+        expect(getStickerPack('unknown').id).toBe('basic');
+        expect(findCatalogSticker('✈️').tags).toContain('airplane');
+        expect(findCatalogSticker('<img>')).toBe(null);
+    });
+
+    it('한국어/영어 태그와 팩 이름으로 찾아야 함', () => {
+        expect(searchStickers('비행기').map(s => s.emoji)).toEqual(['✈️']);
+        expect(searchStickers('  CHRISTMAS ').map(s => s.emoji)).toEqual(['🎄', '🎅']);
+        expect(searchStickers('여행')).toHaveLength(getStickerPack('travel').stickers.length);
+        expect(searchStickers('여름 수').map(s => s.emoji)).toEqual(['🍉', '🏊']);
+        expect(searchStickers('없는검색어')).toEqual([]);
+        expect(searchStickers('')).toEqual([]);
+    });
+
+    it('같은 이모지는 한 번만 나와야 함', () => {
+        const packs = [
+            { id: 'a', label: 'A', tags: [], stickers: [{ emoji: '⭐', tags: ['star'] }] },
+            { id: 'b', label: 'B', tags: [], stickers: [{ emoji: '⭐', tags: ['star'] }] }
+        ];
+        expect(searchStickers('star', packs)).toEqual([{ emoji: '⭐', tags: ['star'], pack: 'a' }]);
+    });
+
+    it('카탈로그 이모지와 마크업이 없는 짧은 이모지만 스티커로 받아야 함', () => {
+        expect(isStickerEmoji('⭐')).toBe(true);
+        // 카탈로그에 없는 이전 버전 스티커
+        expect(isStickerEmoji('🐳')).toBe(true);
+        expect(isStickerEmoji('<img src=x onerror=alert(1)>')).toBe(false);
+        expect(isStickerEmoji('⭐\'')).toBe(false);
+        expect(isStickerEmoji('⭐'.repeat(20))).toBe(false);
+        expect(isStickerEmoji('')).toBe(false);
+        expect(isStickerEmoji(null)).toBe(false);
+    });
+
+    it('최근 사용한 스티커를 앞에 두고 개수를 제한해야 함', () => {
+        expect(readRecentStickers(localStorage)).toEqual([]);
+
+        addRecentSticker(localStorage, '⭐');
+        addRecentSticker(localStorage, '✈️');
+        expect(addRecentSticker(localStorage, '⭐')).toEqual(['⭐', '✈️']);
+
+        getStickerPack('study').stickers.forEach(item => addRecentSticker(localStorage, item.emoji));
+        const recent = readRecentStickers(localStorage);
+        expect(recent).toHaveLength(MAX_RECENT_STICKERS);
+        expect(recent[0]).toBe('🎹');
+    });
+
+    it('저장된 값이 잘못되면 카탈로그에 있는 스티커만 남겨야 함', () => {
+        localStorage.setItem(RECENT_STICKERS_KEY, '{broken');
+        expect(readRecentStickers(localStorage)).toEqual([]);
+
+        localStorage.setItem(RECENT_STICKERS_KEY, JSON.stringify(['⭐', '\'alert(1)//', 3]));
+        expect(readRecentStickers(localStorage)).toEqual(['⭐']);
+        expect(addRecentSticker(localStorage, 'x')).toEqual(['⭐']);
+    });
+});
@@ -0,0 +1,191 @@
+import { describe, it, expect } from 'vitest';
+import {
+    STICKER_SCALE,
+    DUPLICATE_OFFSET,
+    normalizeStickerScale,
+    normalizeStickerRotation,
+    setStickerTransform,
+    toRelativePosition,
+    toPixelPosition,
+    moveStickerLayer,
+    duplicateSticker,
+    scaleFromPointer,
+    rotationFromPointer,
+    SNAP_DISTANCE,
+    ARRANGE_MARGIN,
+    ARRANGE_GAP,
+    getSnapLines,
+    snapStickerBox,
+    boxesOverlap,
+    pointOnPerimeter,
+    findStickerSpot,
+    arrangeStickers
+} from '../stickers.js';
+
+describe('스티커 편집 테스트', () => {
+    it('크기 배율을 범위 안으로 정리해야 함', () => {
+        expect(normalizeStickerScale(undefined)).toBe(1);
+        expect(normalizeStickerScale('2')).toBe(1);
+        expect(normalizeStickerScale(1.234)).toBe(1.23);
+        expect(normalizeStickerScale(0.1)).toBe(STICKER_SCALE.min);
+        expect(normalizeStickerScale(10)).toBe(STICKER_SCALE.max);
+    });
+
+    it('회전 각도를 -180 ~ 180도로 정리해야 함', () => {
+        expect(normalizeStickerRotation(undefined)).toBe(0);
+        expect(normalizeStickerRotation(270)).toBe(-90);
+        expect(normalizeStickerRotation(-180)).toBe(180);
+        expect(normalizeStickerRotation(720.04)).toBe(0);
+        expect(Object.is(normalizeStickerRotation(-360), 0)).toBe(true);
+    });
+
+    it('기본값이면 크기/회전 속성을 지워야 함', () => {
+        const sticker = { id: 'sticker-1', emoji: '⭐', x: 0, y: 0 };
+
+        setStickerTransform(sticker, { scale: 2, rotation: 45 });
+        expect(sticker).toMatchObject({ scale: 2, rotation: 45 });
+
+        setStickerTransform(sticker, { rotation: 360 });
+        expect(sticker.scale).toBe(2);
+        expect(sticker).not.toHaveProperty('rotation');
+
+        setStickerTransform(sticker, { scale: 1 });
+        expect(sticker).toEqual({ id: 'sticker-1', emoji: '⭐', x: 0, y: 0 });
+    });
+
+    it('배열 순서로 맨 앞/맨 뒤를 바꿔야 함', () => {
+        const stickers = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+        expect(moveStickerLayer(stickers, 'a', 'front').map(s => s.id)).toEqual(['b', 'c', 'a']);
+        expect(moveStickerLayer(stickers, 'c', 'back').map(s => s.id)).toEqual(['c', 'a', 'b']);
+        expect(moveStickerLayer(stickers, 'x', 'front')).toEqual(stickers);
+        expect(stickers.map(s => s.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    describe('위치', () => {
+        const card = { width: 400, height: 800 };
+
+        it('px 위치를 카드에 대한 비율로 바꿔야 함', () => {
+            expect(toRelativePosition({ x: 100, y: 200 }, card)).toEqual({ x: 0.25, y: 0.25 });
+            expect(toRelativePosition({ x: 1 / 3, y: 900 }, { width: 1, height: 800 })).toEqual({ x: 0.3333, y: 1 });
+            expect(toRelativePosition({ x: -5, y: NaN }, card)).toEqual({ x: 0, y: 0 });
+            expect(toRelativePosition({ x: 10, y: 10 }, { width: 0, height: 0 })).toEqual({ x: 0, y: 0 });
+        });
+
+        it('카드 크기가 달라도 같은 자리에 놓되 카드 밖으로 나가지 않아야 함', () => {
+            const position = toRelativePosition({ x: 300, y: 400 }, card);
+
+            expect(toPixelPosition(position, card)).toEqual({ x: 300, y: 400 });
+            expect(toPixelPosition(position, { width: 200, height: 400 })).toEqual({ x: 150, y: 200 });
+            expect(toPixelPosition({ x: 0.95, y: 1 }, card, { width: 40, height: 40 })).toEqual({ x: 360, y: 760 });
+        });
+    });
+
+    it('복제하면 크기/회전은 그대로 두고 비켜 놓아야 함', () => {
+        const card = { width: 200, height: 100 };
+        const sticker = { id: 'sticker-1', emoji: '🌸', x: 0.05, y: 0.9, scale: 1.5, rotation: 30 };
+        const copy = duplicateSticker(sticker, 'sticker-2', card, { width: 20, height: 10 });
+
+        // 오른쪽은 자리가 있고, 아래는 없어서 위로
+        expect(copy).toEqual({
+            ...sticker,
+            id: 'sticker-2',
+            x: (10 + DUPLICATE_OFFSET) / card.width,
+            y: (90 - DUPLICATE_OFFSET) / card.height
+        });
+        expect(sticker.id).toBe('sticker-1');
+    });
+
+    describe('손잡이 끌기', () => {
+        const center = { x: 100, y: 100 };
+
+        it('가운데에서 멀어진 비율만큼 키워야 함', () => {
+            expect(scaleFromPointer(center, { x: 120, y: 100 }, { x: 140, y: 100 }, 1)).toBe(2);
+            expect(scaleFromPointer(center, { x: 120, y: 100 }, { x: 110, y: 100 }, 1.5)).toBe(0.75);
+            expect(scaleFromPointer(center, center, { x: 300, y: 100 }, 1.5)).toBe(1.5);
+        });
+
+        it('가운데를 중심으로 돌린 각도만큼 회전해야 함', () => {
+            // 화면 좌표는 y가 아래로 커지므로 오른쪽 → 아래는 시계 방향 90도
+            expect(rotationFromPointer(center, { x: 150, y: 100 }, { x: 100, y: 150 }, 0)).toBe(90);
+            expect(rotationFromPointer(center, { x: 150, y: 100 }, { x: 150, y: 90 }, 170)).toBeCloseTo(158.7, 1);
+            expect(rotationFromPointer(center, { x: 150, y: 100 }, { x: 150, y: 80 }, 0, true)).toBe(-15);
+        });
+    });
+
+    describe('안내선 맞춤', () => {
+        const card = { width: 400, height: 600 };
+
+        it('카드 가장자리/가운데와 다른 스티커에 맞춰야 함', () => {
+            const lines = getSnapLines(card, [{ x: 100, y: 300, width: 40, height: 40 }]);
+            expect(lines.x).toEqual([0, 200, 400, 100, 120, 140]);
+
+            // 가운데가 카드 세로 가운데선(200)에 가깝고, 위쪽이 다른 스티커 위쪽(300)에 가까움
+            const snapped = snapStickerBox({ x: 176, y: 304, width: 50, height: 50 }, lines);
+            expect(snapped).toEqual({ x: 175, y: 300, guides: { x: 200, y: 300 } });
+        });
+
+        it('가장 가까운 안내선을 고르고 멀면 그대로 둬야 함', () => {
+            const lines = { x: [0, 100, 103], y: [0] };
+
+            expect(snapStickerBox({ x: 104, y: 50, width: 10, height: 10 }, lines)).toEqual({ x: 103, y: 50, guides: { x: 103, y: null } });
+            expect(snapStickerBox({ x: 50 + SNAP_DISTANCE + 1, y: 50, width: 10, height: 10 }, { x: [50], y: [] }).guides)
+                .toEqual({ x: null, y: null });
+        });
+    });
+
+    describe('자동 배치', () => {
+        const card = { width: 400, height: 600 };
+        const size = { width: 50, height: 50 };
+
+        it('상자 겹침은 띄울 거리까지 따져야 함', () => {
+            const a = { x: 0, y: 0, width: 10, height: 10 };
+            expect(boxesOverlap(a, { x: 12, y: 0, width: 10, height: 10 })).toBe(false);
+            expect(boxesOverlap(a, { x: 12, y: 0, width: 10, height: 10 }, 4)).toBe(true);
+        });
+
+        it('테두리를 시계 방향으로 돌아야 함', () => {
+            expect(pointOnPerimeter(card, 0)).toEqual({ x: 0, y: 0 });
+            expect(pointOnPerimeter(card, 0.25)).toEqual({ x: 400, y: 100 });
+            expect(pointOnPerimeter(card, 0.5)).toEqual({ x: 400, y: 600 });
+            expect(pointOnPerimeter(card, 0.9).x).toBe(0);
+            expect(pointOnPerimeter(card, 0.9).y).toBeCloseTo(200);
+        });
+
+        it('글자를 피해 목표에 가까운 가장자리 자리를 찾아야 함', () => {
+            const text = { x: 0, y: 100, width: 400, height: 400 };
+
+            const top = findStickerSpot(size, card, [text], { x: 200, y: 0 });
+            expect(top.y).toBe(ARRANGE_MARGIN);
+            expect(Math.abs(top.x + size.width / 2 - 200)).toBeLessThanOrEqual(4);
+            // 목표가 글자 위여도 글자와 겹치지 않는 자리로
+            const spot = findStickerSpot(size, card, [text], { x: 0, y: 300 });
+            expect(boxesOverlap({ ...spot, ...size }, text, ARRANGE_GAP)).toBe(false);
+            expect(findStickerSpot(size, { width: 60, height: 60 }, [], { x: 0, y: 0 })).toBe(null);
+        });
+
+        it('스티커끼리와 글자를 겹치지 않고 테두리를 따라 나눠 놓아야 함', () => {
+            const text = { x: 40, y: 120, width: 320, height: 360 };
+            const spots = arrangeStickers(Array(8).fill(size), card, [text]);
+            const boxes = spots.map(spot => ({ ...spot, ...size }));
+
+            boxes.forEach((box, index) => {
+                expect(boxesOverlap(box, text, ARRANGE_GAP)).toBe(false);
+                boxes.slice(index + 1).forEach(other => expect(boxesOverlap(box, other, ARRANGE_GAP)).toBe(false));
+            });
+            // 위, 오른쪽, 아래, 왼쪽에 모두 놓임
+            expect(boxes.some(box => box.y === ARRANGE_MARGIN)).toBe(true);
+            expect(boxes.some(box => box.x === card.width - ARRANGE_MARGIN - size.width)).toBe(true);
+            expect(boxes.some(box => box.y === card.height - ARRANGE_MARGIN - size.height)).toBe(true);
+            expect(boxes.some(box => box.x === ARRANGE_MARGIN)).toBe(true);
+        });
+
+        it('자리가 모자라면 글자만 피하고, 그래도 없으면 null이어야 함', () => {
+            const small = { width: 80, height: 80 };
+            const spots = arrangeStickers([size, size], small, []);
+            expect(spots[0]).not.toBe(null);
+            expect(spots[1]).not.toBe(null);
+            expect(arrangeStickers([size], small, [{ x: 0, y: 0, width: 80, height: 80 }])).toEqual([null]);
+        });
+    });
+});
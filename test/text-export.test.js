@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { buildResultData, getItemMeta, escapeMarkdown, toMarkdown, toPlainText } from '../text-export.js';
+import { BucketListModel } from '../model.js';
+
+const NOW = new Date(2026, 1, 1);
+
+function createModel() {
+    const model = new BucketListModel();
+    model.setUserName('홍길동');
+
+    const trip = model.addItem('family', '가족 여행');
+    model.setAchieved('family', trip.id, true, '2026-01-10');
+    model.updateItem('family', trip.id, { note: '최고였다' });
+
+    const camp = model.addItem('family', '캠핑 *두 번*');
+    model.updateItem('family', camp.id, { deadline: { type: 'year', value: 2030 } });
+
+    model.addItem('learn', '피아노');
+    return model;
+}
+
+describe('결과 데이터/텍스트 내보내기 테스트', () => {
+    describe('buildResultData()', () => {
+        it('카테고리별 섹션과 달성 현황을 구성해야 함', () => {
+            const data = buildResultData(createModel(), { now: NOW });
+
+            expect(data.title).toBe('홍길동의 버킷리스트');
+            expect(data.percent).toBe(33);
+            expect(data.sections.map(s => [s.icon, s.count])).toEqual([['💕', '1/2'], ['📚', '0/1']]);
+        });
+
+        it('마감순 보기에서는 그룹 섹션과 카테고리를 함께 넘겨야 함', () => {
+            const data = buildResultData(createModel(), { view: 'deadline', now: NOW });
+
+            expect(data.sections.map(s => s.id)).toEqual(['later', 'undated', 'achieved']);
+            expect(data.sections[0].entries[0].category.badge).toBe('💕');
+        });
+
+        it('달성하지 않은 항목만 남기고 남은 개수를 표시해야 함', () => {
+            const data = buildResultData(createModel(), { now: NOW, openOnly: true });
+
+            expect(data.sections.map(s => [s.icon, s.count, s.total])).toEqual([['💕', '1', undefined], ['📚', '1', undefined]]);
+            expect(data.sections[0].entries[0].item.text).toBe('캠핑 *두 번*');
+            expect(data.completion.total).toBe(3);
+
+            const deadline = buildResultData(createModel(), { view: 'deadline', now: NOW, openOnly: true });
+            expect(deadline.sections.map(s => s.id)).toEqual(['later', 'undated']);
+        });
+
+        it('최대 항목 수를 넘는 항목은 숨기고 개수를 알려야 함', () => {
+            const data = buildResultData(createModel(), { now: NOW, maxEntries: 2 });
+
+            expect(data.sections.map(s => s.entries.length)).toEqual([2]);
+            expect(data.hiddenCount).toBe(1);
+            expect(buildResultData(createModel(), { now: NOW }).hiddenCount).toBe(0);
+        });
+    });
+
+    describe('getItemMeta()', () => {
+        it('달성 항목은 달성일과 소감을 반환해야 함', () => {
+            expect(getItemMeta({ achieved: true, achievedAt: '2026-01-10', note: ' 좋았다 ' }).parts)
+                .toEqual(['2026년 1월 10일 달성', '“좋았다”']);
+        });
+
+        it('기한이 지난 항목은 overdue로 표시해야 함', () => {
+            expect(getItemMeta({ deadline: { type: 'year', value: 2025 } }, { now: NOW }))
+                .toEqual({ parts: ['2025년까지', '기한 지남'], overdue: true });
+        });
+    });
+
+    describe('escapeMarkdown()', () => {
+        it('강조/링크/목록 기호를 이스케이프해야 함', () => {
+            expect(escapeMarkdown('*굵게* [링크]')).toBe('\\*굵게\\* \\[링크\\]');
+            expect(escapeMarkdown('# 제목')).toBe('\\# 제목');
+            expect(escapeMarkdown('1. 첫째')).toBe('1\\. 첫째');
+        });
+    });
+
+    describe('toMarkdown()', () => {
+        it('배지 제목과 체크박스 항목을 만들어야 함', () => {
+            const markdown = toMarkdown(buildResultData(createModel(), { now: NOW }));
+
+            expect(markdown).toContain('# 🪣 홍길동의 버킷리스트');
+            expect(markdown).toContain('작성일: 2026년 2월 1일 · 전체 3개 중 1개 달성 (33%)');
+            expect(markdown).toContain('## 💕 가족·친구와 함께하고 싶은 일 (1/2)');
+            expect(markdown).toContain('- [x] 가족 여행 — 2026년 1월 10일 달성 · “최고였다”');
+            expect(markdown).toContain('- [ ] 캠핑 \\*두 번\\* — 2030년까지 · 4년 남음');
+        });
+    });
+
+    describe('toPlainText()', () => {
+        it('마크업 없이 읽기 쉬운 텍스트를 만들어야 함', () => {
+            const text = toPlainText(buildResultData(createModel(), { now: NOW }));
+
+            expect(text.split('\n')).toEqual([
+                '🪣 홍길동의 버킷리스트',
+                '작성일: 2026년 2월 1일 · 전체 3개 중 1개 달성 (33%)',
+                '',
+                '💕 가족·친구와 함께하고 싶은 일 (1/2)',
+                '✅ 가족 여행 (2026년 1월 10일 달성 · “최고였다”)',
+                '⬜ 캠핑 *두 번* (2030년까지 · 4년 남음)',
+                '',
+                '📚 배우고 싶은 것·나누고 싶은 것 (0/1)',
+                '⬜ 피아노'
+            ]);
+        });
+    });
+});
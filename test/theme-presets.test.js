@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    PresetStore,
+    PRESETS_KEY,
+    MAX_PRESETS,
+    createPresetExport,
+    parsePresetImport,
+    pickPresetStyle
+} from '../theme-presets.js';
+
+const customization = {
+    theme: 'ocean',
+    pattern: 'waves',
+    font: 'cute',
+    frame: 'ticket',
+    headerColor: '#1e6091',
+    bgColor: '#E8F4F8',
+    textColor: '#1A1A1A',
+    view: 'deadline'
+};
+
+describe('테마 프리셋 저장소 테스트', () => {
+    let presets;
+
+    beforeEach(() => {
+        localStorage.clear();
+        presets = new PresetStore(localStorage);
+    });
+
+    it('꾸미기 값만 골라 이름과 함께 저장해야 함', () => {
+        const preset = presets.save('  우리 팀  ', customization, '🏄');
+
+        expect(preset).toMatchObject({ name: '우리 팀', icon: '🏄', theme: 'ocean', headerColor: '#1E6091' });
+        expect(preset).not.toHaveProperty('view');
+        expect(preset).not.toHaveProperty('accentColor');
+        expect(presets.save('팔레트', { ...customization, accentColor: '#16988f' }).accentColor).toBe('#16988F');
+        expect(presets.getAll()).toHaveLength(2);
+        expect(JSON.parse(localStorage.getItem(PRESETS_KEY))[0].id).toBe(preset.id);
+    });
+
+    it('이름이 없거나 겹치면 처리해야 함', () => {
+        expect(() => presets.save('  ', customization)).toThrow('이름을 입력');
+
+        presets.save('여름', customization);
+        expect(presets.save('여름', customization).name).toBe('여름 (2)');
+    });
+
+    it('개수 한도를 넘으면 오류', () => {
+        for (let i = 0; i < MAX_PRESETS; i++) presets.save(`p${i}`, customization);
+        expect(() => presets.save('하나 더', customization)).toThrow(`${MAX_PRESETS}개까지`);
+    });
+
+    it('이름 변경, 삭제, 순서 옮기기', () => {
+        const a = presets.save('A', customization);
+        const b = presets.save('B', customization);
+        const c = presets.save('C', customization);
+
+        expect(presets.rename(a.id, '가')).toBe(true);
+        expect(presets.rename(a.id, ' ')).toBe(false);
+        expect(presets.move(c.id, -1)).toBe(true);
+        expect(presets.move(a.id, -1)).toBe(false);
+        expect(presets.getAll().map(p => p.name)).toEqual(['가', 'C', 'B']);
+
+        expect(presets.remove(b.id)).toBe(true);
+        expect(presets.remove(b.id)).toBe(false);
+        expect(presets.getAll().map(p => p.name)).toEqual(['가', 'C']);
+    });
+
+    it('저장 공간이 부족하면 모든 작업이 안내 오류를 내고 목록을 그대로 둬야 함', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const a = presets.save('A', customization);
+        const b = presets.save('B', customization);
+        const saved = localStorage.getItem(PRESETS_KEY);
+        const full = new PresetStore({
+            getItem: key => localStorage.getItem(key),
+            setItem: () => {
+                throw new DOMException('저장 공간 부족', 'QuotaExceededError');
+            }
+        });
+
+        expect(() => full.save('C', customization)).toThrow('저장 공간이 부족합니다');
+        expect(() => full.rename(a.id, '가')).toThrow('저장 공간이 부족합니다');
+        expect(() => full.move(b.id, -1)).toThrow('저장 공간이 부족합니다');
+        expect(() => full.remove(a.id)).toThrow('저장 공간이 부족합니다');
+        expect(() => full.importPresets([{ ...customization, theme: 'night', name: 'D' }])).toThrow('저장 공간이 부족합니다');
+        expect(localStorage.getItem(PRESETS_KEY)).toBe(saved);
+        vi.restoreAllMocks();
+    });
+
+    it('손상된 저장 값은 빈 목록 또는 올바른 항목만', () => {
+        localStorage.setItem(PRESETS_KEY, '{oops');
+        expect(presets.getAll()).toEqual([]);
+
+        localStorage.setItem(PRESETS_KEY, JSON.stringify([
+            { id: 'preset-1', name: '정상', ...pickPresetStyle(customization) },
+            { id: 'preset-2', name: '색상 오류', ...customization, bgColor: 'red' }
+        ]));
+        expect(presets.getAll().map(p => p.id)).toEqual(['preset-1']);
+    });
+
+    describe('내보내기/가져오기', () => {
+        it('내보낸 파일을 다시 읽어야 함', () => {
+            presets.save('우리 팀', customization, '🏄');
+            const file = createPresetExport(presets.getAll(), new Date('2026-05-01T00:00:00Z'));
+
+            expect(file.presets[0]).not.toHaveProperty('id');
+            expect(parsePresetImport(JSON.stringify(file))).toEqual([
+                { name: '우리 팀', icon: '🏄', ...pickPresetStyle(customization) }
+            ]);
+        });
+
+        it('잘못된 파일은 오류', () => {
+            expect(() => parsePresetImport('')).toThrow('비어 있습니다');
+            expect(() => parsePresetImport('{')).toThrow('JSON');
+            expect(() => parsePresetImport('{"format":"bucketlist","presets":[]}')).toThrow('프리셋 파일이 아닙니다');
+            expect(() => parsePresetImport(JSON.stringify({
+                format: 'bucketlist-theme-presets', formatVersion: 1, presets: [{ name: 'x', ...customization, theme: '<b>' }]
+            }))).toThrow('theme');
+        });
+
+        it('같은 조합은 건너뛰고 겹치는 이름에는 번호를 붙여야 함', () => {
+            presets.save('여름', customization);
+
+            const result = presets.importPresets([
+                { name: '복사본', icon: '🎨', ...pickPresetStyle(customization) },
+                { name: '여름', icon: '🎨', ...pickPresetStyle({ ...customization, theme: 'forest' }) }
+            ]);
+
+            expect(result).toEqual({ added: 1, skipped: 1 });
+            expect(presets.getAll().map(p => p.name)).toEqual(['여름', '여름 (2)']);
+        });
+    });
+});
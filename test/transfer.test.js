@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createExport,
+    buildFileName,
+    parseImport,
+    summarizeDocument,
+    mergeDocuments,
+    EXPORT_FORMAT
+} from '../transfer.js';
+import { createDefaultDocument } from '../model.js';
+import { SCHEMA_VERSION } from '../schema.js';
+
+function makeDocument(items = {}) {
+    const doc = createDefaultDocument();
+    doc.categories.forEach(category => {
+        if (items[category.id]) {
+            category.items = items[category.id].map((text, i) => ({ id: `${category.id}-${i}`, text }));
+        }
+    });
+    return { ...doc, customization: { theme: 'ocean' }, stickers: [] };
+}
+
+describe('JSON 내보내기/가져오기 테스트', () => {
+    describe('createExport() / parseImport()', () => {
+        it('내보낸 파일을 그대로 가져와야 함', () => {
+            const doc = makeDocument({ family: ['여행'] });
+            const exported = createExport(doc, { listName: '가족 리스트' }, new Date('2026-01-29T00:00:00Z'));
+
+            expect(exported).toMatchObject({ format: EXPORT_FORMAT, exportedAt: '2026-01-29T00:00:00.000Z' });
+
+            const { document, meta } = parseImport(JSON.stringify(exported));
+            expect(document).toEqual(doc);
+            expect(meta.listName).toBe('가족 리스트');
+        });
+
+        it('이전 버전 localStorage 문서도 마이그레이션해서 가져와야 함', () => {
+            const { document } = parseImport(JSON.stringify({
+                userName: '홍길동',
+                categories: [{ title: '가족', items: ['여행'] }]
+            }));
+
+            expect(document.version).toBe(SCHEMA_VERSION);
+            expect(document.categories[0].items[0].text).toBe('여행');
+            expect(document.stickers).toEqual([]);
+        });
+
+        it('올바르지 않은 파일은 이유와 함께 거부해야 함', () => {
+            expect(() => parseImport('')).toThrow(/비어/);
+            expect(() => parseImport('{not json')).toThrow(/JSON/);
+            expect(() => parseImport('{"hello": 1}')).toThrow(/버킷리스트 파일이 아닙니다/);
+            expect(() => parseImport(JSON.stringify({ format: EXPORT_FORMAT, formatVersion: 99, document: {} })))
+                .toThrow(/최신 버전/);
+            expect(() => parseImport(JSON.stringify({ version: SCHEMA_VERSION, categories: 'x', stickers: [] })))
+                .toThrow(/검증 실패/);
+            expect(() => parseImport(JSON.stringify({
+                ...makeDocument(),
+                stickers: [{ id: 'x\');alert(1);(\'', emoji: '⭐', x: 0, y: 0 }]
+            }))).toThrow(/stickers\[0\]\.id/);
+        });
+    });
+
+    describe('buildFileName()', () => {
+        it('파일 이름에 쓸 수 없는 문자를 정리해야 함', () => {
+            expect(buildFileName('엄마/아빠 리스트?', 'json', new Date(2026, 0, 29)))
+                .toBe('엄마아빠_리스트_2026-01-29.json');
+            expect(buildFileName('', 'md', new Date(2026, 0, 29))).toBe('버킷리스트_2026-01-29.md');
+        });
+    });
+
+    describe('summarizeDocument()', () => {
+        it('내용이 있는 항목만 세어야 함', () => {
+            const summary = summarizeDocument(makeDocument({ family: ['여행', '  '], learn: ['피아노'] }));
+
+            expect(summary.total).toBe(2);
+            expect(summary.categories.map(c => c.count)).toEqual([1, 0, 1]);
+        });
+    });
+
+    describe('mergeDocuments()', () => {
+        it('같은 카테고리에는 새 항목만 더해야 함', () => {
+            const current = makeDocument({ family: ['여행'] });
+            const incoming = makeDocument({ family: ['여행 ', '캠핑'], place: ['제주도'] });
+
+            const { document, added } = mergeDocuments(current, incoming);
+
+            expect(document.categories.find(c => c.id === 'family').items.map(i => i.text)).toEqual(['여행', '캠핑']);
+            expect(document.categories.find(c => c.id === 'place').items.map(i => i.text)).toEqual(['제주도']);
+            expect(added).toEqual({ categories: 0, items: 2, stickers: 0 });
+        });
+
+        it('커스텀 카테고리는 제목으로 합치고 id 충돌을 피해야 함', () => {
+            const current = makeDocument();
+            current.categories.push({ id: 'custom-1', type: 'custom', badge: '⭐', title: '음악', items: [{ id: 'a', text: '기타' }] });
+            const incoming = makeDocument();
+            incoming.categories.push(
+                { id: 'custom-1', type: 'custom', badge: '⭐', title: '운동', items: [{ id: 'b', text: '마라톤' }] },
+                { id: 'custom-2', type: 'custom', badge: '⭐', title: '음악', items: [{ id: 'c', text: '피아노' }] }
+            );
+
+            const { document } = mergeDocuments(current, incoming);
+            const custom = document.categories.filter(c => c.type === 'custom');
+
+            expect(custom.map(c => [c.id, c.title, c.items.length])).toEqual([
+                ['custom-1', '음악', 2],
+                ['custom-2', '운동', 1]
+            ]);
+        });
+
+        it('스티커는 겹치지 않는 것만 번호를 이어서 추가하고 현재 꾸미기를 유지해야 함', () => {
+            const current = { ...makeDocument(), stickers: [{ id: 'sticker-3', emoji: '⭐', x: 0, y: 0 }] };
+            const incoming = {
+                ...makeDocument(),
+                customization: { theme: 'night', font: 'cute' },
+                stickers: [
+                    { id: 'sticker-3', emoji: '🌈', x: 5, y: 5 },
+                    { id: 'sticker-9', emoji: '⭐', x: 0, y: 0 }
+                ]
+            };
+
+            const { document } = mergeDocuments(current, incoming);
+
+            expect(document.stickers.map(s => s.id)).toEqual(['sticker-3', 'sticker-4']);
+            expect(document.customization).toEqual({ theme: 'ocean', font: 'cute' });
+        });
+
+        it('현재 문서에 QR 코드 스티커가 있으면 가져온 QR 코드는 더하지 않아야 함', () => {
+            const qr = { type: 'qr', value: 'https://example.com/#share=a', size: 120, x: 0.7, y: 0.8 };
+            const current = { ...makeDocument(), stickers: [{ ...qr, id: 'sticker-1' }] };
+            const incoming = {
+                ...makeDocument(),
+                stickers: [{ ...qr, id: 'sticker-1', value: 'https://example.com/#share=b', x: 0.1 }, { id: 'sticker-2', emoji: '⭐', x: 0, y: 0 }]
+            };
+
+            const { document, added } = mergeDocuments(current, incoming);
+
+            expect(document.stickers.filter(s => s.type === 'qr')).toEqual([{ ...qr, id: 'sticker-1' }]);
+            expect(added.stickers).toBe(1);
+        });
+    });
+});
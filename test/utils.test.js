@@ -3,6 +3,9 @@ import {
     debounce,
     sanitize,
     formatDate,
+    getRelativeTime,
+    toDateString,
+    parseDateString,
     isEmpty,
     chunk,
     unique,
@@ -34,6 +37,52 @@ describe('유틸리티 함수 테스트', () => {
             const result = formatDate(date);
             expect(result).toMatch(/2026년 1월 29일/);
         });
+
+        it('정밀도를 연/월 단위로 줄일 수 있어야 함', () => {
+            const date = new Date(2030, 11, 31);
+            expect(formatDate(date, { precision: 'year' })).toBe('2030년');
+            expect(formatDate(date, { precision: 'month' })).toBe('2030년 12월');
+        });
+
+        it('미래 날짜에 남은 기간을 덧붙여야 함', () => {
+            const result = formatDate(new Date(2026, 4, 1), { relative: true, now: new Date(2026, 1, 1) });
+            expect(result).toBe('2026년 5월 1일 (3개월 남음)');
+        });
+    });
+
+    describe('getRelativeTime()', () => {
+        const now = new Date(2026, 1, 1, 12);
+
+        it('지난 시간은 "전"으로 표시해야 함', () => {
+            expect(getRelativeTime(new Date(2026, 1, 1, 11, 59), now)).toBe('1분 전');
+            expect(getRelativeTime(new Date(2026, 0, 29, 12), now)).toBe('3일 전');
+        });
+
+        it('미래 시간은 "남음"으로 표시해야 함', () => {
+            expect(getRelativeTime(new Date(2027, 6, 1), now)).toBe('1년 남음');
+            expect(getRelativeTime(new Date(2026, 4, 1, 12), now)).toBe('3개월 남음');
+            expect(getRelativeTime(new Date(2026, 1, 6, 12), now)).toBe('5일 남음');
+            expect(getRelativeTime(new Date(2026, 1, 1, 15), now)).toBe('3시간 남음');
+        });
+    });
+
+    describe('toDateString()', () => {
+        it('로컬 날짜를 YYYY-MM-DD로 변환해야 함', () => {
+            expect(toDateString(new Date(2026, 0, 5))).toBe('2026-01-05');
+        });
+    });
+
+    describe('parseDateString()', () => {
+        it('YYYY-MM-DD를 로컬 날짜로 변환해야 함', () => {
+            const date = parseDateString('2026-03-01');
+            expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2026, 2, 1]);
+        });
+
+        it('올바르지 않은 문자열은 null을 반환해야 함', () => {
+            expect(parseDateString('2026-02-30')).toBeNull();
+            expect(parseDateString('내일')).toBeNull();
+            expect(parseDateString(null)).toBeNull();
+        });
     });
 
     describe('isEmpty()', () => {
@@ -0,0 +1,221 @@
+/**
+ * 결과 카드 데이터 / 텍스트 내보내기 모듈
+ *
+ * 결과 카드(generateResult)와 Markdown/텍스트 내보내기가 같은 데이터를 쓰도록
+ * 섹션 구성과 항목 설명을 한곳에서 만듭니다.
+ */
+
+import { formatDate, parseDateString } from './utils.js';
+import { describeDeadline } from './deadline.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+/**
+ * 마감순 보기 그룹 아이콘
+ */
+export const DEADLINE_GROUP_ICONS = {
+    overdue: '⏰',
+    soon: '🔥',
+    later: '🗓️',
+    undated: '💭',
+    achieved: '🏆'
+};
+
+
+// =========================================================================
+// 결과 데이터
+// =========================================================================
+
+/**
+ * 결과 카드에 표시할 데이터 구성
+ * @param {BucketListModel} model - 버킷리스트 모델
+ * @param {Object} [options]
+ * @param {string} [options.view='category'] - 'category' | 'deadline'
+ * @param {Date} [options.now] - 기준 시각 (작성일, 남은 기간)
+ * @param {boolean} [options.openOnly=false] - 달성하지 않은 항목만 (빈 섹션은 제외)
+ * @param {number} [options.maxEntries=0] - 표시할 최대 항목 수 (0이면 전부, 나머지 개수는 hiddenCount)
+ * @returns {Object} { title, userName, birthYear, now, completion, percent, sections, hiddenCount }
+ *   sections: [{ id, icon, title, count, achieved?, total?, entries: [{ item, category }] }]
+ *   (category는 마감순 보기에서만 채워짐)
+ */
+export function buildResultData(model, { view = 'category', now = new Date(), openOnly = false, maxEntries = 0 } = {}) {
+    const completion = model.getCompletion();
+    const percent = completion.total > 0 ? Math.round((completion.achieved / completion.total) * 100) : 0;
+
+    let sections = view === 'deadline'
+        ? model.getDeadlineGroups(now).map(group => ({
+            id: group.id,
+            icon: DEADLINE_GROUP_ICONS[group.id],
+            title: group.title,
+            count: String(group.entries.length),
+            entries: group.entries.map(({ item, category }) => ({ item, category }))
+        }))
+        : model.getFilledCategories().map((category, index) => {
+            const { achieved, total } = completion.categories[index];
+            return {
+                id: category.id,
+                icon: category.badge || '📌',
+                title: category.title,
+                count: `${achieved}/${total}`,
+                achieved,
+                total,
+                entries: category.items.map(item => ({ item, category: null }))
+            };
+        });
+
+    if (openOnly) {
+        sections = sections
+            .map(section => {
+                const entries = section.entries.filter(({ item }) => !item.achieved);
+                // 달성 수는 의미가 없으므로 남은 개수만 표시
+                return {
+                    id: section.id,
+                    icon: section.icon,
+                    title: section.title,
+                    count: String(entries.length),
+                    entries
+                };
+            })
+            .filter(section => section.entries.length > 0);
+    }
+
+    // 앞에서부터 maxEntries개까지만 남김 (배경화면처럼 크기가 정해진 카드용)
+    let hiddenCount = 0;
+    if (maxEntries > 0) {
+        let remaining = maxEntries;
+        sections = sections
+            .map(section => {
+                const entries = section.entries.slice(0, remaining);
+                remaining -= entries.length;
+                hiddenCount += section.entries.length - entries.length;
+                return { ...section, entries };
+            })
+            .filter(section => section.entries.length > 0);
+    }
+
+    const userName = model.userName.trim();
+
+    return {
+        title: userName ? `${userName}의 버킷리스트` : '나의 버킷리스트',
+        userName,
+        birthYear: model.birthYear,
+        now,
+        completion,
+        percent,
+        sections,
+        hiddenCount
+    };
+}
+
+/**
+ * 항목 옆에 붙일 설명
+ * - 달성 항목: 달성일, 소감
+ * - 미달성 항목: 목표 기한, 남은 기간
+ * @param {Object} item - 항목
+ * @param {Object} [options]
+ * @param {number|null} [options.birthYear] - 태어난 해
+ * @param {Date} [options.now] - 기준 시각
+ * @returns {{ parts: Array<string>, overdue: boolean }} 이스케이프하지 않은 문자열
+ */
+export function getItemMeta(item, { birthYear = null, now = new Date() } = {}) {
+    if (item.achieved) {
+        const date = parseDateString(item.achievedAt);
+        return {
+            parts: [
+                date ? `${formatDate(date)} 달성` : '달성',
+                item.note?.trim() ? `“${item.note.trim()}”` : ''
+            ].filter(Boolean),
+            overdue: false
+        };
+    }
+
+    const deadline = describeDeadline(item.deadline, { birthYear, now });
+    return {
+        parts: deadline ? [deadline.label, deadline.remaining].filter(Boolean) : [],
+        overdue: Boolean(deadline?.overdue)
+    };
+}
+
+
+// =========================================================================
+// 텍스트 내보내기
+// =========================================================================
+
+/**
+ * Markdown 특수 문자 이스케이프
+ * @param {string} text - 원문
+ * @returns {string}
+ */
+export function escapeMarkdown(text) {
+    return String(text)
+        .replace(/([\\`*_[\]<>|])/g, '\\$1')
+        .replace(/^(\s*)([#+-])(\s)/, '$1\\$2$3')
+        .replace(/^(\s*)(\d+)\.(\s)/, '$1$2\\.$3');
+}
+
+/**
+ * 결과 데이터를 Markdown으로 변환
+ * - 카테고리마다 배지 이모지를 붙인 ## 제목
+ * - 달성 여부를 반영한 체크박스 항목
+ * @param {Object} data - buildResultData() 결과
+ * @returns {string}
+ *
+ * @example
+ * toMarkdown(buildResultData(model));
+ * // "# 🪣 홍길동의 버킷리스트\n\n...\n## 💕 가족 (1/2)\n\n- [x] 가족 여행 — 2026년 3월 1일 달성"
+ */
+export function toMarkdown(data) {
+    const lines = [
+        `# 🪣 ${escapeMarkdown(data.title)}`,
+        '',
+        `작성일: ${formatDate(data.now)} · ${summaryText(data)}`
+    ];
+
+    data.sections.forEach(section => {
+        lines.push('', `## ${section.icon} ${escapeMarkdown(section.title)} (${section.count})`, '');
+
+        section.entries.forEach(({ item, category }) => {
+            const { parts } = getItemMeta(item, data);
+            const badge = category ? `${category.badge} ` : '';
+            const meta = parts.length > 0 ? ` — ${escapeMarkdown(parts.join(' · '))}` : '';
+            lines.push(`- [${item.achieved ? 'x' : ' '}] ${badge}${escapeMarkdown(item.text)}${meta}`);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * 결과 데이터를 메신저/메모 앱에 붙여넣기 좋은 텍스트로 변환
+ * @param {Object} data - buildResultData() 결과
+ * @returns {string}
+ */
+export function toPlainText(data) {
+    const lines = [
+        `🪣 ${data.title}`,
+        `작성일: ${formatDate(data.now)} · ${summaryText(data)}`
+    ];
+
+    data.sections.forEach(section => {
+        lines.push('', `${section.icon} ${section.title} (${section.count})`);
+
+        section.entries.forEach(({ item, category }) => {
+            const { parts } = getItemMeta(item, data);
+            const badge = category ? `${category.badge} ` : '';
+            const meta = parts.length > 0 ? ` (${parts.join(' · ')})` : '';
+            lines.push(`${item.achieved ? '✅' : '⬜'} ${badge}${item.text}${meta}`);
+        });
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * "전체 N개 중 M개 달성 (P%)"
+ */
+function summaryText(data) {
+    return `전체 ${data.completion.total}개 중 ${data.completion.achieved}개 달성 (${data.percent}%)`;
+}
@@ -0,0 +1,373 @@
+/**
+ * 사용자 테마 프리셋 저장소
+ *
+ * 지금 꾸미기 조합(테마, 패턴, 폰트, 프레임, 직접 고른 색상, 팔레트 강조 색상)을 이름을 붙여 저장하고
+ * 다른 리스트에서도 다시 쓸 수 있게 합니다. 리스트 문서와 따로 한 키에 저장합니다.
+ * - 저장: `bucketlist_theme_presets` = [{ id, name, icon, theme, pattern, ..., createdAt }]
+ * - 내보내기: { format, formatVersion, exportedAt, presets } (팀원과 JSON 파일로 공유)
+ * - 가져오기: 같은 조합은 건너뛰고, 이름이 겹치면 번호를 붙여 추가
+ */
+
+import { generateId } from './utils.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const PRESETS_KEY = 'bucketlist_theme_presets';
+export const PRESET_FORMAT = 'bucketlist-theme-presets';
+export const PRESET_FORMAT_VERSION = 1;
+
+/**
+ * 프리셋에 담는 꾸미기 값
+ */
+export const PRESET_STYLE_KEYS = ['theme', 'pattern', 'font', 'frame'];
+export const PRESET_COLOR_KEYS = ['headerColor', 'bgColor', 'textColor'];
+// 팔레트로 만든 경우에만 있는 색상
+export const PRESET_OPTIONAL_COLOR_KEYS = ['accentColor'];
+
+export const MAX_PRESETS = 30;
+export const MAX_PRESET_NAME_LENGTH = 20;
+export const DEFAULT_PRESET_ICON = '🎨';
+
+// 가져올 수 있는 최대 파일 크기
+const MAX_PRESET_FILE_SIZE = 256 * 1024;
+
+const STYLE_VALUE = /^[a-z0-9-]{1,30}$/;
+const COLOR_VALUE = /^#[0-9a-f]{6}$/i;
+
+
+// =========================================================================
+// 검증
+// =========================================================================
+
+/**
+ * 프리셋 이름 정리 (앞뒤 공백 제거, 길이 제한)
+ * @param {string} name
+ * @returns {string} 비어 있으면 빈 문자열
+ */
+export function normalizePresetName(name) {
+    return String(name ?? '').trim().slice(0, MAX_PRESET_NAME_LENGTH);
+}
+
+/**
+ * 꾸미기 값만 골라 검증된 프리셋 스타일로 만들기
+ * @param {Object} source - customization 또는 프리셋
+ * @returns {Object} { theme, pattern, font, frame, headerColor, bgColor, textColor, accentColor? }
+ * @throws {Error} 값이 없거나 형식이 잘못된 경우
+ */
+export function pickPresetStyle(source) {
+    if (!source || typeof source !== 'object') {
+        throw new Error('프리셋 형식이 올바르지 않습니다.');
+    }
+
+    const style = {};
+    PRESET_STYLE_KEYS.forEach(key => {
+        if (typeof source[key] !== 'string' || !STYLE_VALUE.test(source[key])) {
+            throw new Error(`프리셋의 ${key} 값이 올바르지 않습니다.`);
+        }
+        style[key] = source[key];
+    });
+    PRESET_COLOR_KEYS.forEach(key => {
+        if (typeof source[key] !== 'string' || !COLOR_VALUE.test(source[key])) {
+            throw new Error(`프리셋의 ${key} 색상이 올바르지 않습니다.`);
+        }
+        style[key] = source[key].toUpperCase();
+    });
+    PRESET_OPTIONAL_COLOR_KEYS.forEach(key => {
+        if (source[key] === undefined || source[key] === null) return;
+        if (typeof source[key] !== 'string' || !COLOR_VALUE.test(source[key])) {
+            throw new Error(`프리셋의 ${key} 색상이 올바르지 않습니다.`);
+        }
+        style[key] = source[key].toUpperCase();
+    });
+    return style;
+}
+
+/**
+ * 두 프리셋의 꾸미기 조합이 같은지
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameStyle(a, b) {
+    return [...PRESET_STYLE_KEYS, ...PRESET_COLOR_KEYS, ...PRESET_OPTIONAL_COLOR_KEYS]
+        .every(key => String(a[key] ?? '').toUpperCase() === String(b[key] ?? '').toUpperCase());
+}
+
+/**
+ * 겹치지 않는 이름 만들기 ("여름 (2)", "여름 (3)" ...)
+ * @param {string} name
+ * @param {Array<Object>} presets - 이미 있는 프리셋
+ * @returns {string}
+ */
+function uniqueName(name, presets) {
+    const taken = new Set(presets.map(preset => preset.name));
+    if (!taken.has(name)) return name;
+
+    let n = 2;
+    while (taken.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
+
+
+// =========================================================================
+// 내보내기 / 가져오기
+// =========================================================================
+
+/**
+ * 내보내기 파일 내용 (id, 작성일은 빼고 담음)
+ * @param {Array<Object>} presets
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+export function createPresetExport(presets, now = new Date()) {
+    return {
+        format: PRESET_FORMAT,
+        formatVersion: PRESET_FORMAT_VERSION,
+        exportedAt: now.toISOString(),
+        presets: presets.map(preset => ({
+            name: preset.name,
+            icon: preset.icon,
+            ...pickPresetStyle(preset)
+        }))
+    };
+}
+
+/**
+ * 가져올 파일 읽기
+ * @param {string} text - 파일 내용
+ * @returns {Array<Object>} 검증된 { name, icon, ...style } 목록
+ * @throws {Error} 프리셋 파일이 아니거나 잘못된 프리셋이 있는 경우
+ */
+export function parsePresetImport(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('파일이 비어 있습니다.');
+    }
+    if (text.length > MAX_PRESET_FILE_SIZE) {
+        throw new Error('파일이 너무 큽니다. (최대 256KB)');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSON 파일 형식이 올바르지 않습니다.');
+    }
+
+    if (parsed?.format !== PRESET_FORMAT || !Array.isArray(parsed.presets)) {
+        throw new Error('테마 프리셋 파일이 아닙니다.');
+    }
+    if (parsed.formatVersion > PRESET_FORMAT_VERSION) {
+        throw new Error('더 최신 버전 앱에서 내보낸 파일입니다. 앱을 새로고침한 뒤 다시 시도해주세요.');
+    }
+
+    return parsed.presets.map((preset, index) => {
+        const name = normalizePresetName(preset?.name);
+        if (!name) {
+            throw new Error(`${index + 1}번째 프리셋에 이름이 없습니다.`);
+        }
+        return {
+            name,
+            icon: normalizeIcon(preset.icon),
+            ...pickPresetStyle(preset)
+        };
+    });
+}
+
+/**
+ * 아이콘 정리 (이모지 한 글자 정도만 허용)
+ * @param {*} icon
+ * @returns {string}
+ */
+function normalizeIcon(icon) {
+    const value = typeof icon === 'string' ? icon.trim() : '';
+    return value && value.length <= 8 ? value : DEFAULT_PRESET_ICON;
+}
+
+
+// =========================================================================
+// 저장소
+// =========================================================================
+
+/**
+ * 사용자 프리셋 저장소
+ *
+ * @example
+ * const presets = new PresetStore(localStorage);
+ * const preset = presets.save('우리 팀', state.customization);
+ * presets.move(preset.id, -1);
+ */
+export class PresetStore {
+    /**
+     * @param {Storage} storage - localStorage 호환 저장소
+     */
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * 저장된 프리셋 목록 (없거나 손상되면 빈 목록, 잘못된 항목은 건너뜀)
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(PRESETS_KEY));
+        } catch (e) {
+            console.warn('테마 프리셋 읽기 실패:', e);
+            return [];
+        }
+        if (!Array.isArray(saved)) return [];
+
+        return saved.filter(preset => {
+            try {
+                pickPresetStyle(preset);
+                return typeof preset.id === 'string' && typeof preset.name === 'string';
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * 프리셋 조회
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.getAll().find(preset => preset.id === id) || null;
+    }
+
+    /**
+     * 목록 저장
+     * @param {Array<Object>} presets
+     * @throws {Error} 저장 공간이 부족하거나 저장에 실패한 경우 (안내 문구)
+     */
+    saveAll(presets) {
+        try {
+            this.storage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        } catch (err) {
+            console.warn('테마 프리셋 저장 실패:', err);
+            throw new Error(err?.name === 'QuotaExceededError'
+                ? '저장 공간이 부족합니다. 쓰지 않는 프리셋을 지워주세요.'
+                : '프리셋을 저장하지 못했습니다. 다시 시도해주세요.');
+        }
+    }
+
+    /**
+     * 지금 꾸미기 조합을 새 프리셋으로 저장
+     * @param {string} name - 프리셋 이름
+     * @param {Object} customization - 현재 꾸미기 값
+     * @param {string} [icon]
+     * @returns {Object} 추가된 프리셋
+     * @throws {Error} 이름이 없거나 더 저장할 수 없거나 저장에 실패한 경우
+     */
+    save(name, customization, icon) {
+        const trimmed = normalizePresetName(name);
+        if (!trimmed) {
+            throw new Error('프리셋 이름을 입력해주세요.');
+        }
+
+        const presets = this.getAll();
+        if (presets.length >= MAX_PRESETS) {
+            throw new Error(`프리셋은 ${MAX_PRESETS}개까지 저장할 수 있습니다. 쓰지 않는 프리셋을 지워주세요.`);
+        }
+
+        const preset = this.createEntry(uniqueName(trimmed, presets), customization, icon);
+        presets.push(preset);
+        this.saveAll(presets);
+        return { ...preset };
+    }
+
+    /**
+     * 프리셋 이름 변경
+     * @param {string} id
+     * @param {string} name
+     * @returns {boolean} 변경 여부
+     * @throws {Error} 저장에 실패한 경우
+     */
+    rename(id, name) {
+        const trimmed = normalizePresetName(name);
+        const presets = this.getAll();
+        const preset = presets.find(p => p.id === id);
+        if (!preset || !trimmed) return false;
+
+        preset.name = trimmed;
+        this.saveAll(presets);
+        return true;
+    }
+
+    /**
+     * 프리셋 삭제
+     * @param {string} id
+     * @returns {boolean} 삭제 여부
+     * @throws {Error} 저장에 실패한 경우
+     */
+    remove(id) {
+        const presets = this.getAll();
+        const rest = presets.filter(preset => preset.id !== id);
+        if (rest.length === presets.length) return false;
+
+        this.saveAll(rest);
+        return true;
+    }
+
+    /**
+     * 순서 옮기기
+     * @param {string} id
+     * @param {number} offset - -1이면 앞으로, 1이면 뒤로
+     * @returns {boolean} 옮겼는지 (맨 앞/맨 뒤면 false)
+     * @throws {Error} 저장에 실패한 경우
+     */
+    move(id, offset) {
+        const presets = this.getAll();
+        const from = presets.findIndex(preset => preset.id === id);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= presets.length) return false;
+
+        const [preset] = presets.splice(from, 1);
+        presets.splice(to, 0, preset);
+        this.saveAll(presets);
+        return true;
+    }
+
+    /**
+     * 가져온 프리셋 추가
+     * @param {Array<Object>} incoming - parsePresetImport() 결과
+     * @returns {{ added: number, skipped: number }} 같은 조합이거나 개수 한도를 넘어 건너뛴 수 포함
+     * @throws {Error} 저장에 실패한 경우
+     */
+    importPresets(incoming) {
+        const presets = this.getAll();
+        let added = 0;
+
+        incoming.forEach(preset => {
+            if (presets.length >= MAX_PRESETS || presets.some(p => isSameStyle(p, preset))) return;
+
+            presets.push(this.createEntry(uniqueName(preset.name, presets), preset, preset.icon));
+            added++;
+        });
+
+        this.saveAll(presets);
+        return { added, skipped: incoming.length - added };
+    }
+
+    /**
+     * 프리셋 항목 생성
+     * @param {string} name
+     * @param {Object} customization
+     * @param {string} [icon]
+     * @returns {Object}
+     */
+    createEntry(name, customization, icon) {
+        return {
+            id: `preset-${generateId()}`,
+            name,
+            icon: normalizeIcon(icon),
+            ...pickPresetStyle(customization),
+            createdAt: new Date().toISOString()
+        };
+    }
+}
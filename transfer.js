@@ -0,0 +1,222 @@
+/**
+ * JSON 내보내기/가져오기 모듈
+ *
+ * 리스트 하나의 전체 문서(이름, 카테고리, 항목, 꾸미기, 스티커)를 파일로 주고받습니다.
+ * - 내보내기: { format, formatVersion, exportedAt, meta, document }
+ * - 가져오기: 내보낸 파일 또는 localStorage 문서 원본을 받아 현재 스키마로 마이그레이션/검증
+ * - 합치기: 같은 카테고리는 항목만 더하고, 이미 있는 내용은 건너뜀
+ */
+
+import { migrate } from './schema.js';
+import { nextCustomId } from './model.js';
+import { generateId, deepClone, toDateString } from './utils.js';
+
+
+// =========================================================================
+// 상수
+// =========================================================================
+
+export const EXPORT_FORMAT = 'bucketlist';
+export const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * 가져올 수 있는 최대 파일 크기 (localStorage 한도보다 작게)
+ */
+export const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+
+
+// =========================================================================
+// 내보내기
+// =========================================================================
+
+/**
+ * 내보내기 파일 내용 생성
+ * @param {Object} doc - 저장 문서 (model.toJSON() + customization, stickers, savedAt)
+ * @param {Object} [meta] - 리스트 정보 { listName, createdAt, updatedAt }
+ * @param {Date} [now] - 내보낸 시각
+ * @returns {Object} 내보내기 객체
+ */
+export function createExport(doc, meta = {}, now = new Date()) {
+    return {
+        format: EXPORT_FORMAT,
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportedAt: now.toISOString(),
+        meta: {
+            listName: meta.listName || '',
+            createdAt: meta.createdAt || null,
+            updatedAt: meta.updatedAt || null,
+            savedAt: doc.savedAt || null
+        },
+        document: deepClone(doc)
+    };
+}
+
+/**
+ * 파일 이름용 문자열 정리 (경로/예약 문자 제거)
+ * @param {string} name - 원래 이름
+ * @returns {string}
+ */
+export function toFileNamePart(name) {
+    return String(name || '')
+        .trim()
+        .replace(/[\\/:*?"<>|]+/g, '')
+        .replace(/\s+/g, '_')
+        .slice(0, 40) || '버킷리스트';
+}
+
+/**
+ * 내보내기 파일 이름
+ * @param {string} name - 리스트 이름
+ * @param {string} extension - 확장자 (점 제외)
+ * @param {Date} [date] - 파일에 붙일 날짜
+ * @returns {string} 예: "나의_버킷리스트_2026-01-29.json"
+ */
+export function buildFileName(name, extension, date = new Date()) {
+    return `${toFileNamePart(name)}_${toDateString(date)}.${extension}`;
+}
+
+
+// =========================================================================
+// 가져오기
+// =========================================================================
+
+/**
+ * 가져올 파일 내용 해석
+ * @param {string} text - 파일 내용
+ * @returns {{ document: Object, meta: Object }} 현재 스키마 문서와 리스트 정보
+ * @throws {Error} JSON이 아니거나 버킷리스트 문서가 아닌 경우
+ */
+export function parseImport(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('파일이 비어 있습니다.');
+    }
+    if (text.length > MAX_IMPORT_SIZE) {
+        throw new Error('파일이 너무 큽니다. (최대 2MB)');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSON 파일 형식이 올바르지 않습니다.');
+    }
+
+    const wrapped = parsed?.format === EXPORT_FORMAT;
+    if (wrapped && parsed.formatVersion > EXPORT_FORMAT_VERSION) {
+        throw new Error('더 최신 버전 앱에서 내보낸 파일입니다. 앱을 새로고침한 뒤 다시 시도해주세요.');
+    }
+
+    const source = wrapped ? parsed.document : parsed;
+    if (!source || typeof source !== 'object' || !('categories' in source)) {
+        throw new Error('버킷리스트 파일이 아닙니다.');
+    }
+
+    const { data } = migrate(source);
+
+    return {
+        document: {
+            ...data,
+            customization: data.customization || {},
+            stickers: data.stickers || []
+        },
+        meta: wrapped ? { ...parsed.meta, exportedAt: parsed.exportedAt } : {}
+    };
+}
+
+/**
+ * 가져오기 미리보기 요약
+ * @param {Object} doc - 현재 스키마 문서
+ * @returns {Object} { userName, total, achieved, stickers, categories: [{ title, badge, count }] }
+ */
+export function summarizeDocument(doc) {
+    const categories = doc.categories.map(category => {
+        const items = category.items.filter(item => item.text.trim());
+        return {
+            title: category.title,
+            badge: category.badge,
+            count: items.length,
+            achieved: items.filter(item => item.achieved).length
+        };
+    });
+
+    return {
+        userName: doc.userName || '',
+        total: categories.reduce((sum, c) => sum + c.count, 0),
+        achieved: categories.reduce((sum, c) => sum + c.achieved, 0),
+        stickers: (doc.stickers || []).length,
+        categories
+    };
+}
+
+
+// =========================================================================
+// 합치기
+// =========================================================================
+
+/**
+ * 가져온 문서를 현재 문서에 합치기
+ * - 카테고리: 같은 id(기본 카테고리) 또는 같은 제목(커스텀)이면 하나로 합침
+ * - 항목: 같은 카테고리에 같은 내용이 있으면 건너뜀, 아니면 새 id로 추가
+ * - 스티커: 같은 자리의 같은 스티커는 건너뛰고 새 id로 추가
+ *   (QR 코드 스티커는 하나만 두므로 현재 문서에 있으면 가져온 것은 버림)
+ * - 이름/꾸미기: 현재 문서 우선 (비어 있으면 가져온 값 사용)
+ * @param {Object} current - 현재 문서
+ * @param {Object} incoming - 가져온 문서
+ * @returns {{ document: Object, added: { categories: number, items: number, stickers: number } }}
+ */
+export function mergeDocuments(current, incoming) {
+    const result = deepClone(current);
+    const added = { categories: 0, items: 0, stickers: 0 };
+    const normalize = text => text.trim().toLowerCase();
+
+    incoming.categories.forEach(source => {
+        const items = source.items.filter(item => item.text.trim());
+        if (items.length === 0) return;
+
+        let target = result.categories.find(c => c.id === source.id && c.type !== 'custom')
+            || result.categories.find(c => normalize(c.title) === normalize(source.title));
+
+        if (!target) {
+            const id = result.categories.some(c => c.id === source.id) ? nextCustomId(result.categories) : source.id;
+            target = { ...deepClone(source), id, items: [] };
+            result.categories.push(target);
+            added.categories++;
+        }
+
+        const existing = new Set(target.items.map(item => normalize(item.text)));
+        // 빈 입력칸만 있는 카테고리는 빈칸을 비우고 추가
+        target.items = target.items.filter(item => item.text.trim());
+
+        items.forEach(item => {
+            if (existing.has(normalize(item.text))) return;
+            existing.add(normalize(item.text));
+            target.items.push({ ...deepClone(item), id: generateId() });
+            added.items++;
+        });
+    });
+
+    // 스티커 id는 sticker-N 형식 유지 (앱의 스티커 번호와 이어지도록)
+    result.stickers = result.stickers || [];
+    let stickerNumber = result.stickers.reduce((acc, sticker) => {
+        const n = parseInt(String(sticker.id).replace('sticker-', ''), 10);
+        return Number.isNaN(n) ? acc : Math.max(acc, n);
+    }, 0);
+    const stickerKey = sticker => `${sticker.emoji || sticker.imageId || sticker.type}@${sticker.x},${sticker.y}`;
+    const existingStickers = new Set(result.stickers.map(stickerKey));
+    (incoming.stickers || []).forEach(sticker => {
+        if (sticker.type === 'qr' && result.stickers.some(s => s.type === 'qr')) return;
+        // 같은 자리의 같은 스티커는 건너뜀
+        if (existingStickers.has(stickerKey(sticker))) return;
+        existingStickers.add(stickerKey(sticker));
+
+        stickerNumber++;
+        result.stickers.push({ ...deepClone(sticker), id: `sticker-${stickerNumber}` });
+        added.stickers++;
+    });
+
+    result.userName = result.userName || incoming.userName || '';
+    result.birthYear = result.birthYear ?? incoming.birthYear ?? null;
+    result.customization = { ...(incoming.customization || {}), ...(result.customization || {}) };
+
+    return { document: result, added };
+}
@@ -221,31 +221,77 @@ export const storage = {
 /**
  * 날짜를 한국어 형식으로 포맷팅
  * @param {Date} date - 포맷할 날짜
+ * @param {Object} [options]
+ * @param {string} [options.precision='day'] - 'day' | 'month' | 'year'
+ * @param {boolean} [options.relative=false] - 상대 시간 덧붙이기 (미래면 "남음")
+ * @param {Date} [options.now] - 상대 시간 기준 시각
  * @returns {string} 포맷된 날짜 문자열
  *
  * @example
  * formatDate(new Date()); // "2026년 1월 29일"
+ * formatDate(new Date(2030, 11, 31), { precision: 'year' }); // "2030년"
+ * formatDate(new Date(2026, 4, 1), { relative: true }); // "2026년 5월 1일 (3개월 남음)"
  */
-export function formatDate(date = new Date()) {
+export function formatDate(date = new Date(), options = {}) {
+    const { precision = 'day', relative = false, now } = options;
     const year = date.getFullYear();
     const month = date.getMonth() + 1;
     const day = date.getDate();
-    return `${year}년 ${month}월 ${day}일`;
+
+    let text = `${year}년`;
+    if (precision !== 'year') text += ` ${month}월`;
+    if (precision === 'day') text += ` ${day}일`;
+
+    return relative ? `${text} (${getRelativeTime(date, now)})` : text;
+}
+
+/**
+ * 날짜를 YYYY-MM-DD 문자열로 변환 (로컬 시간 기준)
+ * @param {Date} date - 변환할 날짜
+ * @returns {string} YYYY-MM-DD
+ *
+ * @example
+ * toDateString(new Date(2026, 0, 29)); // "2026-01-29"
+ */
+export function toDateString(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
- * 상대 시간 표시 (몇 분 전, 몇 시간 전 등)
+ * YYYY-MM-DD 문자열을 로컬 자정 기준 Date로 변환
+ * @param {string} str - YYYY-MM-DD 문자열
+ * @returns {Date|null} 올바르지 않으면 null
+ *
+ * @example
+ * parseDateString('2026-01-29'); // 2026년 1월 29일 00:00 (로컬)
+ */
+export function parseDateString(str) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || '');
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * 상대 시간 표시 (몇 분 전, 몇 시간 전, 3개월 남음 등)
  * @param {Date|string} date - 비교할 날짜
- * @returns {string} 상대 시간 문자열
+ * @param {Date} [now] - 기준 시각 (기본: 현재)
+ * @returns {string} 상대 시간 문자열 (미래 날짜는 "남음")
  *
  * @example
  * getRelativeTime(new Date(Date.now() - 60000)); // "1분 전"
+ * getRelativeTime(new Date(2026, 4, 1), new Date(2026, 1, 1)); // "3개월 남음"
  */
-export function getRelativeTime(date) {
-    const now = new Date();
+export function getRelativeTime(date, now = new Date()) {
     const target = typeof date === 'string' ? new Date(date) : date;
     const diff = now - target;
 
+    if (diff < 0) return getRemainingTime(now, target);
+
     const seconds = Math.floor(diff / 1000);
     const minutes = Math.floor(seconds / 60);
     const hours = Math.floor(minutes / 60);
@@ -257,6 +303,26 @@ export function getRelativeTime(date) {
     return '방금 전';
 }
 
+/**
+ * 미래 날짜까지 남은 시간 (달력 기준 년/개월, 이후 일/시간)
+ * @param {Date} now - 기준 시각
+ * @param {Date} target - 미래 날짜
+ * @returns {string} "1년 남음", "3개월 남음", "5일 남음" 등
+ */
+function getRemainingTime(now, target) {
+    let months = (target.getFullYear() - now.getFullYear()) * 12 + (target.getMonth() - now.getMonth());
+    if (target.getDate() < now.getDate()) months--;
+
+    if (months >= 12) return `${Math.floor(months / 12)}년 남음`;
+    if (months > 0) return `${months}개월 남음`;
+
+    const hours = Math.floor((target - now) / (1000 * 60 * 60));
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) return `${days}일 남음`;
+    if (hours > 0) return `${hours}시간 남음`;
+    return '곧';
+}
 
 // =========================================================================
 // DOM 유틸리티